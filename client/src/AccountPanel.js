@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL, apiFetch } from './api';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+const ROLE_LABELS = { viewer: 'Viewer (read only)', editor: 'Editor', admin: 'Admin' };
+
+// Send a JSON request; resolves with { ok, data }
+const send = async (path, method, body) => {
+  const response = await apiFetch(`${API_URL}/auth${path}`, {
+    method,
+    headers: JSON_HEADERS,
+    body: body && JSON.stringify(body),
+  });
+  const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+  return { ok: response.ok, data };
+};
+
+// The signed-in user's Notion connection and password, plus account management for admins.
+// onSessionChange(session) receives updated { user, feedToken } responses; onSignOut({ everywhere })
+// signs out.
+const AccountPanel = ({ session, onSessionChange, onSignOut, onClose }) => {
+  const { user } = session;
+  const [message, setMessage] = useState(null);
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+  const [accounts, setAccounts] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [newAccount, setNewAccount] = useState({ username: '', password: '', role: 'viewer' });
+
+  const report = (ok, text) => setMessage({ ok, text });
+
+  const fetchAccounts = useCallback(async () => {
+    const { ok, data } = await send('/users', 'GET');
+    if (ok) {
+      setAccounts(data.users);
+      setRoles(data.roles);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user.role === 'admin') fetchAccounts();
+  }, [user.role, fetchAccounts]);
+
+  // Notion's consent page (or the server's stand-in) sends the browser back to the app afterwards
+  const connectNotion = async () => {
+    const { ok, data } = await send('/notion/connect', 'GET');
+    if (ok) window.location.assign(data.url);
+    else report(false, data.error || 'Could not start connecting Notion');
+  };
+
+  const disconnectNotion = async () => {
+    const { ok, data } = await send('/notion', 'DELETE');
+    if (!ok) return report(false, data.error || 'Could not disconnect Notion');
+    onSessionChange(data);
+    report(true, "Disconnected. The server's Notion integration is used again.");
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    const { ok, data } = await send('/password', 'POST', passwords);
+    if (!ok) return report(false, data.error);
+    setPasswords({ currentPassword: '', newPassword: '' });
+    onSessionChange(data);
+    report(true, 'Password changed. Other sessions have been signed out.');
+  };
+
+  const resetFeedLinks = async () => {
+    if (!window.confirm('Calendar apps subscribed with your current feed links will stop updating. Continue?')) return;
+    const { ok, data } = await send('/feed-token', 'POST');
+    if (!ok) return report(false, data.error || 'Could not reset feed links');
+    onSessionChange(data);
+    report(true, 'Feed links reset. Copy the calendar link again to resubscribe.');
+  };
+
+  const signOutEverywhere = () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    onSignOut({ everywhere: true });
+  };
+
+  const addAccount = async (e) => {
+    e.preventDefault();
+    const { ok, data } = await send('/users', 'POST', newAccount);
+    if (!ok) return report(false, data.error);
+    setNewAccount({ username: '', password: '', role: 'viewer' });
+    report(true, `Added ${data.username}.`);
+    fetchAccounts();
+  };
+
+  const changeRole = async (account, role) => {
+    const { ok, data } = await send(`/users/${account.id}`, 'PATCH', { role });
+    if (!ok) report(false, data.error);
+    fetchAccounts();
+  };
+
+  const removeAccount = async (account) => {
+    if (!window.confirm(`Remove ${account.username}?`)) return;
+    const { ok, data } = await send(`/users/${account.id}`, 'DELETE');
+    if (!ok) report(false, data.error);
+    fetchAccounts();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6 text-left text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-medium">Account</h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+      </div>
+
+      {message && (
+        <p className={`mb-3 p-2 rounded-md ${message.ok ? 'bg-green-50 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          {message.text}
+        </p>
+      )}
+
+      <h3 className="font-medium mb-1">Notion connection</h3>
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-gray-600">
+          {user.notionConnected
+            ? `Using your own workspace${user.notionWorkspace ? ` (${user.notionWorkspace})` : ''}.`
+            : "Using the server's Notion integration."}
+        </span>
+        {user.notionConnected ? (
+          <button onClick={disconnectNotion} className="text-red-600 hover:text-red-800">Disconnect</button>
+        ) : (
+          <button onClick={connectNotion} className="text-blue-600 hover:text-blue-800">Connect my Notion</button>
+        )}
+      </div>
+
+      <h3 className="font-medium mb-1">Change password</h3>
+      <form onSubmit={changePassword} className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="password"
+          placeholder="Current password"
+          autoComplete="current-password"
+          value={passwords.currentPassword}
+          onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <input
+          type="password"
+          placeholder="New password"
+          autoComplete="new-password"
+          value={passwords.newPassword}
+          onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={!passwords.currentPassword || !passwords.newPassword}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Change
+        </button>
+      </form>
+
+      <h3 className="font-medium mb-1">Calendar feed links</h3>
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-gray-600">Links to calendar feeds work without signing in until they are reset.</span>
+        <button onClick={resetFeedLinks} className="text-red-600 hover:text-red-800">Reset links</button>
+      </div>
+
+      <h3 className="font-medium mb-1">Sessions</h3>
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-gray-600">Signing out only ends the session on this device.</span>
+        <button onClick={signOutEverywhere} className="text-red-600 hover:text-red-800">Sign out everywhere</button>
+      </div>
+
+      {user.role === 'admin' && (
+        <>
+          <h3 className="font-medium mb-1">Accounts</h3>
+          <table className="min-w-full mb-3">
+            <tbody className="divide-y divide-gray-200">
+              {accounts.map(account => (
+                <tr key={account.id}>
+                  <td className="py-2 pr-4">{account.username}{account.id === user.id && ' (you)'}</td>
+                  <td className="py-2 pr-4">
+                    <select
+                      value={account.role}
+                      onChange={(e) => changeRole(account, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                      {roles.map(role => <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-500">{account.notionConnected ? 'Own Notion' : ''}</td>
+                  <td className="py-2 text-right">
+                    {account.id !== user.id && (
+                      <button onClick={() => removeAccount(account)} className="text-red-600 hover:text-red-800">Remove</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <form onSubmit={addAccount} className="flex flex-wrap items-center gap-2">
+            <input
+              placeholder="Username"
+              value={newAccount.username}
+              onChange={(e) => setNewAccount({ ...newAccount, username: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              autoComplete="new-password"
+              value={newAccount.password}
+              onChange={(e) => setNewAccount({ ...newAccount, password: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            />
+            <select
+              value={newAccount.role}
+              onChange={(e) => setNewAccount({ ...newAccount, role: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {roles.map(role => <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>)}
+            </select>
+            <button
+              type="submit"
+              disabled={!newAccount.username || !newAccount.password}
+              className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Add account
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AccountPanel;
@@ -1,60 +1,457 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
+import FilterBar from './FilterBar';
+import BoardView, { getGroupableProperties } from './BoardView';
+import CalendarView from './CalendarView';
+import TimelineView from './TimelineView';
+import TrashPanel from './TrashPanel';
+import ImportWizard from './ImportWizard';
+import ConflictPanel from './ConflictPanel';
+import LoginScreen from './LoginScreen';
+import AccountPanel from './AccountPanel';
+import HistoryPanel from './HistoryPanel';
+import DetailDrawer from './DetailDrawer';
+import QuickAdd from './QuickAdd';
+import ViewTabs from './ViewTabs';
+import ColumnsPanel from './ColumnsPanel';
+import DashboardPanel from './DashboardPanel';
+import { API_URL, apiFetch, onSignedOut } from './api';
+import {
+  TEMP_ID_PREFIX, readCache, writeCache, queueMutation, listMutations, updateMutation, removeMutation, updateQueuedForItem
+} from './offlineStore';
+import { performMutation, isUnreachableStatus } from './syncQueue';
+import { getPropertyDisplayName, renderPropertyValue, timeOffset } from './propertyUtils';
+import { flattenTree, isInCollapsed, applyCompletion } from './treeUtils';
 
-const API_URL = 'http://localhost:3001/api';
+const PAGE_SIZE = 50;
+// Most operations the server accepts in one bulk request
+const BULK_CHUNK_SIZE = 100;
+// How long the undo toast stays up after archiving
+const UNDO_TIMEOUT_MS = 8000;
+// How often to retry the server while offline
+const RECONNECT_INTERVAL_MS = 30000;
+const SELECTED_DB_KEY = 'notion-manager:database';
+const LAYOUT_KEY = 'notion-manager:layout';
+const GROUP_BY_KEY = 'notion-manager:group-by';
+const DATE_PROPERTY_KEY = 'notion-manager:date-property';
+// Last session, so the app can still open from the cache while the server is unreachable
+const SESSION_KEY = 'notion-manager:session';
+// Widths a table column can be dragged to, as the views API accepts them
+const MIN_COLUMN_WIDTH = 40;
+const MAX_COLUMN_WIDTH = 1000;
+// Settings a saved view stores besides its name
+const VIEW_FIELDS = ['layout', 'filter', 'sorts', 'columns', 'columnWidths', 'groupBy', 'dateProperty'];
 
-const NotionDatabaseManager = () => {
+const LAYOUTS = [
+  { value: 'table', label: 'Table' },
+  { value: 'board', label: 'Board' },
+  { value: 'calendar', label: 'Calendar' },
+  { value: 'timeline', label: 'Timeline' }
+];
+
+// `session` is the signed-in { user, feedToken }; viewers only get the read-only parts of the UI
+const NotionDatabaseManager = ({ session, onSessionChange, onSignOut }) => {
+  const canEdit = session.user.role !== 'viewer';
+  const isAdmin = session.user.role === 'admin';
   const [items, setItems] = useState([]);
   const [newItemData, setNewItemData] = useState({});
   const [schema, setSchema] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
+  // [{ property, direction: 'ascending' | 'descending' }], as saved views store them
+  const [sorts, setSorts] = useState([]);
+  const [activeFilter, setActiveFilter] = useState(null);
+  const [databases, setDatabases] = useState([]);
+  // undefined until the database list has loaded; null means the server's default database
+  const [selectedDb, setSelectedDb] = useState(undefined);
+  // Cell being edited in place ({ itemId, property }) and its draft value
+  const [editingCell, setEditingCell] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const editingKeyRef = useRef(null);
+  // Why the server rejected values: add form fields by property, table cells by "itemId:property"
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [cellErrors, setCellErrors] = useState({});
+  const [users, setUsers] = useState([]);
+  // Set when a pushed change may belong in the filtered list but cannot be placed without a reload
+  const [hasRemoteChanges, setHasRemoteChanges] = useState(false);
+  // Properties with a save in flight, as "itemId:property", so pushed changes do not overwrite them
+  const pendingSavesRef = useRef(new Set());
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const activeFilterRef = useRef(activeFilter);
+  activeFilterRef.current = activeFilter;
+  const [layout, setLayout] = useState(() => localStorage.getItem(LAYOUT_KEY) || 'table');
+  // Board grouping property, remembered per database
+  const [groupBy, setGroupBy] = useState(null);
+  // Date property plotted by the calendar and timeline, remembered per database
+  const [dateProperty, setDateProperty] = useState(null);
+  // Table rows ticked for bulk actions, and the row last clicked for shift-click ranges
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const lastSelectedIndexRef = useRef(null);
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
+  // Property and value chosen in the bulk "Set" control
+  const [bulkEdit, setBulkEdit] = useState({ property: '', value: '' });
+  // Most recent archive that can still be undone: { message, ids }
+  const [undo, setUndo] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashEntries, setTrashEntries] = useState([]);
+  const [isTrashLoading, setIsTrashLoading] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
+  // Item whose change history is open in the side panel, and its audit entries
+  const [historyItemId, setHistoryItemId] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState('');
+  // Item open in the detail drawer
+  const [detailItemId, setDetailItemId] = useState(null);
+  // Working from cached data because the server or Notion cannot be reached
+  const [isOffline, setIsOffline] = useState(false);
+  // When the cached items on screen were saved, while offline
+  const [cachedAt, setCachedAt] = useState(null);
+  // Queued changes still to send, and those stopped by a conflict with a remote edit
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const queueSizeRef = useRef(0);
+  const replayingRef = useRef(false);
+  // Items are only written to the cache once this database's items have been loaded
+  const cacheReadyRef = useRef(false);
+  // Saved views of the database (null until loaded) and the one on screen, or null for the defaults
+  const [views, setViews] = useState(null);
+  const [activeViewId, setActiveViewId] = useState(null);
+  // Items wait for the views so a view linked from the URL is applied before the first load
+  const [viewsReady, setViewsReady] = useState(false);
+  const linkedViewIdRef = useRef(new URLSearchParams(window.location.search).get('view'));
+  // Table columns in order, or null for those picked by shouldDisplayInTable, and their widths in pixels
+  const [columns, setColumns] = useState(null);
+  const [columnWidths, setColumnWidths] = useState({});
+  const [showColumns, setShowColumns] = useState(false);
+  // Rows whose subtasks are folded away in the table
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  // What was still open when items were completed: { message, warnings } from the server
+  const [completionWarning, setCompletionWarning] = useState(null);
+  
+  const dbUrl = selectedDb ? `${API_URL}/databases/${encodeURIComponent(selectedDb)}` : API_URL;
+  // IndexedDB keys of this database's cached schema and items
+  const cacheKey = selectedDb || 'default';
+  const dbUrlRef = useRef(dbUrl);
+  dbUrlRef.current = dbUrl;
+  // The database links items as subtasks or blockers, so rows carry parent, progress and blocker links
+  const isTree = Boolean(schema?.dependencies?.parentProperty || schema?.dependencies?.blockedByProperty);
 
-  // Fetch database schema
-  const fetchSchema = async () => {
+  // Fetch the databases the server knows about, optionally searching Notion for shared ones
+  const fetchDatabases = useCallback(async (discover = false) => {
+    const applyDatabases = (data) => {
+      setDatabases(data.databases);
+      
+      // Only the first load picks a database: a database named in the URL wins over the one used last
+      setSelectedDb(current => {
+        if (current !== undefined) return current;
+        const linked = new URLSearchParams(window.location.search).get('db');
+        const saved = localStorage.getItem(SELECTED_DB_KEY);
+        return [linked, saved].find(k => data.databases.some(db => db.key === k)) || data.defaultKey;
+      });
+    };
+    
     try {
-      const response = await fetch(`${API_URL}/schema`);
+      const response = await apiFetch(`${API_URL}/databases${discover ? '?discover=true' : ''}`);
       
       if (!response.ok) {
         throw new Error(`Error: ${response.status}`);
       }
       
       const data = await response.json();
+      applyDatabases(data);
+      writeCache('databases', data).catch(err => console.error('Failed to cache databases:', err));
+    } catch (err) {
+      console.error('Failed to fetch databases:', err);
+      // Offline, the list from the last visit still lets the saved database open from the cache
+      const cached = await readCache('databases').catch(() => null);
+      if (cached) applyDatabases(cached);
+      else setSelectedDb(current => (current === undefined ? null : current));
+    }
+  }, []);
+  
+  // Switch to another database, clearing everything that belonged to the previous one
+  const selectDatabase = (key) => {
+    localStorage.setItem(SELECTED_DB_KEY, key);
+    setSchema(null);
+    setItems([]);
+    setNextCursor(null);
+    setSorts([]);
+    setActiveFilter(null);
+    setViews(null);
+    setActiveViewId(null);
+    setViewsReady(false);
+    linkedViewIdRef.current = null;
+    setColumns(null);
+    setColumnWidths({});
+    setCollapsedIds(new Set());
+    setCompletionWarning(null);
+    setError('');
+    setNewItemData({});
+    clearSelection();
+    setUndo(null);
+    setShowTrash(false);
+    setTrashEntries([]);
+    setShowImport(false);
+    setShowDashboard(false);
+    setCachedAt(null);
+    cacheReadyRef.current = false;
+    setSelectedDb(key);
+  };
+
+  // Fetch workspace members for people property editors
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/users`);
+      
+      if (!response.ok) {
+        throw new Error(`Error: ${response.status}`);
+      }
+      
+      setUsers(await response.json());
+    } catch (err) {
+      console.error('Failed to fetch users:', err);
+    }
+  }, []);
+
+  // Fetch database schema
+  const fetchSchema = useCallback(async () => {
+    const applySchema = (data) => {
       setSchema(data);
       
-      // Initialize new item data with empty values for each property
-      const initialData = {};
-      data.properties.forEach(prop => {
-        initialData[prop.name] = '';
+      // Initialize new item data with empty values for each property, keeping anything
+      // already typed when the schema is reloaded after a remote change
+      setNewItemData(current => {
+        const initialData = {};
+        data.properties.forEach(prop => {
+          initialData[prop.name] = current[prop.name] ?? '';
+        });
+        return initialData;
       });
-      setNewItemData(initialData);
+    };
+    
+    try {
+      const response = await apiFetch(`${dbUrl}/schema`);
       
+      if (!response.ok) {
+        throw new Error(`Error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      applySchema(data);
+      if (data.properties.some(prop => prop.type === 'people')) fetchUsers();
+      writeCache(`schema:${cacheKey}`, data).catch(err => console.error('Failed to cache schema:', err));
     } catch (err) {
       console.error('Failed to fetch schema:', err);
-      setError('Failed to load database schema. Make sure your backend server is running.');
+      const cached = await readCache(`schema:${cacheKey}`).catch(() => null);
+      if (cached) {
+        applySchema(cached);
+        setIsOffline(true);
+      } else {
+        setError('Failed to load database schema. Make sure your backend server is running.');
+      }
     }
-  };
+  }, [dbUrl, cacheKey, fetchUsers]);
 
-  // Fetch items from database
-  const fetchItems = async () => {
-    setIsLoading(true);
-    setError('');
-    
+  // Fetch the saved views, falling back to those cached on the last visit
+  const fetchViews = useCallback(async () => {
     try {
-      const response = await fetch(`${API_URL}/tasks`);
+      const response = await apiFetch(`${dbUrl}/views`);
       
       if (!response.ok) {
         throw new Error(`Error: ${response.status}`);
       }
       
       const data = await response.json();
-      setItems(data);
+      setViews(data);
+      writeCache(`views:${cacheKey}`, data).catch(err => console.error('Failed to cache views:', err));
+    } catch (err) {
+      console.error('Failed to fetch views:', err);
+      const cached = await readCache(`views:${cacheKey}`).catch(() => null);
+      setViews(cached || []);
+    }
+  }, [dbUrl, cacheKey]);
+
+  // Take what Notion stored for the saved properties, the completion state they may have changed
+  // and the new edit time, keeping everything else as shown locally
+  const mergeSavedItem = useCallback((local, saved, propertyNames) => ({
+    ...local,
+    ...(propertyNames.includes(schema.titleProperty) ? { title: saved.title } : {}),
+    completed: saved.completed,
+    lastEditedTime: saved.lastEditedTime,
+    properties: {
+      ...local.properties,
+      ...Object.fromEntries(propertyNames.map(name => [name, saved.properties[name]]))
+    },
+    richText: {
+      ...local.richText,
+      ...Object.fromEntries(propertyNames.map(name => [name, saved.richText?.[name]]))
+    }
+  }), [schema]);
+
+  // Re-read the queue for the pending count and the conflicts waiting for the user
+  const refreshQueueState = useCallback(async () => {
+    const mutations = await listMutations();
+    queueSizeRef.current = mutations.length;
+    setPendingCount(mutations.filter(m => !m.conflict).length);
+    setConflicts(mutations.filter(m => m.conflict));
+    return mutations;
+  }, []);
+
+  // Send queued changes in order until the queue is empty or the server is unreachable.
+  // Changes to an item with an unresolved conflict wait until the user resolves it.
+  const replayQueue = useCallback(async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    
+    try {
+      for (;;) {
+        const mutations = await listMutations();
+        const held = new Set(mutations.filter(m => m.conflict).map(m => m.itemId));
+        const mutation = mutations.find(m => !m.conflict && !held.has(m.itemId));
+        if (!mutation) break;
+        
+        const result = await performMutation(mutation);
+        if (result.status === 'offline') {
+          setIsOffline(true);
+          return;
+        }
+        setIsOffline(false);
+        
+        if (result.status === 'conflict') {
+          await updateMutation({ ...mutation, conflict: { item: result.data.item, deleted: result.data.deleted } });
+          continue;
+        }
+        await removeMutation(mutation.id);
+        const isCurrentDb = mutation.dbUrl === dbUrlRef.current;
+        
+        if (result.status === 'error') {
+          console.error('Queued change was rejected:', mutation, result);
+          setError(`A change made offline could not be saved (error ${result.httpStatus}).`);
+          if (mutation.type === 'create' && isCurrentDb) setItems(current => current.filter(i => i.id !== mutation.itemId));
+          continue;
+        }
+        
+        const saved = result.data.item;
+        if (mutation.type === 'create') {
+          const newId = saved?.id || result.data.id;
+          await updateQueuedForItem(mutation.itemId, { itemId: newId, expectedLastEditedTime: saved?.lastEditedTime || null });
+          if (isCurrentDb) {
+            setItems(current => {
+              const replacement = { ...current.find(i => i.id === mutation.itemId), ...saved, id: newId };
+              const rest = current.filter(i => i.id !== newId);
+              return rest.some(i => i.id === mutation.itemId)
+                ? rest.map(i => (i.id === mutation.itemId ? replacement : i))
+                : [replacement, ...rest];
+            });
+          }
+        } else if (mutation.type === 'update' && saved) {
+          // Later queued changes to the item build on this one, not on the edit time they were queued with
+          await updateQueuedForItem(mutation.itemId, { expectedLastEditedTime: saved.lastEditedTime });
+          if (isCurrentDb) {
+            const names = Object.keys(mutation.properties).filter(name => name !== 'completed');
+            setItems(current => current.map(i => (i.id === mutation.itemId ? mergeSavedItem(i, saved, names) : i)));
+          }
+        }
+      }
+    } finally {
+      replayingRef.current = false;
+      await refreshQueueState();
+    }
+  }, [refreshQueueState, mergeSavedItem]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    lastSelectedIndexRef.current = null;
+  }, []);
+
+  // Fetch a single page of items, starting after `cursor` when given. Databases that link
+  // subtasks or blockers are loaded whole, as a tree, and the rows come back in tree order.
+  const fetchItemsPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams(isTree ? {} : { limit: PAGE_SIZE });
+    if (cursor) params.set('cursor', cursor);
+    if (sorts.length) params.set('sort', sorts.map(s => `${s.property}:${s.direction}`).join(','));
+    if (activeFilter) params.set('filter', JSON.stringify(activeFilter));
+    
+    let response;
+    try {
+      response = await apiFetch(`${dbUrl}/tasks${isTree ? '/tree' : ''}?${params}`);
+    } catch (err) {
+      err.offline = true;
+      throw err;
+    }
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const err = new Error(`Error: ${response.status}`);
+      err.details = body.details;
+      err.offline = isUnreachableStatus(response.status);
+      throw err;
+    }
+    
+    const data = await response.json();
+    return isTree ? { items: flattenTree(data.items), nextCursor: null } : data;
+  }, [isTree, sorts, activeFilter, dbUrl]);
+
+  // Fetch items from database
+  const fetchItems = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    setHasRemoteChanges(false);
+    
+    try {
+      const data = await fetchItemsPage();
+      setItems(data.items);
+      clearSelection();
+      setNextCursor(data.nextCursor);
+      setIsOffline(false);
+      setCachedAt(null);
+      cacheReadyRef.current = true;
+      if (queueSizeRef.current > 0) replayQueue();
     } catch (err) {
       console.error('Failed to fetch items:', err);
-      setError('Failed to load items. Make sure your backend server is running.');
+      if (err.offline) {
+        // Show what was loaded last time; queued changes are already part of it
+        setIsOffline(true);
+        const cached = await readCache(`items:${cacheKey}`).catch(() => null);
+        if (cached) {
+          setItems(cached.items);
+          setNextCursor(null);
+          setCachedAt(cached.savedAt);
+          cacheReadyRef.current = true;
+          return;
+        }
+      }
+      setError(err.details
+        ? `Invalid filter: ${err.details.map(d => d.message).join('; ')}`
+        : 'Failed to load items. Make sure your backend server is running.');
     } finally {
       setIsLoading(false);
     }
+  }, [fetchItemsPage, clearSelection, replayQueue, cacheKey]);
+  
+  // Append the next page of items
+  const loadMoreItems = async () => {
+    if (!nextCursor || isLoadingMore) return;
+    
+    setIsLoadingMore(true);
+    
+    try {
+      const data = await fetchItemsPage(nextCursor);
+      setItems(prev => [...prev, ...data.items]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch more items:', err);
+      setError('Failed to load more items. Please try again.');
+    } finally {
+      setIsLoadingMore(false);
+    }
   };
   
   // Add a new item
@@ -67,35 +464,58 @@ const NotionDatabaseManager = () => {
       return;
     }
     
-    setIsLoading(true);
-    setError('');
-    
-    try {
-      const response = await fetch(`${API_URL}/tasks`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ properties: newItemData }),
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Error: ${response.status}`);
-      }
-      
-      const newItemResult = await response.json();
-      setItems([newItemResult, ...items]);
-      
+    const added = await createNewItem(newItemData, {
+      onInvalid: (errors) => setFieldErrors(Object.fromEntries(errors.map(e => [e.property, e.message])))
+    });
+    if (added) {
       // Reset form
       const resetData = {};
       schema.properties.forEach(prop => {
         resetData[prop.name] = '';
       });
       setNewItemData(resetData);
+      setFieldErrors({});
+    }
+  };
+  
+  // Create an item from the add form or quick add. Resolves with whether it was added or queued.
+  // Properties the server rejects are passed to onInvalid as [{ property, code, message }].
+  const createNewItem = async (properties, { onInvalid } = {}) => {
+    setIsLoading(true);
+    setError('');
+    
+    try {
+      const tempId = `${TEMP_ID_PREFIX}${Date.now()}`;
+      const result = await sendMutation({ type: 'create', itemId: tempId, properties });
       
+      if (result.status === 'queued') {
+        // Show the item straight away; it gets its real ID when the queue is replayed
+        setItems(current => [{
+          id: tempId,
+          createdAt: new Date().toISOString(),
+          lastEditedTime: null,
+          properties: { ...properties },
+          title: properties[schema.titleProperty],
+          completed: false
+        }, ...current]);
+      } else if (result.status !== 'ok') {
+        if (result.data?.errors) {
+          onInvalid?.(result.data.errors);
+          setError(`The item was not added. ${describeInvalidProperties(result.data.errors)}`);
+          return false;
+        }
+        throw new Error(`Error: ${result.httpStatus}`);
+      } else {
+        // The change stream may already have delivered the new item
+        const newItemResult = result.data;
+        const newItem = newItemResult.item || newItemResult;
+        setItems(current => [newItem, ...current.filter(i => i.id !== newItem.id)]);
+      }
+      return true;
     } catch (err) {
       console.error('Failed to add item:', err);
       setError('Failed to add item. Please try again.');
+      return false;
     } finally {
       setIsLoading(false);
     }
@@ -107,25 +527,29 @@ const NotionDatabaseManager = () => {
     if (!item) return;
     
     // Optimistic update
-    setItems(items.map(i => 
+    const toggled = items.map(i => 
       i.id === id ? { ...i, completed: !i.completed } : i
-    ));
+    );
+    setItems(isTree ? applyCompletion(toggled, id, !item.completed) : toggled);
     
     try {
-      const response = await fetch(`${API_URL}/tasks/${id}`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          properties: { completed: !item.completed }
-        }),
+      const result = await sendMutation({
+        type: 'update',
+        itemId: id,
+        properties: { completed: !item.completed },
+        expectedLastEditedTime: item.lastEditedTime
       });
       
-      if (!response.ok) {
-        throw new Error(`Error: ${response.status}`);
-        // Revert the optimistic update on error
-        setItems(items);
+      if (result.status === 'error') {
+        throw new Error(`Error: ${result.httpStatus}`);
+      }
+      
+      if (result.status === 'ok' && result.data.item) {
+        setItems(current => current.map(i => (i.id === id ? mergeSavedItem(i, result.data.item, []) : i)));
+        addNextItems([result.data.nextItem]);
+        if (result.data.warnings?.length) {
+          setCompletionWarning({ message: `"${item.title}" is complete, but`, warnings: result.data.warnings });
+        }
       }
     } catch (err) {
       console.error('Failed to update item:', err);
@@ -139,15 +563,20 @@ const NotionDatabaseManager = () => {
   const deleteItem = async (id) => {
     // Optimistic update
     const originalItems = [...items];
+    const item = items.find(i => i.id === id);
     setItems(items.filter(i => i.id !== id));
     
     try {
-      const response = await fetch(`${API_URL}/tasks/${id}`, {
-        method: 'DELETE',
-      });
+      const result = await sendMutation({ type: 'delete', itemId: id, expectedLastEditedTime: item?.lastEditedTime });
       
-      if (!response.ok) {
-        throw new Error(`Error: ${response.status}`);
+      if (result.status === 'error') {
+        throw new Error(`Error: ${result.httpStatus}`);
+      }
+      
+      // Queued deletes cannot be undone from the trash until they reach the server
+      if (result.status === 'ok') {
+        setUndo({ message: `Archived "${item?.title || 'Untitled'}"`, ids: [id] });
+        if (showTrash) fetchTrash();
       }
     } catch (err) {
       console.error('Failed to delete item:', err);
@@ -157,12 +586,489 @@ const NotionDatabaseManager = () => {
     }
   };
   
+  // One line for the invalid properties in a 422 response
+  const describeInvalidProperties = (errors) => errors
+    .map(e => `${getPropertyDisplayName(e.property)}: ${e.message}`)
+    .join('; ');
+  
+  // Completing a recurring item creates its next instance. Show the new ones unless the change
+  // stream has delivered them already.
+  const addNextItems = (nextItems) => {
+    const added = nextItems.filter(Boolean);
+    if (added.length) setItems(current => [...added.filter(n => !current.some(i => i.id === n.id)), ...current]);
+  };
+  
+  // Send a create, update or delete now, or queue it when offline or when earlier changes are still
+  // queued, so changes always reach Notion in order. Resolves with the performMutation result or
+  // { status: 'queued' }. expectedLastEditedTime is only sent on replay, to catch remote edits
+  // made while this client was away.
+  const sendMutation = async (mutation) => {
+    const full = { dbUrl, expectedLastEditedTime: null, ...mutation };
+    if (!isOffline && queueSizeRef.current === 0) {
+      const result = await performMutation({ ...full, expectedLastEditedTime: null });
+      if (result.status !== 'offline') return result;
+      setIsOffline(true);
+    }
+    await queueMutation(full);
+    await refreshQueueState();
+    if (!isOffline) replayQueue();
+    return { status: 'queued' };
+  };
+  
+  // Settle a conflict. 'mine' re-sends the queued change over the version now in Notion;
+  // 'theirs' drops every queued change to the item and shows Notion's version.
+  const resolveConflict = async (mutation, keep) => {
+    if (keep === 'mine') {
+      const { conflict, ...rest } = mutation;
+      await updateMutation({ ...rest, expectedLastEditedTime: conflict.item?.lastEditedTime || null });
+    } else {
+      const mutations = await listMutations();
+      await Promise.all(mutations.filter(m => m.itemId === mutation.itemId).map(m => removeMutation(m.id)));
+      if (mutation.dbUrl === dbUrl) {
+        const remote = mutation.conflict.item;
+        setItems(current => (remote
+          ? (current.some(i => i.id === remote.id) ? current.map(i => (i.id === remote.id ? remote : i)) : [remote, ...current])
+          : current.filter(i => i.id !== mutation.itemId)));
+      }
+    }
+    await refreshQueueState();
+    replayQueue();
+  };
+  
+  // Save one property of an item. The table updates immediately and rolls back if the server rejects it.
+  const saveProperty = async (item, propertyName, value) => {
+    const isTitle = propertyName === schema.titleProperty;
+    const previous = item.properties[propertyName];
+    const previousRichText = item.richText?.[propertyName];
+    const applyValue = (v) => setItems(current => current.map(i => 
+      i.id === item.id
+        ? {
+            ...i,
+            ...(isTitle ? { title: v } : {}),
+            properties: { ...i.properties, [propertyName]: v },
+            // Formatting no longer matches once the text is replaced
+            richText: { ...i.richText, [propertyName]: v === previous ? previousRichText : undefined }
+          }
+        : i
+    ));
+    applyValue(value);
+    const pendingKey = `${item.id}:${propertyName}`;
+    pendingSavesRef.current.add(pendingKey);
+    
+    try {
+      const result = await sendMutation({
+        type: 'update',
+        itemId: item.id,
+        properties: { [propertyName]: value },
+        expectedLastEditedTime: item.lastEditedTime
+      });
+      
+      if (result.status === 'error') {
+        const invalid = result.data?.errors?.find(e => e.property === propertyName);
+        if (invalid) {
+          // Shown under the cell until it is edited again
+          setCellErrors(current => ({ ...current, [pendingKey]: invalid.message }));
+          applyValue(previous);
+          return;
+        }
+        throw new Error(`Error: ${result.httpStatus}`);
+      }
+      
+      setCellErrors(current => {
+        const { [pendingKey]: cleared, ...rest } = current;
+        return cleared ? rest : current;
+      });
+      if (result.status === 'ok' && result.data.item) {
+        setItems(current => current.map(i => (i.id === item.id ? mergeSavedItem(i, result.data.item, [propertyName]) : i)));
+        addNextItems([result.data.nextItem]);
+      }
+    } catch (err) {
+      console.error('Failed to update item:', err);
+      setError(`Failed to save ${getPropertyDisplayName(propertyName)}. Please try again.`);
+      applyValue(previous);
+    } finally {
+      pendingSavesRef.current.delete(pendingKey);
+    }
+  };
+  
+  // Select or deselect a table row. Shift-click applies the same to every row since the last one clicked.
+  const toggleSelected = (index, shiftKey) => {
+    const select = !selectedIds.has(items[index].id);
+    const anchor = shiftKey && lastSelectedIndexRef.current !== null ? lastSelectedIndexRef.current : index;
+    const range = items.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+    setSelectedIds(current => {
+      const next = new Set(current);
+      range.forEach(i => (select ? next.add(i.id) : next.delete(i.id)));
+      return next;
+    });
+    lastSelectedIndexRef.current = index;
+  };
+  
+  const allSelected = items.length > 0 && items.every(i => selectedIds.has(i.id));
+  
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(items.map(i => i.id)));
+    lastSelectedIndexRef.current = null;
+  };
+  
+  // Send operations to the bulk endpoint, BULK_CHUNK_SIZE at a time. Resolves with the results
+  // received; operations in a chunk that failed outright have none.
+  const postBulk = async (operations) => {
+    const results = [];
+    
+    try {
+      for (let i = 0; i < operations.length; i += BULK_CHUNK_SIZE) {
+        const response = await apiFetch(`${dbUrl}/tasks/bulk`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ operations: operations.slice(i, i + BULK_CHUNK_SIZE) }),
+        });
+        
+        // 207 means some operations failed; the results say which
+        if (!response.ok) {
+          throw new Error(`Error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        results.push(...data.results);
+      }
+    } catch (err) {
+      console.error('Bulk operation failed:', err);
+    }
+    
+    return results;
+  };
+  
+  // Describe the operations that did not succeed, or return '' when they all did
+  const describeBulkFailures = (operations, results, description) => {
+    const succeeded = new Set(results.filter(r => r.ok).map(r => r.id));
+    const failedCount = operations.filter(op => !succeeded.has(op.id)).length;
+    if (!failedCount) return '';
+    const reasons = [...new Set(results.filter(r => !r.ok).map(r => r.error))];
+    return `Failed to ${description} ${failedCount} of ${operations.length} items${reasons.length ? `: ${reasons.join('; ')}` : '.'}`;
+  };
+  
+  // Run bulk operations on the selection and apply the ones that succeeded.
+  // Rows whose operation failed stay selected so the action can be retried.
+  const runBulk = async (operations, description) => {
+    setIsBulkRunning(true);
+    setError('');
+    const results = await postBulk(operations);
+    
+    const updated = new Map();
+    const archived = new Set();
+    results.forEach(result => {
+      if (!result.ok) return;
+      if (result.op === 'archive') archived.add(result.id);
+      else if (result.item) updated.set(result.id, result.item);
+    });
+    setItems(current => {
+      const next = current
+        .filter(i => !archived.has(i.id))
+        .map(i => (updated.has(i.id) ? { ...i, ...updated.get(i.id) } : i));
+      if (!isTree) return next;
+      // Keep subtask progress and blocker links in step with completions
+      return current
+        .filter(i => updated.has(i.id) && Boolean(i.completed) !== Boolean(updated.get(i.id).completed))
+        .reduce((rows, i) => applyCompletion(rows, i.id, updated.get(i.id).completed), next);
+    });
+    addNextItems(results.filter(r => r.ok).map(r => r.nextItem));
+    const warned = results.filter(r => r.ok && r.warnings?.length);
+    if (warned.length) {
+      setCompletionWarning({
+        message: `${warned.length} completed item${warned.length === 1 ? ' still has' : 's still have'} open dependencies:`,
+        warnings: warned.flatMap(r => r.warnings)
+      });
+    }
+    
+    const succeeded = new Set(results.filter(r => r.ok).map(r => r.id));
+    setSelectedIds(new Set(operations.filter(op => !succeeded.has(op.id)).map(op => op.id)));
+    const failure = describeBulkFailures(operations, results, description);
+    if (failure) setError(failure);
+    setIsBulkRunning(false);
+    return results;
+  };
+  
+  const selectedItems = items.filter(i => selectedIds.has(i.id));
+  const itemsById = new Map(items.map(i => [i.id, i]));
+  
+  const toggleCollapsed = (id) => setCollapsedIds(current => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  
+  // Subtask progress and open blockers shown after an item's title
+  const renderDependencyBadges = (item) => {
+    const openBlockers = (item.blockedBy || []).filter(link => link.completed === false);
+    return (
+      <>
+        {item.progress && (
+          <span
+            title={`${item.progress.completed} of ${item.progress.total} subtasks complete`}
+            className="flex items-center gap-1 text-xs font-normal text-gray-500"
+          >
+            <span className="inline-block w-12 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+              <span
+                className="block h-full bg-green-500"
+                style={{ width: `${(item.progress.completed / item.progress.total) * 100}%` }}
+              />
+            </span>
+            {item.progress.completed}/{item.progress.total}
+          </span>
+        )}
+        {openBlockers.length > 0 && (
+          <span
+            title={`Blocked by ${openBlockers.map(link => link.title || 'an item outside this database').join(', ')}`}
+            className="px-2 text-xs font-normal text-red-700 bg-red-50 rounded-full"
+          >
+            Blocked
+          </span>
+        )}
+      </>
+    );
+  };
+  
+  const completeSelected = (completed) => runBulk(
+    selectedItems.map(item => ({ op: 'update', id: item.id, properties: { completed } })),
+    completed ? 'complete' : 'reopen'
+  );
+  
+  const archiveSelected = async () => {
+    const results = await runBulk(selectedItems.map(item => ({ op: 'archive', id: item.id })), 'archive');
+    const archivedIds = results.filter(r => r.ok).map(r => r.id);
+    if (archivedIds.length) {
+      setUndo({ message: `Archived ${archivedIds.length} item${archivedIds.length === 1 ? '' : 's'}`, ids: archivedIds });
+    }
+    if (showTrash) fetchTrash();
+  };
+  
+  // Un-archive items, putting them back in the list and taking them out of the trash view
+  const restoreItems = async (ids) => {
+    setUndo(null);
+    setError('');
+    const operations = ids.map(id => ({ op: 'restore', id }));
+    const results = await postBulk(operations);
+    
+    const restored = results.filter(r => r.ok);
+    const restoredIds = new Set(restored.map(r => r.id));
+    const restoredItems = restored.map(r => r.item).filter(Boolean);
+    setItems(current => [...restoredItems, ...current.filter(i => !restoredIds.has(i.id))]);
+    setTrashEntries(current => current.filter(entry => !restoredIds.has(entry.id)));
+    const failure = describeBulkFailures(operations, results, 'restore');
+    if (failure) setError(failure);
+  };
+  
+  const fetchTrash = async () => {
+    setIsTrashLoading(true);
+    
+    try {
+      const response = await apiFetch(`${dbUrl}/trash`);
+      
+      if (!response.ok) {
+        throw new Error(`Error: ${response.status}`);
+      }
+      
+      setTrashEntries(await response.json());
+    } catch (err) {
+      console.error('Failed to fetch trash:', err);
+      setError('Failed to load archived items. Please try again.');
+    } finally {
+      setIsTrashLoading(false);
+    }
+  };
+  
+  const fetchHistory = async (itemId) => {
+    setDetailItemId(null);
+    setHistoryItemId(itemId);
+    setIsHistoryLoading(true);
+    setHistoryError('');
+    
+    try {
+      const response = await apiFetch(`${dbUrl}/tasks/${itemId}/history?limit=100`);
+      
+      if (!response.ok) {
+        throw new Error(`Error: ${response.status}`);
+      }
+      
+      setHistoryEntries((await response.json()).entries);
+    } catch (err) {
+      console.error('Failed to fetch history:', err);
+      setHistoryEntries([]);
+      setHistoryError(isOffline ? 'History is not available offline.' : 'Failed to load history. Please try again.');
+    } finally {
+      setIsHistoryLoading(false);
+    }
+  };
+  
+  // Set a property back to the value it had before a logged change. Not applied optimistically
+  // because logged text values may be formatted segments.
+  const revertChange = async (item, change) => {
+    const result = await sendMutation({
+      type: 'update',
+      itemId: item.id,
+      properties: { [change.property]: change.before },
+      expectedLastEditedTime: item.lastEditedTime
+    });
+    
+    if (result.status === 'error') {
+      setHistoryError(result.data?.error || `Failed to revert ${getPropertyDisplayName(change.property)}.`);
+      return;
+    }
+    if (result.status === 'ok' && result.data.item) {
+      setItems(current => current.map(i => (i.id === item.id ? mergeSavedItem(i, result.data.item, [change.property]) : i)));
+      fetchHistory(item.id);
+    }
+  };
+  
+  // Post an import (or dry run) for the wizard. Resolves with { ok, data } so it can show validation errors.
+  const submitImport = async (options) => {
+    try {
+      const response = await apiFetch(`${dbUrl}/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(options),
+      });
+      return { ok: response.ok || response.status === 207, data: await response.json() };
+    } catch (err) {
+      console.error('Failed to import:', err);
+      return { ok: false, data: { error: 'Failed to reach the server. Please try again.' } };
+    }
+  };
+  
+  const toggleTrash = () => {
+    if (!showTrash) fetchTrash();
+    setShowTrash(!showTrash);
+  };
+  
+  const setPropertyOnSelected = () => {
+    const property = schema.properties.find(p => p.name === bulkEdit.property);
+    if (!property) return;
+    const value = fromEditValue(bulkEdit.value, property.type);
+    runBulk(
+      selectedItems.map(item => ({ op: 'update', id: item.id, properties: { [property.name]: value } })),
+      `update ${getPropertyDisplayName(property.name)} on`
+    );
+  };
+  
+  const chooseBulkProperty = (name) => {
+    const property = schema.properties.find(p => p.name === name);
+    setBulkEdit({ property: name, value: property ? toEditValue(null, property.type) : '' });
+  };
+  
+  // Convert a stored value into what the cell editor works with, and back again
+  const toEditValue = (value, type) => {
+    switch (type) {
+      case 'multi_select':
+        return Array.isArray(value) ? value : [];
+      case 'people':
+        return (value || []).map(person => person.id);
+      case 'relation':
+        return (value || []).join(', ');
+      case 'files':
+        return (value || []).map(file => file.url).join(', ');
+      case 'checkbox':
+        return Boolean(value);
+      case 'date':
+        return value || { start: '', end: null, timeZone: null };
+      default:
+        return value ?? '';
+    }
+  };
+  
+  const fromEditValue = (value, type) => {
+    if (value === '') return null;
+    const splitList = (text) => text.split(',').map(part => part.trim()).filter(Boolean);
+    switch (type) {
+      case 'number':
+        return Number(value);
+      case 'date':
+        return value.start ? value : null;
+      case 'people':
+        return value.map(id => users.find(u => u.id === id) || { id, name: null });
+      case 'relation':
+        return splitList(value);
+      case 'files':
+        return splitList(value).map(url => ({ name: url.split('/').pop() || url, url, type: 'external' }));
+      default:
+        return value;
+    }
+  };
+  
+  const startEditing = (item, property) => {
+    editingKeyRef.current = `${item.id}:${property.name}`;
+    setCellErrors(current => {
+      const { [editingKeyRef.current]: cleared, ...rest } = current;
+      return cleared ? rest : current;
+    });
+    setEditingCell({ itemId: item.id, property: property.name });
+    setEditValue(toEditValue(item.properties[property.name], property.type));
+  };
+  
+  const cancelEditing = useCallback(() => {
+    editingKeyRef.current = null;
+    setEditingCell(null);
+  }, []);
+  
+  // Save the cell being edited, then optionally open the next one.
+  // `move` is 'next' / 'previous' (along the row, wrapping) or 'down' (same column, next row).
+  const commitEditing = (move) => {
+    if (!editingCell || editingKeyRef.current !== `${editingCell.itemId}:${editingCell.property}`) return;
+    const editable = tableColumns.filter(p => !p.readOnly);
+    const property = editable.find(p => p.name === editingCell.property);
+    const rowIndex = items.findIndex(i => i.id === editingCell.itemId);
+    const item = items[rowIndex];
+    cancelEditing();
+    if (!item || !property) return;
+    
+    const value = fromEditValue(editValue, property.type);
+    const current = toEditValue(item.properties[property.name], property.type);
+    if (JSON.stringify(fromEditValue(current, property.type)) !== JSON.stringify(value)) {
+      saveProperty(item, property.name, value);
+    }
+    
+    if (!move) return;
+    let row = rowIndex;
+    let col = editable.indexOf(property);
+    if (move === 'down') row += 1;
+    else {
+      col += move === 'next' ? 1 : -1;
+      if (col >= editable.length) { col = 0; row += 1; }
+      if (col < 0) { col = editable.length - 1; row -= 1; }
+    }
+    if (items[row]) startEditing(items[row], editable[col]);
+  };
+  
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelEditing();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      commitEditing(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      commitEditing('down');
+    }
+  };
+  
   // Handle input change for new item
   const handleInputChange = (property, value) => {
     setNewItemData({
       ...newItemData,
       [property]: value
     });
+    if (fieldErrors[property]) {
+      setFieldErrors(current => {
+        const { [property]: cleared, ...rest } = current;
+        return rest;
+      });
+    }
   };
   
   // Handle key press for adding item
@@ -172,35 +1078,274 @@ const NotionDatabaseManager = () => {
     }
   };
   
-  // Format date to readable format
-  const formatDate = (dateStr) => {
-    if (!dateStr) return '';
+  // Load the database list on initial render
+  useEffect(() => {
+    fetchDatabases();
+    refreshQueueState().catch(err => console.error('Failed to read the offline queue:', err));
+  }, [fetchDatabases, refreshQueueState]);
+  
+  // Keep the cache in step with what is on screen, including changes still waiting to sync
+  useEffect(() => {
+    if (!cacheReadyRef.current) return;
+    writeCache(`items:${cacheKey}`, { items, savedAt: new Date().toISOString() })
+      .catch(err => console.error('Failed to cache items:', err));
+  }, [items, cacheKey]);
+  
+  // While offline, try again when the browser reports a connection and every so often,
+  // since the server or Notion can come back without the network changing
+  useEffect(() => {
+    if (!isOffline || !schema) return;
+    const reconnect = async () => {
+      await replayQueue();
+      fetchItems();
+    };
+    window.addEventListener('online', reconnect);
+    const timer = setInterval(reconnect, RECONNECT_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', reconnect);
+      clearInterval(timer);
+    };
+  }, [isOffline, schema, replayQueue, fetchItems]);
+  
+  // Load the schema and saved views whenever the selected database changes
+  useEffect(() => {
+    if (selectedDb === undefined) return;
+    fetchSchema();
+    fetchViews();
+  }, [selectedDb, fetchSchema, fetchViews]);
+  
+  // Reload items once the schema and views are known and whenever the sort or filter changes
+  useEffect(() => {
+    if (schema && viewsReady) fetchItems();
+  }, [schema, viewsReady, fetchItems]);
+  
+  // Apply changes pushed by the server while the list is open
+  const schemaLoaded = Boolean(schema);
+  useEffect(() => {
+    if (!schemaLoaded || typeof EventSource === 'undefined') return;
+    
+    // Keep local values for properties still being saved; the cell editor holds its own draft
+    const mergeRemoteItem = (local, remote) => {
+      const properties = { ...remote.properties };
+      Object.keys(local.properties).forEach(name => {
+        if (pendingSavesRef.current.has(`${local.id}:${name}`)) properties[name] = local.properties[name];
+      });
+      return { ...local, ...remote, properties };
+    };
+    
+    const source = new EventSource(`${dbUrl}/events`, { withCredentials: true });
+    source.addEventListener('item', (e) => {
+      const { item } = JSON.parse(e.data);
+      const exists = itemsRef.current.some(i => i.id === item.id);
+      if (!exists && activeFilterRef.current) {
+        // The server decides what matches a filter, so let the user reload instead of guessing
+        setHasRemoteChanges(true);
+        return;
+      }
+      setItems(current => current.some(i => i.id === item.id)
+        ? current.map(i => (i.id === item.id ? mergeRemoteItem(i, item) : i))
+        : [item, ...current]);
+    });
+    source.addEventListener('delete', (e) => {
+      const { id } = JSON.parse(e.data);
+      setItems(current => current.filter(i => i.id !== id));
+    });
+    source.addEventListener('schema', () => fetchSchema());
+    
+    return () => source.close();
+  }, [schemaLoaded, dbUrl, fetchSchema]);
+  
+  // The undo toast disappears after a while
+  useEffect(() => {
+    if (!undo) return;
+    const timer = setTimeout(() => setUndo(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [undo]);
+  
+  // Pick the board grouping for the loaded schema: the saved choice if it still exists, else the first status/select
+  useEffect(() => {
+    if (!schema) return;
+    const groupable = getGroupableProperties(schema).map(p => p.name);
+    const saved = localStorage.getItem(`${GROUP_BY_KEY}:${selectedDb}`);
+    setGroupBy(groupable.includes(saved) ? saved : groupable[0] || null);
     
+    const dateProps = schema.properties.filter(p => p.type === 'date').map(p => p.name);
+    const savedDate = localStorage.getItem(`${DATE_PROPERTY_KEY}:${selectedDb}`);
+    setDateProperty(dateProps.includes(savedDate) ? savedDate : dateProps[0] || null);
+  }, [schema, selectedDb]);
+  
+  const historyItem = historyItemId && items.find(item => item.id === historyItemId);
+  const detailItem = detailItemId && items.find(item => item.id === detailItemId);
+  
+  // Open the detail drawer from a click anywhere on a row except its controls and editable cells
+  const openDetail = (e, item) => {
+    if (item.id.startsWith(TEMP_ID_PREFIX) || e.target.closest('button, input, select, textarea, a')) return;
+    setHistoryItemId(null);
+    setDetailItemId(item.id);
+  };
+  
+  // iCalendar subscription for the plotted date property and the current filters
+  const calendarFeedUrl = `${dbUrl}/calendar.ics?${new URLSearchParams({
+    ...(dateProperty ? { property: dateProperty } : {}),
+    ...(activeFilter ? { filter: JSON.stringify(activeFilter) } : {}),
+    // Calendar apps cannot sign in, so the feed carries a token that only opens feeds
+    token: session.feedToken
+  })}`;
+  
+  const changeLayout = (value) => {
+    localStorage.setItem(LAYOUT_KEY, value);
+    setLayout(value);
+  };
+  
+  const changeGroupBy = (value) => {
+    localStorage.setItem(`${GROUP_BY_KEY}:${selectedDb}`, value);
+    setGroupBy(value);
+  };
+  
+  const changeDateProperty = (value) => {
+    localStorage.setItem(`${DATE_PROPERTY_KEY}:${selectedDb}`, value);
+    setDateProperty(value);
+  };
+  
+  // A layout can only be shown when the database has a property to lay items out by
+  const isLayoutAvailable = (value) => {
+    if (value === 'board') return Boolean(groupBy);
+    if (value === 'calendar' || value === 'timeline') return Boolean(dateProperty);
+    return true;
+  };
+  const activeLayout = isLayoutAvailable(layout) ? layout : 'table';
+  
+  const activeView = views?.find(view => view.id === activeViewId) || null;
+  
+  // What is on screen, in the shape saved views store it. Columns removed from the database since
+  // they were chosen are left out, as the server only accepts current properties.
+  const isCurrentProperty = (name) => Boolean(schema?.properties.some(p => p.name === name));
+  const viewSettings = {
+    layout: activeLayout,
+    filter: activeFilter,
+    sorts,
+    columns: columns && columns.filter(isCurrentProperty),
+    columnWidths: Object.fromEntries(Object.entries(columnWidths).filter(([name]) => isCurrentProperty(name))),
+    groupBy,
+    dateProperty
+  };
+  const isViewModified = Boolean(activeView)
+    && VIEW_FIELDS.some(field => JSON.stringify(activeView[field]) !== JSON.stringify(viewSettings[field]));
+  
+  // Show a saved view, or the defaults when `view` is null. Grouping and date properties removed
+  // from the database since the view was saved keep the current choice.
+  const applyView = useCallback((view) => {
+    setActiveViewId(view?.id || null);
+    setActiveFilter(view?.filter || null);
+    setSorts(view?.sorts || []);
+    setColumns(view?.columns || null);
+    setColumnWidths(view?.columnWidths || {});
+    setShowColumns(false);
+    cancelEditing();
+    if (!view) return;
+    setLayout(view.layout);
+    if (getGroupableProperties(schema).some(p => p.name === view.groupBy)) setGroupBy(view.groupBy);
+    if (schema.properties.some(p => p.type === 'date' && p.name === view.dateProperty)) setDateProperty(view.dateProperty);
+  }, [schema, cancelEditing]);
+  
+  // Create, update or delete a view. Resolves with the saved view, or { error } with the server's reason.
+  const sendView = async (url, method, body) => {
     try {
-      const date = new Date(dateStr);
-      return date.toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'short', 
-        day: 'numeric' 
+      const response = await apiFetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
       });
-    } catch (e) {
-      return dateStr;
+      
+      if (response.status === 204) return {};
+      const data = await response.json();
+      if (!response.ok) {
+        const reasons = data.details ? `: ${data.details.map(d => d.message).join('; ')}` : '';
+        return { error: `${data.error || `Error: ${response.status}`}${reasons}` };
+      }
+      return data;
+    } catch (err) {
+      console.error('Failed to save view:', err);
+      return { error: 'Failed to reach the server. Please try again.' };
+    }
+  };
+  
+  const createView = async (name) => {
+    const result = await sendView(`${dbUrl}/views`, 'POST', { name, ...viewSettings });
+    if (result.error) return result.error;
+    setViews(current => [...current, result]);
+    setActiveViewId(result.id);
+    return '';
+  };
+  
+  // Store what is on screen in the active view
+  const saveActiveView = async () => {
+    const result = await sendView(`${dbUrl}/views/${activeView.id}`, 'PATCH', viewSettings);
+    if (result.error) setError(`Failed to save the view. ${result.error}`);
+    else setViews(current => current.map(view => (view.id === result.id ? result : view)));
+  };
+  
+  const renameView = async (view, name) => {
+    const result = await sendView(`${dbUrl}/views/${view.id}`, 'PATCH', { name });
+    if (result.error) return result.error;
+    setViews(current => current.map(v => (v.id === result.id ? result : v)));
+    return '';
+  };
+  
+  const deleteView = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}" for everyone?`)) return;
+    const result = await sendView(`${dbUrl}/views/${view.id}`, 'DELETE');
+    if (result.error) {
+      setError(`Failed to delete the view. ${result.error}`);
+      return;
     }
+    setViews(current => current.filter(v => v.id !== view.id));
+    if (view.id === activeViewId) setActiveViewId(null);
   };
   
-  // Load schema and items on initial render
+  // Once the schema and views are in, open the view linked from the URL before the first items load
   useEffect(() => {
-    fetchSchema().then(() => fetchItems());
-  }, []);
+    if (!schema || views === null || viewsReady) return;
+    const linked = views.find(view => view.id === linkedViewIdRef.current);
+    linkedViewIdRef.current = null;
+    if (linked) applyView(linked);
+    setViewsReady(true);
+  }, [schema, views, viewsReady, applyView]);
+  
+  // Keep the database and view in the URL so the page can be bookmarked or shared
+  useEffect(() => {
+    if (!viewsReady) return;
+    const params = new URLSearchParams(window.location.search);
+    if (selectedDb) params.set('db', selectedDb);
+    else params.delete('db');
+    if (activeViewId) params.set('view', activeViewId);
+    else params.delete('view');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }, [viewsReady, selectedDb, activeViewId]);
   
-  // Get property display name
-  const getPropertyDisplayName = (name) => {
-    return name
-      .split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
+  // Cycle a column through ascending, descending and unsorted
+  const toggleSort = (propertyName) => {
+    const current = sorts[0];
+    if (current?.property !== propertyName) setSorts([{ property: propertyName, direction: 'ascending' }]);
+    else if (current.direction === 'ascending') setSorts([{ property: propertyName, direction: 'descending' }]);
+    else setSorts([]);
   };
   
+  // Load the next page when the sentinel below the table scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || error) return;
+    
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMoreItems();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
+  
   // Determine if a property should be displayed in the table
   const shouldDisplayInTable = (property) => {
     // Skip very long text fields, URLs, etc.
@@ -208,40 +1353,34 @@ const NotionDatabaseManager = () => {
            property.name === schema?.titleProperty;
   };
   
-  // Render property value
-  const renderPropertyValue = (value, type) => {
-    if (value === null || value === undefined) return '—';
-    
-    if (Array.isArray(value)) {
-      return value.join(', ');
-    }
-    
-    if (type === 'date') {
-      return formatDate(value);
-    }
-    
-    if (type === 'checkbox') {
-      return value ? '✓' : '—';
-    }
-    
-    if (type === 'url') {
-      return (
-        <a 
-          href={value} 
-          target="_blank" 
-          rel="noopener noreferrer"
-          className="text-blue-600 underline"
-        >
-          Link
-        </a>
-      );
-    }
-    
-    return String(value);
+  // Columns of the table in order: the ones chosen for the view, or the defaults
+  const tableColumns = columns
+    ? columns.map(name => schema.properties.find(p => p.name === name)).filter(Boolean)
+    : (schema?.properties || []).filter(shouldDisplayInTable);
+  
+  // Drag the right edge of a column header to change its width
+  const startResize = (e, propertyName) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    const onMove = (moveEvent) => {
+      const width = Math.round(startWidth + moveEvent.clientX - startX);
+      setColumnWidths(current => ({
+        ...current,
+        [propertyName]: Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, width))
+      }));
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
   };
   
-  // Render input for property
-  const renderPropertyInput = (property) => {
+  // Render input for property. Used by the new item form and by table cells being edited.
+  const renderPropertyInput = (property, value, onChange, inputProps = {}) => {
     const { name, type, options } = property;
     
     switch (type) {
@@ -249,9 +1388,10 @@ const NotionDatabaseManager = () => {
       case 'status':
         return (
           <select
-            value={newItemData[name] || ''}
-            onChange={(e) => handleInputChange(name, e.target.value)}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
           >
             <option value="">Select {getPropertyDisplayName(name)}</option>
             {options && options.map(option => (
@@ -262,23 +1402,108 @@ const NotionDatabaseManager = () => {
           </select>
         );
       
+      case 'multi_select':
+        return (
+          <select
+            multiple
+            value={Array.isArray(value) ? value : []}
+            onChange={(e) => onChange(Array.from(e.target.selectedOptions, option => option.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
+          >
+            {options && options.map(option => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      
       case 'checkbox':
         return (
           <input
             type="checkbox"
-            checked={Boolean(newItemData[name])}
-            onChange={(e) => handleInputChange(name, e.target.checked)}
+            checked={Boolean(value)}
+            onChange={(e) => onChange(e.target.checked)}
             className="h-5 w-5 rounded border-gray-300"
+            {...inputProps}
           />
         );
       
-      case 'date':
+      case 'people':
+        return (
+          <select
+            multiple
+            value={Array.isArray(value) ? value : []}
+            onChange={(e) => onChange(Array.from(e.target.selectedOptions, option => option.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
+          >
+            {users.map(user => (
+              <option key={user.id} value={user.id}>
+                {user.name}
+              </option>
+            ))}
+          </select>
+        );
+      
+      case 'date': {
+        // Values with a time keep it, and keep their UTC offset, when edited
+        const date = value && typeof value === 'object' ? value : { start: value || '', end: null, timeZone: null };
+        const hasTime = String(date.start || '').includes('T');
+        const toInput = (v) => (v ? String(v).slice(0, hasTime ? 16 : 10) : '');
+        const fromInput = (v, original) => (hasTime && v ? `${v}:00${timeOffset(original)}` : v);
+        const { onBlur, autoFocus, ...rest } = inputProps;
+        return (
+          <div
+            className="flex items-center gap-1"
+            // Moving focus between the start and end inputs is not a blur of the editor
+            onBlur={(e) => onBlur && !e.currentTarget.contains(e.relatedTarget) && onBlur(e)}
+          >
+            <input
+              type={hasTime ? 'datetime-local' : 'date'}
+              value={toInput(date.start)}
+              onChange={(e) => onChange({ ...date, start: fromInput(e.target.value, date.start) })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              autoFocus={autoFocus}
+              {...rest}
+            />
+            <span className="text-gray-400">→</span>
+            <input
+              type={hasTime ? 'datetime-local' : 'date'}
+              value={toInput(date.end)}
+              onChange={(e) => onChange({ ...date, end: fromInput(e.target.value, date.end || date.start) || null })}
+              title="End date (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              {...rest}
+            />
+          </div>
+        );
+      }
+      
+      case 'email':
+      case 'phone_number':
         return (
           <input
-            type="date"
-            value={newItemData[name] || ''}
-            onChange={(e) => handleInputChange(name, e.target.value)}
+            type={type === 'email' ? 'email' : 'tel'}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={`Enter ${getPropertyDisplayName(name)}`}
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
+          />
+        );
+      
+      case 'relation':
+      case 'files':
+        return (
+          <input
+            type="text"
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={type === 'relation' ? 'Page IDs, comma separated' : 'File URLs, comma separated'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
           />
         );
       
@@ -286,10 +1511,11 @@ const NotionDatabaseManager = () => {
         return (
           <input
             type="url"
-            value={newItemData[name] || ''}
-            onChange={(e) => handleInputChange(name, e.target.value)}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
             placeholder={`Enter ${getPropertyDisplayName(name)}`}
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
           />
         );
       
@@ -297,10 +1523,11 @@ const NotionDatabaseManager = () => {
         return (
           <input
             type="number"
-            value={newItemData[name] || ''}
-            onChange={(e) => handleInputChange(name, e.target.value)}
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value)}
             placeholder={`Enter ${getPropertyDisplayName(name)}`}
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
           />
         );
       
@@ -308,11 +1535,11 @@ const NotionDatabaseManager = () => {
         return (
           <input
             type="text"
-            value={newItemData[name] || ''}
-            onChange={(e) => handleInputChange(name, e.target.value)}
-            onKeyPress={name === schema?.titleProperty ? handleKeyPress : undefined}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
             placeholder={`Enter ${getPropertyDisplayName(name)}`}
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            {...inputProps}
           />
         );
     }
@@ -333,33 +1560,209 @@ const NotionDatabaseManager = () => {
   return (
     <div className="flex flex-col items-center justify-start min-h-screen bg-gray-50 p-4">
       <div className="w-full max-w-6xl">
-        <h1 className="text-2xl font-bold text-center mb-6">
-          {schema.properties.find(p => p.name === schema.titleProperty)?.name || 'Notion Database'}
+        <div className="flex items-center justify-end gap-3 mb-2 text-sm text-gray-600">
+          <span>
+            Signed in as <span className="font-medium">{session.user.username}</span> ({session.user.role})
+          </span>
+          <button onClick={() => setShowAccount(!showAccount)} className="text-blue-600 hover:text-blue-800">
+            Account
+          </button>
+          <button onClick={() => onSignOut()} className="text-blue-600 hover:text-blue-800">
+            Sign out
+          </button>
+        </div>
+        <h1 className="text-2xl font-bold text-center mb-2">
+          {schema.database?.name || 'Notion Database'}
         </h1>
         
-        <div className="bg-white rounded-lg shadow-md p-4 mb-6">
-          <h2 className="text-lg font-medium mb-3">Add New Item</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {schema.properties.map(property => (
-              <div key={property.name} className="flex flex-col">
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  {getPropertyDisplayName(property.name)}
-                  {property.name === schema.titleProperty && <span className="text-red-500">*</span>}
-                </label>
-                {renderPropertyInput(property)}
-              </div>
+        <div className="flex items-center justify-center gap-3 mb-6 text-sm">
+          {databases.length > 1 && (
+            <select
+              value={selectedDb || ''}
+              onChange={(e) => selectDatabase(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md"
+            >
+              {databases.map(db => (
+                <option key={db.key} value={db.key}>
+                  {db.name || db.key}
+                </option>
+              ))}
+            </select>
+          )}
+          {isAdmin && (
+            <button
+              onClick={() => fetchDatabases(true)}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              Find shared databases
+            </button>
+          )}
+        </div>
+        
+        {showAccount && (
+          <AccountPanel session={session} onSessionChange={onSessionChange} onSignOut={onSignOut} onClose={() => setShowAccount(false)} />
+        )}
+        
+        {canEdit && (
+          <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+            <h2 className="text-lg font-medium mb-3">Add New Item</h2>
+            <QuickAdd
+              parseUrl={`${dbUrl}/tasks/parse`}
+              isOffline={isOffline}
+              isBusy={isLoading}
+              onSubmit={createNewItem}
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {schema.properties.filter(property => !property.readOnly).map(property => (
+                <div key={property.name} className="flex flex-col">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {getPropertyDisplayName(property.name)}
+                    {property.name === schema.titleProperty && <span className="text-red-500">*</span>}
+                  </label>
+                  {renderPropertyInput(
+                    property,
+                    newItemData[property.name],
+                    (value) => handleInputChange(property.name, value),
+                    property.name === schema.titleProperty ? { onKeyPress: handleKeyPress } : {}
+                  )}
+                  {fieldErrors[property.name] && (
+                    <p className="mt-1 text-xs text-red-600">{fieldErrors[property.name]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="mt-4 flex justify-end">
+              <button
+                onClick={addItem}
+                disabled={isLoading || !newItemData[schema.titleProperty]}
+                className="bg-blue-600 text-white font-medium py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isLoading ? 'Adding...' : 'Add Item'}
+              </button>
+            </div>
+          </div>
+        )}
+        
+        <ViewTabs
+          views={views || []}
+          activeViewId={activeViewId}
+          isModified={isViewModified}
+          canEdit={canEdit}
+          onSelect={applyView}
+          onSave={saveActiveView}
+          onCreate={createView}
+          onRename={renameView}
+          onDelete={deleteView}
+        />
+        
+        <FilterBar
+          key={`${selectedDb}:${activeViewId}`}
+          properties={schema.properties}
+          initialFilter={activeFilter}
+          onApply={setActiveFilter}
+        />
+        
+        <div className="flex items-center justify-between mb-2 text-sm">
+          <div className="inline-flex rounded-md shadow-sm">
+            {LAYOUTS.map(({ value, label }, index) => (
+              <button
+                key={value}
+                onClick={() => changeLayout(value)}
+                disabled={!isLayoutAvailable(value)}
+                className={`px-3 py-1 border border-gray-300 disabled:opacity-50 ${
+                  index === 0 ? 'rounded-l-md' : index === LAYOUTS.length - 1 ? 'rounded-r-md' : ''
+                } ${activeLayout === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+              >
+                {label}
+              </button>
             ))}
           </div>
-          <div className="mt-4 flex justify-end">
+          {(activeLayout === 'calendar' || activeLayout === 'timeline') && (
+            <div className="flex items-center gap-4">
+              <label className="text-gray-700">
+                Date property{' '}
+                <select
+                  value={dateProperty}
+                  onChange={(e) => changeDateProperty(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md"
+                >
+                  {schema.properties.filter(p => p.type === 'date').map(p => (
+                    <option key={p.name} value={p.name}>{getPropertyDisplayName(p.name)}</option>
+                  ))}
+                </select>
+              </label>
+              <a
+                href={calendarFeedUrl}
+                title="Subscribe to this URL in a calendar app"
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Calendar feed
+              </a>
+            </div>
+          )}
+          {activeLayout === 'table' && (
+            <button onClick={() => setShowColumns(!showColumns)} className="text-blue-600 hover:text-blue-800">
+              Columns
+            </button>
+          )}
+          {activeLayout === 'board' && (
+            <label className="text-gray-700">
+              Group by{' '}
+              <select
+                value={groupBy}
+                onChange={(e) => changeGroupBy(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              >
+                {getGroupableProperties(schema).map(p => (
+                  <option key={p.name} value={p.name}>{getPropertyDisplayName(p.name)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+        
+        {showColumns && activeLayout === 'table' && (
+          <ColumnsPanel
+            properties={schema.properties}
+            columns={tableColumns.map(p => p.name)}
+            isDefault={columns === null}
+            onChange={setColumns}
+            onClose={() => setShowColumns(false)}
+          />
+        )}
+        
+        {isOffline && (
+          <div className="mb-4 p-3 bg-yellow-50 text-yellow-800 rounded-md flex items-center justify-between">
+            <span>
+              You're offline
+              {cachedAt && ` — showing items saved ${new Date(cachedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`}.
+              {pendingCount > 0 && ` ${pendingCount} change${pendingCount === 1 ? '' : 's'} will sync when the connection returns.`}
+            </span>
             <button
-              onClick={addItem}
-              disabled={isLoading || !newItemData[schema.titleProperty]}
-              className="bg-blue-600 text-white font-medium py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              onClick={async () => { await replayQueue(); fetchItems(); }}
+              className="font-medium hover:text-yellow-900"
             >
-              {isLoading ? 'Adding...' : 'Add Item'}
+              Retry now
             </button>
           </div>
-        </div>
+        )}
+        
+        {!isOffline && pendingCount > 0 && (
+          <div className="mb-4 p-3 bg-blue-50 text-blue-700 rounded-md">
+            Syncing {pendingCount} change{pendingCount === 1 ? '' : 's'} made offline...
+          </div>
+        )}
+        
+        {conflicts.length > 0 && (
+          <ConflictPanel conflicts={conflicts} schema={schema} onResolve={resolveConflict} />
+        )}
+        
+        {hasRemoteChanges && (
+          <div className="mb-4 p-3 bg-blue-50 text-blue-700 rounded-md flex items-center justify-between">
+            <span>Items were added or changed in Notion.</span>
+            <button onClick={fetchItems} className="font-medium hover:text-blue-900">Refresh</button>
+          </div>
+        )}
         
         {error && (
           <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
@@ -367,41 +1770,180 @@ const NotionDatabaseManager = () => {
           </div>
         )}
         
+        {completionWarning && (
+          <div className="mb-4 p-3 bg-yellow-50 text-yellow-800 rounded-md flex items-start justify-between text-left">
+            <div>
+              <p>{completionWarning.message}</p>
+              <ul className="mt-1 list-disc list-inside text-sm">
+                {completionWarning.warnings.map((warning, index) => (
+                  <li key={index}>
+                    {warning.message}: {warning.items.map(link => link.title || link.id).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <button onClick={() => setCompletionWarning(null)} aria-label="Dismiss" className="hover:text-yellow-900">
+              ✕
+            </button>
+          </div>
+        )}
+        
+        {canEdit && activeLayout === 'table' && selectedItems.length > 0 && (
+          <div className="mb-4 p-3 bg-white rounded-lg shadow-md flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium text-gray-700">{selectedItems.length} selected</span>
+            <button
+              onClick={() => completeSelected(true)}
+              disabled={isBulkRunning}
+              className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Mark complete
+            </button>
+            <button
+              onClick={() => completeSelected(false)}
+              disabled={isBulkRunning}
+              className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Mark incomplete
+            </button>
+            <button
+              onClick={archiveSelected}
+              disabled={isBulkRunning}
+              className="px-3 py-1 border border-red-300 text-red-600 rounded-md hover:bg-red-50 disabled:opacity-50"
+            >
+              Archive
+            </button>
+            <div className="flex items-center gap-2">
+              <select
+                value={bulkEdit.property}
+                onChange={(e) => chooseBulkProperty(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              >
+                <option value="">Set property...</option>
+                {schema.properties
+                  .filter(prop => !prop.readOnly && prop.name !== schema.titleProperty)
+                  .map(prop => (
+                    <option key={prop.name} value={prop.name}>{getPropertyDisplayName(prop.name)}</option>
+                  ))}
+              </select>
+              {bulkEdit.property && (
+                <>
+                  <div className="w-48">
+                    {renderPropertyInput(
+                      schema.properties.find(p => p.name === bulkEdit.property),
+                      bulkEdit.value,
+                      value => setBulkEdit(current => ({ ...current, value }))
+                    )}
+                  </div>
+                  <button
+                    onClick={setPropertyOnSelected}
+                    disabled={isBulkRunning}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                </>
+              )}
+            </div>
+            <button onClick={clearSelection} className="ml-auto text-gray-500 hover:text-gray-700">
+              Clear selection
+            </button>
+          </div>
+        )}
+        
         <div className="bg-white rounded-lg shadow-md overflow-hidden">
           {isLoading && items.length === 0 ? (
             <p className="text-center py-6 text-gray-500">Loading items...</p>
           ) : items.length === 0 ? (
-            <p className="text-center py-6 text-gray-500">No items yet. Add one above!</p>
+            <p className="text-center py-6 text-gray-500">
+              {activeFilter ? 'No items match the current filters.' : 'No items yet. Add one above!'}
+            </p>
+          ) : activeLayout === 'board' ? (
+            <BoardView
+              schema={schema}
+              items={items}
+              groupBy={groupBy}
+              onMove={(item, value) => saveProperty(item, groupBy, value)}
+            />
+          ) : activeLayout === 'calendar' ? (
+            <CalendarView
+              items={items}
+              dateProperty={dateProperty}
+              onChangeDate={(item, value) => saveProperty(item, dateProperty, value)}
+            />
+          ) : activeLayout === 'timeline' ? (
+            <TimelineView
+              items={items}
+              dateProperty={dateProperty}
+              onChangeDate={(item, value) => saveProperty(item, dateProperty, value)}
+            />
           ) : (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
+                    {canEdit && (
+                      <th scope="col" className="pl-4 py-3 text-left">
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={toggleSelectAll}
+                          aria-label="Select all items"
+                          className="h-4 w-4"
+                        />
+                      </th>
+                    )}
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Status
                     </th>
-                    {schema.properties
-                      .filter(shouldDisplayInTable)
-                      .map(property => (
-                        <th 
-                          key={property.name}
-                          scope="col" 
-                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-                        >
-                          {getPropertyDisplayName(property.name)}
-                        </th>
-                      ))}
+                    {tableColumns.map(property => (
+                      <th 
+                        key={property.name}
+                        scope="col" 
+                        onClick={() => toggleSort(property.name)}
+                        style={columnWidths[property.name] ? { width: columnWidths[property.name], minWidth: columnWidths[property.name] } : undefined}
+                        className="relative px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+                      >
+                        {getPropertyDisplayName(property.name)}
+                        {sorts[0]?.property === property.name && (sorts[0].direction === 'ascending' ? ' ▲' : ' ▼')}
+                        <span
+                          onMouseDown={(e) => startResize(e, property.name)}
+                          // Resizing should not also sort
+                          onClick={(e) => e.stopPropagation()}
+                          aria-hidden="true"
+                          className="absolute top-0 right-0 h-full w-1 cursor-col-resize hover:bg-blue-300"
+                        />
+                      </th>
+                    ))}
                     <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Actions
                     </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {items.map((item) => (
-                    <tr key={item.id}>
+                  {items.map((item, index) => (collapsedIds.size > 0 && isInCollapsed(item, itemsById, collapsedIds) ? null : (
+                    <tr
+                      key={item.id}
+                      onClick={(e) => openDetail(e, item)}
+                      className={`cursor-pointer ${selectedIds.has(item.id) ? 'bg-blue-50' : ''} ${item.id.startsWith(TEMP_ID_PREFIX) ? 'opacity-60' : ''}`}
+                      title={item.id.startsWith(TEMP_ID_PREFIX) ? 'Not synced yet' : undefined}
+                    >
+                      {canEdit && (
+                        <td className="pl-4 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.has(item.id)}
+                            // onChange has no shiftKey, so selection is handled on click
+                            onClick={(e) => toggleSelected(index, e.shiftKey)}
+                            onChange={() => {}}
+                            aria-label={`Select ${item.title}`}
+                            className="h-4 w-4"
+                          />
+                        </td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
                         <button
                           onClick={() => toggleItemCompletion(item.id)}
+                          disabled={!canEdit}
                           className={`w-5 h-5 rounded-full flex items-center justify-center border ${
                             item.completed
                               ? 'bg-green-500 border-green-500 text-white'
@@ -416,59 +1958,271 @@ const NotionDatabaseManager = () => {
                         </button>
                       </td>
                       
-                      {schema.properties
-                        .filter(shouldDisplayInTable)
-                        .map(property => {
-                          const value = item.properties[property.name];
-                          const isTitleProperty = property.name === schema.titleProperty;
-                          
+                      {tableColumns.map(property => {
+                        const value = item.properties[property.name];
+                        const isTitleProperty = property.name === schema.titleProperty;
+                        
+                        const isEditing = editingCell?.itemId === item.id && editingCell.property === property.name;
+                        
+                        if (isEditing) {
+                          const cellKey = editingKeyRef.current;
                           return (
-                            <td 
-                              key={property.name}
-                              className={`px-6 py-4 whitespace-nowrap ${isTitleProperty ? 'font-medium' : 'text-sm text-gray-500'}`}
-                            >
-                              <span className={item.completed && isTitleProperty ? 'line-through text-gray-500' : ''}>
-                                {renderPropertyValue(value, property.type)}
-                              </span>
+                            <td key={property.name} onClick={(e) => e.stopPropagation()} className="px-3 py-2 whitespace-nowrap">
+                              {renderPropertyInput(property, editValue, setEditValue, {
+                                autoFocus: true,
+                                onKeyDown: handleEditKeyDown,
+                                // Ignore blurs from an editor that Tab/Enter already committed
+                                onBlur: () => cellKey === editingKeyRef.current && commitEditing()
+                              })}
                             </td>
                           );
-                        })}
+                        }
+                        
+                        const isEditable = canEdit && !property.readOnly;
+                        
+                        return (
+                          <td 
+                            key={property.name}
+                            onClick={(e) => {
+                              if (!isEditable) return;
+                              // Editing a cell should not also open the detail drawer
+                              e.stopPropagation();
+                              if (property.type === 'checkbox') saveProperty(item, property.name, !value);
+                              else startEditing(item, property);
+                            }}
+                            // Cells of a resized column are cut off at its width
+                            style={columnWidths[property.name] ? { maxWidth: columnWidths[property.name] } : undefined}
+                            className={`px-6 py-4 whitespace-nowrap overflow-hidden text-ellipsis ${isEditable ? 'cursor-pointer hover:bg-gray-50' : ''} ${isTitleProperty ? 'font-medium' : 'text-sm text-gray-500'}`}
+                          >
+                            {isTitleProperty && isTree ? (
+                              <div className="flex items-center gap-2" style={{ paddingLeft: (item.depth || 0) * 20 }}>
+                                {item.subtaskIds?.length > 0 ? (
+                                  <button
+                                    onClick={(e) => { e.stopPropagation(); toggleCollapsed(item.id); }}
+                                    aria-label={`${collapsedIds.has(item.id) ? 'Show' : 'Hide'} subtasks of ${item.title}`}
+                                    className="w-4 text-gray-400 hover:text-gray-600"
+                                  >
+                                    {collapsedIds.has(item.id) ? '▸' : '▾'}
+                                  </button>
+                                ) : (
+                                  <span className="w-4" />
+                                )}
+                                <span className={item.completed ? 'line-through text-gray-500' : ''}>
+                                  {renderPropertyValue(value, property.type, item.richText?.[property.name])}
+                                </span>
+                                {renderDependencyBadges(item)}
+                              </div>
+                            ) : (
+                              <span className={item.completed && isTitleProperty ? 'line-through text-gray-500' : ''}>
+                                {renderPropertyValue(value, property.type, item.richText?.[property.name])}
+                              </span>
+                            )}
+                            {cellErrors[`${item.id}:${property.name}`] && (
+                              <div className="mt-1 text-xs font-normal text-red-600 whitespace-normal">
+                                {cellErrors[`${item.id}:${property.name}`]}
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
                       
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                        <button
-                          onClick={() => deleteItem(item.id)}
-                          className="text-red-500 hover:text-red-700"
-                        >
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                          </svg>
-                        </button>
+                        {!item.id.startsWith(TEMP_ID_PREFIX) && (
+                          <button
+                            onClick={() => fetchHistory(item.id)}
+                            aria-label={`History of ${item.title}`}
+                            title="History"
+                            className="mr-3 text-gray-400 hover:text-gray-600"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+                            </svg>
+                          </button>
+                        )}
+                        {canEdit && (
+                          <button
+                            onClick={() => deleteItem(item.id)}
+                            className="text-red-500 hover:text-red-700"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                              <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                            </svg>
+                          </button>
+                        )}
                       </td>
                     </tr>
-                  ))}
+                  )))}
                 </tbody>
               </table>
             </div>
           )}
+          {items.length > 0 && nextCursor && (
+            <div ref={loadMoreRef} className="text-center py-4 text-sm text-gray-500">
+              {isLoadingMore ? 'Loading more items...' : ''}
+            </div>
+          )}
         </div>
         
-        <div className="mt-4 text-center">
+        <div className="mt-4 flex justify-center gap-6">
           <button 
             onClick={fetchItems}
             className="text-blue-600 hover:text-blue-800"
           >
             Refresh Items
           </button>
+          <button 
+            onClick={() => setShowDashboard(!showDashboard)}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {showDashboard ? 'Hide Dashboard' : 'Dashboard'}
+          </button>
+          {canEdit && (
+            <>
+              <button 
+                onClick={toggleTrash}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {showTrash ? 'Hide Trash' : 'Trash'}
+              </button>
+              <button 
+                onClick={() => setShowImport(!showImport)}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Import
+              </button>
+            </>
+          )}
+          <a href={`${dbUrl}/export?format=csv`} className="text-blue-600 hover:text-blue-800">Export CSV</a>
+          <a href={`${dbUrl}/export?format=json`} className="text-blue-600 hover:text-blue-800">Export JSON</a>
         </div>
+        
+        {showDashboard && (
+          <DashboardPanel
+            statsUrl={`${dbUrl}/stats`}
+            filter={activeFilter}
+            onClose={() => setShowDashboard(false)}
+          />
+        )}
+        
+        {showImport && (
+          <ImportWizard
+            schema={schema}
+            onSubmit={submitImport}
+            onImported={fetchItems}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+        
+        {showTrash && (
+          <TrashPanel
+            entries={trashEntries}
+            isLoading={isTrashLoading}
+            onRestore={restoreItems}
+            onClose={() => setShowTrash(false)}
+          />
+        )}
       </div>
+      
+      {detailItem && (
+        <DetailDrawer
+          key={detailItem.id}
+          item={detailItem}
+          schema={schema}
+          itemUrl={`${dbUrl}/tasks/${detailItem.id}`}
+          recurrencePreviewUrl={`${dbUrl}/recurrence/preview`}
+          canEdit={canEdit}
+          onClose={() => setDetailItemId(null)}
+        />
+      )}
+      
+      {historyItem && (
+        <HistoryPanel
+          item={historyItem}
+          schema={schema}
+          entries={historyEntries}
+          isLoading={isHistoryLoading}
+          error={historyError}
+          canRevert={canEdit}
+          onRevert={(change) => revertChange(historyItem, change)}
+          onClose={() => setHistoryItemId(null)}
+        />
+      )}
+      
+      {undo && (
+        <div className="fixed bottom-4 left-1/2 transform -translate-x-1/2 flex items-center gap-4 px-4 py-3 bg-gray-800 text-white text-sm rounded-md shadow-lg">
+          <span>{undo.message}</span>
+          <button onClick={() => restoreItems(undo.ids)} className="font-medium text-blue-300 hover:text-blue-200">
+            Undo
+          </button>
+          <button onClick={() => setUndo(null)} aria-label="Dismiss" className="text-gray-400 hover:text-gray-200">
+            ✕
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
+// Result of connecting Notion, passed back by the server as ?notion=connected|error&message=...
+const readNotionRedirect = () => {
+  const params = new URLSearchParams(window.location.search);
+  const status = params.get('notion');
+  if (!status) return null;
+  // Keep the rest of the query, such as a linked view
+  const rest = new URLSearchParams(window.location.search);
+  rest.delete('notion');
+  rest.delete('message');
+  window.history.replaceState(null, '', `${window.location.pathname}${rest.toString() ? `?${rest}` : ''}`);
+  return status === 'connected'
+    ? { ok: true, text: 'Notion connected. Requests now use your own workspace.' }
+    : { ok: false, text: `Connecting Notion failed: ${params.get('message') || 'unknown error'}` };
+};
+
 function App() {
+  // undefined while checking, then { user, feedToken } or { user: null, setupRequired }
+  const [session, setSession] = useState(undefined);
+  const [notice, setNotice] = useState(readNotionRedirect);
+  
+  const changeSession = (next) => {
+    if (next.user) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else localStorage.removeItem(SESSION_KEY);
+    setSession(next);
+  };
+  
+  useEffect(() => {
+    onSignedOut(() => changeSession({ user: null, setupRequired: false }));
+    apiFetch(`${API_URL}/auth/session`)
+      .then(response => response.json())
+      .then(changeSession)
+      .catch(() => {
+        // Unreachable: carry on offline as whoever signed in last
+        const saved = localStorage.getItem(SESSION_KEY);
+        setSession(saved ? JSON.parse(saved) : { user: null, setupRequired: false });
+      });
+  }, []);
+  
+  // Sign out of this session, or with `everywhere` out of every session of the account
+  const signOut = async ({ everywhere = false } = {}) => {
+    await apiFetch(`${API_URL}/auth/${everywhere ? 'logout-all' : 'logout'}`, { method: 'POST' }).catch(() => {});
+    changeSession({ user: null, setupRequired: false });
+  };
+  
+  if (session === undefined) return <div className="App" />;
+  
   return (
     <div className="App">
-      <NotionDatabaseManager />
+      {notice && (
+        <div className={`p-3 text-sm flex items-center justify-center gap-4 ${notice.ok ? 'bg-green-50 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          <span>{notice.text}</span>
+          <button onClick={() => setNotice(null)} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+      {session.user ? (
+        // Remount on sign-in so nothing from the previous user's session is kept
+        <NotionDatabaseManager key={session.user.id} session={session} onSessionChange={changeSession} onSignOut={signOut} />
+      ) : (
+        <LoginScreen setupRequired={session.setupRequired} onSignedIn={changeSession} />
+      )}
     </div>
   );
 }
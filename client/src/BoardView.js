@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { getPropertyDisplayName, renderPropertyValue } from './propertyUtils';
+
+const UNGROUPED = '__ungrouped__';
+
+// Properties a board can be grouped by
+export const getGroupableProperties = (schema) =>
+  schema.properties.filter(p => p.type === 'status' || p.type === 'select');
+
+// Kanban board with one column per option of a status or select property.
+// Dropping a card on another column calls onMove(item, optionName), with null for "Ungrouped".
+const BoardView = ({ schema, items, groupBy, onMove }) => {
+  const [dragItemId, setDragItemId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const groupProperty = schema.properties.find(p => p.name === groupBy);
+  if (!groupProperty) return null;
+
+  // Notion always gives a status a value, so only select cards can be moved to "Ungrouped"
+  const canUngroup = groupProperty.type === 'select';
+  const options = groupProperty.options || [];
+  const columns = [
+    ...options.map(option => ({ key: option, label: option, value: option })),
+    { key: UNGROUPED, label: 'Ungrouped', value: null }
+  ];
+
+  const columnKeyFor = (item) => {
+    const value = item.properties[groupBy];
+    return options.includes(value) ? value : UNGROUPED;
+  };
+
+  const detailProperties = schema.properties.filter(p =>
+    p.name !== schema.titleProperty && p.name !== groupBy && p.type !== 'rich_text'
+  );
+
+  const handleDrop = (column) => {
+    const item = items.find(i => i.id === dragItemId);
+    setDragItemId(null);
+    setDropTarget(null);
+    if (!item || columnKeyFor(item) === column.key) return;
+    if (column.value === null && !canUngroup) return;
+    onMove(item, column.value);
+  };
+
+  return (
+    <div className="flex gap-4 overflow-x-auto p-4 text-left">
+      {columns.map(column => {
+        const columnItems = items.filter(item => columnKeyFor(item) === column.key);
+        const acceptsDrop = column.value !== null || canUngroup;
+
+        return (
+          <div
+            key={column.key}
+            onDragOver={(e) => {
+              if (!acceptsDrop) return;
+              e.preventDefault();
+              setDropTarget(column.key);
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={() => handleDrop(column)}
+            className={`flex-shrink-0 w-72 rounded-lg p-3 ${dropTarget === column.key ? 'bg-blue-50' : 'bg-gray-100'}`}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-medium text-gray-700">{column.label}</h3>
+              <span className="text-xs text-gray-500 bg-white rounded-full px-2 py-0.5">{columnItems.length}</span>
+            </div>
+            <div className="flex flex-col gap-2" style={{ minHeight: '2rem' }}>
+              {columnItems.map(item => (
+                <div
+                  key={item.id}
+                  draggable
+                  onDragStart={(e) => {
+                    // Firefox only starts a drag when some data is set
+                    e.dataTransfer.setData('text/plain', item.id);
+                    setDragItemId(item.id);
+                  }}
+                  onDragEnd={() => { setDragItemId(null); setDropTarget(null); }}
+                  className={`bg-white rounded-md shadow-sm p-3 cursor-grab ${dragItemId === item.id ? 'opacity-50' : ''}`}
+                >
+                  <p className={`font-medium text-sm ${item.completed ? 'line-through text-gray-500' : ''}`}>
+                    {item.title}
+                  </p>
+                  {detailProperties
+                    .filter(p => {
+                      const value = item.properties[p.name];
+                      return value !== null && value !== undefined && value !== false && !(Array.isArray(value) && value.length === 0);
+                    })
+                    .map(p => (
+                      <p key={p.name} className="text-xs text-gray-500 mt-1">
+                        <span className="text-gray-400">{getPropertyDisplayName(p.name)}: </span>
+                        {renderPropertyValue(item.properties[p.name], p.type)}
+                      </p>
+                    ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BoardView;
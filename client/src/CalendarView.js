@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import {
+  todayKey, addDays, daysBetween, startOfWeek, startOfMonth, addMonths, parseDateKey, getDayRange, shiftDateValue
+} from './dateUtils';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Items without a value for the plotted date property, draggable onto a day to schedule them
+export const UndatedList = ({ items, onDragStart }) => (
+  <div className="w-56 flex-shrink-0 bg-gray-50 rounded-lg p-3 text-left">
+    <h3 className="text-sm font-medium text-gray-700 mb-2">No date ({items.length})</h3>
+    <div className="flex flex-col gap-1">
+      {items.map(item => (
+        <div
+          key={item.id}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData('text/plain', item.id);
+            onDragStart(item.id);
+          }}
+          className="bg-white rounded px-2 py-1 text-xs shadow-sm cursor-grab truncate"
+        >
+          {item.title}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// Month or week calendar of items by one date property. Dragging an item to another day
+// calls onChangeDate(item, newValue) with the whole range moved by the same number of days.
+const CalendarView = ({ items, dateProperty, onChangeDate }) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(todayKey);
+  // The item being dragged and the day it was picked up from (null when coming from the undated list)
+  const [drag, setDrag] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  const today = todayKey();
+  const firstDay = mode === 'month' ? startOfWeek(startOfMonth(anchor)) : startOfWeek(anchor);
+  const weekCount = mode === 'month'
+    ? Math.ceil(daysBetween(firstDay, addMonths(anchor, 1)) / 7)
+    : 1;
+  const days = Array.from({ length: weekCount * 7 }, (_, i) => addDays(firstDay, i));
+
+  const dated = [];
+  const undated = [];
+  items.forEach(item => {
+    const range = getDayRange(item.properties[dateProperty]);
+    if (range) dated.push({ item, range });
+    else undated.push(item);
+  });
+
+  const itemsOnDay = (day) => dated.filter(({ range }) => range.start <= day && day <= range.end);
+
+  const handleDrop = (day) => {
+    setDropDay(null);
+    if (!drag) return;
+    const item = items.find(i => i.id === drag.itemId);
+    setDrag(null);
+    if (!item) return;
+    const value = item.properties[dateProperty];
+    if (!drag.fromDay) {
+      onChangeDate(item, { start: day, end: null, timeZone: null });
+      return;
+    }
+    const delta = daysBetween(drag.fromDay, day);
+    if (delta !== 0) onChangeDate(item, shiftDateValue(value, delta));
+  };
+
+  const navigate = (direction) => {
+    setAnchor(mode === 'month' ? addMonths(anchor, direction) : addDays(anchor, direction * 7));
+  };
+
+  const title = mode === 'month'
+    ? parseDateKey(anchor).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `Week of ${parseDateKey(firstDay).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+  return (
+    <div className="flex gap-4 p-4">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center justify-between mb-3 text-sm">
+          <div className="flex items-center gap-2">
+            <button onClick={() => navigate(-1)} className="px-2 py-1 border border-gray-300 rounded-md">‹</button>
+            <button onClick={() => setAnchor(today)} className="px-2 py-1 border border-gray-300 rounded-md">Today</button>
+            <button onClick={() => navigate(1)} className="px-2 py-1 border border-gray-300 rounded-md">›</button>
+            <span className="font-medium text-gray-700 ml-2">{title}</span>
+          </div>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md">
+            <option value="month">Month</option>
+            <option value="week">Week</option>
+          </select>
+        </div>
+        <div className="grid grid-cols-7 border-t border-l border-gray-200 text-left">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="border-r border-b border-gray-200 bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500">
+              {day}
+            </div>
+          ))}
+          {days.map(day => (
+            <div
+              key={day}
+              onDragOver={(e) => { e.preventDefault(); setDropDay(day); }}
+              onDragLeave={() => setDropDay(null)}
+              onDrop={() => handleDrop(day)}
+              className={`border-r border-b border-gray-200 p-1 ${mode === 'month' ? 'h-28' : 'h-64'} overflow-y-auto ${
+                dropDay === day ? 'bg-blue-50' : day.slice(0, 7) !== anchor.slice(0, 7) && mode === 'month' ? 'bg-gray-50' : ''
+              }`}
+            >
+              <div className={`text-xs mb-1 ${day === today ? 'font-bold text-blue-600' : 'text-gray-500'}`}>
+                {parseDateKey(day).getDate()}
+              </div>
+              {itemsOnDay(day).map(({ item }) => (
+                <div
+                  key={item.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', item.id);
+                    setDrag({ itemId: item.id, fromDay: day });
+                  }}
+                  className={`rounded px-1 mb-1 text-xs truncate cursor-grab ${
+                    item.completed ? 'bg-green-100 text-gray-500 line-through' : 'bg-blue-100 text-blue-800'
+                  }`}
+                  title={item.title}
+                >
+                  {item.title}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+      <UndatedList items={undated} onDragStart={(itemId) => setDrag({ itemId, fromDay: null })} />
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { getPropertyDisplayName } from './propertyUtils';
+
+// Show, hide and reorder table columns. `columns` are the names shown, in order; onChange gets the
+// new list, or null to go back to the default columns.
+const ColumnsPanel = ({ properties, columns, isDefault, onChange, onClose }) => {
+  const hidden = properties.filter(p => !columns.includes(p.name)).map(p => p.name);
+
+  const move = (index, offset) => {
+    const next = [...columns];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4 text-sm text-left">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-medium text-gray-700">Columns</h2>
+        <div className="flex items-center gap-3">
+          {!isDefault && (
+            <button onClick={() => onChange(null)} className="text-gray-500 hover:text-gray-700">Reset</button>
+          )}
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+        </div>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {columns.map((name, index) => (
+          <li key={name} className="flex items-center gap-2 py-1">
+            <input
+              type="checkbox"
+              checked
+              onChange={() => onChange(columns.filter(column => column !== name))}
+              aria-label={`Hide ${getPropertyDisplayName(name)}`}
+              className="h-4 w-4"
+            />
+            <span className="flex-1">{getPropertyDisplayName(name)}</span>
+            <button
+              onClick={() => move(index, -1)}
+              disabled={index === 0}
+              aria-label={`Move ${getPropertyDisplayName(name)} left`}
+              className="px-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => move(index, 1)}
+              disabled={index === columns.length - 1}
+              aria-label={`Move ${getPropertyDisplayName(name)} right`}
+              className="px-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            >
+              ↓
+            </button>
+          </li>
+        ))}
+        {hidden.map(name => (
+          <li key={name} className="flex items-center gap-2 py-1 text-gray-400">
+            <input
+              type="checkbox"
+              checked={false}
+              onChange={() => onChange([...columns, name])}
+              aria-label={`Show ${getPropertyDisplayName(name)}`}
+              className="h-4 w-4"
+            />
+            <span className="flex-1">{getPropertyDisplayName(name)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ColumnsPanel;
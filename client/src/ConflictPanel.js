@@ -0,0 +1,70 @@
+import React from 'react';
+import { getPropertyDisplayName, renderPropertyValue } from './propertyUtils';
+
+// Changes made offline that hit an edit made in Notion meanwhile. For each, the user keeps
+// their change (onResolve(mutation, 'mine')) or Notion's version (onResolve(mutation, 'theirs')).
+const ConflictPanel = ({ conflicts, schema, onResolve }) => {
+  const typeOf = (name) => (name === 'completed' ? 'checkbox' : schema.properties.find(p => p.name === name)?.type);
+
+  return (
+    <div className="mb-4 p-4 bg-white border border-yellow-300 rounded-lg shadow-md text-left">
+      <h2 className="text-lg font-medium mb-1">Changes that need your attention</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        These items were edited in Notion while you were offline. Choose which version to keep.
+      </p>
+      <ul className="divide-y divide-gray-200">
+        {conflicts.map(mutation => {
+          const remote = mutation.conflict.item;
+          const title = remote?.title || mutation.properties?.[schema.titleProperty] || 'Untitled';
+          return (
+            <li key={mutation.id} className="py-3 text-sm">
+              <div className="font-medium mb-2">{title}</div>
+              {mutation.conflict.deleted ? (
+                <p className="text-gray-600 mb-2">This item was deleted in Notion, so your change cannot be saved.</p>
+              ) : mutation.type === 'delete' ? (
+                <p className="text-gray-600 mb-2">You deleted this item, but it has been edited in Notion since.</p>
+              ) : (
+                <table className="mb-2">
+                  <thead>
+                    <tr className="text-xs text-gray-500 uppercase tracking-wider">
+                      <th className="pr-6 text-left font-medium">Property</th>
+                      <th className="pr-6 text-left font-medium">Your change</th>
+                      <th className="text-left font-medium">In Notion now</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(mutation.properties).map(([name, value]) => (
+                      <tr key={name}>
+                        <td className="pr-6 text-gray-500">{name === 'completed' ? 'Completed' : getPropertyDisplayName(name)}</td>
+                        <td className="pr-6">{renderPropertyValue(value, typeOf(name))}</td>
+                        <td>{renderPropertyValue(name === 'completed' ? remote.completed : remote.properties[name], typeOf(name))}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <div className="flex gap-3">
+                {!mutation.conflict.deleted && (
+                  <button
+                    onClick={() => onResolve(mutation, 'mine')}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    {mutation.type === 'delete' ? 'Delete anyway' : 'Keep my change'}
+                  </button>
+                )}
+                <button
+                  onClick={() => onResolve(mutation, 'theirs')}
+                  className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  {mutation.conflict.deleted ? 'Discard my change' : "Keep Notion's version"}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ConflictPanel;
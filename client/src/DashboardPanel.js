@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+import { getPropertyDisplayName } from './propertyUtils';
+
+const WEEKS = 12;
+
+const formatNumber = (value) => (value === null ? '—' : value.toLocaleString('en-US', { maximumFractionDigits: 2 }));
+
+const Tile = ({ label, value, tone = 'text-gray-900' }) => (
+  <div className="border border-gray-200 rounded-md px-3 py-2">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className={`text-xl font-semibold ${tone}`}>{value}</div>
+  </div>
+);
+
+// Horizontal bars for [{ label, count }], scaled to the largest count
+const BarList = ({ rows }) => {
+  const max = Math.max(1, ...rows.map(row => row.count));
+  return (
+    <ul className="space-y-1">
+      {rows.map(row => (
+        <li key={row.label} className="flex items-center gap-2">
+          <span className="w-28 truncate text-gray-600" title={row.label}>{row.label}</span>
+          <span className="flex-1 h-3 bg-gray-100 rounded">
+            <span className="block h-3 bg-blue-500 rounded" style={{ width: `${(row.count / max) * 100}%` }} />
+          </span>
+          <span className="w-8 text-right text-gray-700">{row.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Columns for completions per week, oldest on the left
+const WeekChart = ({ weeks }) => {
+  const max = Math.max(1, ...weeks.map(week => week.count));
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-24">
+        {weeks.map(week => (
+          <div
+            key={week.weekStart}
+            className="flex-1 bg-green-500 rounded-t"
+            style={{ height: `${(week.count / max) * 100}%`, minHeight: week.count ? 2 : 0 }}
+            title={`Week of ${week.weekStart}: ${week.count}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-gray-400">
+        <span>{weeks[0]?.weekStart}</span>
+        <span>{weeks[weeks.length - 1]?.weekStart}</span>
+      </div>
+    </div>
+  );
+};
+
+const Section = ({ title, children }) => (
+  <section>
+    <h3 className="font-medium text-gray-700 mb-2">{title}</h3>
+    {children}
+  </section>
+);
+
+// Figures from GET /stats for the items matching `filter`, reloaded whenever it changes
+const DashboardPanel = ({ statsUrl, filter, onClose }) => {
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ weeks: String(WEEKS), ...(filter ? { filter: JSON.stringify(filter) } : {}) });
+      const response = await apiFetch(`${statsUrl}?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Error: ${response.status}`);
+      setStats(data);
+    } catch (err) {
+      setError(`Failed to load stats: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [statsUrl, filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const overdue = stats ? stats.due.reduce((total, entry) => total + entry.overdue, 0) : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mt-6 text-left text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-medium">
+          Dashboard
+          {filter && <span className="ml-2 text-xs font-normal text-gray-500">Filtered</span>}
+        </h2>
+        <div className="flex items-center gap-3">
+          <button onClick={load} disabled={isLoading} className="text-gray-500 hover:text-gray-700 disabled:opacity-50">
+            Refresh
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+        </div>
+      </div>
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+      {!stats ? (
+        isLoading && <p className="text-gray-500">Loading stats...</p>
+      ) : (
+        <div className={`space-y-5 ${isLoading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <Tile label="Items" value={stats.total} />
+            <Tile label="Open" value={stats.open} />
+            {stats.completed !== null && <Tile label="Completed" value={stats.completed} tone="text-green-600" />}
+            {stats.due.length > 0 && <Tile label="Overdue" value={overdue} tone={overdue ? 'text-red-600' : 'text-gray-900'} />}
+          </div>
+
+          {stats.completedPerWeek.length > 0 && (
+            <Section title={`Completed per week (last ${stats.completedPerWeek.length})`}>
+              <WeekChart weeks={stats.completedPerWeek} />
+            </Section>
+          )}
+
+          {stats.options.length > 0 && (
+            <div className="grid gap-5 sm:grid-cols-2">
+              {stats.options.map(entry => (
+                <Section key={entry.property} title={getPropertyDisplayName(entry.property)}>
+                  <BarList
+                    rows={[
+                      ...entry.options.map(option => ({ label: option.value, count: option.count })),
+                      ...(entry.empty ? [{ label: 'None', count: entry.empty }] : [])
+                    ]}
+                  />
+                </Section>
+              ))}
+            </div>
+          )}
+
+          {stats.due.length > 0 && (
+            <Section title="Due dates">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-xs text-gray-500">
+                    <th className="text-left font-normal">Property</th>
+                    <th className="text-right font-normal">Overdue</th>
+                    <th className="text-right font-normal">Due today</th>
+                    <th className="text-right font-normal">No date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.due.map(entry => (
+                    <tr key={entry.property}>
+                      <td>{getPropertyDisplayName(entry.property)}</td>
+                      <td className={`text-right ${entry.overdue ? 'text-red-600' : ''}`}>{entry.overdue}</td>
+                      <td className="text-right">{entry.dueToday}</td>
+                      <td className="text-right text-gray-500">{entry.undated}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+          )}
+
+          {stats.numbers.length > 0 && (
+            <Section title="Numbers">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-xs text-gray-500">
+                    <th className="text-left font-normal">Property</th>
+                    <th className="text-right font-normal">Sum</th>
+                    <th className="text-right font-normal">Average</th>
+                    <th className="text-right font-normal">Min</th>
+                    <th className="text-right font-normal">Max</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.numbers.map(entry => (
+                    <tr key={entry.property}>
+                      <td>{getPropertyDisplayName(entry.property)}</td>
+                      <td className="text-right">{formatNumber(entry.sum)}</td>
+                      <td className="text-right">{formatNumber(entry.average)}</td>
+                      <td className="text-right">{formatNumber(entry.min)}</td>
+                      <td className="text-right">{formatNumber(entry.max)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+          )}
+
+          {stats.openAge.count > 0 && (
+            <Section title={`Age of open items (median ${stats.openAge.medianDays} days)`}>
+              <BarList rows={stats.openAge.buckets} />
+              <p className="mt-2 text-xs text-gray-500">
+                Oldest: {stats.openAge.oldest.map(item => `${item.title || 'Untitled'} (${item.days}d)`).join(', ')}
+              </p>
+            </Section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DashboardPanel;
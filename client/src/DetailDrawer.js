@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+import RecurrenceEditor from './RecurrenceEditor';
+import { getPropertyDisplayName, renderPropertyValue, renderRichText, formatDate } from './propertyUtils';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Block types that can be added from the drawer, as [type, label]
+const NEW_BLOCK_TYPES = [
+  ['paragraph', 'Text'],
+  ['to_do', 'To-do'],
+  ['heading_2', 'Heading'],
+  ['heading_3', 'Subheading'],
+  ['bulleted_list_item', 'Bulleted list'],
+  ['numbered_list_item', 'Numbered list'],
+  ['quote', 'Quote'],
+  ['code', 'Code']
+];
+
+const HEADING_CLASSES = {
+  heading_1: 'text-xl font-bold mt-4 mb-1',
+  heading_2: 'text-lg font-semibold mt-3 mb-1',
+  heading_3: 'font-semibold mt-2 mb-1'
+};
+
+// Fetch one page of a paged list endpoint; resolves with the parsed body
+const fetchPage = async (url, cursor) => {
+  const params = new URLSearchParams({ limit: '100', ...(cursor ? { cursor } : {}) });
+  const response = await apiFetch(`${url}${url.includes('?') ? '&' : '?'}${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Error: ${response.status}`);
+  return data;
+};
+
+// Blocks under one parent. Nested content is loaded when asked for, like toggles in Notion.
+const BlockList = ({ blocksUrl }) => {
+  const [blocks, setBlocks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (cursor) => {
+    setIsLoading(true);
+    try {
+      const data = await fetchPage(blocksUrl, cursor);
+      setBlocks(current => (cursor ? [...current, ...data.blocks] : data.blocks));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [blocksUrl]);
+
+  useEffect(() => {
+    load(null);
+  }, [load]);
+
+  // Consecutive list items share one <ul> or <ol>
+  const groups = [];
+  blocks.forEach(block => {
+    const last = groups[groups.length - 1];
+    if (last && last.type === block.type && block.type.endsWith('list_item')) last.blocks.push(block);
+    else groups.push({ type: block.type, blocks: [block] });
+  });
+
+  const childrenUrl = (block) => `${blocksUrl.split('?')[0]}?${new URLSearchParams({ blockId: block.id })}`;
+
+  return (
+    <div>
+      {groups.map(group => {
+        if (group.type === 'bulleted_list_item' || group.type === 'numbered_list_item') {
+          const List = group.type === 'bulleted_list_item' ? 'ul' : 'ol';
+          return (
+            <List key={group.blocks[0].id} className={`${List === 'ul' ? 'list-disc' : 'list-decimal'} pl-6 my-1`}>
+              {group.blocks.map(block => (
+                <li key={block.id}>
+                  {renderRichText(block.richText)}
+                  {block.hasChildren && <NestedBlocks url={childrenUrl(block)} />}
+                </li>
+              ))}
+            </List>
+          );
+        }
+        const block = group.blocks[0];
+        return <Block key={block.id} block={block} childrenUrl={childrenUrl(block)} />;
+      })}
+      {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {nextCursor && !isLoading && (
+        <button onClick={() => load(nextCursor)} className="text-sm text-blue-600 hover:text-blue-800">Load more</button>
+      )}
+    </div>
+  );
+};
+
+// A "Show nested content" link that turns into the nested blocks
+const NestedBlocks = ({ url }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  return isOpen ? (
+    <div className="pl-4"><BlockList blocksUrl={url} /></div>
+  ) : (
+    <button onClick={() => setIsOpen(true)} className="block text-xs text-blue-600 hover:text-blue-800">Show nested content</button>
+  );
+};
+
+const Block = ({ block, childrenUrl }) => {
+  const nested = block.hasChildren && <NestedBlocks url={childrenUrl} />;
+  if (HEADING_CLASSES[block.type]) {
+    return <div className={HEADING_CLASSES[block.type]}>{renderRichText(block.richText)}{nested}</div>;
+  }
+  switch (block.type) {
+    case 'paragraph':
+      // Empty paragraphs keep their line, as in Notion
+      return <div className="my-1">{block.richText.length ? renderRichText(block.richText) : '\u00a0'}{nested}</div>;
+    case 'to_do':
+      return (
+        <div className="my-1">
+          <label className="flex items-start gap-2">
+            <input type="checkbox" checked={block.checked} readOnly disabled className="mt-1 h-4 w-4" />
+            <span className={block.checked ? 'line-through text-gray-500' : ''}>{renderRichText(block.richText)}</span>
+          </label>
+          {nested}
+        </div>
+      );
+    case 'quote':
+      return <blockquote className="my-1 pl-3 border-l-4 border-gray-300">{renderRichText(block.richText)}{nested}</blockquote>;
+    case 'callout':
+      return (
+        <div className="my-1 p-3 bg-gray-100 rounded-md flex gap-2">
+          {block.icon && <span>{block.icon}</span>}
+          <div>{renderRichText(block.richText)}{nested}</div>
+        </div>
+      );
+    case 'code':
+      return (
+        <pre className="my-2 p-3 bg-gray-100 rounded-md text-sm overflow-x-auto" title={block.language || undefined}>
+          <code>{block.richText.map(segment => segment.text).join('')}</code>
+        </pre>
+      );
+    case 'toggle':
+      return (
+        <details className="my-1">
+          <summary className="cursor-pointer">{renderRichText(block.richText)}</summary>
+          {block.hasChildren && <div className="pl-4"><BlockList blocksUrl={childrenUrl} /></div>}
+        </details>
+      );
+    case 'divider':
+      return <hr className="my-3" />;
+    case 'image':
+      return block.url ? <img src={block.url} alt={block.caption.map(s => s.text).join('')} className="my-2 max-w-full rounded-md" /> : null;
+    case 'child_page':
+    case 'child_database':
+      return <div className="my-1 text-gray-600">📄 {block.title || 'Untitled'}</div>;
+    default:
+      return block.url ? (
+        <a href={block.url} target="_blank" rel="noopener noreferrer" className="block my-1 text-blue-600 hover:text-blue-800 truncate">
+          {block.url}
+        </a>
+      ) : (
+        <div className="my-1 text-sm text-gray-400">Unsupported block: {block.type.replace(/_/g, ' ')}</div>
+      );
+  }
+};
+
+// Side drawer with every property of an item, how it repeats, its page body and its comments.
+// Editors can change the recurrence, add simple blocks to the end of the body and post comments.
+const DetailDrawer = ({ item, schema, itemUrl, recurrencePreviewUrl, canEdit, onClose }) => {
+  // Bumped after adding content so the body reloads with the new blocks
+  const [bodyVersion, setBodyVersion] = useState(0);
+  const [newBlock, setNewBlock] = useState({ type: 'paragraph', text: '' });
+  const [comments, setComments] = useState([]);
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [newComment, setNewComment] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadComments = useCallback(async (cursor) => {
+    try {
+      const data = await fetchPage(`${itemUrl}/comments`, cursor);
+      setComments(current => (cursor ? [...current, ...data.comments] : data.comments));
+      setCommentsCursor(data.nextCursor);
+    } catch (err) {
+      setError(`Failed to load comments: ${err.message}`);
+    }
+  }, [itemUrl]);
+
+  useEffect(() => {
+    loadComments(null);
+  }, [loadComments]);
+
+  // POST JSON to `path` under the item; resolves with the response body, or null after showing an error
+  const post = async (path, body) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(`${itemUrl}/${path}`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify(body) });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Error: ${response.status}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addBlock = async (e) => {
+    e.preventDefault();
+    const data = await post('blocks', { blocks: [{ ...newBlock, checked: false }] });
+    if (!data) return;
+    setNewBlock(current => ({ ...current, text: '' }));
+    setBodyVersion(version => version + 1);
+  };
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    const data = await post('comments', { text: newComment });
+    if (!data) return;
+    setNewComment('');
+    setComments(current => [...current, data]);
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-xl bg-white shadow-lg overflow-y-auto p-4 text-left z-10">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold truncate">
+          {item.richText?.[schema.titleProperty] ? renderRichText(item.richText[schema.titleProperty]) : item.title || 'Untitled'}
+        </h2>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+      </div>
+      {error && <p className="mb-3 p-2 bg-red-100 text-red-700 rounded-md text-sm">{error}</p>}
+
+      <dl className="grid grid-cols-3 gap-x-4 gap-y-2 text-sm mb-6">
+        {schema.properties.filter(p => p.name !== schema.titleProperty).map(property => (
+          <React.Fragment key={property.name}>
+            <dt className="text-gray-500">{getPropertyDisplayName(property.name)}</dt>
+            <dd className="col-span-2 break-words">
+              {renderPropertyValue(item.properties[property.name], property.type, item.richText?.[property.name])}
+            </dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <h3 className="font-medium mb-2">Repeats</h3>
+      <div className="mb-6">
+        <RecurrenceEditor recurrenceUrl={`${itemUrl}/recurrence`} previewUrl={recurrencePreviewUrl} canEdit={canEdit} />
+      </div>
+
+      <h3 className="font-medium mb-2">Page content</h3>
+      <div className="mb-3">
+        <BlockList key={bodyVersion} blocksUrl={`${itemUrl}/blocks`} />
+      </div>
+      {canEdit && (
+        <form onSubmit={addBlock} className="flex items-start gap-2 mb-6 text-sm">
+          <select
+            value={newBlock.type}
+            onChange={(e) => setNewBlock({ ...newBlock, type: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {NEW_BLOCK_TYPES.map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <textarea
+            value={newBlock.text}
+            onChange={(e) => setNewBlock({ ...newBlock, text: e.target.value })}
+            rows={newBlock.type === 'code' ? 4 : 1}
+            placeholder="Add to the page..."
+            className={`flex-1 px-2 py-1 border border-gray-300 rounded-md ${newBlock.type === 'code' ? 'font-mono' : ''}`}
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !newBlock.text.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      <h3 className="font-medium mb-2">Comments</h3>
+      {comments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No comments yet.</p>
+      ) : (
+        <ul className="mb-3 space-y-3 text-sm">
+          {comments.map(comment => (
+            <li key={comment.id}>
+              <div className="text-gray-500">
+                <span className="font-medium text-gray-800">{comment.author}</span> · {formatDate(comment.createdTime)}
+              </div>
+              <div className="whitespace-pre-wrap">{renderRichText(comment.richText)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {commentsCursor && (
+        <button onClick={() => loadComments(commentsCursor)} className="mb-3 text-sm text-blue-600 hover:text-blue-800">
+          Load more comments
+        </button>
+      )}
+      {canEdit && (
+        <form onSubmit={addComment} className="flex items-start gap-2 text-sm">
+          <textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            rows={2}
+            placeholder="Add a comment..."
+            className="flex-1 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !newComment.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DetailDrawer;
@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { getPropertyDisplayName } from './propertyUtils';
+
+// Operators offered for each property type, mirroring the server's filter API
+const TEXT_OPERATORS = [
+  ['contains', 'contains'],
+  ['equals', 'is'],
+  ['does_not_equal', 'is not'],
+  ['does_not_contain', 'does not contain'],
+  ['starts_with', 'starts with'],
+  ['ends_with', 'ends with'],
+  ['is_empty', 'is empty'],
+  ['is_not_empty', 'is not empty']
+];
+
+const OPERATORS_BY_TYPE = {
+  title: TEXT_OPERATORS,
+  rich_text: TEXT_OPERATORS,
+  url: TEXT_OPERATORS,
+  email: TEXT_OPERATORS,
+  phone_number: TEXT_OPERATORS,
+  number: [
+    ['equals', '='],
+    ['does_not_equal', '≠'],
+    ['greater_than', '>'],
+    ['greater_than_or_equal_to', '≥'],
+    ['less_than', '<'],
+    ['less_than_or_equal_to', '≤'],
+    ['between', 'between'],
+    ['is_empty', 'is empty'],
+    ['is_not_empty', 'is not empty']
+  ],
+  date: [
+    ['equals', 'is on'],
+    ['before', 'is before'],
+    ['after', 'is after'],
+    ['on_or_before', 'is on or before'],
+    ['on_or_after', 'is on or after'],
+    ['between', 'is between'],
+    ['is_empty', 'is empty'],
+    ['is_not_empty', 'is not empty']
+  ],
+  checkbox: [
+    ['equals', 'is'],
+    ['does_not_equal', 'is not']
+  ],
+  select: [
+    ['equals', 'is'],
+    ['does_not_equal', 'is not'],
+    ['is_empty', 'is empty'],
+    ['is_not_empty', 'is not empty']
+  ],
+  multi_select: [
+    ['contains', 'contains'],
+    ['does_not_contain', 'does not contain'],
+    ['is_empty', 'is empty'],
+    ['is_not_empty', 'is not empty']
+  ]
+};
+OPERATORS_BY_TYPE.status = OPERATORS_BY_TYPE.select;
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+// Convert the text typed into an input into the JSON value the API expects
+const toFilterValue = (type, value) => {
+  if (type === 'number') return value === '' ? '' : Number(value);
+  if (type === 'checkbox') return value === 'true';
+  return value;
+};
+
+// Rows for a filter made by applyFilters, so a saved view opens with its filters in the bar.
+// Conditions the bar cannot show (nested groups, unknown properties) are left out.
+const toConditions = (filter, filterable) => {
+  if (!filter) return [];
+  return (filter.and || filter.or || [filter])
+    .filter(({ property, op } = {}) => {
+      const type = filterable.find(p => p.name === property)?.type;
+      return type && OPERATORS_BY_TYPE[type].some(([value]) => value === op);
+    })
+    .map(({ property, op, value }) => ({
+      property,
+      op,
+      value: Array.isArray(value) ? value.map(v => String(v ?? '')) : String(value ?? '')
+    }));
+};
+
+// `initialFilter` is read once; remount the bar (with a new key) to show another filter
+const FilterBar = ({ properties, initialFilter = null, onApply }) => {
+  const filterable = properties.filter(p => OPERATORS_BY_TYPE[p.type]);
+  const [conditions, setConditions] = useState(() => toConditions(initialFilter, filterable));
+  const [match, setMatch] = useState(initialFilter?.or ? 'or' : 'and');
+
+  const addCondition = () => {
+    const property = filterable[0];
+    if (!property) return;
+    setConditions([...conditions, { property: property.name, op: OPERATORS_BY_TYPE[property.type][0][0], value: '' }]);
+  };
+
+  const updateCondition = (index, changes) => {
+    setConditions(conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  const removeCondition = (index) => {
+    setConditions(conditions.filter((_, i) => i !== index));
+  };
+
+  // Build { and|or: [...] } from the rows, or a single condition when there is only one
+  const applyFilters = (rows = conditions) => {
+    const typed = rows.map(({ property, op, value }) => {
+      const type = filterable.find(p => p.name === property)?.type;
+      if (op === 'is_empty' || op === 'is_not_empty') return { property, op };
+      if (op === 'between') return { property, op, value: value.map(v => toFilterValue(type, v)) };
+      return { property, op, value: toFilterValue(type, type === 'checkbox' && value === '' ? 'true' : value) };
+    });
+    if (typed.length === 0) onApply(null);
+    else if (typed.length === 1) onApply(typed[0]);
+    else onApply({ [match]: typed });
+  };
+
+  const clearFilters = () => {
+    setConditions([]);
+    applyFilters([]);
+  };
+
+  const renderValueInput = (condition, index) => {
+    const property = filterable.find(p => p.name === condition.property);
+    const { op, value } = condition;
+    if (!property || op === 'is_empty' || op === 'is_not_empty') return null;
+
+    if (op === 'between') {
+      const [from, to] = Array.isArray(value) ? value : ['', ''];
+      const type = property.type === 'date' ? 'date' : 'number';
+      return (
+        <span className="flex items-center gap-1">
+          <input type={type} value={from} onChange={(e) => updateCondition(index, { value: [e.target.value, to] })} className={inputClass} />
+          <span className="text-sm text-gray-500">and</span>
+          <input type={type} value={to} onChange={(e) => updateCondition(index, { value: [from, e.target.value] })} className={inputClass} />
+        </span>
+      );
+    }
+
+    switch (property.type) {
+      case 'select':
+      case 'status':
+      case 'multi_select':
+        return (
+          <select value={value} onChange={(e) => updateCondition(index, { value: e.target.value })} className={inputClass}>
+            <option value="">Choose...</option>
+            {(property.options || []).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'checkbox':
+        return (
+          <select value={value || 'true'} onChange={(e) => updateCondition(index, { value: e.target.value })} className={inputClass}>
+            <option value="true">Checked</option>
+            <option value="false">Unchecked</option>
+          </select>
+        );
+      case 'date':
+      case 'number':
+        return (
+          <input type={property.type} value={value} onChange={(e) => updateCondition(index, { value: e.target.value })} className={inputClass} />
+        );
+      default:
+        return (
+          <input type="text" value={value} onChange={(e) => updateCondition(index, { value: e.target.value })} placeholder="Value" className={inputClass} />
+        );
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-sm font-medium text-gray-700">Filters</h2>
+        {conditions.length > 1 && (
+          <select value={match} onChange={(e) => setMatch(e.target.value)} className={inputClass}>
+            <option value="and">Match all</option>
+            <option value="or">Match any</option>
+          </select>
+        )}
+      </div>
+      {conditions.map((condition, index) => {
+        const property = filterable.find(p => p.name === condition.property);
+        return (
+          <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+            <select
+              value={condition.property}
+              onChange={(e) => {
+                const next = filterable.find(p => p.name === e.target.value);
+                updateCondition(index, { property: next.name, op: OPERATORS_BY_TYPE[next.type][0][0], value: '' });
+              }}
+              className={inputClass}
+            >
+              {filterable.map(p => (
+                <option key={p.name} value={p.name}>{getPropertyDisplayName(p.name)}</option>
+              ))}
+            </select>
+            <select
+              value={condition.op}
+              onChange={(e) => updateCondition(index, { op: e.target.value, value: e.target.value === 'between' ? ['', ''] : '' })}
+              className={inputClass}
+            >
+              {OPERATORS_BY_TYPE[property.type].map(([op, label]) => (
+                <option key={op} value={op}>{label}</option>
+              ))}
+            </select>
+            {renderValueInput(condition, index)}
+            <button onClick={() => removeCondition(index)} className="text-sm text-red-500 hover:text-red-700">
+              Remove
+            </button>
+          </div>
+        );
+      })}
+      <div className="flex gap-4 text-sm">
+        <button onClick={addCondition} className="text-blue-600 hover:text-blue-800">+ Add filter</button>
+        <button onClick={() => applyFilters()} className="text-blue-600 hover:text-blue-800">Apply</button>
+        {conditions.length > 0 && (
+          <button onClick={clearFilters} className="text-gray-500 hover:text-gray-700">Clear</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { getPropertyDisplayName, renderPropertyValue } from './propertyUtils';
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'changed',
+  archive: 'archived',
+  restore: 'restored',
+  append: 'added content to',
+  comment: 'commented on'
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+// Formatted text is logged as [{ text, annotations, href }] segments so reverting keeps the formatting
+const isSegments = (value) => Array.isArray(value) && value.some(v => v && typeof v === 'object' && 'text' in v);
+
+const renderLoggedValue = (value, type) => (isSegments(value)
+  ? renderPropertyValue(value.map(segment => segment.text).join(''), type, value)
+  : renderPropertyValue(value, type));
+
+// Side panel listing an item's changes, newest first. Editors can put any property back to the
+// value it had before a change with onRevert(change).
+const HistoryPanel = ({ item, schema, entries, isLoading, error, canRevert, onRevert, onClose }) => {
+  const typeOf = (name) => schema.properties.find(p => p.name === name)?.type;
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-lg overflow-y-auto p-4 text-left z-10">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-medium truncate">History of {item.title || 'Untitled'}</h2>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+      </div>
+
+      {error && <p className="mb-3 p-2 bg-red-100 text-red-700 rounded-md text-sm">{error}</p>}
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes have been made to this item through the app yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {entries.map(entry => (
+            <li key={entry.id} className="py-3">
+              <div className="text-gray-600 mb-1">
+                <span className="font-medium text-gray-800">{entry.actor?.username || 'Someone'}</span>{' '}
+                {ACTION_LABELS[entry.action] || entry.action} this · {formatTime(entry.at)}
+              </div>
+              {entry.detail && <div className="text-gray-700">{entry.detail}</div>}
+              {entry.changes.length > 0 && (
+                <table className="w-full">
+                  <tbody>
+                    {entry.changes.map(change => (
+                      <tr key={change.property} className="align-top">
+                        <td className="pr-3 py-1 text-gray-500">{getPropertyDisplayName(change.property)}</td>
+                        <td className="pr-3 py-1">
+                          <span className="text-gray-400 line-through">{renderLoggedValue(change.before, typeOf(change.property))}</span>
+                          {' → '}
+                          {renderLoggedValue(change.after, typeOf(change.property))}
+                        </td>
+                        <td className="py-1 text-right">
+                          {canRevert && entry.action === 'update' && typeOf(change.property) && (
+                            <button
+                              onClick={() => onRevert(change)}
+                              title="Set this property back to its earlier value"
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              Revert
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
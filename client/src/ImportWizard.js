@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { getPropertyDisplayName } from './propertyUtils';
+
+// Property types the server can match existing rows on
+const KEY_TYPES = ['title', 'rich_text', 'number', 'email', 'url', 'phone_number', 'select', 'unique_id'];
+
+// Most row problems listed before the rest are summarized
+const MAX_LISTED_ERRORS = 20;
+
+// Import a CSV or JSON file: pick a file, check the column mapping against a dry run, then import.
+// onSubmit(options) posts to the import endpoint and resolves with { ok, data }.
+const ImportWizard = ({ schema, onSubmit, onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [upsertKey, setUpsertKey] = useState('');
+  // Latest dry run (or import) response from the server
+  const [report, setReport] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  // Send the file with the given options; `source` defaults to the file already chosen
+  const submit = async (options, source = file) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      const { ok, data } = await onSubmit({ format: source.format, content: source.content, ...options });
+      if (!ok) {
+        setError([data.error, ...(data.details || []).map(d => d.message)].filter(Boolean).join(': '));
+        return null;
+      }
+      setReport(data);
+      setMapping(data.mapping);
+      return data;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Read the chosen file and let the server suggest a mapping
+  const chooseFile = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+    const format = /\.json$/i.test(chosen.name) || chosen.type === 'application/json' ? 'json' : 'csv';
+    const next = { format, content: await chosen.text() };
+    setFile(next);
+    setReport(null);
+    setUpsertKey('');
+    setDone(false);
+    await submit({ dryRun: true }, next);
+  };
+
+  const options = () => ({ mapping, upsertKey: upsertKey || undefined });
+
+  const runImport = async () => {
+    const data = await submit({ ...options(), dryRun: false });
+    if (data) {
+      setDone(true);
+      onImported();
+    }
+  };
+
+  const writable = schema.properties.filter(p => !p.readOnly);
+  const keyOptions = [
+    ...(report?.columns.some(c => c.toLowerCase() === 'id') ? [['id', 'Page ID']] : []),
+    ...schema.properties
+      .filter(p => KEY_TYPES.includes(p.type))
+      .map(p => [p.name, getPropertyDisplayName(p.name)])
+  ];
+  const rowErrors = report ? report.results.filter(r => r.errors.length) : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mt-6 text-left">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-medium">Import</h2>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+      </div>
+
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={chooseFile} className="text-sm mb-3" />
+      {error && <p className="mb-3 p-2 bg-red-100 text-red-700 rounded-md text-sm">{error}</p>}
+
+      {report && (
+        <>
+          <table className="min-w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">Column</th>
+                <th className="py-2 pr-4">Imports into</th>
+                <th className="py-2">Sample values</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.columns.map(column => (
+                <tr key={column}>
+                  <td className="py-2 pr-4 font-medium">{column}</td>
+                  <td className="py-2 pr-4">
+                    <select
+                      value={mapping[column] || ''}
+                      onChange={(e) => setMapping({ ...mapping, [column]: e.target.value || null })}
+                      disabled={done}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                      <option value="">Don't import</option>
+                      {writable.map(p => (
+                        <option key={p.name} value={p.name}>{getPropertyDisplayName(p.name)} ({p.type})</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-gray-500 truncate">
+                    {report.preview.map(row => row[column]).filter(v => v !== '' && v !== undefined && v !== null)
+                      .slice(0, 3).map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v))).join(' · ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <label className="block text-sm text-gray-700 mb-4">
+            Existing rows{' '}
+            <select
+              value={upsertKey}
+              onChange={(e) => setUpsertKey(e.target.value)}
+              disabled={done}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              <option value="">Always create new rows</option>
+              {keyOptions.map(([value, label]) => (
+                <option key={value} value={value}>Update rows with the same {label}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="p-3 bg-gray-50 rounded-md text-sm mb-4">
+            <p className="font-medium">
+              {done ? 'Imported' : 'Dry run'}: {report.total} rows — {report.created} {done ? 'created' : 'to create'},{' '}
+              {report.updated} {done ? 'updated' : 'to update'}, {report.skipped + report.failed} with errors
+            </p>
+            {rowErrors.length > 0 && (
+              <ul className="mt-2 text-red-700 list-disc list-inside">
+                {rowErrors.slice(0, MAX_LISTED_ERRORS).map(r => (
+                  <li key={r.row}>
+                    Row {r.row}: {r.errors.map(e => (e.column ? `${e.column}: ${e.message}` : e.message)).join('; ')}
+                  </li>
+                ))}
+                {rowErrors.length > MAX_LISTED_ERRORS && <li>…and {rowErrors.length - MAX_LISTED_ERRORS} more rows</li>}
+              </ul>
+            )}
+          </div>
+
+          {!done && (
+            <div className="flex justify-end gap-3">
+              <button
+                onClick={() => submit({ ...options(), dryRun: true })}
+                disabled={isWorking}
+                className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                Check again
+              </button>
+              <button
+                onClick={runImport}
+                disabled={isWorking || report.created + report.updated === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isWorking ? 'Working...' : `Import ${report.created + report.updated} rows`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+      {!report && isWorking && <p className="text-sm text-gray-500">Reading file...</p>}
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { API_URL, apiFetch } from './api';
+
+// Sign-in form. Before any account exists (setupRequired) it creates the first admin instead.
+// onSignedIn(session) receives the server's { user, feedToken } response.
+const LoginScreen = ({ setupRequired, onSignedIn }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    setError('');
+    try {
+      const response = await apiFetch(`${API_URL}/auth/${setupRequired ? 'setup' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Sign-in failed');
+        return;
+      }
+      onSignedIn(data);
+    } catch (err) {
+      setError('Cannot reach the server. Is it running?');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white rounded-lg shadow-md p-6 text-left">
+        <h1 className="text-xl font-bold mb-1">{setupRequired ? 'Create the admin account' : 'Sign in'}</h1>
+        {setupRequired && (
+          <p className="text-sm text-gray-600 mb-4">
+            No accounts exist yet. This first account can add others from the Account panel.
+          </p>
+        )}
+        {error && <p className="mb-4 p-2 bg-red-100 text-red-700 rounded-md text-sm">{error}</p>}
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="username">Username</label>
+        <input
+          id="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          className="w-full px-3 py-2 mb-4 border border-gray-300 rounded-md"
+        />
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete={setupRequired ? 'new-password' : 'current-password'}
+          className="w-full px-3 py-2 mb-6 border border-gray-300 rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={isWorking || !username || !password}
+          className="w-full bg-blue-600 text-white font-medium py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isWorking ? 'Working...' : setupRequired ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
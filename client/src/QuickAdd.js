@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+import { getPropertyDisplayName, formatDateValue } from './propertyUtils';
+
+// Wait this long after the last keystroke before asking the server to parse
+const PARSE_DELAY_MS = 300;
+
+// Dates like "tomorrow" are read in the browser's time zone
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const TOKEN_CLASSES = {
+  date: 'bg-blue-100 text-blue-800',
+  tag: 'bg-green-100 text-green-800',
+  person: 'bg-purple-100 text-purple-800',
+  priority: 'bg-red-100 text-red-800'
+};
+
+const tokenLabel = (token) => {
+  if (token.type === 'date') return formatDateValue(token.value);
+  if (token.type === 'person') return token.value.name;
+  return token.value;
+};
+
+// One-line entry such as "Write report tomorrow 5pm #urgent @Alice !high". The server parses the
+// text as it is typed and the preview shows which properties it will fill; Enter adds the item
+// with onSubmit(properties), which resolves with whether it was added.
+const QuickAdd = ({ parseUrl, isOffline, isBusy, onSubmit }) => {
+  const [text, setText] = useState('');
+  // The parse of `preview.text`, or { text, error }
+  const [preview, setPreview] = useState(null);
+
+  const parse = useCallback(async (input) => {
+    try {
+      const response = await apiFetch(parseUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: input, timeZone: TIME_ZONE })
+      });
+      const data = await response.json();
+      return response.ok ? { ...data, text: input } : { text: input, error: data.error || `Error: ${response.status}` };
+    } catch (err) {
+      return { text: input, error: err.message };
+    }
+  }, [parseUrl]);
+
+  useEffect(() => {
+    if (!text.trim() || isOffline) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await parse(text);
+      if (!cancelled) setPreview(result);
+    }, PARSE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, isOffline, parse]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    // Enter may come before the preview has caught up with the last keystrokes
+    const result = preview?.text === text ? preview : await parse(text);
+    setPreview(result);
+    if (result.error || !result.title) return;
+    if (await onSubmit(result.properties)) {
+      setText('');
+      setPreview(null);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="quick-add">Quick add</label>
+      <div className="flex gap-2">
+        <input
+          id="quick-add"
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={isOffline}
+          placeholder={isOffline ? 'Quick add needs a connection; use the fields below' : 'Write report tomorrow 5pm #urgent @Alice !high'}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={isOffline || isBusy || !text.trim() || Boolean(preview && preview.text === text && (preview.error || !preview.title))}
+          className="bg-blue-600 text-white font-medium py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+      {preview && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          {preview.error ? (
+            <span className="text-red-700">{preview.error}</span>
+          ) : (
+            <>
+              <span className="font-medium">{preview.title || <span className="text-gray-400">No title</span>}</span>
+              {preview.tokens.map((token, index) => (
+                <span key={index} className={`px-2 py-0.5 rounded ${TOKEN_CLASSES[token.type] || 'bg-gray-100'}`} title={`From "${token.text}"`}>
+                  {getPropertyDisplayName(token.property)}: {tokenLabel(token)}
+                </span>
+              ))}
+              {preview.warnings.map(warning => (
+                <span key={warning} className="text-yellow-700">{warning}</span>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default QuickAdd;
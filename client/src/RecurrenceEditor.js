@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './api';
+
+const FREQUENCIES = [
+  ['', 'Does not repeat'],
+  ['DAILY', 'Daily'],
+  ['WEEKLY', 'Weekly'],
+  ['MONTHLY', 'Monthly'],
+  ['YEARLY', 'Yearly']
+];
+const UNITS = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+// In the order they appear in rules built here, Monday first
+const WEEKDAYS = [['MO', 'Mon'], ['TU', 'Tue'], ['WE', 'Wed'], ['TH', 'Thu'], ['FR', 'Fri'], ['SA', 'Sat'], ['SU', 'Sun']];
+const ORDINALS = [['1', 'First'], ['2', 'Second'], ['3', 'Third'], ['4', 'Fourth'], ['-1', 'Last']];
+
+// Wait this long after the last keystroke before asking the server for a preview
+const PREVIEW_DELAY_MS = 300;
+
+// The editor's fields for a rule string such as "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+const formFromRule = (rule) => {
+  const parts = Object.fromEntries((rule || '').split(';').filter(Boolean).map(part => part.split('=')));
+  const numbered = /^(-?\d)([A-Z]{2})$/.exec(parts.BYDAY || '');
+  return {
+    freq: parts.FREQ || '',
+    interval: parts.INTERVAL || '1',
+    weekdays: parts.FREQ === 'WEEKLY' && parts.BYDAY ? parts.BYDAY.split(',') : [],
+    monthly: numbered ? 'weekday' : parts.BYMONTHDAY === '-1' ? 'last' : 'day',
+    ordinal: numbered ? numbered[1] : '1',
+    weekday: numbered ? numbered[2] : 'MO',
+    ends: parts.COUNT ? 'count' : parts.UNTIL ? 'until' : 'never',
+    count: parts.COUNT || '5',
+    until: parts.UNTIL || ''
+  };
+};
+
+// The rule string for the editor's fields, in the same canonical form the server stores
+const buildRule = (form) => {
+  if (!form.freq) return '';
+  const parts = [`FREQ=${form.freq}`];
+  if (Number(form.interval) > 1) parts.push(`INTERVAL=${Number(form.interval)}`);
+  if (form.freq === 'WEEKLY' && form.weekdays.length) {
+    parts.push(`BYDAY=${WEEKDAYS.map(([day]) => day).filter(day => form.weekdays.includes(day)).join(',')}`);
+  }
+  if (form.freq === 'MONTHLY' && form.monthly === 'weekday') parts.push(`BYDAY=${form.ordinal}${form.weekday}`);
+  if (form.freq === 'MONTHLY' && form.monthly === 'last') parts.push('BYMONTHDAY=-1');
+  if (form.ends === 'count') parts.push(`COUNT=${form.count}`);
+  if (form.ends === 'until' && form.until) parts.push(`UNTIL=${form.until}`);
+  return parts.join(';');
+};
+
+// Rules the fields cannot represent are edited as text instead
+const fitsForm = (rule) => !rule || buildRule(formFromRule(rule)) === rule;
+
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+});
+
+// Shows how an item repeats and the next few dates. Editors can change the rule with simple
+// fields or as RRULE text; either way the dates it would produce are previewed before saving.
+const RecurrenceEditor = ({ recurrenceUrl, previewUrl, canEdit }) => {
+  // The saved recurrence as returned by the server
+  const [saved, setSaved] = useState(null);
+  const [form, setForm] = useState(() => formFromRule(''));
+  const [isCustom, setIsCustom] = useState(false);
+  const [customText, setCustomText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const applySaved = (data) => {
+    setSaved(data);
+    setForm(formFromRule(data.rule));
+    setIsCustom(!fitsForm(data.rule));
+    setCustomText(data.rule || '');
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await apiFetch(recurrenceUrl);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Error: ${response.status}`);
+        if (!cancelled) applySaved(data);
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load recurrence: ${err.message}`);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [recurrenceUrl]);
+
+  const rule = isCustom ? customText.trim() : buildRule(form);
+  const isDirty = saved !== null && rule !== (saved.rule || '');
+
+  // Preview whatever is in the editor, counted from the item's due date
+  useEffect(() => {
+    if (!saved || !rule || !isDirty) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ rule, start: saved.start });
+        const response = await apiFetch(`${previewUrl}?${params}`);
+        const data = await response.json();
+        if (!cancelled) setPreview(response.ok ? data : { error: data.error || `Error: ${response.status}` });
+      } catch (err) {
+        if (!cancelled) setPreview({ error: err.message });
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [rule, isDirty, saved, previewUrl]);
+
+  const save = async (nextRule) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(recurrenceUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rule: nextRule || null })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Error: ${response.status}`);
+      applySaved(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+  const toggleWeekday = (day) => update({
+    weekdays: form.weekdays.includes(day) ? form.weekdays.filter(d => d !== day) : [...form.weekdays, day]
+  });
+
+  if (!saved) {
+    return error ? <p className="text-sm text-red-700">{error}</p> : <p className="text-sm text-gray-500">Loading...</p>;
+  }
+
+  // The preview for unsaved edits, otherwise what is saved
+  const shown = isDirty ? preview : saved;
+
+  return (
+    <div className="text-sm">
+      {error && <p className="mb-2 p-2 bg-red-100 text-red-700 rounded-md">{error}</p>}
+      {saved.error && <p className="mb-2 text-red-700">The saved rule "{saved.rule}" is invalid: {saved.error}</p>}
+
+      {canEdit && (
+        <div className="space-y-2 mb-3">
+          {isCustom ? (
+            <input
+              type="text"
+              value={customText}
+              onChange={(e) => setCustomText(e.target.value)}
+              placeholder="FREQ=WEEKLY;BYDAY=MO,TH"
+              className="w-full px-2 py-1 border border-gray-300 rounded-md font-mono"
+            />
+          ) : (
+            <>
+              <div className="flex items-center gap-2">
+                <select
+                  value={form.freq}
+                  onChange={(e) => update({ freq: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md"
+                >
+                  {FREQUENCIES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                {form.freq && (
+                  <label className="flex items-center gap-1">
+                    every
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.interval}
+                      onChange={(e) => update({ interval: e.target.value })}
+                      className="w-16 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    {UNITS[form.freq]}
+                  </label>
+                )}
+              </div>
+
+              {form.freq === 'WEEKLY' && (
+                <div className="flex flex-wrap gap-1">
+                  {WEEKDAYS.map(([day, label]) => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleWeekday(day)}
+                      className={`px-2 py-1 rounded-md border ${form.weekdays.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 hover:bg-gray-100'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  {form.weekdays.length === 0 && <span className="self-center text-gray-500">on the due date's weekday</span>}
+                </div>
+              )}
+
+              {form.freq === 'MONTHLY' && (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={form.monthly}
+                    onChange={(e) => update({ monthly: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  >
+                    <option value="day">On the due date's day of the month</option>
+                    <option value="weekday">On a weekday of the month</option>
+                    <option value="last">On the last day of the month</option>
+                  </select>
+                  {form.monthly === 'weekday' && (
+                    <>
+                      <select
+                        value={form.ordinal}
+                        onChange={(e) => update({ ordinal: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        {ORDINALS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                      <select
+                        value={form.weekday}
+                        onChange={(e) => update({ weekday: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        {WEEKDAYS.map(([day, label]) => <option key={day} value={day}>{label}</option>)}
+                      </select>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {form.freq && (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={form.ends}
+                    onChange={(e) => update({ ends: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  >
+                    <option value="never">Never ends</option>
+                    <option value="count">Ends after</option>
+                    <option value="until">Ends on</option>
+                  </select>
+                  {form.ends === 'count' && (
+                    <label className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.count}
+                        onChange={(e) => update({ count: e.target.value })}
+                        className="w-16 px-2 py-1 border border-gray-300 rounded-md"
+                      />
+                      occurrences
+                    </label>
+                  )}
+                  {form.ends === 'until' && (
+                    <input
+                      type="date"
+                      value={form.until}
+                      onChange={(e) => update({ until: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => save(rule)}
+              disabled={isSaving || !isDirty || Boolean(preview?.error)}
+              className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {rule ? 'Save' : 'Stop repeating'}
+            </button>
+            {isDirty && (
+              <button type="button" onClick={() => applySaved(saved)} className="text-gray-500 hover:text-gray-700">
+                Cancel
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => {
+                // Switching back to the fields only keeps text they can represent
+                if (isCustom && fitsForm(customText.trim())) setForm(formFromRule(customText.trim()));
+                else if (!isCustom) setCustomText(rule);
+                setIsCustom(!isCustom);
+              }}
+              disabled={isCustom && !fitsForm(customText.trim())}
+              title={isCustom && !fitsForm(customText.trim()) ? 'This rule can only be edited as text' : undefined}
+              className="ml-auto text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {isCustom ? 'Use simple fields' : 'Edit as rule text'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!rule && !isDirty ? (
+        <p className="text-gray-500">Does not repeat.</p>
+      ) : shown?.error && isDirty ? (
+        <p className="text-red-700">{shown.error}</p>
+      ) : shown?.description ? (
+        <div>
+          <p className="mb-1">
+            {shown.description}
+            {isDirty && <span className="text-gray-500"> (not saved)</span>}
+          </p>
+          {shown.occurrences.length > 0 ? (
+            <>
+              <p className="text-gray-500">After {formatDay(shown.start)}, the next instances are due:</p>
+              <ul className="list-disc ml-5">
+                {shown.occurrences.map(day => <li key={day}>{formatDay(day)}</li>)}
+              </ul>
+            </>
+          ) : (
+            <p className="text-gray-500">No more occurrences after {formatDay(shown.start)}.</p>
+          )}
+        </div>
+      ) : isDirty && rule ? (
+        <p className="text-gray-500">Loading preview...</p>
+      ) : null}
+      <p className="mt-2 text-xs text-gray-400">
+        {saved.storage === 'property'
+          ? `Saved in the ${saved.property} property.`
+          : saved.property
+            ? `Saved on this server, since ${saved.property} options cannot contain the commas in this rule.`
+            : 'Saved on this server, since the database has no recurrence property.'}
+        {' '}Completing the item creates the next instance{saved.dateProperty ? ` with ${saved.dateProperty} moved forward` : ''}.
+      </p>
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
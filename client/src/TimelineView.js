@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { UndatedList } from './CalendarView';
+import { todayKey, addDays, daysBetween, startOfWeek, parseDateKey, getDayRange, shiftDateValue } from './dateUtils';
+
+const DAY_WIDTH = 32;
+const VISIBLE_WEEKS = 6;
+
+// Gantt-style timeline of items by one date property. Dragging a bar moves its range and
+// dragging either end resizes it; the result is passed to onChangeDate(item, newValue).
+const TimelineView = ({ items, dateProperty, onChangeDate }) => {
+  const [firstDay, setFirstDay] = useState(() => addDays(startOfWeek(todayKey()), -7));
+  // Bar being dragged with the mouse: { itemId, edge: 'both' | 'start' | 'end', originX, days }
+  const [resize, setResize] = useState(null);
+  // Item dragged in from the undated list
+  const [dragItemId, setDragItemId] = useState(null);
+
+  const today = todayKey();
+  const days = Array.from({ length: VISIBLE_WEEKS * 7 }, (_, i) => addDays(firstDay, i));
+
+  const dated = [];
+  const undated = [];
+  items.forEach(item => {
+    const range = getDayRange(item.properties[dateProperty]);
+    if (range) dated.push({ item, range });
+    else undated.push(item);
+  });
+  dated.sort((a, b) => (a.range.start < b.range.start ? -1 : a.range.start > b.range.start ? 1 : 0));
+
+  // Track the pointer on the whole document so a drag keeps working when it leaves the bar
+  useEffect(() => {
+    if (!resize) return;
+    const handleMove = (e) => {
+      setResize(current => current && { ...current, days: Math.round((e.clientX - current.originX) / DAY_WIDTH) });
+    };
+    const handleUp = () => {
+      const item = items.find(i => i.id === resize.itemId);
+      if (item && resize.days !== 0) {
+        onChangeDate(item, shiftDateValue(item.properties[dateProperty], resize.days, resize.edge));
+      }
+      setResize(null);
+    };
+    document.addEventListener('mousemove', handleMove);
+    document.addEventListener('mouseup', handleUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMove);
+      document.removeEventListener('mouseup', handleUp);
+    };
+  }, [resize, items, dateProperty, onChangeDate]);
+
+  const startResize = (e, itemId, edge) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setResize({ itemId, edge, originX: e.clientX, days: 0 });
+  };
+
+  const handleDropOnDay = (day) => {
+    const item = items.find(i => i.id === dragItemId);
+    setDragItemId(null);
+    if (item) onChangeDate(item, { start: day, end: null, timeZone: null });
+  };
+
+  // Range of an item with any in-progress drag applied
+  const displayRange = ({ item, range }) => {
+    if (!resize || resize.itemId !== item.id) return range;
+    return getDayRange(shiftDateValue(item.properties[dateProperty], resize.days, resize.edge));
+  };
+
+  return (
+    <div className="flex gap-4 p-4">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2 mb-3 text-sm">
+          <button onClick={() => setFirstDay(addDays(firstDay, -7))} className="px-2 py-1 border border-gray-300 rounded-md">‹</button>
+          <button onClick={() => setFirstDay(addDays(startOfWeek(today), -7))} className="px-2 py-1 border border-gray-300 rounded-md">Today</button>
+          <button onClick={() => setFirstDay(addDays(firstDay, 7))} className="px-2 py-1 border border-gray-300 rounded-md">›</button>
+        </div>
+        <div className="overflow-x-auto text-left">
+          <div style={{ width: 200 + days.length * DAY_WIDTH }}>
+            <div className="flex border-b border-gray-200">
+              <div className="flex-shrink-0 text-xs font-medium text-gray-500 px-2 py-1" style={{ width: 200 }}>Item</div>
+              {days.map(day => (
+                <div
+                  key={day}
+                  onDragOver={(e) => dragItemId && e.preventDefault()}
+                  onDrop={() => handleDropOnDay(day)}
+                  className={`flex-shrink-0 text-center text-xs py-1 ${day === today ? 'font-bold text-blue-600' : 'text-gray-500'} ${
+                    parseDateKey(day).getDay() === 0 ? 'border-l border-gray-200' : ''
+                  }`}
+                  style={{ width: DAY_WIDTH }}
+                  title={parseDateKey(day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                >
+                  {parseDateKey(day).getDate()}
+                </div>
+              ))}
+            </div>
+            {dated.map(entry => {
+              const { item } = entry;
+              const range = displayRange(entry);
+              const offset = daysBetween(firstDay, range.start);
+              const length = daysBetween(range.start, range.end) + 1;
+              const visibleStart = Math.max(offset, 0);
+              const visibleEnd = Math.min(offset + length, days.length);
+              return (
+                <div key={item.id} className="flex items-center border-b border-gray-100 h-8">
+                  <div className="flex-shrink-0 text-xs px-2 truncate" style={{ width: 200 }} title={item.title}>
+                    {item.title}
+                  </div>
+                  <div className="relative h-full" style={{ width: days.length * DAY_WIDTH }}>
+                    {visibleEnd > visibleStart && (
+                      <div
+                        onMouseDown={(e) => startResize(e, item.id, 'both')}
+                        className={`absolute top-1 bottom-1 rounded cursor-move select-none ${
+                          item.completed ? 'bg-green-300' : 'bg-blue-400'
+                        }`}
+                        style={{ left: visibleStart * DAY_WIDTH, width: (visibleEnd - visibleStart) * DAY_WIDTH }}
+                      >
+                        <div onMouseDown={(e) => startResize(e, item.id, 'start')} className="absolute left-0 top-0 bottom-0 w-2 cursor-ew-resize" />
+                        <div onMouseDown={(e) => startResize(e, item.id, 'end')} className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize" />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+      <UndatedList items={undated} onDragStart={setDragItemId} />
+    </div>
+  );
+};
+
+export default TimelineView;
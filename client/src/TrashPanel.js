@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+// Recently archived items with per-item and bulk restore. onRestore(ids) does the restoring.
+const TrashPanel = ({ entries, isLoading, onRestore, onClose }) => {
+  const [selected, setSelected] = useState(() => new Set());
+  
+  const toggle = (id) => setSelected(current => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  
+  const restore = (ids) => {
+    setSelected(current => new Set([...current].filter(id => !ids.includes(id))));
+    onRestore(ids);
+  };
+  
+  // Entries restored elsewhere (e.g. through undo) drop out of the selection
+  const selectedIds = entries.filter(entry => selected.has(entry.id)).map(entry => entry.id);
+  
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mt-6 text-left">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-medium">Trash</h2>
+        <div className="flex items-center gap-3 text-sm">
+          <button
+            onClick={() => restore(selectedIds)}
+            disabled={selectedIds.length === 0}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Restore selected{selectedIds.length ? ` (${selectedIds.length})` : ''}
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+        </div>
+      </div>
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading archived items...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing archived in the last 30 days.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex items-center gap-3 py-2 text-sm">
+              <input
+                type="checkbox"
+                checked={selected.has(entry.id)}
+                onChange={() => toggle(entry.id)}
+                aria-label={`Select ${entry.title || 'Untitled'}`}
+                className="h-4 w-4"
+              />
+              <span className="flex-1 truncate">{entry.title || 'Untitled'}</span>
+              <span className="text-gray-400">
+                Archived {new Date(entry.archivedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+              </span>
+              <button onClick={() => restore([entry.id])} className="text-blue-600 hover:text-blue-800">
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashPanel;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+// Saved views of the database as tabs, with "All items" for the app's defaults. `isModified` says
+// whether what is on screen differs from the active view. onCreate(name) and onRename(view, name)
+// resolve with the reason the server refused, or '' when the view was saved.
+const ViewTabs = ({ views, activeViewId, isModified, canEdit, onSelect, onSave, onCreate, onRename, onDelete }) => {
+  // 'create' or 'rename' while the name input is open
+  const [naming, setNaming] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const activeView = views.find(view => view.id === activeViewId);
+
+  const startNaming = (mode) => {
+    setNaming(mode);
+    setName(mode === 'rename' ? activeView.name : '');
+    setError('');
+  };
+
+  const submitName = async () => {
+    setIsSaving(true);
+    const message = naming === 'rename' ? await onRename(activeView, name) : await onCreate(name);
+    setIsSaving(false);
+    if (message) setError(message);
+    else setNaming(null);
+  };
+
+  const tabClass = (isActive) => `px-3 py-2 -mb-px border-b-2 whitespace-nowrap ${
+    isActive ? 'border-blue-600 text-blue-700 font-medium' : 'border-transparent text-gray-600 hover:text-gray-800'
+  }`;
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-end gap-1 border-b border-gray-200 overflow-x-auto">
+        <button onClick={() => onSelect(null)} className={tabClass(!activeView)}>
+          All items
+        </button>
+        {views.map(view => (
+          <button key={view.id} onClick={() => onSelect(view)} className={tabClass(view.id === activeViewId)}>
+            {view.name}
+            {view.id === activeViewId && isModified && <span className="text-gray-400" title="Unsaved changes"> •</span>}
+          </button>
+        ))}
+        {canEdit && !naming && (
+          <div className="ml-auto flex items-center gap-3 pb-2 whitespace-nowrap">
+            {activeView && isModified && (
+              <button onClick={onSave} className="text-blue-600 hover:text-blue-800">Save view</button>
+            )}
+            <button onClick={() => startNaming('create')} className="text-blue-600 hover:text-blue-800">
+              + New view
+            </button>
+            {activeView && (
+              <>
+                <button onClick={() => startNaming('rename')} className="text-gray-500 hover:text-gray-700">Rename</button>
+                <button onClick={() => onDelete(activeView)} className="text-red-500 hover:text-red-700">Delete</button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+      {naming && (
+        <div className="flex items-center gap-2 mt-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitName();
+              else if (e.key === 'Escape') setNaming(null);
+            }}
+            placeholder={naming === 'create' ? 'Name of the new view' : 'View name'}
+            autoFocus
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <button
+            onClick={submitName}
+            disabled={isSaving || !name.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {naming === 'create' ? 'Create' : 'Rename'}
+          </button>
+          <button onClick={() => setNaming(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+          {naming === 'create' && (
+            <span className="text-gray-500">Saves the current filters, sorts, columns and layout.</span>
+          )}
+        </div>
+      )}
+      {naming && error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ViewTabs;
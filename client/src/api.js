@@ -0,0 +1,22 @@
+// Requests to the API server. The session cookie goes along with every request, and changes carry
+// the X-Requested-With header the server asks for. A 401 means the session ended.
+
+export const API_URL = 'http://localhost:3001/api';
+
+let signedOutHandler = () => {};
+
+// Called with no arguments whenever a request comes back 401
+export const onSignedOut = (handler) => {
+  signedOutHandler = handler;
+};
+
+export const apiFetch = async (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const response = await fetch(url, {
+    ...options,
+    credentials: 'include',
+    headers: method === 'GET' ? options.headers : { 'X-Requested-With': 'fetch', ...options.headers },
+  });
+  if (response.status === 401 && !url.startsWith(`${API_URL}/auth/`)) signedOutHandler();
+  return response;
+};
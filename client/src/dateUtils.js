@@ -0,0 +1,60 @@
+// Date helpers for the calendar and timeline views. Days are handled as "YYYY-MM-DD" keys in
+// local time; a value's time and UTC offset, if any, are carried along untouched.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const todayKey = () => toDateKey(new Date());
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+// Rounded, so a daylight saving change in between does not leave a fraction of a day
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / (24 * 60 * 60 * 1000));
+
+export const startOfWeek = (key) => addDays(key, -parseDateKey(key).getDay());
+
+export const startOfMonth = (key) => `${key.slice(0, 7)}-01`;
+
+export const addMonths = (key, months) => {
+  const date = parseDateKey(startOfMonth(key));
+  date.setMonth(date.getMonth() + months);
+  return toDateKey(date);
+};
+
+// First and last day covered by a { start, end } date value, or null when it has no start
+export const getDayRange = (value) => {
+  if (!value || typeof value !== 'object' || !value.start) return null;
+  const start = value.start.slice(0, 10);
+  const end = value.end ? value.end.slice(0, 10) : start;
+  return { start, end: end < start ? start : end };
+};
+
+const shiftIso = (iso, days) => `${addDays(iso.slice(0, 10), days)}${iso.slice(10)}`;
+
+// Move a date value by whole days. `edge` is 'both' to move the range, or 'start' / 'end' to
+// resize it; a resized edge never crosses the other one.
+export const shiftDateValue = (value, days, edge = 'both') => {
+  if (edge === 'both') {
+    return { ...value, start: shiftIso(value.start, days), end: value.end ? shiftIso(value.end, days) : null };
+  }
+  const end = value.end || value.start;
+  if (edge === 'start') {
+    const start = shiftIso(value.start, days);
+    const clamped = start.slice(0, 10) > end.slice(0, 10) ? end : start;
+    return { ...value, start: clamped, end: clamped === end ? null : end };
+  }
+  const newEnd = shiftIso(end, days);
+  const clamped = newEnd.slice(0, 10) < value.start.slice(0, 10) ? value.start : newEnd;
+  return { ...value, end: clamped === value.start ? null : clamped };
+};
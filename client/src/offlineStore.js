@@ -0,0 +1,65 @@
+// IndexedDB storage for working offline: the last loaded schema and items of each database,
+// and the queue of changes waiting to be sent to the server.
+
+const DB_NAME = 'notion-manager';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const MUTATION_STORE = 'mutations';
+
+// Prefix of IDs given to items created while offline, until the server assigns a real one
+export const TEMP_ID_PREFIX = 'offline-';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CACHE_STORE);
+        db.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allows storage
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `work(store)` in a transaction and resolve with the result of the request it returns
+const withStore = async (storeName, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const readCache = (key) => withStore(CACHE_STORE, 'readonly', store => store.get(key));
+
+export const writeCache = (key, value) => withStore(CACHE_STORE, 'readwrite', store => store.put(value, key));
+
+// Queued changes look like { id, dbUrl, type: 'create' | 'update' | 'delete', itemId, properties,
+// expectedLastEditedTime, queuedAt, conflict? }. They are replayed in `id` order.
+export const queueMutation = (mutation) => withStore(MUTATION_STORE, 'readwrite', store => store.add({ ...mutation, queuedAt: new Date().toISOString() }));
+
+export const listMutations = () => withStore(MUTATION_STORE, 'readonly', store => store.getAll());
+
+export const updateMutation = (mutation) => withStore(MUTATION_STORE, 'readwrite', store => store.put(mutation));
+
+export const removeMutation = (id) => withStore(MUTATION_STORE, 'readwrite', store => store.delete(id));
+
+// Apply `changes` to every queued change for an item, e.g. the real ID of an item created offline
+// or the edit time a replayed change left it with
+export const updateQueuedForItem = async (itemId, changes) => {
+  const mutations = await listMutations();
+  await Promise.all(mutations
+    .filter(mutation => mutation.itemId === itemId)
+    .map(mutation => updateMutation({ ...mutation, ...changes })));
+};
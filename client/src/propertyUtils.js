@@ -0,0 +1,141 @@
+import React from 'react';
+
+// Helpers for presenting Notion properties, shared by the table and its toolbars
+
+// Get property display name
+export const getPropertyDisplayName = (name) => {
+  return name
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// Format date to readable format. Date-only values are read as local dates so they do not
+// shift a day in time zones west of UTC; values with a time also show the time.
+export const formatDate = (dateStr) => {
+  if (!dateStr) return '';
+  
+  try {
+    const hasTime = String(dateStr).includes('T');
+    const date = new Date(hasTime ? dateStr : `${dateStr}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return dateStr;
+    return date.toLocaleString('en-US', { 
+      year: 'numeric', 
+      month: 'short', 
+      day: 'numeric',
+      ...(hasTime ? { hour: 'numeric', minute: '2-digit' } : {})
+    });
+  } catch (e) {
+    return dateStr;
+  }
+};
+
+// Format a { start, end, timeZone } date value, or a bare date string
+export const formatDateValue = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return formatDate(value);
+  const range = value.end ? `${formatDate(value.start)} → ${formatDate(value.end)}` : formatDate(value.start);
+  return value.timeZone ? `${range} (${value.timeZone})` : range;
+};
+
+// The UTC offset at the end of an ISO timestamp ("Z", "+02:00"), so edited times keep it
+export const timeOffset = (isoString) => {
+  const match = String(isoString || '').match(/(Z|[+-]\d{2}:\d{2})$/);
+  return match ? match[1] : '';
+};
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const linkClass = 'text-blue-600 underline';
+
+const RICH_TEXT_CLASSES = {
+  bold: 'font-bold',
+  italic: 'italic',
+  strikethrough: 'line-through',
+  underline: 'underline',
+  code: 'font-mono bg-gray-100 px-1 rounded'
+};
+
+// Render [{ text, annotations, href }] segments with their formatting
+export const renderRichText = (segments) => segments.map((segment, i) => {
+  const classes = Object.keys(segment.annotations || {})
+    .filter(key => RICH_TEXT_CLASSES[key])
+    .map(key => RICH_TEXT_CLASSES[key])
+    .join(' ');
+  const style = segment.annotations?.color && !segment.annotations.color.endsWith('_background')
+    ? { color: segment.annotations.color }
+    : undefined;
+  return segment.href ? (
+    <a key={i} href={segment.href} target="_blank" rel="noopener noreferrer" onClick={stopPropagation} className={`${linkClass} ${classes}`} style={style}>
+      {segment.text}
+    </a>
+  ) : (
+    <span key={i} className={classes} style={style}>{segment.text}</span>
+  );
+});
+
+// Plain text for values nested inside formulas, rollups and lists
+const valueToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(valueToText).filter(Boolean).join(', ');
+  if (typeof value === 'boolean') return value ? '✓' : '';
+  if (typeof value === 'object') return value.name || (value.start ? formatDateValue(value) : value.url || '');
+  return String(value);
+};
+
+// Render property value. `richText` holds formatted segments for title and text properties.
+export const renderPropertyValue = (value, type, richText) => {
+  if (value === null || value === undefined) return '—';
+  
+  if (richText && (type === 'title' || type === 'rich_text')) {
+    return renderRichText(richText);
+  }
+  
+  switch (type) {
+    case 'date':
+      return formatDateValue(value);
+    
+    case 'created_time':
+    case 'last_edited_time':
+      return formatDate(value);
+    
+    case 'checkbox':
+      return value ? '✓' : '—';
+    
+    case 'url':
+      return (
+        <a 
+          href={value} 
+          target="_blank" 
+          rel="noopener noreferrer"
+          onClick={stopPropagation}
+          className={linkClass}
+        >
+          Link
+        </a>
+      );
+    
+    case 'email':
+      return <a href={`mailto:${value}`} onClick={stopPropagation} className={linkClass}>{value}</a>;
+    
+    case 'phone_number':
+      return <a href={`tel:${value}`} onClick={stopPropagation} className={linkClass}>{value}</a>;
+    
+    case 'relation':
+      return value.length ? `${value.length} linked` : '—';
+    
+    case 'files':
+      if (!value.length) return '—';
+      return value.map((file, i) => (
+        <React.Fragment key={file.url || i}>
+          {i > 0 && ', '}
+          <a href={file.url} target="_blank" rel="noopener noreferrer" onClick={stopPropagation} className={linkClass}>
+            {file.name}
+          </a>
+        </React.Fragment>
+      ));
+    
+    default:
+      return valueToText(value) || '—';
+  }
+};
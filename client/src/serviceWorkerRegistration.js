@@ -0,0 +1,59 @@
+// Registers the service worker in production builds so the app can be installed and opened offline.
+// Development builds skip it, since a cached app shell gets in the way of live reloading.
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  
+  // The service worker has to come from the same origin as the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+  
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      // Serving an old build on localhost leaves a stale worker behind; drop it if the file is gone
+      fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+        .then(response => {
+          const contentType = response.headers.get('content-type');
+          if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+            return navigator.serviceWorker.ready.then(registration => registration.unregister());
+          }
+          return registerValidSW(swUrl);
+        })
+        .catch(() => console.log('No internet connection found. App is running in offline mode.'));
+    } else {
+      registerValidSW(swUrl);
+    }
+  });
+}
+
+function registerValidSW(swUrl) {
+  return navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            console.log('A new version is available and will be used when all tabs of the app are closed.');
+          }
+        };
+      };
+    })
+    .catch(error => console.error('Error during service worker registration:', error));
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(error => console.error(error.message));
+  }
+}
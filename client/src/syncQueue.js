@@ -0,0 +1,46 @@
+// Sending queued item changes to the server, telling "unreachable" apart from real failures
+
+import { apiFetch } from './api';
+
+// Statuses meaning the server is up but Notion is not (or the server is restarting)
+const UNREACHABLE_STATUSES = [503, 504];
+
+export const isUnreachableStatus = (status) => UNREACHABLE_STATUSES.includes(status);
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Send one queued change ({ dbUrl, type, itemId, properties, expectedLastEditedTime }).
+// Resolves with { status, httpStatus, data } where status is
+//   'ok'        the server applied it
+//   'conflict'  the item changed in Notion since expectedLastEditedTime; data has the current item
+//   'offline'   the server or Notion could not be reached; try again later
+//   'error'     the server refused it
+export const performMutation = async ({ dbUrl, type, itemId, properties, expectedLastEditedTime }) => {
+  let response;
+  try {
+    if (type === 'create') {
+      response = await apiFetch(`${dbUrl}/tasks`, {
+        method: 'POST',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ properties }),
+      });
+    } else if (type === 'update') {
+      response = await apiFetch(`${dbUrl}/tasks/${itemId}`, {
+        method: 'PATCH',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ properties, ...(expectedLastEditedTime ? { expectedLastEditedTime } : {}) }),
+      });
+    } else {
+      const query = expectedLastEditedTime ? `?${new URLSearchParams({ expectedLastEditedTime })}` : '';
+      response = await apiFetch(`${dbUrl}/tasks/${itemId}${query}`, { method: 'DELETE' });
+    }
+  } catch (err) {
+    // fetch only rejects when no response arrived at all
+    return { status: 'offline' };
+  }
+  
+  if (isUnreachableStatus(response.status)) return { status: 'offline', httpStatus: response.status };
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 409 && data.code === 'edit_conflict') return { status: 'conflict', httpStatus: 409, data };
+  return { status: response.ok ? 'ok' : 'error', httpStatus: response.status, data };
+};
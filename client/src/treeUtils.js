@@ -0,0 +1,41 @@
+// Helpers for showing the subtask tree from GET /tasks/tree as table rows
+
+// Rows in tree order: each node without its nested subtasks, plus its depth and the IDs of its
+// subtasks. Every other field (parent, blockedBy, blocking, progress) is kept as sent.
+export const flattenTree = (nodes, depth = 0) => nodes.flatMap(({ subtasks = [], ...item }) => [
+  { ...item, depth, subtaskIds: subtasks.map(subtask => subtask.id) },
+  ...flattenTree(subtasks, depth + 1)
+]);
+
+// Whether a row sits below a collapsed row. `byId` maps IDs to the loaded rows.
+export const isInCollapsed = (item, byId, collapsedIds) => {
+  const seen = new Set();
+  let parentId = item.parent?.id;
+  while (parentId && byId.has(parentId) && !seen.has(parentId)) {
+    if (collapsedIds.has(parentId)) return true;
+    seen.add(parentId);
+    parentId = byId.get(parentId).parent?.id;
+  }
+  return false;
+};
+
+// Rows after item `id` became `completed`: the progress of the rows above it and the links
+// other rows hold to it are updated to match
+export const applyCompletion = (items, id, completed) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const ancestors = new Set();
+  let parentId = byId.get(id)?.parent?.id;
+  while (parentId && byId.has(parentId) && !ancestors.has(parentId)) {
+    ancestors.add(parentId);
+    parentId = byId.get(parentId).parent?.id;
+  }
+  const relink = (links) => links?.map(link => (link.id === id ? { ...link, completed } : link));
+  return items.map(item => {
+    const next = { ...item, blockedBy: relink(item.blockedBy), blocking: relink(item.blocking) };
+    if (item.parent?.id === id) next.parent = { ...item.parent, completed };
+    if (ancestors.has(item.id) && item.progress) {
+      next.progress = { ...item.progress, completed: item.progress.completed + (completed ? 1 : -1) };
+    }
+    return next;
+  });
+};
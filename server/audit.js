@@ -0,0 +1,52 @@
+// audit.js - Who changed what: a log of every change made through this server
+const crypto = require('crypto');
+
+// The newest MAX_ENTRIES entries are kept across all databases
+const MAX_ENTRIES = 20000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const ACTIONS = ['create', 'update', 'archive', 'restore', 'append', 'comment'];
+
+// A property's value in the form it can be written back: formatted text keeps its segments
+const writableValue = (item, name) => item?.richText?.[name] ?? item?.properties[name] ?? null;
+
+// { property, before, after } for each of `names` whose value differs between the two items.
+// Either item may be null (before a create, or when Notion did not return the page).
+function diffProperties(before, after, names) {
+  return names
+    .map(property => ({ property, before: writableValue(before, property), after: writableValue(after, property) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+// Entries look like { id, at, action, actor: { id, username }, databaseId, pageId, title,
+// changes: [{ property, before, after }], detail? }. Page content and comments ('append' and
+// 'comment') have no property changes; `detail` summarizes them instead. `store` is a JSON lines
+// store (see createJsonLinesStore), so recording an entry only appends it to the file.
+function createAuditLog(store) {
+  const record = (entry) => store.append({ id: crypto.randomUUID(), at: new Date().toISOString(), ...entry });
+
+  // Entries matching every given filter, newest first. `before` is an entry ID to page past.
+  // Resolves with { entries, nextCursor }.
+  const list = async ({ databaseId, pageId, actor, action, property, since, until, before, limit } = {}) => {
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    let entries = [...(await store.read())].reverse();
+    if (before) {
+      const index = entries.findIndex(entry => entry.id === before);
+      entries = index === -1 ? [] : entries.slice(index + 1);
+    }
+    const matches = entries.filter(entry => (!databaseId || entry.databaseId === databaseId)
+      && (!pageId || entry.pageId === pageId)
+      && (!actor || entry.actor?.id === actor || entry.actor?.username === actor)
+      && (!action || entry.action === action)
+      && (!property || entry.changes.some(change => change.property === property))
+      && (!since || entry.at >= since)
+      && (!until || entry.at <= until));
+    const page = matches.slice(0, size);
+    return { entries: page, nextCursor: matches.length > size ? page[page.length - 1].id : null };
+  };
+
+  return { record, list };
+}
+
+module.exports = { ACTIONS, MAX_ENTRIES, diffProperties, createAuditLog };
@@ -0,0 +1,307 @@
+// auth.js - Local accounts with hashed passwords, signed session tokens and role checks
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonStore');
+
+// Ordered from least to most access; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const SESSION_COOKIE = 'notion_manager_session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+// Failed logins allowed per username and client address before that address is locked out of the
+// account for LOCKOUT_MS. Other addresses can still sign in, so nobody can lock an account for everyone.
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+// Passwords are stored as scrypt$N$r$p$salt$hash
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compact HS256 JSON Web Tokens. `expiresIn` is in seconds; leave it out for tokens that never expire.
+function signToken(payload, secret, expiresIn) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = { ...payload, iat: now, ...(expiresIn ? { exp: now + expiresIn } : {}) };
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(body))}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+// The token's payload, or null when it is malformed, tampered with or expired
+function verifyToken(token, secret) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const body = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (body.exp && body.exp < Math.floor(Date.now() / 1000)) return null;
+    return body;
+  } catch (error) {
+    return null;
+  }
+}
+
+// AES-256-GCM for secrets kept at rest, such as users' Notion tokens
+function encryptSecret(text, secret) {
+  const key = crypto.createHash('sha256').update(`encryption:${secret}`).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(value, secret) {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const key = crypto.createHash('sha256').update(`encryption:${secret}`).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// AUTH_SECRET signs sessions and encrypts stored tokens. Without it a random secret is kept in the
+// data directory so sessions and connected Notion tokens survive restarts.
+function loadSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  const file = path.join(DATA_DIR, 'auth-secret');
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Fields of a user that are safe to send to clients
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  notionConnected: Boolean(user.notionToken),
+  notionWorkspace: user.notionWorkspace || null,
+  createdAt: user.createdAt
+});
+
+// Users kept in a JSON store as { users: [{ id, username, passwordHash, role, sessionVersion,
+// feedVersion, revokedSessions, notionToken (encrypted), notionWorkspace, createdAt }] }. Tokens
+// carry the version they were issued with, so raising it revokes them. Session tokens also carry
+// an ID; revokedSessions maps the IDs of single signed-out sessions to when their tokens expire.
+function createUserStore(store, secret) {
+  const all = async () => (await store.read()).users;
+
+  const findById = async (id) => (await all()).find(user => user.id === id) || null;
+
+  const findByUsername = async (username) => {
+    const lower = String(username).toLowerCase();
+    return (await all()).find(user => user.username.toLowerCase() === lower) || null;
+  };
+
+  const create = async ({ username, password, role }) => {
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      sessionVersion: 1,
+      feedVersion: 1,
+      notionToken: null,
+      notionWorkspace: null,
+      createdAt: new Date().toISOString()
+    };
+    await store.update(data => {
+      if (data.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        throw new Error(`Username "${username}" is taken`);
+      }
+      data.users.push(user);
+    });
+    return user;
+  };
+
+  // Revoke a user's session tokens or calendar feed tokens
+  const bumpSessionVersion = (user) => {
+    // Accounts from before feed tokens had their own version keep their feed links working
+    user.feedVersion ??= user.sessionVersion;
+    user.sessionVersion += 1;
+  };
+  const bumpFeedVersion = (user) => {
+    user.feedVersion = (user.feedVersion ?? user.sessionVersion) + 1;
+  };
+
+  // Change fields of a user. `password` is hashed and signs the user out everywhere else, feed
+  // links included; `notionToken` is encrypted (null disconnects it).
+  const update = async (id, { password, notionToken, ...changes }) => store.update(data => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) return null;
+    Object.assign(user, changes);
+    if (password !== undefined) {
+      user.passwordHash = hashPassword(password);
+      bumpSessionVersion(user);
+      bumpFeedVersion(user);
+    }
+    if (notionToken !== undefined) user.notionToken = notionToken ? encryptSecret(notionToken, secret) : null;
+    return { ...user };
+  });
+
+  // Sign the user out of every session, including Bearer tokens handed out by /login
+  const revokeSessions = (id) => store.update(data => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) return null;
+    bumpSessionVersion(user);
+    user.revokedSessions = {};
+    return { ...user };
+  });
+
+  // Sign the user out of one session, whose token expires at `expiresAt` (seconds since the epoch).
+  // Entries for tokens that have expired anyway are dropped.
+  const revokeSession = (id, sessionId, expiresAt) => store.update(data => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) return null;
+    const now = Math.floor(Date.now() / 1000);
+    user.revokedSessions = Object.fromEntries(Object.entries(user.revokedSessions || {}).filter(([, exp]) => exp > now));
+    user.revokedSessions[sessionId] = expiresAt;
+    return { ...user };
+  });
+
+  // Stop the user's calendar feed links from working; new links come with the next feed token
+  const revokeFeedTokens = (id) => store.update(data => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) return null;
+    bumpFeedVersion(user);
+    return { ...user };
+  });
+
+  const remove = (id) => store.update(data => {
+    const before = data.users.length;
+    data.users = data.users.filter(u => u.id !== id);
+    return data.users.length < before;
+  });
+
+  // The user's own Notion token in plain text, or null
+  const getNotionToken = (user) => (user.notionToken ? decryptSecret(user.notionToken, secret) : null);
+
+  return { all, findById, findByUsername, create, update, revokeSessions, revokeSession, revokeFeedTokens, remove, getNotionToken };
+}
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+  .map(part => part.trim().split('='))
+  .filter(([name, value]) => name && value !== undefined)
+  .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))]));
+
+// Sessions travel in an HttpOnly cookie (so EventSource and download links work) or as a Bearer
+// token for scripts. Calendar feeds use a long-lived token in the URL that only works for feeds.
+function createAuth({ users, secret, secureCookies = false }) {
+  const failures = new Map();
+  // Checked against for unknown usernames, so they take as long to reject as wrong passwords
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  const issueSession = (res, user) => {
+    const token = signToken({ sub: user.id, ver: user.sessionVersion, sid: crypto.randomUUID() }, secret, SESSION_TTL_SECONDS);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: secureCookies,
+      maxAge: SESSION_TTL_SECONDS * 1000
+    });
+    return token;
+  };
+
+  const clearSession = (res) => res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: secureCookies });
+
+  // Check a username and password, locking the username out for the client address `ip` for a
+  // while after repeated failures from it. Resolves with the user, or throws an Error whose
+  // `status` is 401 or 429.
+  const checkCredentials = async (username, password, { ip = '' } = {}) => {
+    const name = String(username || '').toLowerCase();
+    const key = `${name}\n${ip}`;
+    const record = failures.get(key);
+    if (record && record.lockedUntil > Date.now()) {
+      throw Object.assign(new Error('Too many failed attempts. Try again in a few minutes.'), { status: 429 });
+    }
+    const valid = typeof password === 'string';
+    const user = name && valid ? await users.findByUsername(name) : null;
+    const matches = valid && verifyPassword(password, user ? user.passwordHash : dummyHash);
+    if (!user || !matches) {
+      // A lock that has run out starts the count again
+      const count = (record && !record.lockedUntil ? record.count : 0) + 1;
+      failures.set(key, { count, lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCKOUT_MS : 0 });
+      throw Object.assign(new Error('Invalid username or password'), { status: 401 });
+    }
+    failures.delete(key);
+    return user;
+  };
+
+  const feedVersionOf = (user) => user.feedVersion ?? user.sessionVersion;
+
+  const feedToken = (user) => signToken({ sub: user.id, ver: feedVersionOf(user), scope: 'feed' }, secret);
+
+  // Resolve the signed-in user from the cookie, a Bearer token or (for calendar feeds) ?token=.
+  // Resolves with { user, viaCookie, session: { id, expiresAt } }, or null. Session tokens from
+  // before sessions had IDs have a null id.
+  const resolveUser = async (req) => {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const feed = req.method === 'GET' && req.path.endsWith('/calendar.ics') ? req.query.token : null;
+    const token = bearer || cookie || feed;
+    const payload = token && verifyToken(token, secret);
+    if (!payload) return null;
+    // Feed tokens only open calendar feeds
+    if (payload.scope === 'feed' && token !== feed) return null;
+    const user = await users.findById(payload.sub);
+    const version = user && (payload.scope === 'feed' ? feedVersionOf(user) : user.sessionVersion);
+    if (!user || version !== payload.ver || (payload.sid && user.revokedSessions?.[payload.sid])) return null;
+    return { user, viaCookie: token === cookie && !bearer, session: { id: payload.sid || null, expiresAt: payload.exp || null } };
+  };
+
+  // Reject requests without a valid session; sets req.user, and req.session to { id, expiresAt }
+  const requireAuth = async (req, res, next) => {
+    try {
+      const session = await resolveUser(req);
+      if (!session) return res.status(401).json({ error: 'Sign in required', code: 'unauthorized' });
+      // A custom header forces a CORS preflight, which keeps other sites' forms from using the cookie
+      if (session.viaCookie && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !req.get('X-Requested-With')) {
+        return res.status(403).json({ error: 'Missing X-Requested-With header', code: 'csrf_check_failed' });
+      }
+      req.user = session.user;
+      req.session = session.session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const requireRole = (role) => (req, res, next) => {
+    if (!req.user || !hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role`, code: 'forbidden' });
+    }
+    next();
+  };
+
+  return { issueSession, clearSession, checkCredentials, feedToken, resolveUser, requireAuth, requireRole };
+}
+
+module.exports = { ROLES, hasRole, publicUser, signToken, verifyToken, loadSecret, createUserStore, createAuth };
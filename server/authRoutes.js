@@ -0,0 +1,242 @@
+// authRoutes.js - Sign-in, account management and Notion connection routes under /api/auth
+const express = require('express');
+const { ROLES, publicUser, signToken, verifyToken } = require('./auth');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long a user has to finish connecting Notion
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// Problems with a new username, password or role, or null when they are fine.
+// Fields left undefined are not checked.
+function checkAccountFields({ username, password, role }) {
+  if (username !== undefined && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+    return 'Usernames are 3-40 letters, digits, dots, dashes or underscores';
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (role !== undefined && !ROLES.includes(role)) return `Role must be one of ${ROLES.join(', ')}`;
+  return null;
+}
+
+const sendError = (res, error) => {
+  console.error('Error handling account request:', error);
+  res.status(500).json({ error: 'Account request failed' });
+};
+
+// `clientUrl` is where the browser returns after connecting Notion; `onNotionDisconnected(token)`
+// lets the caller drop cached clients.
+function createAuthRouter({ auth, users, oauth, secret, clientUrl, onNotionDisconnected = () => {} }) {
+  const router = express.Router();
+
+  // Session details for the client, including the token its calendar feed links use
+  const sessionBody = (user) => ({ user: publicUser(user), feedToken: auth.feedToken(user), setupRequired: false });
+
+  // GET /api/auth/session - the signed-in user, or null; setupRequired until the first account exists
+  router.get('/session', async (req, res) => {
+    try {
+      const session = await auth.resolveUser(req);
+      if (session) return res.json(sessionBody(session.user));
+      res.json({ user: null, setupRequired: (await users.all()).length === 0 });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/setup - create the first account, an admin. Only works while there are no accounts.
+  router.post('/setup', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if ((await users.all()).length > 0) return res.status(409).json({ error: 'Setup has already been done' });
+      const problem = checkAccountFields({ username, password });
+      if (problem) return res.status(400).json({ error: problem });
+      const user = await users.create({ username, password, role: 'admin' });
+      auth.issueSession(res, user);
+      res.status(201).json(sessionBody(user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/login - { username, password }; also returns a token for API clients
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = await auth.checkCredentials(username, password, { ip: req.ip });
+      const token = auth.issueSession(res, user);
+      res.json({ ...sessionBody(user), token });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/logout - signs out the session the request was made with. Sessions from before
+  // sessions had IDs cannot be told apart, so for those every session is signed out.
+  router.post('/logout', auth.requireAuth, async (req, res) => {
+    try {
+      if (req.session.id) await users.revokeSession(req.user.id, req.session.id, req.session.expiresAt);
+      else await users.revokeSessions(req.user.id);
+      auth.clearSession(res);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/logout-all - signs the user out of every session, including tokens from /login.
+  // Calendar feed links keep working.
+  router.post('/logout-all', auth.requireAuth, async (req, res) => {
+    try {
+      await users.revokeSessions(req.user.id);
+      auth.clearSession(res);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/feed-token - replace the calendar feed token; links with the old one stop working
+  router.post('/feed-token', auth.requireAuth, async (req, res) => {
+    try {
+      res.json(sessionBody(await users.revokeFeedTokens(req.user.id)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/password - { currentPassword, newPassword }; signs out other sessions
+  router.post('/password', auth.requireAuth, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      try {
+        await auth.checkCredentials(req.user.username, currentPassword, { ip: req.ip });
+      } catch (error) {
+        return res.status(error.status === 429 ? 429 : 400).json({ error: error.status === 429 ? error.message : 'Current password is wrong' });
+      }
+      const problem = checkAccountFields({ password: newPassword });
+      if (problem) return res.status(400).json({ error: problem });
+      const user = await users.update(req.user.id, { password: newPassword });
+      auth.issueSession(res, user);
+      res.json(sessionBody(user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Account management, for admins
+  const admin = [auth.requireAuth, auth.requireRole('admin')];
+
+  // Whether changing or removing `target` would leave no admins
+  const isLastAdmin = async (target) => target.role === 'admin'
+    && (await users.all()).filter(user => user.role === 'admin').length === 1;
+
+  router.get('/users', admin, async (req, res) => {
+    try {
+      res.json({ users: (await users.all()).map(publicUser), roles: ROLES });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/users - { username, password, role }
+  router.post('/users', admin, async (req, res) => {
+    try {
+      const { username, password, role = 'viewer' } = req.body || {};
+      const problem = checkAccountFields({ username, password, role }) || (username === undefined || password === undefined ? 'username and password are required' : null);
+      if (problem) return res.status(400).json({ error: problem });
+      if (await users.findByUsername(username)) return res.status(409).json({ error: `Username "${username}" is taken` });
+      res.status(201).json(publicUser(await users.create({ username, password, role })));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /api/auth/users/:id - { role?, password? }
+  router.patch('/users/:id', admin, async (req, res) => {
+    try {
+      const { role, password } = req.body || {};
+      const problem = checkAccountFields({ role, password });
+      if (problem) return res.status(400).json({ error: problem });
+      const target = await users.findById(req.params.id);
+      if (!target) return res.status(404).json({ error: 'User not found' });
+      if (role && role !== 'admin' && await isLastAdmin(target)) {
+        return res.status(409).json({ error: 'There has to be at least one admin' });
+      }
+      const changes = {};
+      if (role) changes.role = role;
+      if (password !== undefined) changes.password = password;
+      res.json(publicUser(await users.update(target.id, changes)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/users/:id', admin, async (req, res) => {
+    try {
+      const target = await users.findById(req.params.id);
+      if (!target) return res.status(404).json({ error: 'User not found' });
+      if (await isLastAdmin(target)) return res.status(409).json({ error: 'There has to be at least one admin' });
+      await users.remove(target.id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/auth/notion/connect - { url } to send the browser to for connecting Notion
+  router.get('/notion/connect', auth.requireAuth, (req, res) => {
+    const state = signToken({ sub: req.user.id, scope: 'notion_oauth' }, secret, OAUTH_STATE_TTL_SECONDS);
+    res.json({ url: oauth.authorizeUrl(state), local: oauth.local });
+  });
+
+  // The local stand-in for Notion's consent page
+  router.get('/notion/local-authorize', (req, res) => {
+    if (!oauth.local) return res.status(404).end();
+    res.type('html').send(oauth.renderLocalConsent({ state: req.query.state || '' }));
+  });
+
+  router.post('/notion/local-authorize', express.urlencoded({ extended: false }), (req, res) => {
+    if (!oauth.local) return res.status(404).end();
+    const { state = '', token = '' } = req.body || {};
+    if (!token.trim()) {
+      return res.status(400).type('html').send(oauth.renderLocalConsent({ state, error: 'Enter a token' }));
+    }
+    res.redirect(303, oauth.issueLocalCode(token.trim(), state));
+  });
+
+  // GET /api/auth/notion/callback?code&state - finish connecting and return to the app
+  router.get('/notion/callback', async (req, res) => {
+    const back = (params) => res.redirect(`${clientUrl}?${new URLSearchParams(params)}`);
+    const state = verifyToken(req.query.state, secret);
+    if (!state || state.scope !== 'notion_oauth') return back({ notion: 'error', message: 'The sign-in link expired. Try again.' });
+    if (req.query.error || !req.query.code) return back({ notion: 'error', message: 'Connecting Notion was cancelled' });
+    try {
+      const { accessToken, workspaceName } = await oauth.exchange(req.query.code);
+      const user = await users.update(state.sub, { notionToken: accessToken, notionWorkspace: workspaceName });
+      if (!user) return back({ notion: 'error', message: 'Your account no longer exists' });
+      back({ notion: 'connected' });
+    } catch (error) {
+      console.error('Error connecting Notion:', error);
+      back({ notion: 'error', message: error.message });
+    }
+  });
+
+  // DELETE /api/auth/notion - go back to the server's integration token
+  router.delete('/notion', auth.requireAuth, async (req, res) => {
+    try {
+      const token = users.getNotionToken(req.user);
+      const user = await users.update(req.user.id, { notionToken: null, notionWorkspace: null });
+      if (token) onNotionDisconnected(token);
+      res.json(sessionBody(user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
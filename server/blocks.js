@@ -0,0 +1,77 @@
+// blocks.js - Page body content and comments in a simplified, read-mostly shape
+const { extractRichText, toRichText } = require('./properties');
+
+// Block types whose content is rich text, and which can be appended through the API
+const TEXT_BLOCK_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'to_do',
+  'bulleted_list_item', 'numbered_list_item', 'quote', 'callout', 'toggle', 'code'
+];
+const APPENDABLE_TYPES = [...TEXT_BLOCK_TYPES.filter(type => !['callout', 'toggle'].includes(type)), 'divider'];
+
+// Notion accepts at most 100 children per append
+const MAX_APPEND_BLOCKS = 100;
+
+// Raised when blocks to append are malformed; answered with a 400
+class BlockValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockValidationError';
+  }
+}
+
+const fileUrl = (file) => file?.[file.type]?.url || null;
+
+// { id, type, hasChildren, richText?, checked?, language?, icon?, url?, caption? }. Types this app
+// does not render are passed through with `unsupported: true` so clients can show a placeholder.
+function formatBlock(block) {
+  const result = { id: block.id, type: block.type, hasChildren: block.has_children };
+  const content = block[block.type] || {};
+  if (TEXT_BLOCK_TYPES.includes(block.type)) {
+    result.richText = extractRichText(content.rich_text || []);
+    if (block.type === 'to_do') result.checked = Boolean(content.checked);
+    if (block.type === 'code') result.language = content.language || null;
+    if (block.type === 'callout') result.icon = content.icon?.emoji || null;
+  } else if (['image', 'file', 'pdf', 'video'].includes(block.type)) {
+    result.url = fileUrl(content);
+    result.caption = extractRichText(content.caption || []);
+  } else if (['bookmark', 'embed', 'link_preview'].includes(block.type)) {
+    result.url = content.url || null;
+  } else if (block.type === 'child_page' || block.type === 'child_database') {
+    result.title = content.title || '';
+  } else if (block.type !== 'divider') {
+    result.unsupported = true;
+  }
+  return result;
+}
+
+// Turn [{ type, text, checked?, language? }] into Notion block objects, where text is a string
+// or [{ text, annotations, href }] segments
+function toNotionBlocks(blocks) {
+  if (!Array.isArray(blocks) || blocks.length === 0) throw new BlockValidationError('blocks must be a non-empty array');
+  if (blocks.length > MAX_APPEND_BLOCKS) throw new BlockValidationError(`At most ${MAX_APPEND_BLOCKS} blocks can be added at once`);
+  return blocks.map((block, index) => {
+    const type = block?.type || 'paragraph';
+    if (!APPENDABLE_TYPES.includes(type)) {
+      throw new BlockValidationError(`Block ${index}: type must be one of ${APPENDABLE_TYPES.join(', ')}`);
+    }
+    if (type === 'divider') return { object: 'block', type, divider: {} };
+    if (typeof block.text !== 'string' && !Array.isArray(block.text)) {
+      throw new BlockValidationError(`Block ${index}: text is required`);
+    }
+    const content = { rich_text: toRichText(block.text) };
+    if (type === 'to_do') content.checked = Boolean(block.checked);
+    if (type === 'code') content.language = block.language || 'plain text';
+    return { object: 'block', type, [type]: content };
+  });
+}
+
+// { id, discussionId, createdTime, authorId, richText }
+const formatComment = (comment) => ({
+  id: comment.id,
+  discussionId: comment.discussion_id,
+  createdTime: comment.created_time,
+  authorId: comment.created_by?.id || null,
+  richText: extractRichText(comment.rich_text || [])
+});
+
+module.exports = { APPENDABLE_TYPES, BlockValidationError, formatBlock, toNotionBlocks, formatComment };
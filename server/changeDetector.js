@@ -0,0 +1,103 @@
+// changeDetector.js - Poll Notion for pages and schemas edited outside this server and push them to subscribers
+const crypto = require('crypto');
+
+// Notion rounds last_edited_time down to the minute, so each poll re-reads the current minute
+// and pages already reported with the same timestamp are skipped.
+const floorToMinute = (iso) => `${iso.slice(0, 16)}:00.000Z`;
+
+// A database's last_edited_time also moves when its title or description is edited, so schema
+// changes are told apart by a hash of the properties alone
+const hashProperties = (database) => crypto.createHash('sha1').update(JSON.stringify(database.properties)).digest('hex');
+
+// Events passed to listeners:
+//   { type: 'item', item }   a page was created or edited
+//   { type: 'delete', id }   a page was archived through this server
+//   { type: 'schema' }       the database's properties changed; clients should reload the schema
+// Polling starts inside the request of the first subscriber, so each poll goes through
+// `runInBackground(fn)`, which should run `fn` with the server's Notion token instead of theirs.
+function createChangeDetector({ notion, registry, queryAllPages, formatPage, intervalMs = 15000, runInBackground = (fn) => fn() }) {
+  // Per-database polling state, present only while somebody is subscribed
+  const watched = new Map();
+
+  const emit = (state, event) => {
+    state.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error delivering change event:', error);
+      }
+    });
+  };
+
+  const poll = async (databaseId, state) => {
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    const propertiesHash = hashProperties(database);
+    if (state.propertiesHash && propertiesHash !== state.propertiesHash) {
+      registry.invalidateSchema(databaseId);
+      emit(state, { type: 'schema' });
+    }
+    state.propertiesHash = propertiesHash;
+
+    const schema = await registry.getSchema(databaseId);
+    const query = {
+      database_id: databaseId,
+      filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: floorToMinute(state.since) } },
+      sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }]
+    };
+    for await (const pages of queryAllPages(query)) {
+      pages.forEach(page => {
+        if (state.seen.get(page.id) === page.last_edited_time) return;
+        state.seen.set(page.id, page.last_edited_time);
+        if (page.last_edited_time > state.since) state.since = page.last_edited_time;
+        emit(state, { type: 'item', item: formatPage(page, schema) });
+      });
+    }
+
+    // Only pages inside the re-read minute can come back, so older entries can go
+    const cutoff = floorToMinute(state.since);
+    state.seen.forEach((time, id) => { if (time < cutoff) state.seen.delete(id); });
+  };
+
+  const schedule = (databaseId, state) => {
+    state.timer = setTimeout(() => runInBackground(async () => {
+      try {
+        await poll(databaseId, state);
+      } catch (error) {
+        console.error('Error polling for changes:', error);
+      }
+      if (watched.get(databaseId) === state) schedule(databaseId, state);
+    }), intervalMs);
+  };
+
+  // Start watching a database for this listener. Returns a function that stops it.
+  const subscribe = (databaseId, listener) => {
+    let state = watched.get(databaseId);
+    if (!state) {
+      state = { listeners: new Set(), since: new Date().toISOString(), seen: new Map(), propertiesHash: null, timer: null };
+      watched.set(databaseId, state);
+      schedule(databaseId, state);
+    }
+    state.listeners.add(listener);
+
+    return () => {
+      state.listeners.delete(listener);
+      if (state.listeners.size === 0) {
+        clearTimeout(state.timer);
+        watched.delete(databaseId);
+      }
+    };
+  };
+
+  // Report a change made through this server straight away. The poller will see the same
+  // edit later, so remember its timestamp to avoid sending it twice.
+  const publish = (databaseId, event) => {
+    const state = watched.get(databaseId);
+    if (!state) return;
+    if (event.type === 'item') state.seen.set(event.item.id, event.item.lastEditedTime);
+    emit(state, event);
+  };
+
+  return { subscribe, publish };
+}
+
+module.exports = { createChangeDetector };
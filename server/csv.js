@@ -0,0 +1,65 @@
+// csv.js - Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheets run cells starting with these as formulas. Plain numbers such as -5 are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Keep a cell from running as a formula when the file is opened in Excel or Sheets (CSV
+// injection) by prefixing it with an apostrophe, which spreadsheets show the text behind
+const neutralizeFormula = (text) => (FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text);
+
+// Undo neutralizeFormula, so exported files import with their original text
+const restoreFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) && !NUMBER.test(text.slice(1)) ? text.slice(1) : text);
+
+// Quote a cell when it contains a delimiter, quote or line break
+const formatCsvCell = (cell) => {
+  const text = neutralizeFormula(cell === null || cell === undefined ? '' : String(cell));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (cells) => `${cells.map(formatCsvCell).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows, each an array of cell strings. Handles quoted cells
+// with embedded commas, quotes and line breaks, CRLF or LF endings and a leading BOM.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+module.exports = { formatCsvRow, parseCsv, restoreFormula };
@@ -0,0 +1,119 @@
+// databases.js - Registry of the Notion databases this server can serve, with a schema cache per database
+
+// Notion IDs are accepted with or without dashes
+const normalizeId = (id) => String(id).replace(/-/g, '').toLowerCase();
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Parse NOTION_DATABASES="tasks=<id>,bugs=<id>" into [{ key, id }]
+function parseDatabaseConfig(value) {
+  if (!value) return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) throw new Error(`NOTION_DATABASES entry "${entry}" must look like name=<database id>`);
+    return { key: entry.slice(0, separator).trim(), id: entry.slice(separator + 1).trim() };
+  });
+}
+
+// Summarize a retrieved database into the lists of property names the routes work with
+function buildSchema(database) {
+  const namesOfType = (...types) => Object.entries(database.properties)
+    .filter(([, prop]) => types.includes(prop.type))
+    .map(([key]) => key);
+  return {
+    name: (database.title || []).map(t => t.plain_text).join('') || 'Untitled database',
+    properties: database.properties,
+    titleProperty: Object.entries(database.properties).find(([, prop]) => prop.type === 'title')?.[0],
+    checkboxProperties: namesOfType('checkbox', 'status'),
+    dateProperties: namesOfType('date'),
+    selectProperties: namesOfType('select', 'multi_select'),
+    textProperties: namesOfType('rich_text'),
+    urlProperties: namesOfType('url'),
+    numberProperties: namesOfType('number')
+  };
+}
+
+// `configured` is the parsed NOTION_DATABASES list; `defaultId` is NOTION_DATABASE_ID, which is
+// registered as "default" unless it already appears in the list.
+function createDatabaseRegistry({ notion, configured = [], defaultId }) {
+  const entries = new Map();
+  const schemas = new Map();
+
+  const add = ({ key, id, name = null, source }) => {
+    const entry = { key, id, name, source };
+    entries.set(key, entry);
+    return entry;
+  };
+
+  configured.forEach(({ key, id }) => add({ key, id, source: 'config' }));
+  let defaultEntry = configured.length ? entries.get(configured[0].key) : null;
+  if (defaultId) {
+    defaultEntry = [...entries.values()].find(e => normalizeId(e.id) === normalizeId(defaultId))
+      || add({ key: 'default', id: defaultId, source: 'config' });
+  }
+
+  const list = () => [...entries.values()];
+
+  // Look a database up by registry key or by its Notion ID
+  const resolve = (keyOrId) => {
+    if (keyOrId === undefined) return defaultEntry;
+    if (entries.has(keyOrId)) return entries.get(keyOrId);
+    return list().find(e => normalizeId(e.id) === normalizeId(keyOrId)) || null;
+  };
+
+  // Register every database shared with the integration that is not already known
+  const discover = async () => {
+    let cursor;
+    do {
+      const response = await notion.search({
+        filter: { property: 'object', value: 'database' },
+        start_cursor: cursor,
+        page_size: 100
+      });
+      response.results.forEach(database => {
+        const name = (database.title || []).map(t => t.plain_text).join('') || 'Untitled database';
+        const existing = resolve(database.id);
+        if (existing) {
+          existing.name = existing.name || name;
+          return;
+        }
+        let key = slugify(name) || 'database';
+        if (entries.has(key)) key = `${key}-${normalizeId(database.id).slice(0, 6)}`;
+        add({ key, id: database.id, name, source: 'discovered' });
+      });
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+    if (!defaultEntry) defaultEntry = list()[0] || null;
+    return list();
+  };
+
+  // Get database schema and cache it
+  const getSchema = async (id) => {
+    const cacheKey = normalizeId(id);
+    if (schemas.has(cacheKey)) return schemas.get(cacheKey);
+    try {
+      const database = await notion.databases.retrieve({ database_id: id });
+      const schema = buildSchema(database);
+      schemas.set(cacheKey, schema);
+      const entry = resolve(id);
+      if (entry) entry.name = schema.name;
+      return schema;
+    } catch (error) {
+      console.error('Error fetching database schema:', error);
+      throw error;
+    }
+  };
+
+  const invalidateSchema = (id) => schemas.delete(normalizeId(id));
+
+  return {
+    list,
+    resolve,
+    discover,
+    getSchema,
+    invalidateSchema,
+    get defaultEntry() { return defaultEntry; }
+  };
+}
+
+module.exports = { createDatabaseRegistry, parseDatabaseConfig, buildSchema };
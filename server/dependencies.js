@@ -0,0 +1,151 @@
+// dependencies.js - Subtasks and blockers from self-relation properties of a database
+
+// Notion's sub-items and dependencies features name their relations "Parent item" and "Blocked by"
+const DEFAULT_PARENT_PROPERTY = 'Parent item';
+const DEFAULT_BLOCKED_BY_PROPERTY = 'Blocked by';
+
+// Subtasks nested deeper than this are left out of trees
+const MAX_DEPTH = 20;
+
+const normalizeId = (id) => String(id).replace(/-/g, '').toLowerCase();
+
+// Whether `name` is a relation property pointing back at the database it belongs to
+function isSelfRelation(schema, name, databaseId) {
+  const prop = schema.properties[name];
+  return prop?.type === 'relation' && normalizeId(prop.relation?.database_id || '') === normalizeId(databaseId);
+}
+
+// The relations a database links items with: { parentProperty, blockedByProperty }, each null when
+// the database has no self-relation of that name
+function dependencyConfig(schema, databaseId, {
+  parentProperty = DEFAULT_PARENT_PROPERTY,
+  blockedByProperty = DEFAULT_BLOCKED_BY_PROPERTY
+} = {}) {
+  return {
+    parentProperty: isSelfRelation(schema, parentProperty, databaseId) ? parentProperty : null,
+    blockedByProperty: isSelfRelation(schema, blockedByProperty, databaseId) ? blockedByProperty : null
+  };
+}
+
+const relatedIds = (item, property) => (property ? item.properties[property] || [] : []);
+
+// An item as it appears in another item's links. Pages outside the database (or archived) are
+// only known by ID and have a null title and completed.
+const toLink = (item, id) => (item
+  ? { id: item.id, title: item.title, completed: item.completed ?? null }
+  : { id, title: null, completed: null });
+
+// Index the links between `items` (API items of one database, usually all of them) so they can be
+// looked up in either direction
+function buildDependencyGraph(items, config) {
+  const byId = new Map(items.map(item => [normalizeId(item.id), item]));
+  const children = new Map();
+  const blocking = new Map();
+  const addTo = (map, id, item) => {
+    const key = normalizeId(id);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  };
+  items.forEach(item => {
+    relatedIds(item, config.parentProperty).slice(0, 1).forEach(id => addTo(children, id, item));
+    relatedIds(item, config.blockedByProperty).forEach(id => addTo(blocking, id, item));
+  });
+
+  const find = (id) => byId.get(normalizeId(id)) || null;
+  const subtasksOf = (item) => children.get(normalizeId(item.id)) || [];
+  const parentOf = (item) => {
+    const [id] = relatedIds(item, config.parentProperty);
+    return id ? toLink(find(id), id) : null;
+  };
+  const blockersOf = (item) => relatedIds(item, config.blockedByProperty).map(id => toLink(find(id), id));
+  const blockedBy = (item) => (blocking.get(normalizeId(item.id)) || []).map(blocked => toLink(blocked));
+
+  // { completed, total } over every subtask below `item`, or null when it has none. Each item is
+  // counted once, even when parent links loop.
+  const progressOf = (item) => {
+    const seen = new Set([normalizeId(item.id)]);
+    let completed = 0;
+    const visit = (parent) => subtasksOf(parent).forEach(child => {
+      if (seen.has(normalizeId(child.id))) return;
+      seen.add(normalizeId(child.id));
+      if (child.completed) completed += 1;
+      visit(child);
+    });
+    visit(item);
+    return seen.size > 1 ? { completed, total: seen.size - 1 } : null;
+  };
+
+  return { find, subtasksOf, parentOf, blockersOf, blockedBy, progressOf };
+}
+
+// Nest `items` (a list in display order, possibly filtered) under their parents. Items whose
+// parent is not in the list are roots. Each node is the item with parent, subtasks (nodes),
+// blockedBy and blocking (links) and progress, which counts every subtask in `graph` whether
+// or not it is in the list.
+function buildTree(items, graph) {
+  const shown = new Set(items.map(item => normalizeId(item.id)));
+  const children = new Map();
+  const roots = [];
+  items.forEach(item => {
+    const parent = graph.parentOf(item);
+    if (!parent || !shown.has(normalizeId(parent.id))) return roots.push(item);
+    const key = normalizeId(parent.id);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(item);
+  });
+
+  const placed = new Set();
+  // `path` holds the IDs above the node, so parent links that loop back are not followed
+  const toNode = (item, path) => {
+    const id = normalizeId(item.id);
+    placed.add(id);
+    const below = path.size < MAX_DEPTH ? (children.get(id) || []).filter(child => !path.has(normalizeId(child.id))) : [];
+    const nextPath = new Set(path).add(id);
+    return {
+      ...item,
+      parent: graph.parentOf(item),
+      subtasks: below.filter(child => child !== item).map(child => toNode(child, nextPath)),
+      blockedBy: graph.blockersOf(item),
+      blocking: graph.blockedBy(item),
+      progress: graph.progressOf(item)
+    };
+  };
+  const tree = roots.map(item => toNode(item, new Set()));
+  // Items whose parents only lead back to each other have no root; show them at the top level
+  items.forEach(item => {
+    if (!placed.has(normalizeId(item.id))) tree.push(toNode(item, new Set()));
+  });
+  return tree;
+}
+
+// Why an item that was just completed may not really be done: [{ code, message, items }] for
+// blockers still open and direct subtasks not completed. `blockers` and `subtasks` are API items.
+function completionWarnings({ blockers, subtasks }) {
+  const warnings = [];
+  const open = blockers.filter(item => !item.completed);
+  if (open.length) {
+    warnings.push({
+      code: 'open_blockers',
+      message: `Still blocked by ${open.length} open item${open.length === 1 ? '' : 's'}`,
+      items: open.map(item => toLink(item))
+    });
+  }
+  const incomplete = subtasks.filter(item => !item.completed);
+  if (incomplete.length) {
+    warnings.push({
+      code: 'incomplete_subtasks',
+      message: `${incomplete.length} subtask${incomplete.length === 1 ? ' is' : 's are'} not complete`,
+      items: incomplete.map(item => toLink(item))
+    });
+  }
+  return warnings;
+}
+
+module.exports = {
+  DEFAULT_PARENT_PROPERTY,
+  DEFAULT_BLOCKED_BY_PROPERTY,
+  dependencyConfig,
+  buildDependencyGraph,
+  buildTree,
+  completionWarnings
+};
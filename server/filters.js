@@ -0,0 +1,219 @@
+// filters.js - Translate API filter/sort parameters into Notion query objects
+
+// Thrown when a filter or sort does not match the database schema
+class QueryValidationError extends Error {
+  constructor(details) {
+    super('Invalid filter or sort');
+    this.name = 'QueryValidationError';
+    this.details = details;
+  }
+}
+
+// Operators accepted for each family of property types. Names follow Notion's own
+// filter conditions, plus `between` which expands into an inclusive range.
+const OPERATORS = {
+  text: ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'],
+  number: ['equals', 'does_not_equal', 'greater_than', 'greater_than_or_equal_to', 'less_than', 'less_than_or_equal_to', 'between', 'is_empty', 'is_not_empty'],
+  date: ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'between', 'is_empty', 'is_not_empty'],
+  checkbox: ['equals', 'does_not_equal'],
+  select: ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'],
+  multi_select: ['contains', 'does_not_contain', 'is_empty', 'is_not_empty']
+};
+
+const TYPE_FAMILIES = {
+  title: 'text',
+  rich_text: 'text',
+  url: 'text',
+  email: 'text',
+  phone_number: 'text',
+  number: 'number',
+  date: 'date',
+  checkbox: 'checkbox',
+  select: 'select',
+  status: 'select',
+  multi_select: 'multi_select'
+};
+
+// Notion allows compound filters to be nested two levels deep
+const MAX_GROUP_DEPTH = 2;
+
+const TIMESTAMP_SORTS = ['created_time', 'last_edited_time'];
+
+function isValidDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Query strings carry every value as text, so accept numeric and boolean strings too
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+// Validate a single value for the property's type and return it in the form Notion expects
+function coerceValue(family, propSchema, value, path, errors) {
+  switch (family) {
+    case 'text':
+      if (typeof value !== 'string') errors.push({ path, message: 'Expected a string value' });
+      return String(value);
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) errors.push({ path, message: `"${value}" is not a number` });
+      return number;
+    }
+    case 'date':
+      if (!isValidDate(value)) errors.push({ path, message: `"${value}" is not an ISO 8601 date` });
+      return value;
+    case 'checkbox': {
+      const bool = toBoolean(value);
+      if (bool === null) errors.push({ path, message: 'Expected true or false' });
+      return bool;
+    }
+    case 'select':
+    case 'multi_select': {
+      const options = (propSchema[propSchema.type]?.options || []).map(opt => opt.name);
+      const match = options.find(opt => opt.toLowerCase() === String(value).toLowerCase());
+      if (!match) errors.push({ path, message: `"${value}" is not one of: ${options.join(', ')}` });
+      return match || String(value);
+    }
+    default:
+      return value;
+  }
+}
+
+// `depth` is the number of groups around the condition; a between condition adds one more
+function translateCondition(condition, schema, path, depth, errors) {
+  const { property, op, value } = condition;
+  const propSchema = schema.properties[property];
+  if (!propSchema) {
+    errors.push({ path, message: `Unknown property "${property}"` });
+    return null;
+  }
+  const family = TYPE_FAMILIES[propSchema.type];
+  if (!family) {
+    errors.push({ path, message: `Property "${property}" of type ${propSchema.type} cannot be filtered` });
+    return null;
+  }
+  if (!OPERATORS[family].includes(op)) {
+    errors.push({ path, message: `Operator "${op}" is not valid for ${propSchema.type} properties. Use one of: ${OPERATORS[family].join(', ')}` });
+    return null;
+  }
+
+  const type = propSchema.type;
+  if (op === 'is_empty' || op === 'is_not_empty') return { property, [type]: { [op]: true } };
+
+  if (op === 'between') {
+    if (depth >= MAX_GROUP_DEPTH) {
+      errors.push({ path, message: `between becomes a group of its own, so it cannot be used in groups nested ${MAX_GROUP_DEPTH} levels deep` });
+      return null;
+    }
+    if (!Array.isArray(value) || value.length !== 2) {
+      errors.push({ path, message: 'between expects a [from, to] pair' });
+      return null;
+    }
+    const [from, to] = value.map((v, i) => coerceValue(family, propSchema, v, `${path}.value[${i}]`, errors));
+    const [lower, upper] = family === 'date' ? ['on_or_after', 'on_or_before'] : ['greater_than_or_equal_to', 'less_than_or_equal_to'];
+    return { and: [{ property, [type]: { [lower]: from } }, { property, [type]: { [upper]: to } }] };
+  }
+
+  if (value === undefined || value === null || value === '') {
+    errors.push({ path, message: `Operator "${op}" requires a value` });
+    return null;
+  }
+  return { property, [type]: { [op]: coerceValue(family, propSchema, value, `${path}.value`, errors) } };
+}
+
+function translateNode(node, schema, path, depth, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push({ path, message: 'Expected a condition or an and/or group' });
+    return null;
+  }
+  const groupKey = ['and', 'or'].find(key => key in node);
+  if (!groupKey) return translateCondition(node, schema, path, depth, errors);
+
+  if (depth >= MAX_GROUP_DEPTH) {
+    errors.push({ path, message: `Filter groups can only be nested ${MAX_GROUP_DEPTH} levels deep` });
+    return null;
+  }
+  if (!Array.isArray(node[groupKey]) || node[groupKey].length === 0) {
+    errors.push({ path, message: `"${groupKey}" must be a non-empty array` });
+    return null;
+  }
+  const children = node[groupKey]
+    .map((child, i) => translateNode(child, schema, `${path}.${groupKey}[${i}]`, depth + 1, errors))
+    .filter(Boolean);
+  return { [groupKey]: children };
+}
+
+// Build a Notion filter from { and|or: [...] } groups and { property, op, value } conditions
+function buildNotionFilter(filter, schema) {
+  if (filter === undefined || filter === null) return undefined;
+  const errors = [];
+  const result = translateNode(filter, schema, 'filter', 0, errors);
+  if (errors.length) throw new QueryValidationError(errors);
+  return result;
+}
+
+// Build Notion sorts from [{ property, direction }]. created_time and last_edited_time sort
+// by the page timestamps unless the database has a property with that name.
+function buildNotionSorts(sorts, schema) {
+  if (sorts === undefined || sorts === null) {
+    // Default to the first date column rather than assuming one is called "Due"
+    const dateProp = schema.dateProperties[0];
+    return dateProp ? [{ property: dateProp, direction: 'ascending' }] : undefined;
+  }
+  const errors = [];
+  if (!Array.isArray(sorts)) throw new QueryValidationError([{ path: 'sorts', message: 'Expected an array of sorts' }]);
+  const result = sorts.map((sort, i) => {
+    if (!sort || typeof sort !== 'object' || Array.isArray(sort)) {
+      errors.push({ path: `sorts[${i}]`, message: 'Expected a { property, direction } object' });
+      return null;
+    }
+    const { property, direction = 'ascending' } = sort;
+    if (!['ascending', 'descending'].includes(direction))
+      errors.push({ path: `sorts[${i}].direction`, message: 'Direction must be ascending or descending' });
+    if (schema.properties[property]) return { property, direction };
+    if (TIMESTAMP_SORTS.includes(property)) return { timestamp: property, direction };
+    errors.push({ path: `sorts[${i}].property`, message: `Unknown property "${property}"` });
+    return null;
+  });
+  if (errors.length) throw new QueryValidationError(errors);
+  return result;
+}
+
+// Read `filter` (JSON) and `sort` ("Due:asc,Name:desc") from a query string
+function parseQueryParams(query) {
+  let filter;
+  if (query.filter !== undefined) {
+    try {
+      filter = JSON.parse(query.filter);
+    } catch (error) {
+      throw new QueryValidationError([{ path: 'filter', message: 'filter must be valid JSON' }]);
+    }
+  }
+  let sorts;
+  if (query.sort !== undefined) {
+    sorts = String(query.sort).split(',').filter(Boolean).map(entry => {
+      const separator = entry.lastIndexOf(':');
+      const property = separator === -1 ? entry : entry.slice(0, separator);
+      const direction = separator === -1 ? 'asc' : entry.slice(separator + 1);
+      return { property, direction: { asc: 'ascending', desc: 'descending' }[direction] || direction };
+    });
+  }
+  return { filter, sorts };
+}
+
+module.exports = {
+  QueryValidationError,
+  OPERATORS,
+  buildNotionFilter,
+  buildNotionSorts,
+  parseQueryParams
+};
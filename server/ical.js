@@ -0,0 +1,140 @@
+// ical.js - Render dated items as an iCalendar (RFC 5545) feed
+
+const PRODUCT_ID = '-//Notion Database Manager//Tasks//EN';
+
+// How often subscribed clients are asked to refresh
+const REFRESH_INTERVAL = 'PT15M';
+
+// Escape TEXT values: backslashes, separators and line breaks
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets onto continuation lines that start with a space,
+// without splitting multi-byte characters
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+const hasOffset = (value) => /(Z|[+-]\d{2}:\d{2})$/.test(value);
+
+// 2024-03-01 -> 20240301
+const basicDate = (value) => value.slice(0, 10).replace(/-/g, '');
+
+// Instant in UTC basic format: 20240301T093000Z
+const utcDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The day after a date-only value; all-day DTEND is exclusive
+const nextDay = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `time`
+function zoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(time).map(part => [part.type, part.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+}
+
+// The UTC instant of a wall-clock time without an offset (2024-03-01T09:30) in `timeZone`, or
+// null for zones this runtime does not know
+function zonedToUtc(value, timeZone) {
+  const local = Date.parse(`${value.slice(0, 19)}Z`);
+  try {
+    // Applying the offset can cross a daylight saving change, so check it once more at the result
+    const guess = local - zoneOffset(local, timeZone);
+    return new Date(local - zoneOffset(guess, timeZone)).toISOString();
+  } catch (error) {
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+}
+
+// A date property line such as DTSTART;VALUE=DATE:20240301. Times are written in UTC, as the feed
+// carries no VTIMEZONE definitions; times without an offset are read in the value's time zone when
+// Notion gives one, and otherwise stay floating (the same wall-clock time everywhere).
+function dateLine(name, value, timeZone) {
+  if (isDateOnly(value)) return `${name};VALUE=DATE:${basicDate(value)}`;
+  if (!hasOffset(value)) {
+    const utc = timeZone && zonedToUtc(value, timeZone);
+    return utc ? `${name}:${utcDateTime(utc)}` : `${name}:${value.slice(0, 19).replace(/[-:]/g, '')}`;
+  }
+  return `${name}:${utcDateTime(value)}`;
+}
+
+// One VEVENT or VTODO. Open items are events unless `components` is 'todo'; completed items are
+// always COMPLETED todos. The UID depends on the page, property and component, so edits replace
+// the entry, and completing an event adds a todo in its place instead of reusing the event's UID.
+function renderEntry(item, { dateProperty, components, uidDomain }) {
+  const { start, end, timeZone } = item.properties[dateProperty];
+  const asTodo = item.completed || components === 'todo';
+  const lines = [
+    asTodo ? 'BEGIN:VTODO' : 'BEGIN:VEVENT',
+    `UID:${item.id.replace(/-/g, '')}-${encodeURIComponent(dateProperty)}-${asTodo ? 'todo' : 'event'}@${uidDomain}`,
+    `DTSTAMP:${utcDateTime(item.lastEditedTime || item.createdAt)}`,
+    `LAST-MODIFIED:${utcDateTime(item.lastEditedTime || item.createdAt)}`,
+    `SUMMARY:${escapeText(item.title || 'Untitled')}`
+  ];
+
+  if (asTodo) {
+    // DUE has to come after DTSTART, so a single date is just the due date
+    if (end) lines.push(dateLine('DTSTART', start, timeZone), dateLine('DUE', end, timeZone));
+    else lines.push(dateLine('DUE', start, timeZone));
+    if (item.completed) {
+      lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100', `COMPLETED:${utcDateTime(item.lastEditedTime || item.createdAt)}`);
+    } else {
+      lines.push('STATUS:NEEDS-ACTION');
+    }
+  } else {
+    lines.push(dateLine('DTSTART', start, timeZone));
+    if (isDateOnly(start)) lines.push(dateLine('DTEND', nextDay(end && isDateOnly(end) ? end : start)));
+    else if (end) lines.push(dateLine('DTEND', end, timeZone));
+  }
+
+  if (item.url) lines.push(`URL:${item.url}`, `DESCRIPTION:${escapeText(item.url)}`);
+  lines.push(asTodo ? 'END:VTODO' : 'END:VEVENT');
+  return lines;
+}
+
+// Build the whole calendar. Items without a start date for `dateProperty` are left out.
+function buildCalendar({ name, items, dateProperty, components = 'event', uidDomain = 'notion-database-manager' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+  items
+    .filter(item => item.properties[dateProperty]?.start)
+    .forEach(item => lines.push(...renderEntry(item, { dateProperty, components, uidDomain })));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,219 @@
+// importExport.js - Convert database rows to CSV/JSON files and read them back as API property values
+const { READ_ONLY_TYPES } = require('./properties');
+const { parseCsv, restoreFormula } = require('./csv');
+
+// Files with more rows than this are rejected rather than half imported
+const MAX_IMPORT_ROWS = 2000;
+
+// Property types that identify a row well enough to upsert on. `id` (the page ID) works too.
+const KEY_TYPES = ['title', 'rich_text', 'number', 'email', 'url', 'phone_number', 'select', 'unique_id'];
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'x', '✓'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', ''];
+
+// Raised for files that cannot be read at all or options that do not fit the schema
+class ImportValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ImportValidationError';
+    this.details = details;
+  }
+}
+
+// Flatten an API value into spreadsheet text: lists are comma separated, date ranges are
+// written as ISO 8601 intervals (start/end) and people by name
+function toCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toCellText).join(', ');
+  if (typeof value === 'object') {
+    if ('start' in value) return value.end ? `${value.start}/${value.end}` : value.start || '';
+    if ('url' in value) return value.url || '';
+    if ('id' in value) return value.name || value.id;
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Export column order: page ID, the title, then the rest as Notion lists them
+function getExportColumns(schema) {
+  const names = Object.keys(schema.properties);
+  return ['id', ...names.filter(name => name === schema.titleProperty), ...names.filter(name => name !== schema.titleProperty)];
+}
+
+// Read an uploaded file into { columns, rows } where rows are { column: value } objects.
+// JSON may be an array of flat objects or of exported items ({ id, properties }).
+function parseImportFile(format, content) {
+  if (typeof content !== 'string' || !content.trim()) throw new ImportValidationError('The file is empty');
+
+  let columns;
+  let rows;
+  if (format === 'csv') {
+    const [header = [], ...records] = parseCsv(content);
+    columns = header.map(column => column.trim());
+    rows = records.map(record => Object.fromEntries(columns.map((column, i) => [column, restoreFormula(record[i] ?? '')])));
+  } else if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ImportValidationError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) data = data && Array.isArray(data.items) ? data.items : null;
+    if (!data || data.some(row => !row || typeof row !== 'object' || Array.isArray(row)))
+      throw new ImportValidationError('JSON imports must be an array of objects');
+    rows = data.map(row => (row.properties && typeof row.properties === 'object' ? { id: row.id, ...row.properties } : row));
+    columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  } else {
+    throw new ImportValidationError('format must be "csv" or "json"');
+  }
+
+  if (!columns.length) throw new ImportValidationError('The file has no columns');
+  if (rows.length > MAX_IMPORT_ROWS) throw new ImportValidationError(`Files can have at most ${MAX_IMPORT_ROWS} rows`);
+  return { columns, rows };
+}
+
+const findProperty = (schema, name) => {
+  const lower = String(name).trim().toLowerCase();
+  return Object.keys(schema.properties).find(key => key.toLowerCase() === lower) || null;
+};
+
+const isWritable = (schema, name) => Boolean(schema.properties[name]) && !READ_ONLY_TYPES.includes(schema.properties[name].type);
+
+// Map each column to the writable property with the same name (ignoring case), or null to skip it
+function suggestMapping(columns, schema) {
+  return Object.fromEntries(columns.map(column => {
+    const name = findProperty(schema, column);
+    return [column, name && isWritable(schema, name) ? name : null];
+  }));
+}
+
+// Check a mapping sent by the client. Columns it leaves out are skipped.
+function validateMapping(mapping, columns, schema) {
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) throw new ImportValidationError('mapping must be an object');
+  const details = [];
+  const used = new Set();
+  const result = Object.fromEntries(columns.map(column => [column, null]));
+  Object.entries(mapping).forEach(([column, name]) => {
+    if (name === null || name === '') return;
+    if (!columns.includes(column)) details.push({ path: `mapping.${column}`, message: `The file has no column "${column}"` });
+    else if (!schema.properties[name]) details.push({ path: `mapping.${column}`, message: `Unknown property "${name}"` });
+    else if (!isWritable(schema, name)) details.push({ path: `mapping.${column}`, message: `"${name}" is read-only` });
+    else if (used.has(name)) details.push({ path: `mapping.${column}`, message: `"${name}" is mapped from more than one column` });
+    else {
+      used.add(name);
+      result[column] = name;
+    }
+  });
+  if (details.length) throw new ImportValidationError('Invalid column mapping', details);
+  return result;
+}
+
+// The column holding the upsert key: the one mapped to the key property, else one named like it
+function findKeyColumn(upsertKey, mapping, schema) {
+  if (upsertKey !== 'id') {
+    const property = schema.properties[upsertKey];
+    if (!property) throw new ImportValidationError(`Unknown upsert key "${upsertKey}"`);
+    if (!KEY_TYPES.includes(property.type))
+      throw new ImportValidationError(`${property.type} properties cannot be used as an upsert key`);
+  }
+  const columns = Object.keys(mapping);
+  const column = columns.find(c => mapping[c] === upsertKey) ||
+    columns.find(c => c.trim().toLowerCase() === upsertKey.toLowerCase());
+  if (!column) throw new ImportValidationError(`No column holds the upsert key "${upsertKey}"`);
+  return column;
+}
+
+// Comparable form of a key value, so "3" matches 3 and page IDs match with or without dashes
+function normalizeKey(value, type) {
+  const text = toCellText(value).trim();
+  if (!text) return '';
+  if (type === 'id') return text.replace(/-/g, '').toLowerCase();
+  if (type === 'number' && Number.isFinite(Number(text))) return String(Number(text));
+  return text;
+}
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(part => (typeof part === 'string' ? part.trim() : part))
+  .filter(part => part !== '' && part !== null && part !== undefined);
+
+const isValidDate = (text) => typeof text === 'string' && !Number.isNaN(Date.parse(text));
+
+// Turn a cell into the API value setPropertyValue expects, or throw an Error explaining why not.
+// Empty cells become null, which clears the property.
+function coerceValue(raw, property, people) {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) return null;
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (property.type) {
+    case 'number': {
+      const number = typeof text === 'number' ? text : Number(String(text).replace(/,/g, ''));
+      if (!Number.isFinite(number)) throw new Error(`"${text}" is not a number`);
+      return number;
+    }
+    case 'checkbox': {
+      if (typeof text === 'boolean') return text;
+      const word = String(text).toLowerCase();
+      if (TRUE_WORDS.includes(word)) return true;
+      if (FALSE_WORDS.includes(word)) return false;
+      throw new Error(`"${text}" is not true or false`);
+    }
+    case 'date': {
+      const [start, end = null] = typeof text === 'object' ? [text.start, text.end] : String(text).split('/');
+      if (!isValidDate(start) || (end && !isValidDate(end))) throw new Error(`"${toCellText(text)}" is not a date`);
+      return { start, end: end || null, timeZone: (typeof text === 'object' && text.timeZone) || null };
+    }
+    case 'status': {
+      const option = (property.status.options || []).find(opt => opt.name.toLowerCase() === String(text).toLowerCase());
+      if (!option) throw new Error(`"${text}" is not a status option`);
+      return option.name;
+    }
+    case 'multi_select':
+      return splitList(text).map(String);
+    case 'people':
+      return splitList(text).map(entry => {
+        if (typeof entry === 'object' && entry.id) return entry;
+        const token = String(entry).toLowerCase();
+        const person = people.find(p => p.id === entry || p.name?.toLowerCase() === token || p.email?.toLowerCase() === token);
+        if (!person) throw new Error(`No workspace member matches "${entry}"`);
+        return person;
+      });
+    case 'relation':
+      return splitList(text).map(entry => (typeof entry === 'object' ? entry.id : String(entry)));
+    case 'files':
+      return splitList(text).map(entry => {
+        const url = typeof entry === 'object' ? entry.url : String(entry);
+        if (!/^https?:\/\//i.test(url || '')) throw new Error(`"${url}" is not a file URL`);
+        return typeof entry === 'object' ? entry : url;
+      });
+    default:
+      return typeof text === 'object' ? toCellText(text) : String(text);
+  }
+}
+
+// Coerce one row through the mapping. Returns { properties, errors } with one error per bad cell.
+function coerceRow(row, mapping, schema, people) {
+  const properties = {};
+  const errors = [];
+  Object.entries(mapping).forEach(([column, name]) => {
+    // Keys missing from a JSON row leave the property alone rather than clearing it
+    if (!name || !(column in row)) return;
+    try {
+      properties[name] = coerceValue(row[column], schema.properties[name], people);
+    } catch (error) {
+      errors.push({ column, property: name, message: error.message });
+    }
+  });
+  return { properties, errors };
+}
+
+module.exports = {
+  ImportValidationError,
+  toCellText,
+  getExportColumns,
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  findKeyColumn,
+  normalizeKey,
+  coerceRow
+};
@@ -0,0 +1,112 @@
+// jsonStore.js - JSON documents and logs kept on disk for state Notion cannot give back to us
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory for data files; override with DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// A JSON file read once and rewritten on every change. Writes are serialized and go through
+// a temporary file so a crash mid-write never leaves a truncated document behind.
+function createJsonStore(name, defaultValue) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Error reading ${file}, starting empty:`, error);
+      data = structuredClone(defaultValue);
+    }
+    return data;
+  };
+
+  // Return a copy of the current document
+  const read = async () => structuredClone(await load());
+
+  // Change the document with `mutate(data)` and persist it. Resolves with mutate's return value,
+  // or rejects when mutate throws or the file could not be written. `mutate` works on a copy that
+  // only replaces the document once it is on disk, so a failed update changes nothing. Updates
+  // run one at a time, and a failed one does not hold up later ones.
+  const update = (mutate) => {
+    const write = writing.then(async () => {
+      const draft = structuredClone(await load());
+      const result = mutate(draft);
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(draft, null, 2));
+      await fs.rename(tmp, file);
+      data = draft;
+      return result;
+    });
+    writing = write.catch(() => {});
+    return write;
+  };
+
+  return { read, update };
+}
+
+// An append-only log of JSON records, one per line, for data that grows with every change.
+// Appending writes only the new line; once the file holds a quarter more than `maxRecords`, it is
+// rewritten with the newest `maxRecords`. A line cut short by a crash is skipped when reading.
+function createJsonLinesStore(name, { maxRecords }) {
+  const file = path.join(DATA_DIR, `${name}.jsonl`);
+  let records = null;
+  // Whether the file ends part way through a line, which the next append has to end first
+  let unfinishedLine = false;
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    if (records) return records;
+    let text = '';
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Error reading ${file}, starting empty:`, error);
+    }
+    unfinishedLine = text !== '' && !text.endsWith('\n');
+    records = text.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+    return records;
+  };
+
+  // Run a file operation after the ones before it; a failed one does not hold up later ones
+  const queue = (operation) => {
+    const write = writing.then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await operation();
+    });
+    writing = write.catch(() => {});
+    return write;
+  };
+
+  // Every record, oldest first. The array is shared, so callers must not change it.
+  const read = () => load();
+
+  // Add a record. Resolves once it is on disk, or rejects when it could not be written.
+  const append = async (record) => {
+    const current = await load();
+    current.push(record);
+    const line = `${unfinishedLine ? '\n' : ''}${JSON.stringify(record)}\n`;
+    unfinishedLine = false;
+    if (current.length <= maxRecords * 1.25) return queue(() => fs.appendFile(file, line));
+    current.splice(0, current.length - maxRecords);
+    const snapshot = current.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    return queue(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    });
+  };
+
+  return { read, append };
+}
+
+module.exports = { createJsonStore, createJsonLinesStore, DATA_DIR };
@@ -0,0 +1,600 @@
+// mockNotion.js - An in-memory stand-in for the Notion client, for running the app and its tests
+// without a Notion workspace. State lives in a store ({ read, update }, as from createJsonStore),
+// so it survives restarts when that store is file-backed.
+//
+// It implements what this server calls: databases.retrieve and databases.query (filters, sorts
+// and cursor paging), pages.create, pages.retrieve and pages.update (including archiving), plus
+// search, users, block children and comments. Failures are APIResponseErrors with Notion's codes.
+//
+// Seed files describe the starting workspace:
+//
+//   {
+//     "users": [{ "id": "…", "name": "Ada Lovelace", "email": "ada@example.com" }],
+//     "databases": [{
+//       "key": "tasks", "id": "…", "title": "Tasks",
+//       "properties": {
+//         "Name": "title",
+//         "Due": "date",
+//         "Tags": { "type": "multi_select", "options": ["home", "work"] },
+//         "Parent item": { "type": "relation", "database": "tasks" }
+//       },
+//       "items": [{ "id": "…", "properties": { "Name": "Write docs", "Due": "2025-01-31" },
+//                   "content": [{ "type": "paragraph", "text": "…" }], "comments": ["…"], "archived": false }]
+//     }]
+//   }
+//
+// Item properties take the values the REST API accepts. IDs are optional; databases without one
+// get an ID derived from their key, so registry entries stay valid across restarts. Relations point
+// at the database whose key they name, or at their own database when they name none.
+const crypto = require('crypto');
+const { APIResponseError } = require('@notionhq/client');
+const { READ_ONLY_TYPES, setPropertyValue, extractPropertyValue } = require('./properties');
+const { toNotionBlocks } = require('./blocks');
+
+// Notion allows at most 100 results per page
+const MAX_PAGE_SIZE = 100;
+
+// The integration every change is made by
+const BOT_USER = { object: 'user', id: '00000000-0000-4000-8000-000000000b07', type: 'bot', name: 'Mock integration', avatar_url: null, bot: { owner: { type: 'workspace', workspace: true }, workspace_name: 'Mock workspace' } };
+
+const OPTION_TYPES = ['select', 'multi_select', 'status'];
+const OPTION_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+const DEFAULT_ANNOTATIONS = { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default' };
+
+const notionError = (status, code, message) => new APIResponseError({
+  code,
+  status,
+  message,
+  headers: {},
+  rawBodyText: JSON.stringify({ object: 'error', status, code, message })
+});
+
+const notFound = (id) => notionError(404, 'object_not_found', `Could not find object with ID: ${id}.`);
+const invalid = (message) => notionError(400, 'validation_error', message);
+
+const normalizeId = (id) => String(id || '').replace(/-/g, '').toLowerCase();
+
+const toUuid = (hex) => `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+
+// The same ID for the same text, so seeded databases keep theirs
+const stableId = (text) => toUuid(crypto.createHash('sha1').update(text).digest('hex'));
+
+// Notion reports last_edited_time rounded down to the minute
+const editedNow = () => `${new Date().toISOString().slice(0, 16)}:00.000Z`;
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Rich text as Notion returns it, from the request form toRichText builds
+function toResponseRichText(segments = []) {
+  return segments.map(segment => {
+    const content = segment.text?.content ?? segment.plain_text ?? '';
+    const link = segment.text?.link || null;
+    return {
+      type: 'text',
+      text: { content, link },
+      annotations: { ...DEFAULT_ANNOTATIONS, ...segment.annotations },
+      plain_text: content,
+      href: link?.url || null
+    };
+  });
+}
+
+const toUserObject = (user) => ({
+  object: 'user',
+  id: user.id,
+  name: user.name,
+  avatar_url: user.avatar_url || null,
+  type: 'person',
+  person: { email: user.email || null }
+});
+
+// A database property from the seed's shorthand: "date" or { type, options?, ...config }
+function toSchemaProperty(name, spec) {
+  const { type, options, ...config } = typeof spec === 'string' ? { type: spec } : spec;
+  const property = { id: slugify(name).slice(0, 8) || crypto.randomBytes(2).toString('hex'), name, type, [type]: config };
+  if (OPTION_TYPES.includes(type)) {
+    property[type] = {
+      ...config,
+      options: (options || []).map((option, index) => {
+        const { name: optionName, color } = typeof option === 'string' ? { name: option } : option;
+        return { id: crypto.randomUUID(), name: optionName, color: color || OPTION_COLORS[index % OPTION_COLORS.length] };
+      })
+    };
+  }
+  return property;
+}
+
+// [{ key, id }] for the seed's databases, as the database registry takes them
+function seedDatabases(seed) {
+  return (seed.databases || []).map(database => {
+    const key = database.key || slugify(database.title || 'database');
+    return { key, id: database.id || stableId(`database:${key}`) };
+  });
+}
+
+// The store document for a seed: { databases, pages, blocks, comments, users }, each keyed by ID
+// except users. Pages are created as if through the API, so seed values are checked the same way.
+function stateFromSeed(seed = {}) {
+  const state = { databases: {}, pages: {}, blocks: {}, comments: {}, users: [] };
+  state.users = (seed.users || []).map(user => toUserObject({ ...user, id: user.id || crypto.randomUUID() }));
+  const now = new Date().toISOString();
+  const entries = seedDatabases(seed);
+  (seed.databases || []).forEach((database, index) => {
+    const { id } = entries[index];
+    const properties = {};
+    Object.entries(database.properties || {}).forEach(([name, spec]) => { properties[name] = toSchemaProperty(name, spec); });
+    Object.values(properties).filter(prop => prop.type === 'relation').forEach(prop => {
+      const { database: target, ...config } = prop.relation;
+      const targetEntry = target ? entries.find(entry => entry.key === target) : entries[index];
+      if (!targetEntry) throw new Error(`Relation "${prop.name}" points at unknown database "${target}"`);
+      prop.relation = { database_id: targetEntry.id, type: 'single_property', single_property: {}, ...config };
+    });
+    state.databases[id] = {
+      object: 'database',
+      id,
+      title: toResponseRichText([{ text: { content: database.title || entries[index].key } }]),
+      properties,
+      created_time: now,
+      last_edited_time: editedNow(),
+      archived: false,
+      in_trash: false,
+      url: `https://www.notion.so/${normalizeId(id)}`
+    };
+    (database.items || []).forEach(item => {
+      const values = {};
+      Object.entries(item.properties || {}).forEach(([name, value]) => {
+        if (!properties[name]) throw new Error(`Seed item property "${name}" is not in database "${database.title}"`);
+        values[name] = setPropertyValue(name, properties[name], value);
+      });
+      const page = buildPage(state, state.databases[id], values, { id: item.id });
+      page.archived = page.in_trash = Boolean(item.archived);
+      state.pages[page.id] = page;
+      if (item.content) state.blocks[page.id] = toNotionBlocks(item.content).map(toResponseBlock);
+      if (item.comments) state.comments[page.id] = item.comments.map(text => toResponseComment(page.id, [{ text: { content: text } }]));
+    });
+  });
+  return state;
+}
+
+// Store that keeps its document in memory only, for tests
+function createMemoryStore(initial) {
+  let data = structuredClone(initial);
+  return {
+    read: async () => structuredClone(data),
+    update: async (mutate) => mutate(data)
+  };
+}
+
+const toResponseBlock = (block) => {
+  const content = { ...block[block.type] };
+  if (content.rich_text) content.rich_text = toResponseRichText(content.rich_text);
+  const now = new Date().toISOString();
+  return { object: 'block', id: crypto.randomUUID(), type: block.type, [block.type]: content, has_children: false, archived: false, created_time: now, last_edited_time: now };
+};
+
+const toResponseComment = (pageId, richText) => ({
+  object: 'comment',
+  id: crypto.randomUUID(),
+  parent: { type: 'page_id', page_id: pageId },
+  discussion_id: crypto.randomUUID(),
+  created_time: new Date().toISOString(),
+  last_edited_time: new Date().toISOString(),
+  created_by: { object: 'user', id: BOT_USER.id },
+  rich_text: toResponseRichText(richText)
+});
+
+// Turn one property value in request form into the stored response form, adding unknown
+// select and multi_select options to the schema as Notion does
+function toResponseValue(state, database, name, value) {
+  const prop = database.properties[name];
+  const { type } = prop;
+  if (!(type in value)) throw invalid(`${name} is expected to be ${type}.`);
+  const raw = value[type];
+  const option = (optionValue) => {
+    const options = prop[type].options;
+    let match = options.find(o => o.name === optionValue.name);
+    if (!match) {
+      if (type === 'status') throw invalid(`Invalid status option. Status option "${optionValue.name}" does not exist".`);
+      if (optionValue.name.includes(',')) throw invalid(`Invalid select option, commas not allowed: ${optionValue.name}`);
+      match = { id: crypto.randomUUID(), name: optionValue.name, color: OPTION_COLORS[options.length % OPTION_COLORS.length] };
+      options.push(match);
+      database.last_edited_time = editedNow();
+    }
+    return { ...match };
+  };
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return toResponseRichText(raw);
+    case 'select':
+    case 'status':
+      return raw ? option(raw) : null;
+    case 'multi_select':
+      return raw.map(option);
+    case 'people':
+      return raw.map(({ id }) => {
+        const user = [...state.users, BOT_USER].find(u => normalizeId(u.id) === normalizeId(id));
+        if (!user) throw invalid(`${name}: user ${id} does not exist.`);
+        return { ...user };
+      });
+    case 'relation':
+      return raw.map(({ id }) => ({ id }));
+    case 'date':
+      return raw ? { start: raw.start, end: raw.end || null, time_zone: raw.time_zone || null } : null;
+    default:
+      return raw ?? null;
+  }
+}
+
+const EMPTY_VALUES = { title: [], rich_text: [], multi_select: [], people: [], relation: [], files: [], checkbox: false };
+
+// Values Notion computes for read-only property types
+function computedValue(type, page) {
+  switch (type) {
+    case 'created_time': return page.created_time;
+    case 'last_edited_time': return page.last_edited_time;
+    case 'created_by': return { object: 'user', id: BOT_USER.id };
+    case 'last_edited_by': return { object: 'user', id: BOT_USER.id };
+    case 'formula': return { type: 'string', string: null };
+    case 'rollup': return { type: 'array', array: [], function: 'show_original' };
+    case 'unique_id': return { prefix: null, number: page.number ?? null };
+    default: return null;
+  }
+}
+
+// Recompute a page's read-only properties after it changed
+function refreshComputed(database, page) {
+  Object.entries(database.properties).forEach(([name, prop]) => {
+    if (READ_ONLY_TYPES.includes(prop.type)) page.properties[name] = { id: prop.id, type: prop.type, [prop.type]: computedValue(prop.type, page) };
+  });
+}
+
+// Check that every property in a request exists and is writable
+function checkPropertyNames(database, values) {
+  Object.keys(values).forEach(name => {
+    const prop = database.properties[name];
+    if (!prop) throw invalid(`${name} is not a property that exists.`);
+    if (READ_ONLY_TYPES.includes(prop.type)) throw invalid(`${name} is a ${prop.type} property and cannot be updated.`);
+  });
+}
+
+// A new page in `database` with the request-form `values` set and every other property empty
+function buildPage(state, database, values, { id } = {}) {
+  checkPropertyNames(database, values);
+  const now = new Date().toISOString();
+  const pageId = id || crypto.randomUUID();
+  const number = Object.values(state.pages).filter(p => p.parent.database_id === database.id).length + 1;
+  const page = {
+    object: 'page',
+    id: pageId,
+    created_time: now,
+    last_edited_time: editedNow(),
+    created_by: { object: 'user', id: BOT_USER.id },
+    last_edited_by: { object: 'user', id: BOT_USER.id },
+    cover: null,
+    icon: null,
+    parent: { type: 'database_id', database_id: database.id },
+    archived: false,
+    in_trash: false,
+    properties: {},
+    url: `https://www.notion.so/${normalizeId(pageId)}`,
+    public_url: null,
+    number
+  };
+  Object.entries(database.properties).forEach(([name, prop]) => {
+    if (READ_ONLY_TYPES.includes(prop.type)) return;
+    const value = values[name] ? toResponseValue(state, database, name, values[name]) : EMPTY_VALUES[prop.type] ?? null;
+    page.properties[name] = { id: prop.id, type: prop.type, [prop.type]: value };
+  });
+  refreshComputed(database, page);
+  return page;
+}
+
+// A page as the API returns it; `number` only feeds unique_id properties
+const publicPage = ({ number, ...page }) => page;
+
+// ---- Filters ----
+
+const isDateOnly = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text);
+
+// Compare two ISO dates; a date without a time is compared by day
+function compareDates(a, b) {
+  if (isDateOnly(a) || isDateOnly(b)) return a.slice(0, 10) < b.slice(0, 10) ? -1 : a.slice(0, 10) > b.slice(0, 10) ? 1 : 0;
+  return Math.sign(Date.parse(a) - Date.parse(b));
+}
+
+const DATE_OPERATORS = {
+  equals: (value, target) => value !== null && compareDates(value, target) === 0,
+  before: (value, target) => value !== null && compareDates(value, target) < 0,
+  after: (value, target) => value !== null && compareDates(value, target) > 0,
+  on_or_before: (value, target) => value !== null && compareDates(value, target) <= 0,
+  on_or_after: (value, target) => value !== null && compareDates(value, target) >= 0,
+  is_empty: (value) => value === null,
+  is_not_empty: (value) => value !== null
+};
+
+const lower = (text) => String(text).toLowerCase();
+
+const TEXT_OPERATORS = {
+  equals: (value, target) => value === target,
+  does_not_equal: (value, target) => value !== target,
+  contains: (value, target) => lower(value).includes(lower(target)),
+  does_not_contain: (value, target) => !lower(value).includes(lower(target)),
+  starts_with: (value, target) => lower(value).startsWith(lower(target)),
+  ends_with: (value, target) => lower(value).endsWith(lower(target)),
+  is_empty: (value) => value === '',
+  is_not_empty: (value) => value !== ''
+};
+
+const NUMBER_OPERATORS = {
+  equals: (value, target) => value === target,
+  does_not_equal: (value, target) => value !== target,
+  greater_than: (value, target) => value !== null && value > target,
+  greater_than_or_equal_to: (value, target) => value !== null && value >= target,
+  less_than: (value, target) => value !== null && value < target,
+  less_than_or_equal_to: (value, target) => value !== null && value <= target,
+  is_empty: (value) => value === null,
+  is_not_empty: (value) => value !== null
+};
+
+const SINGLE_OPERATORS = {
+  equals: (value, target) => value === target,
+  does_not_equal: (value, target) => value !== target,
+  is_empty: (value) => value === null,
+  is_not_empty: (value) => value !== null
+};
+
+const LIST_OPERATORS = {
+  contains: (values, target) => values.includes(target),
+  does_not_contain: (values, target) => !values.includes(target),
+  is_empty: (values) => values.length === 0,
+  is_not_empty: (values) => values.length > 0
+};
+
+// The operators for a property type, and the page value they compare
+function filterTarget(type, property) {
+  const value = extractPropertyValue(property);
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { operators: TEXT_OPERATORS, value: value || '' };
+    case 'number':
+      return { operators: NUMBER_OPERATORS, value };
+    case 'checkbox':
+      return { operators: { equals: SINGLE_OPERATORS.equals, does_not_equal: SINGLE_OPERATORS.does_not_equal }, value };
+    case 'select':
+    case 'status':
+      return { operators: SINGLE_OPERATORS, value };
+    case 'multi_select':
+      return { operators: LIST_OPERATORS, value };
+    case 'people':
+    case 'relation':
+      return { operators: LIST_OPERATORS, value: value.map(v => (typeof v === 'object' ? v.id : v)) };
+    case 'date':
+    case 'created_time':
+    case 'last_edited_time':
+      return { operators: DATE_OPERATORS, value: typeof value === 'string' ? value : value?.start || null };
+    default:
+      return null;
+  }
+}
+
+// Whether a page passes a Notion filter object
+function matchesFilter(page, filter, database) {
+  if (!filter) return true;
+  if (Array.isArray(filter.and)) return filter.and.every(child => matchesFilter(page, child, database));
+  if (Array.isArray(filter.or)) return filter.or.some(child => matchesFilter(page, child, database));
+
+  let type;
+  let property;
+  if (filter.timestamp) {
+    type = filter.timestamp;
+    property = { type, [type]: page[type] };
+  } else {
+    const prop = database.properties[filter.property];
+    if (!prop) throw invalid(`Could not find property with name or id: ${filter.property}`);
+    type = prop.type;
+    property = page.properties[filter.property];
+  }
+  const conditionKey = Object.keys(filter).find(key => key !== 'property' && key !== 'timestamp');
+  const condition = filter[conditionKey] || {};
+  const target = filterTarget(type, property);
+  const [operator, operand] = Object.entries(condition)[0] || [];
+  if (!target || !target.operators[operator]) {
+    throw invalid(`body.filter.${conditionKey}.${operator} is not a supported filter for ${type} properties.`);
+  }
+  return target.operators[operator](target.value, operand);
+}
+
+// ---- Sorts ----
+
+// A sortable key for a page's property value: number, string or null when empty
+function sortKey(page, sort, database) {
+  if (sort.timestamp) return page[sort.timestamp];
+  const prop = database.properties[sort.property];
+  if (!prop) throw invalid(`Could not find sort property with name or id: ${sort.property}`);
+  const value = extractPropertyValue(page.properties[sort.property]);
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)) return null;
+  switch (prop.type) {
+    case 'select':
+    case 'status':
+      // Options sort in the order the schema lists them
+      return prop[prop.type].options.findIndex(option => option.name === value);
+    case 'multi_select':
+      return value.join(', ').toLowerCase();
+    case 'checkbox':
+      return value ? 1 : 0;
+    case 'date':
+      return value.start;
+    case 'people':
+      return value.map(person => person.name).join(', ').toLowerCase();
+    default:
+      return typeof value === 'string' ? value.toLowerCase() : typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+}
+
+// Sort pages in place. Empty values go last either way; without sorts, newest pages come first.
+function sortPages(pages, sorts, database) {
+  const order = sorts && sorts.length ? sorts : [{ timestamp: 'created_time', direction: 'descending' }];
+  const keyed = pages.map((page, index) => ({ page, index, keys: order.map(sort => sortKey(page, sort, database)) }));
+  keyed.sort((a, b) => {
+    for (let i = 0; i < order.length; i += 1) {
+      const [x, y] = [a.keys[i], b.keys[i]];
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const result = x < y ? -1 : 1;
+      return order[i].direction === 'descending' ? -result : result;
+    }
+    return a.index - b.index;
+  });
+  return keyed.map(entry => entry.page);
+}
+
+// One page of `results` after `start_cursor`, which is the ID of the first result to return
+function paginate(results, { start_cursor: cursor, page_size: pageSize = MAX_PAGE_SIZE }) {
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw invalid(`body.page_size should be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  let start = 0;
+  if (cursor) {
+    start = results.findIndex(result => result.id === cursor);
+    if (start === -1) throw invalid(`start_cursor ${cursor} is not valid.`);
+  }
+  const slice = results.slice(start, start + pageSize);
+  const next = results[start + pageSize];
+  return { object: 'list', results: slice, next_cursor: next ? next.id : null, has_more: Boolean(next) };
+}
+
+// A client with the parts of @notionhq/client's interface this server uses. Give `seed` for a
+// fresh in-memory workspace, or a `store` whose document came from stateFromSeed.
+function createMockNotion({ seed, store = createMemoryStore(stateFromSeed(seed)) } = {}) {
+  const findDatabase = (state, id) => {
+    const database = Object.values(state.databases).find(db => normalizeId(db.id) === normalizeId(id));
+    if (!database) throw notFound(id);
+    return database;
+  };
+
+  const findPage = (state, id) => {
+    const page = Object.values(state.pages).find(p => normalizeId(p.id) === normalizeId(id));
+    if (!page) throw notFound(id);
+    return page;
+  };
+
+  // Pages and blocks are both valid parents for block children and comments
+  const findBlockParent = (state, id) => {
+    const page = Object.values(state.pages).find(p => normalizeId(p.id) === normalizeId(id));
+    if (page) return page.id;
+    const block = Object.values(state.blocks).flat().find(b => normalizeId(b.id) === normalizeId(id));
+    if (block) return block.id;
+    throw notFound(id);
+  };
+
+  const databases = {
+    retrieve: async ({ database_id: id }) => findDatabase(await store.read(), id),
+
+    query: async ({ database_id: id, filter, sorts, ...paging }) => {
+      const state = await store.read();
+      const database = findDatabase(state, id);
+      const pages = Object.values(state.pages)
+        .filter(page => page.parent.database_id === database.id && !page.archived)
+        .filter(page => matchesFilter(page, filter, database));
+      const response = paginate(sortPages(pages, sorts, database), paging);
+      return { ...response, results: response.results.map(publicPage), type: 'page_or_database', page_or_database: {} };
+    }
+  };
+
+  const pages = {
+    retrieve: async ({ page_id: id }) => publicPage(findPage(await store.read(), id)),
+
+    create: async ({ parent, properties = {}, children }) => store.update(state => {
+      const database = findDatabase(state, parent?.database_id);
+      // Work on a copy so a rejected value leaves new options out of the schema
+      const draft = structuredClone(database);
+      const page = buildPage(state, draft, properties);
+      state.databases[database.id] = draft;
+      state.pages[page.id] = page;
+      if (children) state.blocks[page.id] = children.map(toResponseBlock);
+      return publicPage(page);
+    }),
+
+    update: async ({ page_id: id, properties = {}, archived, in_trash: inTrash }) => store.update(state => {
+      const current = findPage(state, id);
+      const trashed = archived ?? inTrash;
+      if (current.archived && trashed !== false && Object.keys(properties).length) {
+        throw invalid("Can't edit block that is archived. You must unarchive the block before editing.");
+      }
+      const database = structuredClone(findDatabase(state, current.parent.database_id));
+      checkPropertyNames(database, properties);
+      const page = structuredClone(current);
+      Object.entries(properties).forEach(([name, value]) => {
+        const prop = database.properties[name];
+        page.properties[name] = { id: prop.id, type: prop.type, [prop.type]: toResponseValue(state, database, name, value) };
+      });
+      if (trashed !== undefined) page.archived = page.in_trash = Boolean(trashed);
+      page.last_edited_time = editedNow();
+      refreshComputed(database, page);
+      state.databases[database.id] = database;
+      state.pages[page.id] = page;
+      return publicPage(page);
+    })
+  };
+
+  // Databases and pages whose title contains `query`; filter { property: 'object', value } picks one kind
+  const search = async ({ query = '', filter, ...paging } = {}) => {
+    const state = await store.read();
+    const titleOf = (object) => (object.object === 'database'
+      ? object.title
+      : Object.values(object.properties).find(prop => prop.type === 'title')?.title || []).map(t => t.plain_text).join('');
+    const results = [...Object.values(state.databases), ...Object.values(state.pages).filter(page => !page.archived).map(publicPage)]
+      .filter(object => !filter || object.object === filter.value)
+      .filter(object => lower(titleOf(object)).includes(lower(query)));
+    return paginate(results, paging);
+  };
+
+  const users = {
+    me: async () => BOT_USER,
+    retrieve: async ({ user_id: id }) => {
+      const user = [...(await store.read()).users, BOT_USER].find(u => normalizeId(u.id) === normalizeId(id));
+      if (!user) throw notFound(id);
+      return user;
+    },
+    list: async (paging = {}) => paginate([...(await store.read()).users, BOT_USER], paging)
+  };
+
+  const blocks = {
+    children: {
+      list: async ({ block_id: id, ...paging }) => {
+        const state = await store.read();
+        return paginate(state.blocks[findBlockParent(state, id)] || [], paging);
+      },
+      append: async ({ block_id: id, children }) => store.update(state => {
+        const parentId = findBlockParent(state, id);
+        const added = children.map(toResponseBlock);
+        state.blocks[parentId] = [...(state.blocks[parentId] || []), ...added];
+        return { object: 'list', results: added, next_cursor: null, has_more: false };
+      })
+    }
+  };
+
+  const comments = {
+    list: async ({ block_id: id, ...paging }) => {
+      const state = await store.read();
+      return paginate(state.comments[findBlockParent(state, id)] || [], paging);
+    },
+    create: async ({ parent, rich_text: richText }) => store.update(state => {
+      const pageId = findPage(state, parent?.page_id).id;
+      const comment = toResponseComment(pageId, richText);
+      state.comments[pageId] = [...(state.comments[pageId] || []), comment];
+      return comment;
+    })
+  };
+
+  return { databases, pages, search, users, blocks, comments };
+}
+
+module.exports = { createMockNotion, createMemoryStore, stateFromSeed, seedDatabases, stableId };
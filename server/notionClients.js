@@ -0,0 +1,32 @@
+// notionClients.js - Use the signed-in user's own Notion connection when they have one
+const { AsyncLocalStorage } = require('async_hooks');
+const { Client } = require('@notionhq/client');
+const { withQueue } = require('./notionQueue');
+
+// `notion` stands in for a client and forwards every call to the one for the token the current
+// request runs with (see runWithToken), falling back to the server's integration token. All
+// clients share one queue. `createClient(token)` makes the underlying clients; tests and the
+// mock workspace pass one that ignores the token.
+function createNotionClients({ defaultToken, queue, createClient = (token) => new Client({ auth: token }) }) {
+  const context = new AsyncLocalStorage();
+  const clients = new Map();
+
+  const clientFor = (token) => {
+    if (!clients.has(token)) clients.set(token, withQueue(createClient(token), queue));
+    return clients.get(token);
+  };
+
+  const notion = new Proxy({}, {
+    get: (target, key) => clientFor(context.getStore() || defaultToken)[key]
+  });
+
+  // Run `fn` and everything it starts with `token`; a missing token means the server's own
+  const runWithToken = (token, fn) => context.run(token || defaultToken, fn);
+
+  // Drop the cached client of a token that was disconnected
+  const forget = (token) => clients.delete(token);
+
+  return { notion, runWithToken, clientFor, forget };
+}
+
+module.exports = { createNotionClients };
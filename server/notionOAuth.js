@@ -0,0 +1,75 @@
+// notionOAuth.js - Let users connect their own Notion workspace
+//
+// With NOTION_OAUTH_CLIENT_ID and NOTION_OAUTH_CLIENT_SECRET this is Notion's public-integration
+// OAuth flow. Without them a local stand-in plays the part of Notion's consent page: it asks for an
+// internal integration token and hands back a one-time code, so the rest of the flow is the same.
+const crypto = require('crypto');
+
+const NOTION_AUTHORIZE_URL = 'https://api.notion.com/v1/oauth/authorize';
+
+// How long a code from the local stand-in can be exchanged
+const LOCAL_CODE_TTL_MS = 5 * 60 * 1000;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// `clientFor(token)` returns a Notion client; `redirectUri` is the callback route and
+// `localAuthorizeUrl` the stand-in's consent page.
+function createNotionOAuth({ clientId, clientSecret, redirectUri, localAuthorizeUrl, clientFor }) {
+  const local = !clientId;
+  // One-time codes issued by the stand-in: code -> { token, expiresAt }
+  const localCodes = new Map();
+
+  const authorizeUrl = (state) => {
+    const params = new URLSearchParams({ response_type: 'code', owner: 'user', redirect_uri: redirectUri, state });
+    if (local) return `${localAuthorizeUrl}?${params}`;
+    params.set('client_id', clientId);
+    return `${NOTION_AUTHORIZE_URL}?${params}`;
+  };
+
+  // Trade a code for { accessToken, workspaceName }
+  const exchange = async (code) => {
+    if (!local) {
+      const response = await clientFor(undefined).oauth.token({
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri
+      });
+      return { accessToken: response.access_token, workspaceName: response.workspace_name };
+    }
+    const entry = localCodes.get(code);
+    localCodes.delete(code);
+    if (!entry || entry.expiresAt < Date.now()) throw new Error('The authorization code is invalid or has expired');
+    // Make sure the token works before keeping it
+    const bot = await clientFor(entry.token).users.me({});
+    return { accessToken: entry.token, workspaceName: bot.bot?.workspace_name || null };
+  };
+
+  // Stand-in consent page, shown at localAuthorizeUrl
+  const renderLocalConsent = ({ state, error }) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>Connect Notion</title>
+<style>body{font-family:sans-serif;max-width:28rem;margin:4rem auto;color:#1f2937}input{width:100%;padding:.5rem;margin:.5rem 0 1rem;box-sizing:border-box}button{padding:.5rem 1rem}.error{color:#b91c1c}</style>
+</head><body>
+<h1>Connect Notion</h1>
+<p>Paste an internal integration token from notion.so/my-integrations. Requests you make will use it instead of the server's token.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+<input type="hidden" name="state" value="${escapeHtml(state)}">
+<label>Integration token<input name="token" type="password" autocomplete="off" required></label>
+<button type="submit">Connect</button>
+</form>
+</body></html>`;
+
+  // Accept a token on the stand-in page; returns the callback URL to redirect to
+  const issueLocalCode = (token, state) => {
+    const code = crypto.randomBytes(24).toString('base64url');
+    localCodes.forEach((entry, key) => { if (entry.expiresAt < Date.now()) localCodes.delete(key); });
+    localCodes.set(code, { token, expiresAt: Date.now() + LOCAL_CODE_TTL_MS });
+    return `${redirectUri}?${new URLSearchParams({ code, state })}`;
+  };
+
+  return { local, authorizeUrl, exchange, renderLocalConsent, issueLocalCode };
+}
+
+module.exports = { createNotionOAuth };
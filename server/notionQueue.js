@@ -0,0 +1,190 @@
+// notionQueue.js - Central queue for Notion API calls with rate limiting, retries and backoff
+
+// Error codes worth retrying: rate limits, edit conflicts and Notion-side outages
+const TRANSIENT_CODES = [
+  'rate_limited',
+  'conflict_error',
+  'internal_server_error',
+  'service_unavailable',
+  'database_connection_unavailable',
+  'gateway_timeout',
+  'notionhq_client_request_timeout'
+];
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+// Calls that add something each time they run. One that timed out or failed with a 5xx may still
+// have been applied, so these are only retried when rate limited, which Notion rejects unapplied.
+const NON_IDEMPOTENT_METHODS = ['pages.create', 'comments.create', 'blocks.children.append', 'databases.create'];
+
+// Socket-level failures from fetch when Notion cannot be reached at all
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// HTTP status to answer with when a Notion call finally fails
+const ERROR_STATUSES = {
+  rate_limited: 429,
+  conflict_error: 409,
+  object_not_found: 404,
+  validation_error: 400,
+  invalid_request: 400,
+  unauthorized: 502,
+  restricted_resource: 502,
+  service_unavailable: 503,
+  database_connection_unavailable: 503,
+  gateway_timeout: 504,
+  notionhq_client_request_timeout: 504
+};
+
+function isNetworkError(error) {
+  return NETWORK_CODES.includes(error.cause?.code || error.code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+const isRateLimited = (error) => error.code === 'rate_limited' || error.status === 429;
+
+// Whether a failed call is worth retrying. Calls that are not `idempotent` are only retried when
+// rate limited.
+function isTransientError(error, { idempotent = true } = {}) {
+  if (!idempotent) return isRateLimited(error);
+  return TRANSIENT_CODES.includes(error.code) || TRANSIENT_STATUSES.includes(error.status) || isNetworkError(error);
+}
+
+// Seconds from a Retry-After header, if Notion sent one
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+// Answer a request whose Notion call failed, keeping the reason visible to the client.
+// Clients treat 503 as "try again later", so an unreachable Notion is reported that way.
+function sendNotionError(res, error, message) {
+  if (isNetworkError(error)) return res.status(503).json({ error: message, code: 'notion_unreachable' });
+  const status = ERROR_STATUSES[error.code] || (error.status === 502 ? 502 : 500);
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) res.set('Retry-After', String(retryAfter));
+  res.status(status).json({ error: message, ...(error.code ? { code: error.code } : {}) });
+}
+
+// Runs queued calls with at most `concurrency` in flight and at most `requestsPerSecond`
+// started per second. Transient failures are retried with exponential backoff, waiting at
+// least as long as Retry-After asks; a 429 pauses the whole queue, not just that call.
+function createNotionQueue({
+  concurrency = 3,
+  requestsPerSecond = 3,
+  maxRetries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000
+} = {}) {
+  const waiting = [];
+  const minInterval = 1000 / requestsPerSecond;
+  let active = 0;
+  let retrying = 0;
+  let nextStartAt = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  const metrics = {
+    completed: 0,
+    failed: 0,
+    retries: 0,
+    rateLimited: 0,
+    totalLatencyMs: 0,
+    lastError: null
+  };
+
+  // A failed attempt gives up its slot; retries rejoin the front of the queue after their delay
+  // so they still count against the concurrency and rate limits
+  const run = async (task) => {
+    try {
+      const result = await task.fn();
+      metrics.completed++;
+      metrics.totalLatencyMs += Date.now() - task.queuedAt;
+      task.resolve(result);
+    } catch (error) {
+      if (!isTransientError(error, { idempotent: task.idempotent }) || task.attempt >= maxRetries) {
+        metrics.failed++;
+        metrics.lastError = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+        task.reject(error);
+        return;
+      }
+      const retryAfter = getRetryAfter(error);
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** task.attempt) * (0.5 + Math.random() / 2);
+      const delay = Math.max(backoff, retryAfter !== null ? retryAfter * 1000 : 0);
+      if (isRateLimited(error)) {
+        metrics.rateLimited++;
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      metrics.retries++;
+      task.attempt++;
+      retrying++;
+      setTimeout(() => {
+        retrying--;
+        waiting.unshift(task);
+        pump();
+      }, delay);
+    }
+  };
+
+  const pump = () => {
+    if (timer) return;
+    while (waiting.length && active < concurrency) {
+      const now = Date.now();
+      const startAt = Math.max(nextStartAt, pausedUntil);
+      if (startAt > now) {
+        timer = setTimeout(() => { timer = null; pump(); }, startAt - now);
+        return;
+      }
+      nextStartAt = now + minInterval;
+      const task = waiting.shift();
+      active++;
+      run(task).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  };
+
+  // Queue a function that makes one Notion call; resolves with its result. Pass
+  // `idempotent: false` for calls that must not run twice (see isTransientError).
+  const schedule = (fn, { idempotent = true } = {}) => new Promise((resolve, reject) => {
+    waiting.push({ fn, idempotent, resolve, reject, attempt: 0, queuedAt: Date.now() });
+    pump();
+  });
+
+  const stats = () => ({
+    waiting: waiting.length,
+    active,
+    retrying,
+    concurrency,
+    requestsPerSecond,
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+    completed: metrics.completed,
+    failed: metrics.failed,
+    retries: metrics.retries,
+    rateLimited: metrics.rateLimited,
+    averageLatencyMs: metrics.completed ? Math.round(metrics.totalLatencyMs / metrics.completed) : null,
+    lastError: metrics.lastError
+  });
+
+  return { schedule, stats };
+}
+
+// Wrap a Notion client so every API method (notion.pages.update, notion.search, ...) goes
+// through the queue while keeping the client's own interface
+function withQueue(client, queue) {
+  const wrap = (target, path) => new Proxy(target, {
+    get(obj, key) {
+      const value = obj[key];
+      const name = path ? `${path}.${String(key)}` : String(key);
+      if (typeof value === 'function') {
+        const idempotent = !NON_IDEMPOTENT_METHODS.includes(name);
+        return (...args) => queue.schedule(() => value.apply(obj, args), { idempotent });
+      }
+      if (value && typeof value === 'object') return wrap(value, name);
+      return value;
+    }
+  });
+  return wrap(client, '');
+}
+
+module.exports = { createNotionQueue, withQueue, isTransientError, sendNotionError };
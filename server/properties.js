@@ -0,0 +1,216 @@
+// properties.js - Convert between Notion property objects and the plain values the API exchanges
+
+// Types Notion computes itself; they can be read but never written
+const READ_ONLY_TYPES = ['formula', 'rollup', 'created_time', 'last_edited_time', 'created_by', 'last_edited_by', 'unique_id'];
+
+// Notion rejects rich text segments longer than this
+const MAX_TEXT_LENGTH = 2000;
+
+const COMPLETED_NAMES = ['done', 'complete', 'completed'];
+
+// Keep only the annotations that differ from plain text
+function compactAnnotations(annotations = {}) {
+  const result = {};
+  ['bold', 'italic', 'strikethrough', 'underline', 'code'].forEach(key => { if (annotations[key]) result[key] = true; });
+  if (annotations.color && annotations.color !== 'default') result.color = annotations.color;
+  return result;
+}
+
+// Rich text as [{ text, annotations, href }] segments
+function extractRichText(richText) {
+  return richText.map(t => ({ text: t.plain_text, annotations: compactAnnotations(t.annotations), href: t.href || null }));
+}
+
+function hasFormatting(segments) {
+  return segments.some(s => s.href || Object.keys(s.annotations).length);
+}
+
+// Build Notion rich text from a string or from [{ text, annotations, href }] segments
+function toRichText(value) {
+  const segments = Array.isArray(value) ? value : [{ text: String(value) }];
+  return segments.flatMap(({ text = '', annotations = {}, href = null }) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += MAX_TEXT_LENGTH) chunks.push(text.slice(i, i + MAX_TEXT_LENGTH));
+    return chunks.map(content => ({
+      type: 'text',
+      text: { content, link: href ? { url: href } : null },
+      annotations: compactAnnotations(annotations)
+    }));
+  });
+}
+
+function extractUser(user) {
+  if (!user) return null;
+  return { id: user.id, name: user.name || null, avatarUrl: user.avatar_url || null };
+}
+
+function extractDate(date) {
+  if (!date) return null;
+  return { start: date.start, end: date.end || null, timeZone: date.time_zone || null };
+}
+
+// Extract value from any Notion property
+function extractPropertyValue(property) {
+  if (!property) return null;
+  switch (property.type) {
+    case 'title':
+      return property.title.map(t => t.plain_text).join('');
+    case 'rich_text':
+      return property.rich_text.map(t => t.plain_text).join('');
+    case 'select':
+      return property.select?.name || null;
+    case 'multi_select':
+      return property.multi_select.map(s => s.name);
+    case 'checkbox':
+      return property.checkbox;
+    case 'date':
+      return extractDate(property.date);
+    case 'url':
+      return property.url;
+    case 'number':
+      return property.number;
+    case 'status':
+      return property.status?.name || null;
+    case 'email':
+      return property.email;
+    case 'phone_number':
+      return property.phone_number;
+    case 'people':
+      return property.people.map(extractUser);
+    case 'relation':
+      return property.relation.map(r => r.id);
+    case 'files':
+      return property.files.map(f => ({ name: f.name, url: f[f.type]?.url || null, type: f.type }));
+    case 'formula': {
+      const { type } = property.formula;
+      return type === 'date' ? extractDate(property.formula.date) : property.formula[type] ?? null;
+    }
+    case 'rollup': {
+      const { type } = property.rollup;
+      if (type === 'array') return property.rollup.array.map(extractPropertyValue);
+      return type === 'date' ? extractDate(property.rollup.date) : property.rollup[type] ?? null;
+    }
+    case 'created_time':
+      return property.created_time;
+    case 'last_edited_time':
+      return property.last_edited_time;
+    case 'created_by':
+      return extractUser(property.created_by);
+    case 'last_edited_by':
+      return extractUser(property.last_edited_by);
+    case 'unique_id': {
+      const { prefix, number } = property.unique_id;
+      if (number === null || number === undefined) return null;
+      return prefix ? `${prefix}-${number}` : String(number);
+    }
+    default:
+      return null;
+  }
+}
+
+// Values that clear a property when null or an empty string is sent. Status cannot be cleared.
+const EMPTY_PROPERTY_VALUES = {
+  title: { title: [] },
+  rich_text: { rich_text: [] },
+  select: { select: null },
+  multi_select: { multi_select: [] },
+  checkbox: { checkbox: false },
+  date: { date: null },
+  url: { url: null },
+  number: { number: null },
+  email: { email: null },
+  phone_number: { phone_number: null },
+  people: { people: [] },
+  relation: { relation: [] },
+  files: { files: [] }
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Accept bare IDs or objects with an id, as returned by extractPropertyValue
+const toIdList = (value) => toList(value).map(v => ({ id: typeof v === 'object' ? v.id : String(v) }));
+
+// Set property value with correct type
+function setPropertyValue(propertyName, propertySchema, value) {
+  if (value === undefined) return null;
+  if (value === null || value === '') return EMPTY_PROPERTY_VALUES[propertySchema.type] || null;
+  switch (propertySchema.type) {
+    case 'title':
+      return { title: toRichText(value) };
+    case 'rich_text':
+      return { rich_text: toRichText(value) };
+    case 'select':
+      return { select: { name: String(value) } };
+    case 'multi_select':
+      return { multi_select: toList(value).map(v => ({ name: String(v) })) };
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    case 'date': {
+      // A bare string is the start date; objects carry an optional end and time zone
+      const { start, end = null, timeZone = null } = typeof value === 'object' ? value : { start: value };
+      if (!start) return EMPTY_PROPERTY_VALUES.date;
+      return { date: { start, end: end || null, time_zone: timeZone || null } };
+    }
+    case 'url':
+      return { url: String(value) };
+    case 'number':
+      return { number: Number(value) };
+    case 'status': {
+      const options = propertySchema.status.options || [];
+      const match = options.find(opt => opt.name.toLowerCase() === String(value).toLowerCase());
+      const name = match ? match.name : options[0]?.name || String(value);
+      return { status: { name } };
+    }
+    case 'email':
+      return { email: String(value) };
+    case 'phone_number':
+      return { phone_number: String(value) };
+    case 'people':
+      return { people: toIdList(value) };
+    case 'relation':
+      return { relation: toIdList(value) };
+    case 'files':
+      // Only externally hosted files can be attached through the API
+      return {
+        files: toList(value).map(file => {
+          const { url, name } = typeof file === 'object' ? file : { url: String(file) };
+          return { name: (name || url.split('/').pop() || url).slice(0, 100), type: 'external', external: { url } };
+        })
+      };
+    default:
+      return null;
+  }
+}
+
+// Work out whether an item counts as done from the first checkbox or status property
+function isCompletedValue(value) {
+  if (typeof value === 'boolean') return value;
+  return typeof value === 'string' ? COMPLETED_NAMES.includes(value.toLowerCase()) : false;
+}
+
+// Convert a Notion page into the item shape returned by the API
+function formatPage(page, schema) {
+  const result = { id: page.id, createdAt: page.created_time, lastEditedTime: page.last_edited_time, properties: {} };
+  Object.entries(page.properties).forEach(([key, prop]) => {
+    result.properties[key] = extractPropertyValue(prop);
+    if (prop.type === 'title' || prop.type === 'rich_text') {
+      const segments = extractRichText(prop[prop.type]);
+      if (hasFormatting(segments)) (result.richText = result.richText || {})[key] = segments;
+    }
+  });
+  if (schema.titleProperty) result.title = result.properties[schema.titleProperty] || 'Untitled';
+  const checkboxProp = schema.checkboxProperties[0];
+  if (checkboxProp) result.completed = isCompletedValue(result.properties[checkboxProp]);
+  return result;
+}
+
+module.exports = {
+  READ_ONLY_TYPES,
+  COMPLETED_NAMES,
+  extractPropertyValue,
+  extractRichText,
+  toRichText,
+  setPropertyValue,
+  isCompletedValue,
+  formatPage
+};
@@ -0,0 +1,293 @@
+// quickAdd.js - Turn one line such as "Write report tomorrow 5pm #urgent @Alice !high" into the
+// properties of a new item
+//
+//   dates     today, tomorrow, friday, next week, in 3 days, Jan 5, 5 Jan 2026, 3/14, 2025-03-14,
+//             optionally with a time (5pm, 5:30pm, 17:00, noon) and a leading on/by/due/at
+//   #tag      an option of a select or multi_select property; hyphens stand for spaces
+//   @name     a workspace member for the first people property, by full or first name
+//   !level    an option of the priority property, e.g. !high or !med
+//
+// Everything else becomes the title. Tokens that match nothing stay in the title and are reported
+// as warnings, so "#1 priority" is not lost.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = { tues: 2, thur: 4, thurs: 4 };
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const UNITS = { day: 'day', days: 'day', week: 'week', weeks: 'week', month: 'month', months: 'month', year: 'year', years: 'year' };
+// Words that lead into a date and are dropped with it: "by Friday", "at 5pm"
+const DATE_PREPOSITIONS = ['on', 'by', 'due', 'at'];
+
+// Raised for a bad time zone; answered with a 400
+class QuickAddError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuickAddError';
+  }
+}
+
+// Days are handled as UTC midnights so arithmetic never crosses a daylight saving change
+const toDay = (text) => new Date(`${text}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => formatDay(new Date(toDay(day).getTime() + days * 24 * 60 * 60 * 1000));
+
+// YYYY-MM-DD for a calendar date, or null when it does not exist (e.g. February 30)
+const makeDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? formatDay(date) : null;
+};
+
+const addMonths = (day, months) => {
+  const date = toDay(day);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return makeDay(target.getUTCFullYear(), target.getUTCMonth(), Math.min(date.getUTCDate(), lastDay));
+};
+
+// Short names like "sat" or "sun" are ordinary words too, so on their own only full names count
+const weekdayIndex = (word, { allowShort = true } = {}) => {
+  if (!allowShort) return WEEKDAYS.indexOf(word);
+  if (word in WEEKDAY_ABBREVIATIONS) return WEEKDAY_ABBREVIATIONS[word];
+  return word.length >= 3 ? WEEKDAYS.findIndex(name => name.startsWith(word)) : -1;
+};
+
+const monthIndex = (word) => (word.length >= 3 ? MONTHS.findIndex(name => name.startsWith(word.replace(/\.$/, ''))) : -1);
+
+// The next `weekday` on or after `today` (or strictly after, when `skipToday`)
+const upcomingWeekday = (today, weekday, skipToday) => {
+  let ahead = (weekday - toDay(today).getUTCDay() + 7) % 7;
+  if (ahead === 0 && skipToday) ahead = 7;
+  return addDays(today, ahead);
+};
+
+// "January 5" without a year means the next January 5
+const withoutYear = (today, month, day) => {
+  const year = toDay(today).getUTCFullYear();
+  const date = makeDay(year, month, day);
+  return date && date < today ? makeDay(year + 1, month, day) : date;
+};
+
+const dayNumber = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  return match ? Number(match[1]) : null;
+};
+
+// A date starting at words[i]: { length, date } or null. Words are lowercase; `afterPreposition`
+// is set when "on", "by" and so on came first, which makes short weekday names safe to read.
+function matchDate(words, i, today, { afterPreposition = false } = {}) {
+  const [word, next, third] = [words[i], words[i + 1], words[i + 2]];
+  if (word === 'today' || word === 'tonight') return { length: 1, date: today };
+  if (['tomorrow', 'tmrw', 'tmr'].includes(word)) return { length: 1, date: addDays(today, 1) };
+  if (word === 'yesterday') return { length: 1, date: addDays(today, -1) };
+
+  if (word === 'next' || word === 'this') {
+    const weekday = next ? weekdayIndex(next) : -1;
+    if (weekday !== -1) return { length: 2, date: upcomingWeekday(today, weekday, word === 'next') };
+    if (word === 'next' && next === 'week') return { length: 2, date: upcomingWeekday(today, 1, true) };
+    if (word === 'next' && next === 'month') return { length: 2, date: addMonths(`${today.slice(0, 7)}-01`, 1) };
+    if (word === 'next' && next === 'year') return { length: 2, date: `${Number(today.slice(0, 4)) + 1}-01-01` };
+    return null;
+  }
+
+  if (word === 'in' && next && UNITS[third]) {
+    const amount = ['a', 'an'].includes(next) ? 1 : /^\d{1,3}$/.test(next) ? Number(next) : null;
+    if (amount === null) return null;
+    const unit = UNITS[third];
+    const date = unit === 'day' ? addDays(today, amount)
+      : unit === 'week' ? addDays(today, amount * 7)
+      : addMonths(today, unit === 'month' ? amount : amount * 12);
+    return { length: 3, date };
+  }
+
+  const weekday = weekdayIndex(word, { allowShort: afterPreposition });
+  if (weekday !== -1) return { length: 1, date: upcomingWeekday(today, weekday, false) };
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+  if (match) {
+    const date = makeDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date && { length: 1, date };
+  }
+  match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(word);
+  if (match) {
+    const [month, day] = [Number(match[1]) - 1, Number(match[2])];
+    const year = match[3] && (match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]));
+    const date = year ? makeDay(year, month, day) : withoutYear(today, month, day);
+    return date && { length: 1, date };
+  }
+
+  // "Jan 5", "January 5th 2026", "5 Jan", "5th of January"
+  const yearAt = (index) => (/^\d{4}$/.test(words[index] || '') ? Number(words[index]) : null);
+  let month = monthIndex(word);
+  let day = next ? dayNumber(next) : null;
+  let length = 2;
+  if (month === -1 || day === null) {
+    day = dayNumber(word);
+    const ofOffset = next === 'of' ? 1 : 0;
+    month = day !== null && words[i + 1 + ofOffset] ? monthIndex(words[i + 1 + ofOffset]) : -1;
+    length = 2 + ofOffset;
+  }
+  if (month === -1 || day === null) return null;
+  const year = yearAt(i + length);
+  const date = year ? makeDay(year, month, day) : withoutYear(today, month, day);
+  return date && { length: year ? length + 1 : length, date };
+}
+
+// A time starting at words[i]: { length, time: 'HH:MM' } or null
+function matchTime(words, i) {
+  const [word, next] = [words[i], words[i + 1]];
+  if (word === 'noon') return { length: 1, time: '12:00' };
+  if (word === 'midnight') return { length: 1, time: '00:00' };
+  const twelveHour = (hours, minutes, meridiem, length) => {
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    const hour24 = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    return { length, time: `${String(hour24).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+  };
+  let match = /^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)$/.exec(word);
+  if (match) return twelveHour(Number(match[1]), Number(match[2] || 0), match[3].startsWith('p') ? 'pm' : 'am', 1);
+  match = /^(\d{1,2})(?::(\d{2}))?$/.exec(word);
+  if (match && ['am', 'pm'].includes(next)) return twelveHour(Number(match[1]), Number(match[2] || 0), next, 2);
+  match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(word);
+  if (match) return { length: 1, time: `${match[1].padStart(2, '0')}:${match[2]}` };
+  return null;
+}
+
+// Compare option names loosely: case, hyphens and underscores do not matter
+const normalize = (text) => String(text).toLowerCase().replace(/[-_.]+/g, ' ').trim();
+
+const optionsOf = (prop) => (prop[prop.type]?.options || []).map(option => option.name);
+
+// The select property priorities go in: NOTION_PRIORITY_PROPERTY, or the first select or status
+// property whose name mentions priority
+function priorityProperty(schema) {
+  const configured = process.env.NOTION_PRIORITY_PROPERTY;
+  if (configured && schema.properties[configured]) return configured;
+  return Object.keys(schema.properties).find(name => /priority/i.test(name)
+    && ['select', 'status'].includes(schema.properties[name].type)) || null;
+}
+
+// The calendar date in an IANA time zone, e.g. "Europe/Paris"
+function todayIn(timeZone) {
+  try {
+    return new Date().toLocaleDateString('en-CA', { timeZone });
+  } catch {
+    throw new QuickAddError(`Unknown time zone "${timeZone}"`);
+  }
+}
+
+// Parse `text` against a database schema (as built by the registry). `people` lists workspace
+// members as { id, name } and is only needed for @mentions; `dateProperty` is where dates go.
+// `timeZone` decides what "today" is and is stored with dates that have a time.
+// Returns { title, properties, tokens: [{ text, type, property, value }], warnings }, where
+// properties can be sent as is to POST /api/tasks.
+function parseQuickAdd(text, schema, { dateProperty = null, people = [], timeZone } = {}) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const lower = words.map(word => word.toLowerCase().replace(/[,;]+$/, ''));
+  const used = words.map(() => false);
+  const properties = {};
+  const tokens = [];
+  const warnings = [];
+  const today = timeZone ? todayIn(timeZone) : new Date().toLocaleDateString('en-CA');
+
+  const tagProperties = Object.keys(schema.properties)
+    .filter(name => ['select', 'multi_select'].includes(schema.properties[name].type));
+  const priority = priorityProperty(schema);
+  const peopleProperty = Object.keys(schema.properties).find(name => schema.properties[name].type === 'people') || null;
+
+  const take = (start, length, type, property, value) => {
+    for (let k = start; k < start + length; k++) used[k] = true;
+    tokens.push({ text: words.slice(start, start + length).join(' '), type, property, value });
+  };
+
+  let date = null;
+  let time = null;
+  const dateIndexes = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = lower[i];
+
+    if (word.startsWith('#') && word.length > 1) {
+      const wanted = normalize(word.slice(1));
+      const property = tagProperties.filter(name => name !== priority)
+        .find(name => optionsOf(schema.properties[name]).some(option => normalize(option) === wanted));
+      if (!property) {
+        warnings.push(`No option matches ${words[i]}`);
+        continue;
+      }
+      const option = optionsOf(schema.properties[property]).find(name => normalize(name) === wanted);
+      if (schema.properties[property].type === 'multi_select') {
+        properties[property] = [...new Set([...(properties[property] || []), option])];
+      } else if (properties[property] !== undefined) {
+        warnings.push(`${property} can only have one value; ignoring ${words[i]}`);
+        continue;
+      } else {
+        properties[property] = option;
+      }
+      take(i, 1, 'tag', property, option);
+      continue;
+    }
+
+    if (word.startsWith('@') && word.length > 1) {
+      const wanted = normalize(word.slice(1));
+      const person = peopleProperty && (people.find(p => normalize(p.name) === wanted)
+        || people.find(p => normalize(p.name).split(' ')[0] === wanted)
+        || people.find(p => normalize(p.name).startsWith(wanted)));
+      if (!person) {
+        warnings.push(peopleProperty ? `No workspace member matches ${words[i]}` : `The database has no people property for ${words[i]}`);
+        continue;
+      }
+      properties[peopleProperty] = [...new Set([...(properties[peopleProperty] || []), person.id])];
+      take(i, 1, 'person', peopleProperty, { id: person.id, name: person.name });
+      continue;
+    }
+
+    if (word.startsWith('!') && word.length > 1) {
+      const wanted = normalize(word.slice(1));
+      const options = priority ? optionsOf(schema.properties[priority]) : [];
+      const option = options.find(name => normalize(name) === wanted) || options.find(name => normalize(name).startsWith(wanted));
+      if (!option) {
+        warnings.push(priority ? `No ${priority} option matches ${words[i]}` : `The database has no priority property for ${words[i]}`);
+        continue;
+      }
+      properties[priority] = option;
+      take(i, 1, 'priority', priority, option);
+      continue;
+    }
+
+    // A leading "by", "on", "due" or "at" goes with the date or time after it
+    const lead = DATE_PREPOSITIONS.includes(word) && i + 1 < words.length ? 1 : 0;
+    for (const start of lead ? [i + 1, i] : [i]) {
+      const dateMatch = !date ? matchDate(lower, start, today, { afterPreposition: start === i + 1 }) : null;
+      const timeMatch = !dateMatch && !time ? matchTime(lower, start) : null;
+      const match = dateMatch || timeMatch;
+      if (!match) continue;
+      const from = start === i + 1 ? i : start;
+      const length = match.length + (start - from);
+      for (let k = from; k < from + length; k++) used[k] = true;
+      for (let k = from; k < from + length; k++) dateIndexes.push(k);
+      if (dateMatch) date = dateMatch.date;
+      else time = timeMatch.time;
+      i = from + length - 1;
+      break;
+    }
+  }
+
+  if (date || time) {
+    const day = date || today;
+    const value = time ? { start: `${day}T${time}:00`, timeZone: timeZone || null } : day;
+    const dateText = dateIndexes.map(index => words[index]).join(' ');
+    if (dateProperty) {
+      properties[dateProperty] = value;
+      tokens.push({ text: dateText, type: 'date', property: dateProperty, value });
+    } else {
+      // Without a date property the words belong to the title after all
+      warnings.push(`The database has no date property for "${dateText}"`);
+      dateIndexes.forEach(index => { used[index] = false; });
+    }
+  }
+
+  const title = words.filter((word, index) => !used[index]).join(' ');
+  if (!title) warnings.push('Add a title');
+  if (schema.titleProperty) properties[schema.titleProperty] = title;
+  return { title, properties, tokens, warnings };
+}
+
+module.exports = { QuickAddError, parseQuickAdd, priorityProperty };
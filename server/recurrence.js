@@ -0,0 +1,229 @@
+// recurrence.js - RRULE-style recurrence rules for repeating tasks
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYMONTH (2 or 1,7 for
+// yearly), BYDAY (MO,TH or 1MO,-1FR for monthly), BYMONTHDAY (15 or -1), COUNT and UNTIL
+// (YYYY-MM-DD or YYYYMMDD), e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH". COUNT is how many
+// occurrences remain including the current one, so each new instance carries COUNT one lower.
+// Monthly and yearly days past the end of a shorter month fall on its last day, so the 31st
+// repeats on Feb 28 rather than skipping February.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Indexed like Date#getUTCDay
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// How far ahead to look for the next occurrence before giving up
+const MAX_SCAN_DAYS = 366 * 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised for rules that cannot be parsed; answered with a 400
+class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceRuleError';
+  }
+}
+
+// Days are handled as UTC midnights so daylight saving never shifts them
+const toDay = (text) => new Date(`${text.slice(0, 10)}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const parseInteger = (value, name, { min = 1, allowNegative = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || (allowNegative ? number === 0 || Math.abs(number) > 31 : number < min)) {
+    throw new RecurrenceRuleError(`${name} must be ${allowNegative ? 'a non-zero day number' : `an integer of at least ${min}`}`);
+  }
+  return number;
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+  if (!match || Number.isNaN(toDay(`${match[1]}-${match[2]}-${match[3]}`).getTime())) {
+    throw new RecurrenceRuleError('UNTIL must be a date like 2025-12-31');
+  }
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+// Parse a rule string into { freq, interval, byMonth: [], byDay: [{ day, n }], byMonthDay: [], count, until }
+function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new RecurrenceRuleError('Recurrence rule is empty');
+  const rule = { freq: null, interval: 1, byMonth: [], byDay: [], byMonthDay: [], count: null, until: null };
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const upper = value.trim().toUpperCase();
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upper)) throw new RecurrenceRuleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        rule.freq = upper;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(upper, 'INTERVAL');
+        break;
+      case 'BYMONTH':
+        rule.byMonth = upper.split(',').map(entry => {
+          const month = Number(entry.trim());
+          if (!Number.isInteger(month) || month < 1 || month > 12) throw new RecurrenceRuleError('BYMONTH must be months from 1 to 12');
+          return month;
+        });
+        break;
+      case 'BYDAY':
+        rule.byDay = upper.split(',').map(entry => {
+          const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.trim());
+          if (!match) throw new RecurrenceRuleError(`BYDAY entry "${entry}" is not a weekday like MO or 1MO`);
+          const n = match[1] ? Number(match[1]) : null;
+          if (n !== null && !ORDINALS[n]) throw new RecurrenceRuleError('BYDAY positions must be 1-5 or -1');
+          return { day: match[2], n };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = upper.split(',').map(entry => parseInteger(entry.trim(), 'BYMONTHDAY', { allowNegative: true }));
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(upper, 'COUNT');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(upper);
+        break;
+      default:
+        throw new RecurrenceRuleError(`Unsupported rule part "${key}"`);
+    }
+  });
+  if (!rule.freq) throw new RecurrenceRuleError('FREQ is required');
+  if (rule.byDay.some(entry => entry.n !== null) && rule.freq !== 'MONTHLY') {
+    throw new RecurrenceRuleError('Numbered BYDAY entries like 1MO only work with FREQ=MONTHLY');
+  }
+  if (rule.byMonth.length && rule.freq !== 'YEARLY') throw new RecurrenceRuleError('BYMONTH only works with FREQ=YEARLY');
+  if (rule.count && rule.until) throw new RecurrenceRuleError('Use COUNT or UNTIL, not both');
+  return rule;
+}
+
+// Canonical string form of a parsed rule
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(({ day, n }) => `${n ?? ''}${day}`).join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+  return parts.join(';');
+}
+
+// Whether `date` is the nth (or, for negative n, nth from last) such weekday of its month
+const isNthWeekday = (date, n) => {
+  const dayOfMonth = date.getUTCDate();
+  if (n > 0) return Math.ceil(dayOfMonth / 7) === n;
+  const fromEnd = daysInMonth(date.getUTCFullYear(), date.getUTCMonth()) - dayOfMonth;
+  return Math.floor(fromEnd / 7) === -n - 1;
+};
+
+// Monday-based week index, for WEEKLY intervals
+const weekIndex = (date) => Math.floor((date.getTime() / DAY_MS + 3) / 7);
+
+// Does `date` fall on the rule, counting intervals from `anchor` (the current occurrence)?
+function matches(rule, anchor, date) {
+  const monthsApart = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + date.getUTCMonth() - anchor.getUTCMonth();
+  const dayOfMonth = date.getUTCDate();
+  const monthLength = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+  const weekday = WEEKDAYS[date.getUTCDay()];
+  // BYMONTHDAY days, or the anchor's day, that land on `date` once clamped to its month
+  const onMonthDay = () => (rule.byMonthDay.length ? rule.byMonthDay : [anchor.getUTCDate()])
+    .some(day => (day > 0 ? Math.min(day, monthLength) : monthLength + day + 1) === dayOfMonth);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.round((date - anchor) / DAY_MS) % rule.interval === 0
+        && (!rule.byDay.length || rule.byDay.some(entry => entry.day === weekday));
+    case 'WEEKLY': {
+      if ((weekIndex(date) - weekIndex(anchor)) % rule.interval !== 0) return false;
+      const days = rule.byDay.length ? rule.byDay.map(entry => entry.day) : [WEEKDAYS[anchor.getUTCDay()]];
+      return days.includes(weekday);
+    }
+    case 'MONTHLY':
+      if (monthsApart % rule.interval !== 0) return false;
+      if (!rule.byMonthDay.length && rule.byDay.length) {
+        return rule.byDay.some(entry => entry.day === weekday && (entry.n === null || isNthWeekday(date, entry.n)));
+      }
+      return onMonthDay();
+    case 'YEARLY': {
+      const months = rule.byMonth.length ? rule.byMonth : [anchor.getUTCMonth() + 1];
+      return (date.getUTCFullYear() - anchor.getUTCFullYear()) % rule.interval === 0
+        && months.includes(date.getUTCMonth() + 1)
+        && onMonthDay();
+    }
+    default:
+      return false;
+  }
+}
+
+// Up to `limit` occurrence dates (YYYY-MM-DD) after the occurrence on `from`
+function nextOccurrences(rule, from, limit = 1) {
+  const anchor = toDay(from);
+  const remaining = rule.count ? Math.min(limit, rule.count - 1) : limit;
+  const results = [];
+  for (let offset = 1; offset <= MAX_SCAN_DAYS && results.length < remaining; offset++) {
+    const date = addDays(anchor, offset);
+    if (rule.until && formatDay(date) > rule.until) break;
+    if (matches(rule, anchor, date)) results.push(formatDay(date));
+  }
+  return results;
+}
+
+// The rule carried by the next instance after the occurrence on `from`: one fewer occurrence
+// left, and for monthly and yearly rules that repeat on the series' own day, that day written
+// into the rule. Otherwise a series from the 31st would continue from Feb 28 and stay on the 28th.
+function advanceRule(rule, from) {
+  const next = rule.count ? { ...rule, count: rule.count - 1 } : { ...rule };
+  const day = toDay(from);
+  const followsDay = (rule.freq === 'MONTHLY' && !rule.byDay.length) || rule.freq === 'YEARLY';
+  if (followsDay && !rule.byMonthDay.length && day.getUTCDate() > 28) {
+    const dayOfMonth = day.getUTCDate();
+    next.byMonthDay = [dayOfMonth === 31 ? -1 : dayOfMonth];
+    if (rule.freq === 'YEARLY' && !rule.byMonth.length) next.byMonth = [day.getUTCMonth() + 1];
+  }
+  return next;
+}
+
+// Plain-English summary, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+function describeRule(rule) {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const unit = units[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.byMonth.length) text += ' in ' + rule.byMonth.map(month => MONTH_NAMES[month - 1]).join(', ');
+  if (rule.byDay.length) {
+    text += ' on ' + rule.byDay.map(({ day, n }) => {
+      const name = WEEKDAY_NAMES[WEEKDAYS.indexOf(day)];
+      return n === null ? name : `the ${ORDINALS[n]} ${name}`;
+    }).join(', ');
+  }
+  if (rule.byMonthDay.length) {
+    text += ' on day ' + rule.byMonthDay.map(day => (day === -1 ? 'last' : day)).join(', ');
+  }
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += `, until ${rule.until}`;
+  return text;
+}
+
+// Move a date property value ({ start, end, timeZone }) so it starts on `day`, keeping times and
+// the length of a range
+function moveDateValue(value, day) {
+  const shift = Math.round((toDay(day) - toDay(value.start)) / DAY_MS);
+  const move = (text) => (text ? formatDay(addDays(toDay(text), shift)) + text.slice(10) : null);
+  return { start: move(value.start), end: move(value.end), timeZone: value.timeZone || null };
+}
+
+module.exports = {
+  RecurrenceRuleError,
+  parseRule,
+  formatRule,
+  nextOccurrences,
+  advanceRule,
+  describeRule,
+  moveDateValue
+};
@@ -0,0 +1,117 @@
+// reminders.js - Periodically look for open items that are overdue or coming due and announce them
+//
+// Lead times are a list such as ['overdue', 'today', 1, 7]: items past their due date, due today,
+// and due in exactly 1 or 7 days. Each reminder is sent once per item and due date, so moving the
+// date sends it again.
+
+const DEFAULT_LEAD_TIMES = ['overdue', 'today', 1];
+
+// Parse REMINDER_LEAD_TIMES, e.g. "overdue,today,1,3"
+function parseLeadTimes(text) {
+  if (!text) return DEFAULT_LEAD_TIMES;
+  return text.split(',').map(part => part.trim().toLowerCase()).filter(Boolean).map(part => {
+    if (part === 'overdue' || part === 'today') return part;
+    const days = Number(part);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid reminder lead time "${part}". Use overdue, today or a number of days`);
+    }
+    return days;
+  });
+}
+
+// Whole days from `today` to `day`, both YYYY-MM-DD
+const daysBetween = (today, day) => Math.round((Date.parse(day) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+
+// The local calendar date, since "due today" means today where the server runs
+const localToday = () => new Date().toLocaleDateString('en-CA');
+
+// `listDatabases()` resolves with [{ id, key }] to scan; `findOpenItemsDueBy(database, day)` with
+// [{ item, dueDate }] for incomplete items due on or before `day`; `emit(event, data, { databaseId })`
+// sends a reminder.overdue, reminder.due_today or reminder.due_soon event. `store` remembers what
+// was sent.
+function createReminderScheduler({ listDatabases, findOpenItemsDueBy, emit, store, leadTimes = DEFAULT_LEAD_TIMES, intervalMs, today = localToday }) {
+  let timer = null;
+  let running = null;
+
+  const horizonDays = Math.max(0, ...leadTimes.filter(lead => typeof lead === 'number'));
+
+  // Which reminder, if any, applies to an item due in `days`
+  const reminderFor = (days) => {
+    if (days < 0 && leadTimes.includes('overdue')) return { event: 'reminder.overdue', kind: 'overdue' };
+    if (days === 0 && leadTimes.includes('today')) return { event: 'reminder.due_today', kind: 'today' };
+    if (days > 0 && leadTimes.includes(days)) return { event: 'reminder.due_soon', kind: `in-${days}` };
+    return null;
+  };
+
+  // Scan every database once. Resolves with the number of reminders sent.
+  const scan = async () => {
+    const day = today();
+    const horizon = new Date(Date.parse(day) + horizonDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const sent = (await store.read()).sent || {};
+    const nextSent = {};
+    let count = 0;
+
+    for (const database of await listDatabases()) {
+      let found;
+      try {
+        found = await findOpenItemsDueBy(database, horizon);
+      } catch (error) {
+        console.error(`Error scanning ${database.key || database.id} for reminders:`, error);
+        // Keep what was sent so a failed scan does not send everything again next time
+        nextSent[database.id] = sent[database.id] || {};
+        continue;
+      }
+      const previous = sent[database.id] || {};
+      const current = nextSent[database.id] = {};
+      for (const { item, dueDate } of found) {
+        const days = daysBetween(day, dueDate.slice(0, 10));
+        const reminder = reminderFor(days);
+        const key = reminder && `${reminder.kind}:${dueDate}`;
+        // Only reminders for open items and their current due date are remembered, which keeps
+        // the store small
+        const already = (previous[item.id] || []).filter(entry => entry.endsWith(`:${dueDate}`));
+        if (already.length) current[item.id] = already;
+        if (!reminder || already.includes(key)) continue;
+        current[item.id] = [...already, key];
+        count += 1;
+        await emit(reminder.event, {
+          database: { id: database.id, key: database.key },
+          item,
+          dueDate,
+          daysUntilDue: days
+        }, { databaseId: database.id });
+      }
+    }
+    await store.update(data => { data.sent = nextSent; });
+    return count;
+  };
+
+  // Scans never overlap; a second call while one runs waits for it
+  const run = () => {
+    if (!running) {
+      running = scan()
+        .catch(error => {
+          console.error('Error sending reminders:', error);
+          return 0;
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (timer || !intervalMs) return;
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { run, start, stop };
+}
+
+module.exports = { DEFAULT_LEAD_TIMES, parseLeadTimes, createReminderScheduler };
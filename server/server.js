@@ -1,216 +1,351 @@
 // server.js - Universal Notion Database Adapter
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { Client } = require('@notionhq/client');
+const { QueryValidationError, buildNotionFilter, buildNotionSorts, parseQueryParams } = require('./filters');
+const { createDatabaseRegistry, parseDatabaseConfig } = require('./databases');
+const { READ_ONLY_TYPES, setPropertyValue, toRichText, formatPage } = require('./properties');
+const { createChangeDetector } = require('./changeDetector');
+const { createNotionQueue, sendNotionError } = require('./notionQueue');
+const { createNotionClients } = require('./notionClients');
+const { createNotionOAuth } = require('./notionOAuth');
+const { loadSecret, createUserStore, createAuth } = require('./auth');
+const { createAuthRouter } = require('./authRoutes');
+const { createJsonStore, createJsonLinesStore } = require('./jsonStore');
+const { createTrash } = require('./trash');
+const { ACTIONS: AUDIT_ACTIONS, MAX_ENTRIES: MAX_AUDIT_ENTRIES, diffProperties, createAuditLog } = require('./audit');
+const { formatCsvRow } = require('./csv');
+const { buildCalendar } = require('./ical');
+const { BlockValidationError, formatBlock, toNotionBlocks, formatComment } = require('./blocks');
+const {
+  RecurrenceRuleError, parseRule, formatRule, nextOccurrences, advanceRule, describeRule, moveDateValue
+} = require('./recurrence');
+const { createWebhooks } = require('./webhooks');
+const { createWebhookRouter } = require('./webhookRoutes');
+const { parseLeadTimes, createReminderScheduler } = require('./reminders');
+const { QuickAddError, parseQuickAdd } = require('./quickAdd');
+const { PropertyValidationError, validateProperties } = require('./validation');
+const { ViewValidationError, createViews } = require('./views');
+const { DEFAULT_WEEKS, MAX_WEEKS, computeStats } = require('./stats');
+const {
+  DEFAULT_PARENT_PROPERTY, DEFAULT_BLOCKED_BY_PROPERTY, dependencyConfig, buildDependencyGraph, buildTree, completionWarnings
+} = require('./dependencies');
+const { createMockNotion, stateFromSeed, seedDatabases } = require('./mockNotion');
+const {
+  ImportValidationError, toCellText, getExportColumns, parseImportFile, suggestMapping, validateMapping, findKeyColumn,
+  normalizeKey, coerceRow
+} = require('./importExport');
 require('dotenv').config();
 
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Initialize Notion client
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY
-});
-
-const databaseId = process.env.NOTION_DATABASE_ID;
-// Cache for database schema
-let databaseSchema = null;
-
-// Get database schema and cache it
-async function getDatabaseSchema() {
-  if (databaseSchema) return databaseSchema;
-  try {
-    const database = await notion.databases.retrieve({ database_id: databaseId });
-    databaseSchema = {
-      properties: database.properties,
-      titleProperty: Object.entries(database.properties).find(([, prop]) => prop.type === 'title')?.[0],
-      checkboxProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'checkbox' || prop.type === 'status')
-        .map(([key]) => key),
-      dateProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'date')
-        .map(([key]) => key),
-      selectProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'select' || prop.type === 'multi_select')
-        .map(([key]) => key),
-      textProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'rich_text')
-        .map(([key]) => key),
-      urlProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'url')
-        .map(([key]) => key),
-      numberProperties: Object.entries(database.properties)
-        .filter(([, prop]) => prop.type === 'number')
-        .map(([key]) => key)
-    };
-    return databaseSchema;
-  } catch (error) {
-    console.error('Error fetching database schema:', error);
-    throw error;
+// Build the API. `notion` replaces the Notion API client for every request, as the mock workspace
+// and tests do; `databases` ([{ key, id }]) replaces NOTION_DATABASES and NOTION_DATABASE_ID.
+// Returns { app, start }, where start() creates the first admin, registers databases and begins
+// the background jobs once the app is listening.
+function createApp({ notion: notionClient, databases } = {}) {
+  const app = express();
+
+  // Browsers may only call the API from these origins (comma-separated CORS_ORIGINS). Credentials
+  // are allowed so the session cookie comes along.
+  const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+    .split(',').map(origin => origin.trim()).filter(Boolean);
+
+  // Behind a reverse proxy, TRUST_PROXY (a number of hops, or addresses such as "loopback") makes
+  // req.ip the client's address from X-Forwarded-For, which failed logins are counted by
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
   }
-}
 
-// Extract value from any Notion property
-function extractPropertyValue(property) {
-  if (!property) return null;
-  switch (property.type) {
-    case 'title':
-      return property.title.map(t => t.plain_text).join('');
-    case 'rich_text':
-      return property.rich_text.map(t => t.plain_text).join('');
-    case 'select':
-      return property.select?.name || null;
-    case 'multi_select':
-      return property.multi_select.map(s => s.name);
-    case 'checkbox':
-      return property.checkbox;
-    case 'date':
-      return property.date?.start || null;
-    case 'url':
-      return property.url;
-    case 'number':
-      return property.number;
-    case 'status':
-      return property.status?.name || null;
-    default:
-      return null;
+  // Middleware
+  app.use(cors({ origin: allowedOrigins, credentials: true }));
+  // Imports send whole files inside the JSON body
+  app.use(express.json({ limit: '10mb' }));
+
+  // Every Notion call is queued to stay under the API's rate limit (about 3 requests per second)
+  const notionQueue = createNotionQueue({
+    concurrency: Number(process.env.NOTION_CONCURRENCY) || 3,
+    requestsPerSecond: Number(process.env.NOTION_REQUESTS_PER_SECOND) || 3,
+    maxRetries: process.env.NOTION_MAX_RETRIES !== undefined ? Number(process.env.NOTION_MAX_RETRIES) : 5
+  });
+
+  // Notion client for the current request: the user's own connection, else NOTION_API_KEY
+  const notionClients = createNotionClients({
+    defaultToken: process.env.NOTION_API_KEY,
+    queue: notionQueue,
+    ...(notionClient && { createClient: () => notionClient })
+  });
+  const { notion } = notionClients;
+
+  // Accounts and sessions. AUTH_SECRET signs sessions; set COOKIE_SECURE=true when served over HTTPS.
+  const authSecret = loadSecret();
+  const users = createUserStore(createJsonStore('users', { users: [] }), authSecret);
+  const auth = createAuth({ users, secret: authSecret, secureCookies: process.env.COOKIE_SECURE === 'true' });
+
+  // PUBLIC_URL is this server's address as browsers see it; CLIENT_URL is the app's
+  const publicUrl = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+  const notionOAuth = createNotionOAuth({
+    clientId: process.env.NOTION_OAUTH_CLIENT_ID,
+    clientSecret: process.env.NOTION_OAUTH_CLIENT_SECRET,
+    redirectUri: `${publicUrl}/api/auth/notion/callback`,
+    localAuthorizeUrl: `${publicUrl}/api/auth/notion/local-authorize`,
+    clientFor: notionClients.clientFor
+  });
+
+  app.use('/api/auth', createAuthRouter({
+    auth,
+    users,
+    oauth: notionOAuth,
+    secret: authSecret,
+    clientUrl: process.env.CLIENT_URL || allowedOrigins[0],
+    onNotionDisconnected: notionClients.forget
+  }));
+
+  // Everything else under /api needs a session, and runs with the user's Notion token if they connected one
+  app.use('/api', auth.requireAuth, (req, res, next) => {
+    notionClients.runWithToken(users.getNotionToken(req.user), next);
+  });
+
+  // Registry of databases this server can serve, keyed by name
+  const registry = createDatabaseRegistry({
+    notion,
+    configured: databases || parseDatabaseConfig(process.env.NOTION_DATABASES),
+    defaultId: databases ? undefined : process.env.NOTION_DATABASE_ID
+  });
+
+  // Routes below are mounted both at /api (default database) and /api/databases/:dbId
+  const router = express.Router({ mergeParams: true });
+
+  // Viewers can read and search; changing anything needs the editor role
+  const requireEditor = auth.requireRole('editor');
+  router.use((req, res, next) => {
+    if (req.method === 'GET' || (req.method === 'POST' && req.path === '/tasks/search')) return next();
+    requireEditor(req, res, next);
+  });
+
+  // Pages archived through the app, so they can be listed and restored
+  const trash = createTrash(createJsonStore('trash', {}));
+
+  // Saved views of each database, shared by every user
+  const views = createViews(createJsonStore('views', {}));
+
+  // Every change made through the server, with who made it and the values before and after
+  const audit = createAuditLog(createJsonLinesStore('audit', { maxRecords: MAX_AUDIT_ENTRIES }));
+
+  // The signed-in user as recorded in the audit log
+  const actorOf = (req) => (req.user ? { id: req.user.id, username: req.user.username } : null);
+
+  // Item events and reminders are POSTed to the webhooks admins register under /api/webhooks
+  const webhooks = createWebhooks({ store: createJsonStore('webhooks', { webhooks: [], deliveries: [] }) });
+
+  // Tell webhooks about a change to an item. Deliveries happen in the background so requests
+  // never wait for receivers.
+  const announce = (event, database, data) => {
+    webhooks.emit(event, { database: { id: database.id, key: database.key }, ...data }, { databaseId: database.id });
+  };
+
+  // The date property items are due by: NOTION_DUE_DATE_PROPERTY, or the database's first date property
+  function dueDateProperty(schema) {
+    const configured = process.env.NOTION_DUE_DATE_PROPERTY;
+    return schema.dateProperties.includes(configured) ? configured : schema.dateProperties[0] || null;
   }
-}
 
-// Set property value with correct type
-function setPropertyValue(propertyName, propertySchema, value) {
-  if (value === undefined || value === null) return null;
-  switch (propertySchema.type) {
-    case 'title':
-      return { title: [{ text: { content: String(value) } }] };
-    case 'rich_text':
-      return { rich_text: [{ text: { content: String(value) } }] };
-    case 'select':
-      return { select: { name: String(value) } };
-    case 'multi_select':
-      return { multi_select: Array.isArray(value) ? value.map(v => ({ name: String(v) })) : [{ name: String(value) }] };
-    case 'checkbox':
-      return { checkbox: Boolean(value) };
-    case 'date':
-      return { date: { start: value } };
-    case 'url':
-      return { url: String(value) };
-    case 'number':
-      return { number: Number(value) };
-    case 'status': {
-      const options = propertySchema.status.options || [];
-      const match = options.find(opt => opt.name.toLowerCase() === String(value).toLowerCase());
-      const name = match ? match.name : options[0]?.name || String(value);
-      return { status: { name } };
-    }
-    default:
-      return null;
+  // Recurrence rules are kept in a rich_text or select property named by NOTION_RECURRENCE_PROPERTY
+  // (default "Recurrence") when the database has one, and otherwise in a local store keyed by
+  // database and page ID. The due date moves forward with each new instance.
+  const RECURRENCE_PROPERTY = process.env.NOTION_RECURRENCE_PROPERTY || 'Recurrence';
+  const recurrenceStore = createJsonStore('recurrence', {});
+
+  // Subtasks and blockers are self-relations named by NOTION_PARENT_PROPERTY (default "Parent item")
+  // and NOTION_BLOCKED_BY_PROPERTY (default "Blocked by"). Children are found through their parent
+  // link, so the database does not need the other side of the relation.
+  const dependencyNames = {
+    parentProperty: process.env.NOTION_PARENT_PROPERTY || DEFAULT_PARENT_PROPERTY,
+    blockedByProperty: process.env.NOTION_BLOCKED_BY_PROPERTY || DEFAULT_BLOCKED_BY_PROPERTY
+  };
+  const dependenciesOf = (database, schema) => dependencyConfig(schema, database.id, dependencyNames);
+
+  // GET /api/schema
+  router.get('/schema', async (req, res) => {
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      res.json({
+        database: { key: req.database.key, id: req.database.id, name: schema.name },
+        titleProperty: schema.titleProperty,
+        // Relations the tree of subtasks and blockers is built from; null when the database has none
+        dependencies: dependenciesOf(req.database, schema),
+        properties: Object.entries(schema.properties).map(([key, prop]) => ({
+          name: key,
+          type: prop.type,
+          readOnly: READ_ONLY_TYPES.includes(prop.type),
+          options: ['select', 'multi_select', 'status'].includes(prop.type) ? (prop[prop.type]?.options || []).map(opt => opt.name) : null
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching schema:', error);
+      sendNotionError(res, error, 'Failed to fetch database schema');
+    }
+  });
+
+  // Query the database one Notion page at a time, following next_cursor until has_more is false
+  async function* queryAllPages(params) {
+    let cursor;
+    do {
+      const response = await notion.databases.query({ ...params, page_size: 100, start_cursor: cursor });
+      yield response.results;
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
   }
-}
 
-// GET /api/schema
-app.get('/api/schema', async (req, res) => {
-  try {
-    const schema = await getDatabaseSchema();
-    res.json({
-      titleProperty: schema.titleProperty,
-      properties: Object.entries(schema.properties).map(([key, prop]) => ({
-        name: key,
-        type: prop.type,
-        options: ['select', 'multi_select', 'status'].includes(prop.type) ? (prop[prop.type]?.options || []).map(opt => opt.name) : null
-      }))
+  // Watches databases that have open event streams for edits made directly in Notion
+  const changes = createChangeDetector({
+    notion,
+    registry,
+    queryAllPages,
+    formatPage,
+    intervalMs: Number(process.env.SYNC_INTERVAL_MS) || 15000,
+    runInBackground: (fn) => notionClients.runWithToken(null, fn)
+  });
+
+  // GET /api/events - Server-Sent Events stream of item, delete and schema changes
+  router.get('/events', (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const unsubscribe = changes.subscribe(req.database.id, event => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
     });
-  } catch (error) {
-    console.error('Error fetching schema:', error);
-    res.status(500).json({ error: 'Failed to fetch database schema' });
-  }
-});
-
-// GET /api/tasks
-app.get('/api/tasks', async (req, res) => {
-  try {
-    const schema = await getDatabaseSchema();
-    const sorts = [ { property: 'Due', direction: 'ascending' } ];
-    const response = await notion.databases.query({ database_id: databaseId, sorts });
-    const items = response.results.map(page => {
-      const result = { id: page.id, createdAt: page.created_time, properties: {} };
-      Object.entries(page.properties).forEach(([key, prop]) => { result.properties[key] = extractPropertyValue(prop); });
-      if (schema.titleProperty) result.title = result.properties[schema.titleProperty] || 'Untitled';
-      const checkboxProp = schema.checkboxProperties[0];
-      if (checkboxProp) {
-        const val = result.properties[checkboxProp];
-        result.completed = typeof val === 'boolean' ? val : (typeof val === 'string' ? ['done','complete','completed'].includes(val.toLowerCase()) : false);
-      }
-      return result;
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
-    res.json(items);
-  } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch items from database' });
-  }
-});
-
-// POST /api/tasks
-app.post('/api/tasks', async (req, res) => {
-    try {
-      const schema = await getDatabaseSchema();
-      if (!schema.titleProperty) return res.status(400).json({ error: 'Database must have a title property' });
-      
-      const { properties } = req.body;
-      if (!properties || typeof properties !== 'object') 
-        return res.status(400).json({ error: 'Properties object is required' });
-      
-      // Only require the title property to be filled
-      if (!properties[schema.titleProperty]) 
-        return res.status(400).json({ error: `Title property "${schema.titleProperty}" is required` });
-      
-      // Build Notion properties object with only the provided values
-      const notionProps = {};
-      Object.entries(properties).forEach(([key, value]) => {
-        // Skip empty string values except for title
-        if (value === '' && key !== schema.titleProperty) return;
-        
-        const propSchema = schema.properties[key];
-        if (propSchema) {
-          const formatted = setPropertyValue(key, propSchema, value);
-          if (formatted) notionProps[key] = formatted;
+  });
+
+  // Parse `limit`/`cursor` paging options. Returns null page size when every row is wanted.
+  function parsePaging({ cursor, limit }) {
+    const pageSize = limit === undefined || limit === null ? null : Number(limit);
+    if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100))
+      throw new QueryValidationError([{ path: 'limit', message: 'limit must be an integer between 1 and 100' }]);
+    if (cursor !== undefined && cursor !== null && pageSize === null)
+      throw new QueryValidationError([{ path: 'cursor', message: 'cursor requires a limit' }]);
+    return { cursor: cursor || undefined, pageSize };
+  }
+
+  // Shared by GET /api/tasks and POST /api/tasks/search.
+  // Without a page size every row is streamed back as a JSON array. With one (1-100) and an
+  // optional cursor, a single page is returned as { items, nextCursor, hasMore }.
+  async function sendTasks(req, res, { filter, sorts, cursor, limit }) {
+    try {
+      const paging = parsePaging({ cursor, limit });
+      const schema = await registry.getSchema(req.database.id);
+      const query = {
+        database_id: req.database.id,
+        filter: buildNotionFilter(filter, schema),
+        sorts: buildNotionSorts(sorts, schema)
+      };
+
+      if (paging.pageSize !== null) {
+        const response = await notion.databases.query({ ...query, page_size: paging.pageSize, start_cursor: paging.cursor });
+        return res.json({
+          items: response.results.map(page => formatPage(page, schema)),
+          nextCursor: response.has_more ? response.next_cursor : null,
+          hasMore: response.has_more
+        });
+      }
+
+      let first = true;
+      for await (const pages of queryAllPages(query)) {
+        for (const page of pages) {
+          if (first) res.type('json').write('[');
+          res.write((first ? '' : ',') + JSON.stringify(formatPage(page, schema)));
+          first = false;
         }
-      });
-      
-      const response = await notion.pages.create({ 
-        parent: { database_id: databaseId }, 
-        properties: notionProps 
-      });
-      
-      res.status(201).json({ 
-        id: response.id, 
-        title: properties[schema.titleProperty], 
-        createdAt: response.created_time, 
-        properties 
-      });
+      }
+      if (first) return res.json([]);
+      res.end(']');
     } catch (error) {
-      console.error('Error creating task:', error);
-      res.status(500).json({ error: 'Failed to create item in database' });
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error fetching tasks:', error);
+      // Once streaming has started the status line is gone, so cut the response short instead
+      if (res.headersSent) return res.destroy(error);
+      if (error.code === 'validation_error') return res.status(400).json({ error: error.message });
+      sendNotionError(res, error, 'Failed to fetch items from database');
     }
+  }
+
+  // GET /api/tasks?filter=<json>&sort=Due:asc,Name:desc&limit=50&cursor=...
+  router.get('/tasks', async (req, res) => {
+    let params;
+    try {
+      params = parseQueryParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    await sendTasks(req, res, { ...params, cursor: req.query.cursor, limit: req.query.limit });
   });
 
-// PATCH /api/tasks/:id
-app.patch('/api/tasks/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { properties } = req.body;
-    if (!properties || typeof properties !== 'object') return res.status(400).json({ error: 'Properties object is required' });
-    const schema = await getDatabaseSchema();
+  // POST /api/tasks/search
+  // Body: { filter, sorts: [{ property, direction }], limit, cursor }
+  router.post('/tasks/search', async (req, res) => {
+    const { filter, sorts, cursor, limit } = req.body || {};
+    await sendTasks(req, res, { filter, sorts, cursor, limit });
+  });
+
+  // GET /api/tasks/tree?filter=<json>&sort=Due:asc
+  // Every matching item nested under its parent, as { parentProperty, blockedByProperty, items }
+  // where items are the top-level nodes. A node is an item plus parent, blockedBy and blocking
+  // ([{ id, title, completed }], parent a single link or null), subtasks (nodes) and progress
+  // ({ completed, total } over all subtasks, including ones the filter leaves out, or null).
+  router.get('/tasks/tree', async (req, res) => {
+    try {
+      const { filter, sorts } = parseQueryParams(req.query);
+      const schema = await registry.getSchema(req.database.id);
+      const config = dependenciesOf(req.database, schema);
+      const collect = async (query) => {
+        const items = [];
+        for await (const pages of queryAllPages({ database_id: req.database.id, ...query })) {
+          pages.forEach(page => items.push(formatPage(page, schema)));
+        }
+        return items;
+      };
+
+      const query = { filter: buildNotionFilter(filter, schema), sorts: buildNotionSorts(sorts, schema) };
+      const items = await collect(query);
+      // Links and progress also take in the items a filter leaves out
+      const all = query.filter ? await collect({}) : items;
+      res.json({ ...config, items: buildTree(items, buildDependencyGraph(all, config)) });
+    } catch (error) {
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error building task tree:', error);
+      if (error.code === 'validation_error') return res.status(400).json({ error: error.message });
+      sendNotionError(res, error, 'Failed to fetch items from database');
+    }
+  });
+
+  // Raised by the item helpers below for bad input; routes answer it with a 400
+  class InputError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'InputError';
+    }
+  }
+
+  // Build Notion properties from API values, ignoring names the database does not have
+  function toNotionProperties(schema, properties, { skipEmpty = false } = {}) {
     const notionProps = {};
     Object.entries(properties).forEach(([key, value]) => {
+      // Skip empty string values except for title
+      if (skipEmpty && value === '' && key !== schema.titleProperty) return;
+
       const propSchema = schema.properties[key];
       const formatted = propSchema && setPropertyValue(key, propSchema, value);
       if (formatted) notionProps[key] = formatted;
     });
+
+    // `completed` maps onto the first checkbox or status property
     if ('completed' in properties && schema.checkboxProperties.length) {
       const cb = schema.checkboxProperties[0];
       const ps = schema.properties[cb];
@@ -222,28 +357,1082 @@ app.patch('/api/tasks/:id', async (req, res) => {
         notionProps[cb] = { status: { name: properties.completed && done.length ? done[0].name : (notDone[0]?.name || done[0].name) } };
       }
     }
-    await notion.pages.update({ page_id: id, properties: notionProps });
-    res.json({ id, updated: true, properties });
-  } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update item in database' });
+    return notionProps;
+  }
+
+  // Notion adds select values it does not know as new options, which leaves the cached schema
+  // behind; drop it so validation and the schema route see the new options
+  function forgetSchemaIfOptionsAdded(database, schema, item) {
+    const added = schema.selectProperties.some(name => {
+      const known = (schema.properties[name][schema.properties[name].type].options || []).map(option => option.name);
+      return [].concat(item.properties[name] ?? []).some(value => !known.includes(value));
+    });
+    if (added) registry.invalidateSchema(database.id);
+  }
+  
+  // Create a page in the database. Resolves with the Notion page, the API item and the schema.
+  // `actor` is who the audit log credits with the change. Properties that do not fit the schema
+  // fail with a PropertyValidationError; `allowNewOptions` lets select values add options.
+  async function createItem(database, properties, { actor, allowNewOptions = false } = {}) {
+    const schema = await registry.getSchema(database.id);
+    if (!schema.titleProperty) throw new InputError('Database must have a title property');
+    if (!properties || typeof properties !== 'object') throw new InputError('Properties object is required');
+
+    // Only require the title property to be filled
+    const errors = validateProperties(schema, properties, { allowNewOptions, skipEmpty: true });
+    if (!properties[schema.titleProperty] && !errors.some(e => e.property === schema.titleProperty)) {
+      errors.unshift({ property: schema.titleProperty, code: 'required', message: `Title property "${schema.titleProperty}" is required` });
+    }
+    if (errors.length) throw new PropertyValidationError(errors);
+
+    const notionProps = toNotionProperties(schema, properties, { skipEmpty: true });
+    const page = await notion.pages.create({ 
+      parent: { database_id: database.id }, 
+      properties: notionProps
+    });
+
+    const item = page.properties ? formatPage(page, schema) : undefined;
+    if (item && allowNewOptions) forgetSchemaIfOptionsAdded(database, schema, item);
+    if (item) changes.publish(database.id, { type: 'item', item });
+    await audit.record({
+      action: 'create',
+      actor,
+      databaseId: database.id,
+      pageId: page.id,
+      title: item?.title ?? properties[schema.titleProperty],
+      changes: diffProperties(null, item, Object.keys(notionProps))
+    });
+    announce('item.created', database, { item: item || { id: page.id }, actor });
+    return { page, item, schema };
+  }
+
+  // Raised when a page was edited in Notion after the client last saw it; answered with a 409.
+  // `item` is the page as it is now, or null when it was archived.
+  class EditConflictError extends Error {
+    constructor(item) {
+      super('The item was changed in Notion since it was last loaded');
+      this.name = 'EditConflictError';
+      this.item = item;
+    }
+  }
+
+  // Raised for a page that is not an item of the database a request names. Shaped like Notion's
+  // object_not_found error so it is answered with a 404 like a page that does not exist.
+  class ItemNotFoundError extends Error {
+    constructor(id) {
+      super(`Could not find item with ID: ${id}.`);
+      this.name = 'ItemNotFoundError';
+      this.code = 'object_not_found';
+      this.status = 404;
+    }
   }
-});
 
-// DELETE /api/tasks/:id
-app.delete('/api/tasks/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    await notion.pages.update({ page_id: id, archived: true });
-    res.json({ id, deleted: true });
-  } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete item from database' });
+  // Read an item's page, making sure it belongs to `database`: the integration may reach pages of
+  // other databases, which must not be read or changed through this one
+  async function retrieveItemPage(database, id) {
+    const page = await notion.pages.retrieve({ page_id: id });
+    const parentId = page.parent?.database_id;
+    if (!parentId || parentId.replace(/-/g, '') !== database.id.replace(/-/g, '')) throw new ItemNotFoundError(id);
+    return page;
   }
-});
+
+  // Read a page about to be changed, so the audit log can show its old values. With
+  // expectedLastEditedTime, reject a change based on an old copy of the page. Notion rounds
+  // last_edited_time down to the minute, so edits made within the same minute cannot be told apart.
+  async function readBeforeChange(database, id, expectedLastEditedTime) {
+    const page = await retrieveItemPage(database, id);
+    const schema = await registry.getSchema(database.id);
+    if (expectedLastEditedTime) {
+      if (page.archived || page.in_trash) throw new EditConflictError(null);
+      if (new Date(page.last_edited_time).getTime() !== new Date(expectedLastEditedTime).getTime()) {
+        throw new EditConflictError(formatPage(page, schema));
+      }
+    }
+    return formatPage(page, schema);
+  }
+
+  const sendConflict = (res, error) => res.status(409).json({
+    error: error.message,
+    code: 'edit_conflict',
+    item: error.item,
+    deleted: error.item === null
+  });
+
+  // 422 with one { property, code, message } per invalid property
+  const sendValidationErrors = (res, error) => res.status(422).json({
+    error: error.message,
+    code: 'validation_failed',
+    errors: error.errors
+  });
+
+  // Update some properties of a page. Resolves with { item, nextItem, warnings }: the updated API
+  // item when Notion returns the page, the next instance when a recurring item was completed, and
+  // what is still open when an item was completed (see checkCompletion). With
+  // expectedLastEditedTime, fails with EditConflictError if the page changed since then.
+  // Validation works as for createItem.
+  async function updateItem(database, id, properties, { expectedLastEditedTime, actor, allowNewOptions = false } = {}) {
+    if (!properties || typeof properties !== 'object') throw new InputError('Properties object is required');
+    const schema = await registry.getSchema(database.id);
+    const errors = validateProperties(schema, properties, { allowNewOptions });
+    if (errors.length) throw new PropertyValidationError(errors);
+    const before = await readBeforeChange(database, id, expectedLastEditedTime);
+    const notionProps = toNotionProperties(schema, properties);
+    const page = await notion.pages.update({ page_id: id, properties: notionProps });
+    const item = page.properties ? formatPage(page, schema) : undefined;
+    if (item && allowNewOptions) forgetSchemaIfOptionsAdded(database, schema, item);
+    if (item) changes.publish(database.id, { type: 'item', item });
+    const changed = diffProperties(before, item, Object.keys(notionProps));
+    if (changed.length) {
+      await audit.record({ action: 'update', actor, databaseId: database.id, pageId: id, title: (item || before).title, changes: changed });
+      announce('item.updated', database, { item: item || before, actor, changes: changed });
+    }
+    if (item && before.completed === false && item.completed === true) {
+      announce('item.completed', database, { item, actor });
+    }
+    // Completing a recurring task schedules its next instance. The update itself has already
+    // succeeded, so a failure here is logged rather than reported.
+    let nextItem = null;
+    let warnings = [];
+    if (item && before.completed === false && item.completed === true) {
+      nextItem = await createNextOccurrence(database, item, { actor }).catch(error => {
+        console.error(`Error creating next occurrence of ${id}:`, error);
+        return null;
+      });
+      warnings = await checkCompletion(database, item).catch(error => {
+        console.error(`Error checking dependencies of ${id}:`, error);
+        return [];
+      });
+    }
+    return { item, nextItem, warnings };
+  }
+
+  // Warnings for an item that was just completed while blockers are open or subtasks are not
+  // done, as [{ code: 'open_blockers' | 'incomplete_subtasks', message, items }]
+  async function checkCompletion(database, item) {
+    const schema = await registry.getSchema(database.id);
+    const { parentProperty, blockedByProperty } = dependenciesOf(database, schema);
+    const blockerIds = blockedByProperty ? item.properties[blockedByProperty] || [] : [];
+    const blockers = (await Promise.all(blockerIds.map(id => notion.pages.retrieve({ page_id: id }).catch(error => {
+      // A blocker that was deleted no longer blocks anything
+      if (error.code === 'object_not_found') return null;
+      throw error;
+    }))))
+      .filter(page => page && !page.archived && !page.in_trash)
+      .map(page => formatPage(page, schema));
+    const subtasks = [];
+    if (parentProperty) {
+      for await (const pages of queryAllPages({ database_id: database.id, filter: { property: parentProperty, relation: { contains: item.id } } })) {
+        pages.forEach(page => subtasks.push(formatPage(page, schema)));
+      }
+    }
+    return completionWarnings({ blockers, subtasks });
+  }
+
+  // Workspace members who are people (not bots), as { id, name, avatarUrl, email }
+  async function listPeople() {
+    const users = [];
+    let cursor;
+    do {
+      const response = await notion.users.list({ start_cursor: cursor, page_size: 100 });
+      users.push(...response.results.filter(u => u.type === 'person'));
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+    return users.map(u => ({ id: u.id, name: u.name, avatarUrl: u.avatar_url || null, email: u.person?.email || null }));
+  }
+
+  // Archive a page, which is as close to deleting as the Notion API gets, and log it in the trash
+  async function archiveItem(database, id, { expectedLastEditedTime, actor } = {}) {
+    const before = await readBeforeChange(database, id, expectedLastEditedTime);
+    const page = await notion.pages.update({ page_id: id, archived: true });
+    const schema = await registry.getSchema(database.id);
+    await trash.record(database.id, page.properties ? formatPage(page, schema) : { id });
+    changes.publish(database.id, { type: 'delete', id });
+    await audit.record({ action: 'archive', actor, databaseId: database.id, pageId: id, title: before.title, changes: [] });
+    announce('item.archived', database, { item: before, actor });
+  }
+
+  // Un-archive a page and take it out of the trash. Resolves with the restored API item.
+  async function restoreItem(database, id, { actor } = {}) {
+    await retrieveItemPage(database, id);
+    const page = await notion.pages.update({ page_id: id, archived: false });
+    await trash.remove(database.id, id);
+    const schema = await registry.getSchema(database.id);
+    const item = page.properties ? formatPage(page, schema) : undefined;
+    if (item) changes.publish(database.id, { type: 'item', item });
+    await audit.record({ action: 'restore', actor, databaseId: database.id, pageId: id, title: item?.title ?? null, changes: [] });
+    return { item };
+  }
+
+  // Where a database keeps recurrence rules: { property, dateProperty, fits }, where a null property
+  // means the local store. Select options cannot contain commas, so `fits(rule)` is false for rules
+  // such as "FREQ=WEEKLY;BYDAY=MO,TH" in a select property; those are kept in the local store too.
+  function recurrenceConfig(schema) {
+    const prop = schema.properties[RECURRENCE_PROPERTY];
+    const property = prop && ['rich_text', 'select'].includes(prop.type) ? RECURRENCE_PROPERTY : null;
+    return {
+      property,
+      dateProperty: dueDateProperty(schema),
+      fits: (rule) => Boolean(property) && !(prop.type === 'select' && rule?.includes(','))
+    };
+  }
+
+  // The rule text for an item, or null when it does not repeat
+  async function getRecurrenceRule(database, item, schema) {
+    const { property } = recurrenceConfig(schema);
+    if (property && item.properties[property]) return item.properties[property];
+    return (await recurrenceStore.read())[database.id]?.[item.id] || null;
+  }
+
+  // Keep (or, with a null rule, forget) an item's rule in the local store. Resolves with the rule
+  // kept before.
+  async function storeRecurrenceRule(database, id, rule) {
+    let before = null;
+    await recurrenceStore.update(data => {
+      const rules = data[database.id] || (data[database.id] = {});
+      before = rules[id] || null;
+      if (rule) rules[id] = rule;
+      else delete rules[id];
+    });
+    return before;
+  }
+
+  // Store (or, with a null rule, clear) an item's rule. Resolves with the item.
+  async function setRecurrenceRule(database, id, rule, { actor } = {}) {
+    const schema = await registry.getSchema(database.id);
+    const { property, fits } = recurrenceConfig(schema);
+    if (fits(rule)) {
+      // Each rule is its own option when rules are kept in a select property
+      const { item } = await updateItem(database, id, { [property]: rule }, { actor, allowNewOptions: true });
+      // A rule that did not fit the select before may still be in the local store
+      await storeRecurrenceRule(database, id, null);
+      return item || formatPage(await notion.pages.retrieve({ page_id: id }), schema);
+    }
+
+    // Reading the page first makes sure it exists before anything is stored for it
+    let item = formatPage(await retrieveItemPage(database, id), schema);
+    if (property && item.properties[property]) {
+      item = (await updateItem(database, id, { [property]: null }, { actor })).item || item;
+    }
+    const before = await storeRecurrenceRule(database, id, rule);
+    if (before !== rule) {
+      await audit.record({
+        action: 'update',
+        actor,
+        databaseId: database.id,
+        pageId: id,
+        title: item.title,
+        changes: [{ property: RECURRENCE_PROPERTY, before, after: rule }]
+      });
+    }
+    return item;
+  }
+
+  // Create the instance that follows a just-completed recurring item, with its title, select values
+  // and rule copied over and its due date moved to the next occurrence. Resolves with the new item,
+  // or null when the item does not repeat or its rule has run out.
+  async function createNextOccurrence(database, item, { actor } = {}) {
+    const schema = await registry.getSchema(database.id);
+    const text = await getRecurrenceRule(database, item, schema);
+    if (!text) return null;
+    let rule;
+    try {
+      rule = parseRule(text);
+    } catch (error) {
+      if (!(error instanceof RecurrenceRuleError)) throw error;
+      console.warn(`Ignoring invalid recurrence rule on ${item.id}: ${error.message}`);
+      return null;
+    }
+
+    const { property, dateProperty, fits } = recurrenceConfig(schema);
+    const due = dateProperty ? item.properties[dateProperty] : null;
+    const from = due?.start || new Date().toISOString().slice(0, 10);
+    const [next] = nextOccurrences(rule, from, 1);
+    if (!next) return null;
+
+    const nextRule = formatRule(advanceRule(rule, from));
+    const properties = { [schema.titleProperty]: item.richText?.[schema.titleProperty] ?? item.title, completed: false };
+    schema.selectProperties.forEach(name => {
+      const value = item.properties[name];
+      if (value != null && !(Array.isArray(value) && value.length === 0)) properties[name] = value;
+    });
+    if (dateProperty) properties[dateProperty] = due?.start ? moveDateValue(due, next) : next;
+    if (fits(nextRule)) properties[property] = nextRule;
+
+    const { page, item: created } = await createItem(database, properties, { actor, allowNewOptions: true });
+    if (!fits(nextRule)) await storeRecurrenceRule(database, page.id, nextRule);
+    return created || null;
+  }
+
+  // POST /api/tasks
+  // Body: { properties, allowNewOptions? }. Properties are checked against the schema first; any
+  // that do not fit are answered with a 422 { code: 'validation_failed', errors: [{ property, code,
+  // message }] }. Select and multi_select values must be existing options unless allowNewOptions
+  // is true, in which case Notion adds them.
+  router.post('/tasks', async (req, res) => {
+    try {
+      const { properties, allowNewOptions } = req.body;
+      const { page, item, schema } = await createItem(req.database, properties, {
+        actor: actorOf(req),
+        allowNewOptions: allowNewOptions === true
+      });
+
+      res.status(201).json({ 
+        id: page.id, 
+        title: properties[schema.titleProperty], 
+        createdAt: page.created_time, 
+        properties,
+        item
+      });
+    } catch (error) {
+      if (error instanceof InputError) return res.status(400).json({ error: error.message });
+      if (error instanceof PropertyValidationError) return sendValidationErrors(res, error);
+      console.error('Error creating task:', error);
+      sendNotionError(res, error, 'Failed to create item in database');
+    }
+  });
+
+  // POST /api/tasks/parse
+  // Body: { text, timeZone? } where text is a quick-add line like "Write report tomorrow 5pm #urgent".
+  // Answers { title, properties, tokens, warnings } without creating anything; send properties to
+  // POST /api/tasks to add the item. timeZone (e.g. "Europe/Paris") decides what "today" means.
+  router.post('/tasks/parse', async (req, res) => {
+    try {
+      const { text, timeZone } = req.body;
+      if (typeof text !== 'string') return res.status(400).json({ error: 'text is required' });
+      const schema = await registry.getSchema(req.database.id);
+      // Workspace members are only looked up when there is someone to match
+      const mentionsPeople = /(^|\s)@\S/.test(text) && Object.values(schema.properties).some(prop => prop.type === 'people');
+      const people = mentionsPeople ? await listPeople() : [];
+      res.json(parseQuickAdd(text, schema, { dateProperty: dueDateProperty(schema), people, timeZone }));
+    } catch (error) {
+      if (error instanceof QuickAddError) return res.status(400).json({ error: error.message });
+      console.error('Error parsing quick add:', error);
+      sendNotionError(res, error, 'Failed to parse quick add text');
+    }
+  });
+
+  // POST /api/tasks/bulk
+  // Body: { operations: [{ op: 'create', properties } | { op: 'update', id, properties } | { op: 'archive' | 'restore', id }],
+  //         allowNewOptions? }
+  // Every operation runs even if others fail. Answers 200 when all succeed and 207 otherwise,
+  // with one { index, op, id, ok, item?, warnings?, error?, code?, errors? } result per operation;
+  // errors lists invalid properties and warnings open dependencies as for PATCH /api/tasks/:id.
+  const MAX_BULK_OPERATIONS = 100;
+
+  router.post('/tasks/bulk', async (req, res) => {
+    const { operations, allowNewOptions } = req.body || {};
+    const options = { actor: actorOf(req), allowNewOptions: allowNewOptions === true };
+    if (!Array.isArray(operations) || operations.length === 0)
+      return res.status(400).json({ error: 'operations must be a non-empty array' });
+    if (operations.length > MAX_BULK_OPERATIONS)
+      return res.status(400).json({ error: `At most ${MAX_BULK_OPERATIONS} operations can be sent at once` });
+
+    const results = await Promise.all(operations.map(async (operation, index) => {
+      const { op, id, properties } = operation || {};
+      try {
+        if (op === 'create') {
+          const { page, item } = await createItem(req.database, properties, options);
+          return { index, op, id: page.id, ok: true, item };
+        }
+        if (!['update', 'archive', 'restore'].includes(op)) {
+          throw new InputError(`Unknown op "${op}". Use create, update, archive or restore`);
+        }
+        if (!id) throw new InputError(`${op} requires an id`);
+        if (op === 'update' || op === 'restore') {
+          const { item, nextItem, warnings = [] } = op === 'update'
+            ? await updateItem(req.database, id, properties, options)
+            : await restoreItem(req.database, id, { actor: actorOf(req) });
+          return { index, op, id, ok: true, item, ...(nextItem && { nextItem }), ...(warnings.length && { warnings }) };
+        }
+        await archiveItem(req.database, id, { actor: actorOf(req) });
+        return { index, op, id, ok: true };
+      } catch (error) {
+        if (error instanceof PropertyValidationError) {
+          return { index, op, id: id || null, ok: false, error: error.message, code: 'validation_failed', errors: error.errors };
+        }
+        if (!(error instanceof InputError)) console.error(`Error in bulk ${op}:`, error);
+        return { index, op, id: id || null, ok: false, error: error.message, code: error instanceof InputError ? 'invalid_request' : error.code || null };
+      }
+    }));
+
+    const failed = results.filter(r => !r.ok).length;
+    res.status(failed ? 207 : 200).json({ succeeded: results.length - failed, failed, results });
+  });
+
+  // PATCH /api/tasks/:id
+  // Body: { properties, expectedLastEditedTime?, allowNewOptions? }. With expectedLastEditedTime the
+  // update is refused with a 409 { code: 'edit_conflict', item, deleted } if the page changed in
+  // Notion since then. Invalid properties are answered as for POST /api/tasks. Completing an item
+  // that still has open blockers or unfinished subtasks succeeds, with `warnings` saying what is open.
+  router.patch('/tasks/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { properties, expectedLastEditedTime, allowNewOptions } = req.body;
+      const { item, nextItem, warnings } = await updateItem(req.database, id, properties, {
+        expectedLastEditedTime,
+        actor: actorOf(req),
+        allowNewOptions: allowNewOptions === true
+      });
+      res.json({ id, updated: true, properties, item, nextItem, warnings });
+    } catch (error) {
+      if (error instanceof InputError) return res.status(400).json({ error: error.message });
+      if (error instanceof PropertyValidationError) return sendValidationErrors(res, error);
+      if (error instanceof EditConflictError) return sendConflict(res, error);
+      console.error('Error updating task:', error);
+      sendNotionError(res, error, 'Failed to update item in database');
+    }
+  });
+
+  // DELETE /api/tasks/:id?expectedLastEditedTime=...
+  // The optional timestamp works as for PATCH
+  router.delete('/tasks/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      await archiveItem(req.database, id, { expectedLastEditedTime: req.query.expectedLastEditedTime, actor: actorOf(req) });
+      res.json({ id, deleted: true });
+    } catch (error) {
+      if (error instanceof EditConflictError) return sendConflict(res, error);
+      console.error('Error deleting task:', error);
+      sendNotionError(res, error, 'Failed to delete item from database');
+    }
+  });
+
+  // POST /api/tasks/:id/restore
+  router.post('/tasks/:id/restore', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { item } = await restoreItem(req.database, id, { actor: actorOf(req) });
+      res.json({ id, restored: true, item });
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      sendNotionError(res, error, 'Failed to restore item');
+    }
+  });
+
+  // Audit log filters shared by item history and /api/audit: action, actor (ID or username),
+  // property, since and until (dates), limit, and cursor (nextCursor of the previous page)
+  function parseAuditQuery(query) {
+    const filters = { limit: query.limit, before: query.cursor || undefined };
+    if (query.action !== undefined && !AUDIT_ACTIONS.includes(query.action)) {
+      throw new InputError(`action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+    }
+    ['action', 'actor', 'property'].forEach(key => { if (query[key]) filters[key] = String(query[key]); });
+    ['since', 'until'].forEach(key => {
+      if (!query[key]) return;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) throw new InputError(`${key} must be a date`);
+      filters[key] = date.toISOString();
+    });
+    return filters;
+  }
+
+  // GET /api/tasks/:id/history
+  // Changes made to one item through this server, newest first
+  router.get('/tasks/:id/history', async (req, res) => {
+    try {
+      res.json(await audit.list({ ...parseAuditQuery(req.query), databaseId: req.database.id, pageId: req.params.id }));
+    } catch (error) {
+      if (error instanceof InputError) return res.status(400).json({ error: error.message });
+      console.error('Error reading item history:', error);
+      res.status(500).json({ error: 'Failed to read item history' });
+    }
+  });
+
+  // How many upcoming occurrences recurrence responses list by default, and at most
+  const PREVIEW_OCCURRENCES = 5;
+  const MAX_PREVIEW_OCCURRENCES = 50;
+
+  // { rule, description, start, occurrences } for a rule string, where occurrences follow `start`
+  function previewRule(text, start, count = PREVIEW_OCCURRENCES) {
+    const rule = parseRule(text);
+    return { rule: formatRule(rule), description: describeRule(rule), start, occurrences: nextOccurrences(rule, start, count) };
+  }
+
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  // GET /api/recurrence/preview?rule=FREQ=WEEKLY;BYDAY=MO&start=2025-01-06&count=5
+  // Check a rule and list the dates it would produce after `start` (default today)
+  router.get('/recurrence/preview', (req, res) => {
+    const { rule, start = today() } = req.query;
+    const count = Number(req.query.count ?? PREVIEW_OCCURRENCES);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(start) || Number.isNaN(Date.parse(start.slice(0, 10)))) {
+      return res.status(400).json({ error: 'start must be a date like 2025-01-06' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW_OCCURRENCES) {
+      return res.status(400).json({ error: `count must be an integer from 1 to ${MAX_PREVIEW_OCCURRENCES}` });
+    }
+    try {
+      res.json(previewRule(rule, start.slice(0, 10), count));
+    } catch (error) {
+      if (error instanceof RecurrenceRuleError) return res.status(400).json({ error: error.message });
+      console.error('Error previewing recurrence:', error);
+      res.status(500).json({ error: 'Failed to preview recurrence rule' });
+    }
+  });
+
+  // The recurrence response for an item: where its rule is kept, the rule itself and upcoming dates
+  // counted from its due date
+  async function sendRecurrence(res, database, item) {
+    const schema = await registry.getSchema(database.id);
+    const { property, dateProperty, fits } = recurrenceConfig(schema);
+    const text = await getRecurrenceRule(database, item, schema);
+    const start = (dateProperty && item.properties[dateProperty]?.start?.slice(0, 10)) || today();
+    let preview = { rule: null, description: null, start, occurrences: [] };
+    let invalid = null;
+    if (text) {
+      try {
+        preview = previewRule(text, start);
+      } catch (error) {
+        if (!(error instanceof RecurrenceRuleError)) throw error;
+        preview.rule = text;
+        invalid = error.message;
+      }
+    }
+    res.json({ ...preview, error: invalid, storage: fits(text) ? 'property' : 'local', property, dateProperty });
+  }
+
+  // GET /api/tasks/:id/recurrence
+  // { rule, description, start, occurrences, error, storage, property, dateProperty }. error is set
+  // when the stored rule cannot be parsed.
+  router.get('/tasks/:id/recurrence', async (req, res) => {
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      const page = await retrieveItemPage(req.database, req.params.id);
+      await sendRecurrence(res, req.database, formatPage(page, schema));
+    } catch (error) {
+      console.error('Error reading recurrence:', error);
+      sendNotionError(res, error, 'Failed to read recurrence rule');
+    }
+  });
+
+  // PUT /api/tasks/:id/recurrence
+  // Body: { rule } where rule is a string like "FREQ=WEEKLY;BYDAY=MO", or null to stop repeating.
+  // Answers like GET.
+  router.put('/tasks/:id/recurrence', async (req, res) => {
+    try {
+      const { rule } = req.body;
+      if (rule != null && typeof rule !== 'string') return res.status(400).json({ error: 'rule must be a string or null' });
+      const normalized = rule && rule.trim() ? formatRule(parseRule(rule)) : null;
+      const item = await setRecurrenceRule(req.database, req.params.id, normalized, { actor: actorOf(req) });
+      await sendRecurrence(res, req.database, item);
+    } catch (error) {
+      if (error instanceof RecurrenceRuleError) return res.status(400).json({ error: error.message });
+      if (error instanceof PropertyValidationError) return sendValidationErrors(res, error);
+      console.error('Error saving recurrence:', error);
+      sendNotionError(res, error, 'Failed to save recurrence rule');
+    }
+  });
+
+  // GET /api/tasks/:id/blocks?limit=&cursor=&blockId=
+  // The page body as { blocks, nextCursor, hasMore }. blockId lists the children of a nested block instead.
+  router.get('/tasks/:id/blocks', async (req, res) => {
+    try {
+      const paging = parsePaging({ cursor: req.query.cursor, limit: req.query.limit ?? 100 });
+      await retrieveItemPage(req.database, req.params.id);
+      const response = await notion.blocks.children.list({
+        block_id: req.query.blockId || req.params.id,
+        page_size: paging.pageSize,
+        start_cursor: paging.cursor
+      });
+      res.json({
+        blocks: response.results.map(formatBlock),
+        nextCursor: response.has_more ? response.next_cursor : null,
+        hasMore: response.has_more
+      });
+    } catch (error) {
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error fetching blocks:', error);
+      sendNotionError(res, error, 'Failed to fetch page content');
+    }
+  });
+
+  // POST /api/tasks/:id/blocks
+  // Append { blocks: [{ type, text, checked?, language? }] } to the end of the page body
+  router.post('/tasks/:id/blocks', async (req, res) => {
+    try {
+      const children = toNotionBlocks(req.body?.blocks);
+      await retrieveItemPage(req.database, req.params.id);
+      const response = await notion.blocks.children.append({ block_id: req.params.id, children });
+      const blocks = response.results.map(formatBlock);
+      await audit.record({
+        action: 'append',
+        actor: actorOf(req),
+        databaseId: req.database.id,
+        pageId: req.params.id,
+        title: null,
+        changes: [],
+        detail: `Added ${blocks.length} block${blocks.length === 1 ? '' : 's'}`
+      });
+      res.status(201).json({ blocks });
+    } catch (error) {
+      if (error instanceof BlockValidationError) return res.status(400).json({ error: error.message });
+      console.error('Error appending blocks:', error);
+      sendNotionError(res, error, 'Failed to add page content');
+    }
+  });
+
+  // GET /api/tasks/:id/comments?limit=&cursor=
+  // Comments on the page, oldest first. Comments posted through this server are all made by the
+  // integration, so `author` names the app user who posted them when the audit log knows.
+  router.get('/tasks/:id/comments', async (req, res) => {
+    try {
+      const paging = parsePaging({ cursor: req.query.cursor, limit: req.query.limit ?? 100 });
+      await retrieveItemPage(req.database, req.params.id);
+      const response = await notion.comments.list({ block_id: req.params.id, page_size: paging.pageSize, start_cursor: paging.cursor });
+      const [people, posted] = await Promise.all([
+        listPeople().catch(() => []),
+        audit.list({ databaseId: req.database.id, pageId: req.params.id, action: 'comment', limit: 500 })
+      ]);
+      const postedBy = new Map(posted.entries.map(entry => [entry.commentId, entry.actor?.username]));
+      res.json({
+        comments: response.results.map(comment => {
+          const formatted = formatComment(comment);
+          const person = people.find(p => p.id === formatted.authorId);
+          return { ...formatted, author: postedBy.get(comment.id) || person?.name || 'Integration' };
+        }),
+        nextCursor: response.has_more ? response.next_cursor : null,
+        hasMore: response.has_more
+      });
+    } catch (error) {
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error fetching comments:', error);
+      sendNotionError(res, error, 'Failed to fetch comments');
+    }
+  });
+
+  // POST /api/tasks/:id/comments - { text } as a string or rich text segments
+  router.post('/tasks/:id/comments', async (req, res) => {
+    try {
+      const text = req.body?.text;
+      if ((typeof text !== 'string' || !text.trim()) && !Array.isArray(text)) {
+        return res.status(400).json({ error: 'text is required' });
+      }
+      await retrieveItemPage(req.database, req.params.id);
+      const comment = await notion.comments.create({ parent: { page_id: req.params.id }, rich_text: toRichText(text) });
+      await audit.record({
+        action: 'comment',
+        actor: actorOf(req),
+        databaseId: req.database.id,
+        pageId: req.params.id,
+        title: null,
+        changes: [],
+        commentId: comment.id,
+        detail: typeof text === 'string' ? text.slice(0, 200) : text.map(segment => segment.text).join('').slice(0, 200)
+      });
+      res.status(201).json({ ...formatComment(comment), author: req.user?.username || 'Integration' });
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      sendNotionError(res, error, 'Failed to post comment');
+    }
+  });
+
+  const sendViewError = (res, error, message) => {
+    if (error instanceof ViewValidationError) return res.status(400).json({ error: error.message, ...(error.details && { details: error.details }) });
+    console.error(`${message}:`, error);
+    sendNotionError(res, error, message);
+  };
+
+  // GET /api/views
+  // Saved views of the database in tab order: { id, name, layout, filter, sorts, columns,
+  // columnWidths, groupBy, dateProperty, createdBy, createdAt, updatedAt }
+  router.get('/views', async (req, res) => {
+    try {
+      res.json(await views.list(req.database.id));
+    } catch (error) {
+      console.error('Error reading views:', error);
+      res.status(500).json({ error: 'Failed to read views' });
+    }
+  });
+
+  // GET /api/views/:viewId
+  router.get('/views/:viewId', async (req, res) => {
+    try {
+      const view = await views.get(req.database.id, req.params.viewId);
+      if (!view) return res.status(404).json({ error: 'View not found' });
+      res.json(view);
+    } catch (error) {
+      console.error('Error reading view:', error);
+      res.status(500).json({ error: 'Failed to read view' });
+    }
+  });
+
+  // POST /api/views
+  // Body: { name, layout?, filter?, sorts?, columns?, columnWidths?, groupBy?, dateProperty? }. filter
+  // and sorts take the same shapes as POST /api/tasks/search; columns is the ordered list of
+  // visible properties, or null for the default columns; columnWidths maps properties to pixels.
+  router.post('/views', async (req, res) => {
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      res.status(201).json(await views.create(req.database.id, req.body || {}, schema, { actor: actorOf(req) }));
+    } catch (error) {
+      sendViewError(res, error, 'Failed to save view');
+    }
+  });
+
+  // PATCH /api/views/:viewId - any of the fields accepted by POST
+  router.patch('/views/:viewId', async (req, res) => {
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      const view = await views.update(req.database.id, req.params.viewId, req.body || {}, schema);
+      if (!view) return res.status(404).json({ error: 'View not found' });
+      res.json(view);
+    } catch (error) {
+      sendViewError(res, error, 'Failed to update view');
+    }
+  });
+
+  // DELETE /api/views/:viewId
+  router.delete('/views/:viewId', async (req, res) => {
+    try {
+      if (!(await views.remove(req.database.id, req.params.viewId))) return res.status(404).json({ error: 'View not found' });
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      res.status(500).json({ error: 'Failed to delete view' });
+    }
+  });
+
+  // GET /api/trash
+  // Items archived through this server in the last 30 days, newest first
+  router.get('/trash', async (req, res) => {
+    try {
+      res.json(await trash.list(req.database.id));
+    } catch (error) {
+      console.error('Error reading trash:', error);
+      res.status(500).json({ error: 'Failed to read archived items' });
+    }
+  });
+
+  // GET /api/export?format=csv|json
+  // Downloads every row. JSON holds the API item shape; CSV has one column per property with
+  // lists comma separated, date ranges as start/end and people by name.
+  router.get('/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be "csv" or "json"' });
+
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      const columns = getExportColumns(schema);
+      const query = { database_id: req.database.id, sorts: [{ timestamp: 'created_time', direction: 'ascending' }] };
+      const filename = `${(schema.name || req.database.key || 'export').replace(/[^\w-]+/g, '_')}.${format}`;
+
+      // Headers go out with the first rows so a failed first query can still answer with an error
+      let first = true;
+      const start = () => {
+        res.attachment(filename);
+        res.write(format === 'csv' ? formatCsvRow(columns) : '[');
+      };
+      for await (const pages of queryAllPages(query)) {
+        for (const page of pages) {
+          if (first) start();
+          const { id, createdAt, lastEditedTime, properties } = formatPage(page, schema);
+          res.write(format === 'csv'
+            ? formatCsvRow(columns.map(column => (column === 'id' ? id : toCellText(properties[column]))))
+            : (first ? '' : ',') + JSON.stringify({ id, createdAt, lastEditedTime, properties }));
+          first = false;
+        }
+      }
+      if (first) start();
+      res.end(format === 'csv' ? '' : ']');
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      if (res.headersSent) return res.destroy(error);
+      sendNotionError(res, error, 'Failed to export items');
+    }
+  });
+
+  // GET /api/calendar.ics?property=Due&filter=<json>&components=event|todo
+  // Calendar subscription of items with a value in a date property (the first one by default).
+  // Open items are events, or todos with components=todo; completed items are COMPLETED todos.
+  router.get('/calendar.ics', async (req, res) => {
+    try {
+      const { filter } = parseQueryParams(req.query);
+      const components = req.query.components || 'event';
+      const schema = await registry.getSchema(req.database.id);
+      const dateProperty = req.query.property || schema.dateProperties[0];
+      if (!schema.dateProperties.includes(dateProperty)) {
+        throw new QueryValidationError([{
+          path: 'property',
+          message: dateProperty ? `"${dateProperty}" is not a date property` : 'The database has no date property'
+        }]);
+      }
+      if (!['event', 'todo'].includes(components))
+        throw new QueryValidationError([{ path: 'components', message: 'components must be "event" or "todo"' }]);
+
+      // Only rows with a date can appear, so let Notion leave the rest out
+      const hasDate = { property: dateProperty, date: { is_not_empty: true } };
+      const userFilter = buildNotionFilter(filter, schema);
+      const query = {
+        database_id: req.database.id,
+        // Extend a top-level "and" rather than nesting it, to stay within Notion's nesting limit
+        filter: userFilter ? { and: [...(userFilter.and || [userFilter]), hasDate] } : hasDate
+      };
+
+      const items = [];
+      for await (const pages of queryAllPages(query)) {
+        pages.forEach(page => items.push({ ...formatPage(page, schema), url: page.url }));
+      }
+
+      res.type('text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${(schema.name || 'tasks').replace(/[^\w-]+/g, '_')}.ics"`);
+      res.send(buildCalendar({ name: `${schema.name} (${dateProperty})`, items, dateProperty, components }));
+    } catch (error) {
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error building calendar feed:', error);
+      if (error.code === 'validation_error') return res.status(400).json({ error: error.message });
+      sendNotionError(res, error, 'Failed to build calendar feed');
+    }
+  });
+
+  // GET /api/stats?filter=<json>&weeks=12
+  // Dashboard figures over every item matching the filter: { generatedAt, total, completed, open,
+  // options: [{ property, type, options: [{ value, count }], empty }], due: [{ property, overdue,
+  // dueToday, undated }], completedPerWeek: [{ weekStart, count }] for the last `weeks` weeks,
+  // numbers: [{ property, count, sum, average, min, max }], openAge: { count, averageDays,
+  // medianDays, oldest, buckets: [{ label, count }] } }
+  router.get('/stats', async (req, res) => {
+    try {
+      const { filter } = parseQueryParams(req.query);
+      const weeks = Number(req.query.weeks ?? DEFAULT_WEEKS);
+      if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+        throw new QueryValidationError([{ path: 'weeks', message: `weeks must be an integer from 1 to ${MAX_WEEKS}` }]);
+      }
+      const schema = await registry.getSchema(req.database.id);
+      const query = { database_id: req.database.id, filter: buildNotionFilter(filter, schema) };
+
+      const items = [];
+      for await (const pages of queryAllPages(query)) {
+        pages.forEach(page => items.push(formatPage(page, schema)));
+      }
+      res.json(computeStats(items, schema, { weeks }));
+    } catch (error) {
+      if (error instanceof QueryValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error computing stats:', error);
+      if (error.code === 'validation_error') return res.status(400).json({ error: error.message });
+      sendNotionError(res, error, 'Failed to compute stats');
+    }
+  });
+
+  // POST /api/import
+  // Body: { format: 'csv' | 'json', content: '<file text>', mapping?: { column: property | null },
+  //         upsertKey?: property name or 'id', dryRun?: boolean }
+  // Without a mapping, columns are matched to properties by name. With an upsertKey, rows whose key
+  // matches an existing row update it and the rest are created. Rows with invalid cells are skipped.
+  // The response lists what happened to each row ({ row, action, id, errors }) plus the mapping used
+  // and a preview of the first rows, so a dry run can drive a mapping screen.
+  const IMPORT_PREVIEW_ROWS = 5;
+
+  router.post('/import', async (req, res) => {
+    const { format, content, mapping: requestedMapping, upsertKey, dryRun = false } = req.body || {};
+
+    try {
+      const schema = await registry.getSchema(req.database.id);
+      const { columns, rows } = parseImportFile(format, content);
+      const mapping = requestedMapping ? validateMapping(requestedMapping, columns, schema) : suggestMapping(columns, schema);
+      if (!Object.values(mapping).some(Boolean)) throw new ImportValidationError('No column matches a writable property');
+      const keyColumn = upsertKey ? findKeyColumn(upsertKey, mapping, schema) : null;
+      const keyType = upsertKey === 'id' ? 'id' : schema.properties[upsertKey]?.type;
+
+      const mapsPeople = Object.values(mapping).some(name => name && schema.properties[name].type === 'people');
+      const people = mapsPeople ? await listPeople() : [];
+
+      // Existing page IDs by key value; a key held by several rows is ambiguous and matches none
+      const existing = new Map();
+      if (keyColumn) {
+        for await (const pages of queryAllPages({ database_id: req.database.id })) {
+          pages.forEach(page => {
+            const key = normalizeKey(upsertKey === 'id' ? page.id : formatPage(page, schema).properties[upsertKey], keyType);
+            if (key) existing.set(key, existing.has(key) ? null : page.id);
+          });
+        }
+      }
+
+      const plan = rows.map((row, index) => {
+        const { properties, errors } = coerceRow(row, mapping, schema, people);
+        // Values that coerced but still do not fit, such as malformed URLs. New select options are
+        // fine in imports.
+        validateProperties(schema, properties, { allowNewOptions: true }).forEach(({ property, message }) => {
+          if (errors.some(error => error.property === property)) return;
+          errors.push({ column: Object.keys(mapping).find(column => mapping[column] === property), property, message });
+        });
+        const key = keyColumn ? normalizeKey(row[keyColumn], keyType) : '';
+        if (key && existing.get(key) === null) errors.push({ column: keyColumn, message: `"${key}" matches more than one existing row` });
+        const id = key ? existing.get(key) || null : null;
+        if (!id && upsertKey === 'id' && key) errors.push({ column: keyColumn, message: `No row has the ID "${key}"` });
+        if (!id && !properties[schema.titleProperty]) {
+          errors.push({ property: schema.titleProperty, message: `Title property "${schema.titleProperty}" is required` });
+        }
+        return { row: index + 1, action: errors.length ? 'skip' : id ? 'update' : 'create', id, properties, errors };
+      });
+
+      if (!dryRun) {
+        await Promise.all(plan.filter(entry => entry.action !== 'skip').map(async (entry) => {
+          try {
+            const options = { actor: actorOf(req), allowNewOptions: true };
+            if (entry.action === 'update') await updateItem(req.database, entry.id, entry.properties, options);
+            else entry.id = (await createItem(req.database, entry.properties, options)).page.id;
+          } catch (error) {
+            console.error(`Error importing row ${entry.row}:`, error);
+            entry.errors.push({ message: error.message });
+            entry.action = 'failed';
+          }
+        }));
+      }
+
+      const count = (action) => plan.filter(entry => entry.action === action).length;
+      const failed = count('skip') + count('failed');
+      res.status(!dryRun && failed ? 207 : 200).json({
+        dryRun: Boolean(dryRun),
+        columns,
+        mapping,
+        upsertKey: upsertKey || null,
+        preview: rows.slice(0, IMPORT_PREVIEW_ROWS),
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        skipped: count('skip'),
+        failed: count('failed'),
+        results: plan.map(({ row, action, id, errors }) => ({ row, action, id, errors }))
+      });
+    } catch (error) {
+      if (error instanceof ImportValidationError) return res.status(400).json({ error: error.message, details: error.details });
+      console.error('Error importing tasks:', error);
+      sendNotionError(res, error, 'Failed to import items');
+    }
+  });
+
+  // Resolve :dbId (a registry key or Notion ID) to a registry entry, or fall back to the default database
+  function resolveDatabase(req, res, next) {
+    const database = registry.resolve(req.params.dbId);
+    if (!database) {
+      return req.params.dbId === undefined
+        ? res.status(404).json({ error: 'No default database configured. Set NOTION_DATABASE_ID or NOTION_DATABASES.' })
+        : res.status(404).json({ error: `Unknown database "${req.params.dbId}"` });
+    }
+    req.database = database;
+    next();
+  }
+
+  // GET /api/databases?discover=true (discovering is for admins)
+  app.get('/api/databases', async (req, res) => {
+    try {
+      if (req.query.discover === 'true') {
+        if (req.user.role !== 'admin') return res.status(403).json({ error: 'This needs the admin role', code: 'forbidden' });
+        await registry.discover();
+      }
+      res.json({ databases: registry.list(), defaultKey: registry.defaultEntry?.key || null });
+    } catch (error) {
+      console.error('Error listing databases:', error);
+      sendNotionError(res, error, 'Failed to list databases');
+    }
+  });
+
+  // GET /api/audit?database=&pageId=&actor=&action=&property=&since=&until=&limit=&cursor=
+  // Changes across all databases, newest first; for admins
+  app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const filters = parseAuditQuery(req.query);
+      if (req.query.database) {
+        const database = registry.resolve(req.query.database);
+        if (!database) return res.status(404).json({ error: `Unknown database "${req.query.database}"` });
+        filters.databaseId = database.id;
+      }
+      if (req.query.pageId) filters.pageId = String(req.query.pageId);
+      res.json(await audit.list(filters));
+    } catch (error) {
+      if (error instanceof InputError) return res.status(400).json({ error: error.message });
+      console.error('Error reading audit log:', error);
+      res.status(500).json({ error: 'Failed to read audit log' });
+    }
+  });
+
+  // Reminders go out every REMINDER_INTERVAL_MINUTES (default 60, 0 turns them off) for the lead
+  // times in REMINDER_LEAD_TIMES, e.g. "overdue,today,1,7"
+  const reminders = createReminderScheduler({
+    listDatabases: async () => registry.list(),
+    findOpenItemsDueBy: async (database, day) => {
+      const schema = await registry.getSchema(database.id);
+      const dateProperty = dueDateProperty(schema);
+      if (!dateProperty) return [];
+      const found = [];
+      for await (const pages of queryAllPages({ database_id: database.id, filter: { property: dateProperty, date: { on_or_before: day } } })) {
+        pages.map(page => formatPage(page, schema))
+          .filter(item => !item.completed && item.properties[dateProperty]?.start)
+          .forEach(item => found.push({ item, dueDate: item.properties[dateProperty].start }));
+      }
+      return found;
+    },
+    emit: webhooks.emit,
+    store: createJsonStore('reminders', { sent: {} }),
+    leadTimes: parseLeadTimes(process.env.REMINDER_LEAD_TIMES),
+    intervalMs: Number(process.env.REMINDER_INTERVAL_MINUTES ?? 60) * 60 * 1000
+  });
+
+  app.use('/api/webhooks', auth.requireRole('admin'), createWebhookRouter({
+    webhooks,
+    reminders,
+    resolveDatabase: (keyOrId) => registry.resolve(keyOrId)
+  }));
+
+  // GET /api/status - Notion request queue depth and retry metrics
+  app.get('/api/status', (req, res) => {
+    res.json({ queue: notionQueue.stats() });
+  });
+
+  // GET /api/users - workspace members, for editing people properties
+  app.get('/api/users', async (req, res) => {
+    try {
+      res.json(await listPeople());
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      sendNotionError(res, error, 'Failed to fetch workspace users');
+    }
+  });
+
+  app.use('/api/databases/:dbId', resolveDatabase, router);
+  app.use('/api', resolveDatabase, router);
+
+  const start = async () => {
+    // ADMIN_USERNAME and ADMIN_PASSWORD create the first admin; otherwise the app asks for one
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD && (await users.all()).length === 0) {
+      await users.create({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+      console.log(`Created admin account ${process.env.ADMIN_USERNAME}`);
+    }
+    if (process.env.NOTION_DISCOVER_DATABASES === 'true') {
+      try {
+        await registry.discover();
+      } catch (error) {
+        console.error('Error discovering databases:', error);
+      }
+    }
+    registry.list().forEach(db => console.log(`Using database ${db.key}: ${db.id}`));
+    await webhooks.resumePending();
+    reminders.start();
+  };
+
+  return { app, start };
+}
+
+// NOTION_MOCK_SEED=<seed file> serves a mock workspace instead of Notion, starting from the seed
+// and kept in DATA_DIR/mock-notion.json from then on (delete that file to start over)
+function mockWorkspace(seedFile) {
+  const seed = JSON.parse(fs.readFileSync(path.resolve(seedFile), 'utf8'));
+  return {
+    notion: createMockNotion({ store: createJsonStore('mock-notion', stateFromSeed(seed)) }),
+    databases: seedDatabases(seed)
+  };
+}
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Using database: ${databaseId}`);
-});
+if (require.main === module) {
+  const { app, start } = createApp(process.env.NOTION_MOCK_SEED ? mockWorkspace(process.env.NOTION_MOCK_SEED) : {});
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}${process.env.NOTION_MOCK_SEED ? ' against the mock Notion workspace' : ''}`);
+    start().catch(error => {
+      console.error('Error starting server:', error);
+      process.exit(1);
+    });
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,140 @@
+// stats.js - Dashboard figures computed over a database's items
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 104;
+
+// Open items are grouped by how many days ago they were created
+const AGE_BUCKETS = [
+  { label: 'Under a week', maxDays: 7 },
+  { label: '1-4 weeks', maxDays: 28 },
+  { label: '1-3 months', maxDays: 90 },
+  { label: 'Over 3 months', maxDays: Infinity }
+];
+
+const OPTION_TYPES = ['select', 'status', 'multi_select'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Monday of the UTC week `time` falls in, as YYYY-MM-DD
+function weekStart(time) {
+  const date = new Date(time);
+  const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  return new Date(monday).toISOString().slice(0, 10);
+}
+
+// Whether a date value lies before `now`. Dates without a time count as overdue from the day after.
+function isPast(value, now) {
+  const last = value.end || value.start;
+  if (!last) return false;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(last)) return last < now.toISOString().slice(0, 10);
+  return Date.parse(last) < now.getTime();
+}
+
+// How many items have each option of every select, status and multi_select property:
+// [{ property, type, options: [{ value, count }], empty }]. Options keep the schema's order,
+// followed by values the schema no longer lists.
+function countOptions(items, schema) {
+  return Object.entries(schema.properties)
+    .filter(([, prop]) => OPTION_TYPES.includes(prop.type))
+    .map(([name, prop]) => {
+      const counts = new Map((prop[prop.type]?.options || []).map(option => [option.name, 0]));
+      let empty = 0;
+      items.forEach(item => {
+        const values = [].concat(item.properties[name] ?? []);
+        if (!values.length) empty += 1;
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+      return { property: name, type: prop.type, options: [...counts].map(([value, count]) => ({ value, count })), empty };
+    });
+}
+
+// For each date property: [{ property, overdue, dueToday, undated }] where overdue and dueToday
+// only count open items
+function countDue(items, schema, now) {
+  const today = now.toISOString().slice(0, 10);
+  return schema.dateProperties.map(name => {
+    const result = { property: name, overdue: 0, dueToday: 0, undated: 0 };
+    items.forEach(item => {
+      const value = item.properties[name];
+      if (!value?.start) {
+        result.undated += 1;
+        return;
+      }
+      if (item.completed) return;
+      if (isPast(value, now)) result.overdue += 1;
+      else if (value.start.slice(0, 10) <= today && (value.end || value.start).slice(0, 10) >= today) result.dueToday += 1;
+    });
+    return result;
+  });
+}
+
+// Completed items per week over the last `weeks` weeks, oldest first: [{ weekStart, count }].
+// Notion does not record when an item was completed, so its last edit stands in for it.
+function completedPerWeek(items, weeks, now) {
+  const counts = new Map();
+  const current = Date.parse(weekStart(now));
+  for (let i = weeks - 1; i >= 0; i -= 1) counts.set(new Date(current - i * 7 * DAY_MS).toISOString().slice(0, 10), 0);
+  items.forEach(item => {
+    if (!item.completed || !item.lastEditedTime) return;
+    const week = weekStart(item.lastEditedTime);
+    if (counts.has(week)) counts.set(week, counts.get(week) + 1);
+  });
+  return [...counts].map(([start, count]) => ({ weekStart: start, count }));
+}
+
+// Sum, average, minimum and maximum of every number property over the items that have a value
+function summarizeNumbers(items, schema) {
+  return schema.numberProperties.map(name => {
+    const values = items.map(item => item.properties[name]).filter(value => typeof value === 'number');
+    const sum = values.reduce((total, value) => total + value, 0);
+    return {
+      property: name,
+      count: values.length,
+      sum: round(sum),
+      average: values.length ? round(sum / values.length) : null,
+      min: values.length ? Math.min(...values) : null,
+      max: values.length ? Math.max(...values) : null
+    };
+  });
+}
+
+// Days since open items were created: { count, averageDays, medianDays, oldest, buckets }
+function summarizeAge(items, now) {
+  const open = items
+    .filter(item => !item.completed && item.createdAt)
+    .map(item => ({ id: item.id, title: item.title ?? null, days: Math.max(0, Math.floor((now - Date.parse(item.createdAt)) / DAY_MS)) }))
+    .sort((a, b) => b.days - a.days);
+  const days = open.map(item => item.days);
+  const middle = Math.floor(days.length / 2);
+  return {
+    count: open.length,
+    averageDays: days.length ? round(days.reduce((total, value) => total + value, 0) / days.length) : null,
+    medianDays: days.length ? (days.length % 2 ? days[middle] : round((days[middle - 1] + days[middle]) / 2)) : null,
+    oldest: open.slice(0, 5),
+    buckets: AGE_BUCKETS.map(({ label, maxDays }, index) => ({
+      label,
+      count: days.filter(value => value < maxDays && value >= (index ? AGE_BUCKETS[index - 1].maxDays : 0)).length
+    }))
+  };
+}
+
+// Every dashboard figure for `items` (API items of one database) as of `now`. `completed` is
+// null when the database has no checkbox or status property to tell completion by.
+function computeStats(items, schema, { weeks = DEFAULT_WEEKS, now = new Date() } = {}) {
+  const tracksCompletion = schema.checkboxProperties.length > 0;
+  const completed = items.filter(item => item.completed).length;
+  return {
+    generatedAt: now.toISOString(),
+    total: items.length,
+    completed: tracksCompletion ? completed : null,
+    open: items.length - completed,
+    options: countOptions(items, schema),
+    due: countDue(items, schema, now),
+    completedPerWeek: tracksCompletion ? completedPerWeek(items, weeks, now) : [],
+    numbers: summarizeNumbers(items, schema),
+    openAge: summarizeAge(items, now)
+  };
+}
+
+module.exports = { DEFAULT_WEEKS, MAX_WEEKS, computeStats };
@@ -0,0 +1,108 @@
+// Tests for failed logins, signing out and replacing calendar feed tokens
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+const { createUserStore, createAuth } = require('../auth');
+
+const request = useServer({
+  databases: [tasksDatabase({ items: [{ properties: { Name: 'Dated', Due: '2025-03-01' } }] })]
+});
+
+const PASSWORD = 'password123';
+
+let carol;
+
+// Sign in as "carol", an editor added on first use; resolves with the login response
+const login = async () => {
+  carol ??= request('POST', '/api/auth/users', { username: 'carol', password: PASSWORD, role: 'editor' });
+  assert.equal((await carol).status, 201);
+  const { status, body } = await request('POST', '/api/auth/login', { username: 'carol', password: PASSWORD }, { as: null });
+  assert.equal(status, 200);
+  return body;
+};
+
+const feed = (feedToken) => request('GET', `/api/calendar.ics?token=${feedToken}`, undefined, { as: null });
+
+describe('signing out', () => {
+  it('revokes the session it was made with and no other', async () => {
+    const { token } = await login();
+    const { token: other } = await login();
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 200);
+    assert.equal((await request('POST', '/api/auth/logout', undefined, { token })).status, 204);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 401);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token: other })).status, 200);
+  });
+
+  it('revokes every session when asked to sign out everywhere', async () => {
+    const { token } = await login();
+    const { token: other } = await login();
+    assert.equal((await request('POST', '/api/auth/logout-all', undefined, { token })).status, 204);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 401);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token: other })).status, 401);
+    const { token: fresh } = await login();
+    assert.equal((await request('GET', '/api/tasks', undefined, { token: fresh })).status, 200);
+  });
+
+  it('needs the X-Requested-With header with a session cookie', async () => {
+    const { token } = await login();
+    const cookie = { Cookie: `notion_manager_session=${token}` };
+    const forged = await request('POST', '/api/auth/logout', undefined, { as: null, headers: cookie });
+    assert.equal(forged.status, 403);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 200);
+    const { status } = await request('POST', '/api/auth/logout', undefined, { as: null, headers: { ...cookie, 'X-Requested-With': 'fetch' } });
+    assert.equal(status, 204);
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 401);
+  });
+
+  it('leaves calendar feed links working', async () => {
+    const { token, feedToken } = await login();
+    await request('POST', '/api/auth/logout', undefined, { token });
+    const { status, body } = await feed(feedToken);
+    assert.equal(status, 200);
+    assert.match(body, /SUMMARY:Dated/);
+  });
+});
+
+describe('POST /api/auth/feed-token', () => {
+  it('replaces the feed token and revokes the old one', async () => {
+    const { token, feedToken } = await login();
+    const { status, body } = await request('POST', '/api/auth/feed-token', undefined, { token });
+    assert.equal(status, 200);
+    assert.notEqual(body.feedToken, feedToken);
+    assert.equal((await feed(feedToken)).status, 401);
+    assert.equal((await feed(body.feedToken)).status, 200);
+    // Sessions are not affected
+    assert.equal((await request('GET', '/api/tasks', undefined, { token })).status, 200);
+  });
+
+  it('needs a session', async () => {
+    assert.equal((await request('POST', '/api/auth/feed-token', undefined, { as: null })).status, 401);
+  });
+});
+
+describe('failed logins', () => {
+  // An auth instance over a user store kept in memory, with the account "dana"
+  async function danaAuth() {
+    const data = { users: [] };
+    const users = createUserStore({ read: async () => data, update: async (fn) => fn(data) }, 'secret');
+    await users.create({ username: 'dana', password: PASSWORD, role: 'admin' });
+    return createAuth({ users, secret: 'secret' });
+  }
+
+  const attempt = (auth, password, ip) => auth.checkCredentials('Dana', password, { ip }).then(() => 200, error => error.status);
+
+  it('lock the account only for the address they came from', async () => {
+    const auth = await danaAuth();
+    for (let i = 0; i < 5; i++) assert.equal(await attempt(auth, 'wrong', '10.0.0.1'), 401);
+    assert.equal(await attempt(auth, PASSWORD, '10.0.0.1'), 429);
+    assert.equal(await attempt(auth, PASSWORD, '10.0.0.2'), 200);
+    assert.equal(await attempt(auth, 'wrong', '10.0.0.2'), 401);
+  });
+
+  it('are rejected the same way for unknown usernames', async () => {
+    const auth = await danaAuth();
+    const error = await auth.checkCredentials('nobody', PASSWORD, { ip: '10.0.0.1' }).catch(e => e);
+    assert.equal(error.status, 401);
+    assert.equal(error.message, 'Invalid username or password');
+  });
+});
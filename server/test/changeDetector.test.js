@@ -0,0 +1,59 @@
+// Tests for telling schema changes apart from other database edits while polling
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createChangeDetector } = require('../changeDetector');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A database whose title and properties the test edits between polls
+function fakeWorkspace() {
+  const database = { id: 'db', title: 'Tasks', last_edited_time: '2025-01-01T00:00:00.000Z', properties: { Name: { type: 'title' } } };
+  const invalidated = [];
+  return {
+    database,
+    invalidated,
+    notion: { databases: { retrieve: async () => JSON.parse(JSON.stringify(database)) } },
+    registry: { getSchema: async () => ({}), invalidateSchema: (id) => invalidated.push(id) },
+    queryAllPages: async function* () {},
+    formatPage: (page) => page
+  };
+}
+
+describe('change detector', () => {
+  it('only reports a schema change when the properties change', async () => {
+    const workspace = fakeWorkspace();
+    const detector = createChangeDetector({ ...workspace, intervalMs: 5 });
+    const events = [];
+    const stop = detector.subscribe('db', event => events.push(event));
+    await wait(30);
+
+    workspace.database.title = 'Renamed';
+    workspace.database.last_edited_time = '2025-01-02T00:00:00.000Z';
+    await wait(30);
+    assert.deepEqual(events, []);
+
+    workspace.database.properties.Done = { type: 'checkbox' };
+    await wait(30);
+    stop();
+    assert.deepEqual(events, [{ type: 'schema' }]);
+    assert.deepEqual(workspace.invalidated, ['db']);
+  });
+
+  it('polls with the server token, not the token of the request that subscribed', async () => {
+    const workspace = fakeWorkspace();
+    const token = new AsyncLocalStorage();
+    const tokens = [];
+    const retrieve = workspace.notion.databases.retrieve;
+    workspace.notion.databases.retrieve = async (args) => {
+      tokens.push(token.getStore());
+      return retrieve(args);
+    };
+    const detector = createChangeDetector({ ...workspace, intervalMs: 5, runInBackground: (fn) => token.run('server', fn) });
+    const stop = token.run('user', () => detector.subscribe('db', () => {}));
+    await wait(30);
+    stop();
+    assert.ok(tokens.length > 1);
+    assert.ok(tokens.every(store => store === 'server'));
+  });
+});
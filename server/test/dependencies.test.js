@@ -0,0 +1,107 @@
+// HTTP tests for subtasks and blockers linked through self-relation properties
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+
+const LAUNCH = '1d5b7f3a-6c2e-4a8d-9b1f-3e7c5a9d2b01';
+const DESIGN = '1d5b7f3a-6c2e-4a8d-9b1f-3e7c5a9d2b02';
+const BUILD = '1d5b7f3a-6c2e-4a8d-9b1f-3e7c5a9d2b03';
+const TEST = '1d5b7f3a-6c2e-4a8d-9b1f-3e7c5a9d2b04';
+const PRICING = '1d5b7f3a-6c2e-4a8d-9b1f-3e7c5a9d2b05';
+
+const request = useServer({
+  databases: [
+    tasksDatabase({
+      properties: {
+        Tags: { type: 'multi_select', options: ['web'] },
+        'Parent item': 'relation',
+        'Blocked by': 'relation'
+      },
+      items: [
+        { id: LAUNCH, properties: { Name: 'Launch', 'Blocked by': [PRICING] } },
+        { id: DESIGN, properties: { Name: 'Design', Done: true, Tags: ['web'], 'Parent item': [LAUNCH] } },
+        { id: BUILD, properties: { Name: 'Build', Tags: ['web'], 'Parent item': [LAUNCH], 'Blocked by': [DESIGN] } },
+        { id: TEST, properties: { Name: 'Test', 'Parent item': [BUILD] } },
+        { id: PRICING, properties: { Name: 'Pricing' } }
+      ]
+    }),
+    {
+      key: 'other',
+      title: 'Other',
+      // Relations to another database are not subtask links
+      properties: { Title: 'title', 'Parent item': { type: 'relation', database: 'tasks' } }
+    }
+  ]
+});
+
+// Top-level nodes and subtasks as [title, [...subtasks]]
+const shape = (nodes) => nodes.map(node => [node.title, shape(node.subtasks)]);
+
+describe('GET /api/tasks/tree', () => {
+  it('nests subtasks with blockers, blocked items and progress', async () => {
+    const { status, body } = await request('GET', '/api/tasks/tree?sort=Name:asc', undefined, { as: 'viewer' });
+    assert.equal(status, 200);
+    assert.equal(body.parentProperty, 'Parent item');
+    assert.equal(body.blockedByProperty, 'Blocked by');
+    assert.deepEqual(shape(body.items), [['Launch', [['Build', [['Test', []]]], ['Design', []]]], ['Pricing', []]]);
+
+    const [launch, pricing] = body.items;
+    assert.deepEqual(launch.progress, { completed: 1, total: 3 });
+    assert.deepEqual(launch.blockedBy, [{ id: PRICING, title: 'Pricing', completed: false }]);
+    assert.deepEqual(pricing.blocking, [{ id: LAUNCH, title: 'Launch', completed: false }]);
+    assert.equal(pricing.progress, null);
+    const [build] = launch.subtasks;
+    assert.deepEqual(build.parent, { id: LAUNCH, title: 'Launch', completed: false });
+    assert.deepEqual(build.blockedBy, [{ id: DESIGN, title: 'Design', completed: true }]);
+  });
+
+  it('puts matching items under matching parents and counts progress over every subtask', async () => {
+    const filter = JSON.stringify({ property: 'Tags', op: 'contains', value: 'web' });
+    const { body } = await request('GET', `/api/tasks/tree?filter=${encodeURIComponent(filter)}&sort=Name:asc`);
+    assert.deepEqual(shape(body.items), [['Build', []], ['Design', []]]);
+    assert.deepEqual(body.items[0].progress, { completed: 0, total: 1 });
+    assert.equal(body.items[0].parent.title, 'Launch');
+  });
+
+  it('only follows relations to the same database', async () => {
+    const { body } = await request('GET', '/api/databases/other/tasks/tree');
+    assert.equal(body.parentProperty, null);
+    const schema = await request('GET', '/api/databases/other/schema');
+    assert.deepEqual(schema.body.dependencies, { parentProperty: null, blockedByProperty: null });
+  });
+
+  it('rejects filters that do not fit the schema', async () => {
+    const filter = JSON.stringify({ property: 'Nope', op: 'equals', value: 1 });
+    const { status, body } = await request('GET', `/api/tasks/tree?filter=${encodeURIComponent(filter)}`);
+    assert.equal(status, 400);
+    assert.match(body.details[0].message, /Unknown property "Nope"/);
+  });
+});
+
+describe('completing items with open dependencies', () => {
+  it('warns about open blockers and incomplete subtasks but still completes', async () => {
+    const { status, body } = await request('PATCH', `/api/tasks/${LAUNCH}`, { properties: { completed: true } });
+    assert.equal(status, 200);
+    assert.equal(body.item.completed, true);
+    assert.deepEqual(body.warnings.map(w => w.code), ['open_blockers', 'incomplete_subtasks']);
+    assert.deepEqual(body.warnings[0].items, [{ id: PRICING, title: 'Pricing', completed: false }]);
+    assert.deepEqual(body.warnings[1].items.map(item => item.title), ['Build']);
+    assert.match(body.warnings[1].message, /1 subtask is not complete/);
+  });
+
+  it('has no warnings once blockers and subtasks are done', async () => {
+    await request('PATCH', `/api/tasks/${TEST}`, { properties: { completed: true } });
+    const { body } = await request('PATCH', `/api/tasks/${BUILD}`, { properties: { completed: true } });
+    assert.deepEqual(body.warnings, []);
+  });
+
+  it('reports warnings per operation in bulk updates', async () => {
+    await request('PATCH', `/api/tasks/${TEST}`, { properties: { completed: false } });
+    await request('PATCH', `/api/tasks/${BUILD}`, { properties: { completed: false } });
+    const { body } = await request('POST', '/api/tasks/bulk', {
+      operations: [{ op: 'update', id: BUILD, properties: { completed: true } }, { op: 'update', id: PRICING, properties: { completed: true } }]
+    });
+    assert.deepEqual(body.results[0].warnings.map(w => w.code), ['incomplete_subtasks']);
+    assert.equal(body.results[1].warnings, undefined);
+  });
+});
@@ -0,0 +1,93 @@
+// Shared setup for the HTTP tests: an app on a random port backed by the mock Notion workspace
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings are read when the server modules load, so they go first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  AUTH_SECRET: 'test-secret',
+  NOTION_REQUESTS_PER_SECOND: '1000',
+  NOTION_MAX_RETRIES: '0'
+});
+
+const { createApp } = require('../server');
+const { createMockNotion, seedDatabases } = require('../mockNotion');
+
+const PASSWORD = 'password123';
+
+// Start the app on `seed` with an admin ("admin") and a viewer ("viewer"). Resolves with
+// { request, close }, where request(method, url, body?, { as?, token?, headers? }) answers
+// { status, body } and is made as the admin unless `as` is 'viewer' or null for no session, or
+// `token` gives a Bearer token of its own. `headers` are sent as well. JSON bodies are parsed;
+// others, such as CSV exports, are left as text.
+async function startServer(seed) {
+  const { app } = createApp({ notion: createMockNotion({ seed }), databases: seedDatabases(seed) });
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const tokens = {};
+
+  const request = async (method, url, body, { as = 'admin', token = as && tokens[as], headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, body: isJson && text ? JSON.parse(text) : text || null };
+  };
+
+  const login = async (username) => {
+    const { status, body } = await request('POST', '/api/auth/login', { username, password: PASSWORD }, { as: null });
+    assert.equal(status, 200);
+    tokens[username] = body.token;
+  };
+
+  assert.equal((await request('POST', '/api/auth/setup', { username: 'admin', password: PASSWORD }, { as: null })).status, 201);
+  await login('admin');
+  assert.equal((await request('POST', '/api/auth/users', { username: 'viewer', password: PASSWORD, role: 'viewer' })).status, 201);
+  await login('viewer');
+
+  const close = () => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { request, close };
+}
+
+// Start the server on `seed` before the file's tests and stop it after them. Returns a request
+// function that works like the one startServer resolves with.
+function useServer(seed) {
+  let server;
+  before(async () => {
+    server = await startServer(seed);
+  });
+  after(() => server.close());
+  return (...args) => server.request(...args);
+}
+
+// The "Tasks" database most tests work on: a title, a checkbox, a date and a select, plus the
+// `properties` and `items` a test needs on top
+const tasksDatabase = ({ properties = {}, items = [] } = {}) => ({
+  key: 'tasks',
+  title: 'Tasks',
+  properties: {
+    Name: 'title',
+    Done: 'checkbox',
+    Due: 'date',
+    Priority: { type: 'select', options: ['High', 'Medium', 'Low'] },
+    ...properties
+  },
+  items
+});
+
+module.exports = { startServer, useServer, tasksDatabase };
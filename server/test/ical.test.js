@@ -0,0 +1,40 @@
+// Tests for rendering items as an iCalendar feed
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../ical');
+
+const item = (id, due, extra = {}) => ({
+  id,
+  title: id,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  lastEditedTime: '2025-01-02T00:00:00.000Z',
+  properties: { Due: { start: due, end: null, timeZone: null, ...extra } },
+  completed: false
+});
+
+const lines = (items, options = {}) => buildCalendar({ name: 'Tasks', items, dateProperty: 'Due', ...options }).split('\r\n');
+
+describe('iCalendar feed', () => {
+  it('gives events and todos of the same item different UIDs', () => {
+    const open = item('task-1', '2025-03-01');
+    const [event] = lines([open]).filter(line => line.startsWith('UID:'));
+    const [todo] = lines([{ ...open, completed: true }]).filter(line => line.startsWith('UID:'));
+    assert.equal(event, 'UID:task1-Due-event@notion-database-manager');
+    assert.equal(todo, 'UID:task1-Due-todo@notion-database-manager');
+  });
+
+  it('writes zoned times in UTC, across daylight saving changes', () => {
+    const calendar = lines([
+      item('winter', '2025-01-10T09:30:00.000', { timeZone: 'America/New_York' }),
+      item('summer', '2025-03-30T09:30:00.000', { timeZone: 'Europe/Berlin' })
+    ]);
+    assert.ok(calendar.includes('DTSTART:20250110T143000Z'));
+    assert.ok(calendar.includes('DTSTART:20250330T073000Z'));
+    assert.ok(!calendar.some(line => line.includes('TZID=')));
+  });
+
+  it('keeps times in unknown zones as floating times', () => {
+    const calendar = lines([item('elsewhere', '2025-01-10T09:30:00.000', { timeZone: 'Nowhere/Special' })]);
+    assert.ok(calendar.includes('DTSTART:20250110T093000'));
+  });
+});
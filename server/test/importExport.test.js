@@ -0,0 +1,96 @@
+// HTTP tests for exporting items to CSV/JSON and importing them back
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+
+const request = useServer({
+  databases: [
+    tasksDatabase({
+      properties: { Estimate: 'number' },
+      items: [
+        { properties: { Name: 'Write report', Priority: 'High', Estimate: 5 } },
+        { properties: { Name: '=1+1', Estimate: -2 } },
+        { properties: { Name: '@SUM(A1)', Due: '2025-01-31' } }
+      ]
+    })
+  ]
+});
+
+const importCsv = (content, options = {}) => request('POST', '/api/import', { format: 'csv', content, ...options });
+
+async function titles() {
+  const { body } = await request('GET', '/api/tasks');
+  return body.map(item => item.title).sort();
+}
+
+describe('GET /api/export', () => {
+  it('writes cells that look like formulas as text', async () => {
+    const { status, body } = await request('GET', '/api/export?format=csv');
+    assert.equal(status, 200);
+    const lines = body.trim().split('\r\n');
+    assert.match(lines[0], /^id,Name,/);
+    assert.ok(lines.some(line => line.includes(",'=1+1,") && line.endsWith(',-2')));
+    assert.ok(lines.some(line => line.includes(",'@SUM(A1),")));
+  });
+
+  it('exports JSON items as the API returns them', async () => {
+    const { body } = await request('GET', '/api/export?format=json');
+    assert.equal(body.length, 3);
+    assert.equal(body.find(item => item.properties.Name === 'Write report').properties.Estimate, 5);
+  });
+});
+
+describe('POST /api/import', () => {
+  it('reads exported files back with their original text', async () => {
+    const { body: csv } = await request('GET', '/api/export?format=csv');
+    const { status, body } = await importCsv(csv, { upsertKey: 'id', dryRun: true });
+    assert.equal(status, 200);
+    assert.equal(body.updated, 3);
+    assert.ok(body.preview.some(row => row.Name === '=1+1'));
+  });
+
+  it('plans a dry run without changing anything', async () => {
+    const { status, body } = await importCsv('Name,Priority\nPlan trip,High\n', { dryRun: true });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.created, 1);
+    assert.deepEqual(body.mapping, { Name: 'Name', Priority: 'Priority' });
+    assert.deepEqual(body.results, [{ row: 1, action: 'create', id: null, errors: [] }]);
+    assert.ok(!(await titles()).includes('Plan trip'));
+  });
+
+  it('updates rows whose key matches and creates the rest', async () => {
+    const { status, body } = await importCsv('Name,Estimate\nWrite report,8\nBook flights,3\n', { upsertKey: 'Name' });
+    assert.equal(status, 200);
+    assert.equal(body.updated, 1);
+    assert.equal(body.created, 1);
+    const { body: items } = await request('GET', '/api/tasks');
+    assert.equal(items.find(item => item.title === 'Write report').properties.Estimate, 8);
+    assert.equal(items.find(item => item.title === 'Book flights').properties.Estimate, 3);
+  });
+
+  it('skips rows with invalid cells and imports the others', async () => {
+    const { status, body } = await importCsv('Name,Due,Estimate\nBad date,someday,1\n,2025-02-01,2\nGood,2025-02-01,4\n');
+    assert.equal(status, 207);
+    assert.equal(body.created, 1);
+    assert.equal(body.skipped, 2);
+    assert.deepEqual(body.results.map(result => result.action), ['skip', 'skip', 'create']);
+    assert.equal(body.results[0].errors[0].column, 'Due');
+    assert.match(body.results[1].errors[0].message, /Title property "Name" is required/);
+    assert.ok((await titles()).includes('Good'));
+  });
+
+  it('rejects files it cannot read', async () => {
+    const empty = await importCsv('   ');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'The file is empty');
+    const unmapped = await importCsv('Colour\nred\n');
+    assert.equal(unmapped.status, 400);
+    assert.equal(unmapped.body.error, 'No column matches a writable property');
+  });
+
+  it('is only open to editors', async () => {
+    const { status } = await request('POST', '/api/import', { format: 'csv', content: 'Name\nx\n' }, { as: 'viewer' });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,69 @@
+// Tests for the on-disk JSON stores
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-test-'));
+const dataDir = path.join(root, 'data');
+process.env.DATA_DIR = dataDir;
+
+const { createJsonStore, createJsonLinesStore } = require('../jsonStore');
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe('JSON store', () => {
+  it('rejects when a write fails, forgets the change and still writes afterwards', async () => {
+    const store = createJsonStore('things', { things: [] });
+    await store.read();
+    // A file where the data directory should be makes creating it fail
+    fs.writeFileSync(dataDir, '');
+    await assert.rejects(store.update(data => { data.things.push(1); }), { code: 'EEXIST' });
+    assert.deepEqual((await store.read()).things, []);
+
+    fs.rmSync(dataDir);
+    assert.equal(await store.update(data => data.things.push(2)), 1);
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'things.json'), 'utf8'));
+    assert.deepEqual(saved.things, [2]);
+  });
+
+  it('keeps nothing of an update that throws part way', async () => {
+    const store = createJsonStore('partial', { lists: {} });
+    await assert.rejects(store.update(data => {
+      data.lists.a = [];
+      throw new Error('Invalid');
+    }), /Invalid/);
+    assert.deepEqual(await store.read(), { lists: {} });
+  });
+
+  it('applies concurrent updates one after another', async () => {
+    const store = createJsonStore('counter', { count: 0 });
+    await Promise.all([1, 2, 3].map(() => store.update(data => { data.count += 1; })));
+    assert.equal((await store.read()).count, 3);
+  });
+});
+
+describe('JSON lines store', () => {
+  const file = path.join(dataDir, 'log.jsonl');
+
+  it('appends one line per record and keeps the newest when the file grows', async () => {
+    const store = createJsonLinesStore('log', { maxRecords: 4 });
+    for (let n = 1; n <= 5; n++) await store.append({ n });
+    assert.equal(fs.readFileSync(file, 'utf8'), [1, 2, 3, 4, 5].map(n => `{"n":${n}}\n`).join(''));
+
+    await store.append({ n: 6 });
+    assert.deepEqual((await store.read()).map(record => record.n), [3, 4, 5, 6]);
+    assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 4);
+  });
+
+  it('skips a line cut short by a crash', async () => {
+    fs.appendFileSync(file, '{"n":');
+    const reopened = createJsonLinesStore('log', { maxRecords: 4 });
+    assert.deepEqual((await reopened.read()).map(record => record.n), [3, 4, 5, 6]);
+
+    await reopened.append({ n: 7 });
+    const again = createJsonLinesStore('log', { maxRecords: 4 });
+    assert.deepEqual((await again.read()).map(record => record.n), [3, 4, 5, 6, 7]);
+  });
+});
@@ -0,0 +1,87 @@
+// Tests for the mock Notion client's own behaviour: persistence, archiving, paging and errors
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-notion-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { createJsonStore } = require('../jsonStore');
+const { createMockNotion, stateFromSeed, seedDatabases } = require('../mockNotion');
+
+const seed = {
+  databases: [{
+    key: 'tasks',
+    title: 'Tasks',
+    properties: { Name: 'title', Size: 'number', Kind: { type: 'select', options: ['a', 'b'] } },
+    items: [1, 2, 3].map(n => ({ properties: { Name: `Task ${n}`, Size: n, Kind: n % 2 ? 'a' : 'b' } }))
+  }]
+};
+const [{ id: databaseId }] = seedDatabases(seed);
+
+const title = (page) => page.properties.Name.title.map(t => t.plain_text).join('');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('mock Notion client', () => {
+  it('keeps changes in a file-backed store', async () => {
+    const notion = createMockNotion({ store: createJsonStore('mock-notion', stateFromSeed(seed)) });
+    const page = await notion.pages.create({
+      parent: { database_id: databaseId },
+      properties: { Name: { title: [{ type: 'text', text: { content: 'Saved' } }] } }
+    });
+    const reopened = createMockNotion({ store: createJsonStore('mock-notion', stateFromSeed({})) });
+    assert.equal(title(await reopened.pages.retrieve({ page_id: page.id })), 'Saved');
+  });
+
+  it('leaves archived pages out of queries until they are restored', async () => {
+    const notion = createMockNotion({ seed });
+    const { results: [first] } = await notion.databases.query({ database_id: databaseId, sorts: [{ property: 'Size', direction: 'ascending' }] });
+    const archived = await notion.pages.update({ page_id: first.id, archived: true });
+    assert.equal(archived.archived, true);
+    assert.equal((await notion.databases.query({ database_id: databaseId })).results.length, 2);
+    await assert.rejects(
+      notion.pages.update({ page_id: first.id, properties: { Size: { number: 9 } } }),
+      { code: 'validation_error', status: 400 }
+    );
+    await notion.pages.update({ page_id: first.id, archived: false });
+    assert.equal((await notion.databases.query({ database_id: databaseId })).results.length, 3);
+  });
+
+  it('pages through sorted results with cursors', async () => {
+    const notion = createMockNotion({ seed });
+    const sorts = [{ property: 'Kind', direction: 'descending' }, { property: 'Size', direction: 'ascending' }];
+    const first = await notion.databases.query({ database_id: databaseId, sorts, page_size: 2 });
+    assert.deepEqual(first.results.map(title), ['Task 2', 'Task 1']);
+    const second = await notion.databases.query({ database_id: databaseId, sorts, page_size: 2, start_cursor: first.next_cursor });
+    assert.deepEqual(second.results.map(title), ['Task 3']);
+    assert.equal(second.has_more, false);
+    await assert.rejects(notion.databases.query({ database_id: databaseId, start_cursor: 'nope' }), { code: 'validation_error' });
+  });
+
+  it('fails like Notion for unknown objects and properties', async () => {
+    const notion = createMockNotion({ seed });
+    await assert.rejects(notion.databases.retrieve({ database_id: 'missing' }), { code: 'object_not_found', status: 404 });
+    await assert.rejects(notion.pages.retrieve({ page_id: 'missing' }), { code: 'object_not_found' });
+    await assert.rejects(
+      notion.pages.create({ parent: { database_id: databaseId }, properties: { Colour: { select: { name: 'red' } } } }),
+      { code: 'validation_error' }
+    );
+    await assert.rejects(
+      notion.databases.query({ database_id: databaseId, filter: { property: 'Size', number: { contains: 1 } } }),
+      { code: 'validation_error' }
+    );
+  });
+
+  it('adds unknown select options to the schema', async () => {
+    const notion = createMockNotion({ seed });
+    await notion.pages.create({
+      parent: { database_id: databaseId },
+      properties: { Name: { title: [{ type: 'text', text: { content: 'New kind' } }] }, Kind: { select: { name: 'c' } } }
+    });
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    assert.deepEqual(database.properties.Kind.select.options.map(option => option.name), ['a', 'b', 'c']);
+  });
+});
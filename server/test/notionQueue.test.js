@@ -0,0 +1,50 @@
+// Tests for which failed Notion calls the queue retries
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotionQueue, withQueue } = require('../notionQueue');
+
+const failure = (status, code) => Object.assign(new Error(code), { status, code });
+
+// A client whose every method fails once with `error`, then succeeds. `calls` counts attempts.
+function flakyClient(error) {
+  const calls = {};
+  const method = (name) => async () => {
+    calls[name] = (calls[name] || 0) + 1;
+    if (calls[name] === 1) throw error;
+    return { ok: true };
+  };
+  return {
+    calls,
+    client: {
+      pages: { create: method('pages.create'), update: method('pages.update') },
+      comments: { create: method('comments.create') }
+    }
+  };
+}
+
+const queue = () => createNotionQueue({ requestsPerSecond: 1000, baseDelayMs: 1, maxDelayMs: 5 });
+
+describe('Notion queue retries', () => {
+  it('retries reads and updates after a server error', async () => {
+    const { client, calls } = flakyClient(failure(502, 'bad_gateway'));
+    const notion = withQueue(client, queue());
+    assert.deepEqual(await notion.pages.update({}), { ok: true });
+    assert.equal(calls['pages.update'], 2);
+  });
+
+  it('does not replay creates that may already have been applied', async () => {
+    const { client, calls } = flakyClient(failure(504, 'gateway_timeout'));
+    const notion = withQueue(client, queue());
+    await assert.rejects(notion.pages.create({}), { code: 'gateway_timeout' });
+    await assert.rejects(notion.comments.create({}), { code: 'gateway_timeout' });
+    assert.equal(calls['pages.create'], 1);
+    assert.equal(calls['comments.create'], 1);
+  });
+
+  it('retries creates that were rate limited', async () => {
+    const { client, calls } = flakyClient(failure(429, 'rate_limited'));
+    const notion = withQueue(client, queue());
+    assert.deepEqual(await notion.pages.create({}), { ok: true });
+    assert.equal(calls['pages.create'], 2);
+  });
+});
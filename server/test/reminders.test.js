@@ -0,0 +1,90 @@
+// Tests for which reminders the scheduler sends and when it sends them again
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLeadTimes, createReminderScheduler } = require('../reminders');
+
+// A store kept in memory, shaped like the JSON stores
+function memoryStore(data) {
+  return {
+    read: async () => data,
+    update: async (fn) => fn(data)
+  };
+}
+
+// A scheduler over one database whose items are `due` ({ itemId: dueDate }), on 2025-03-10.
+// `sent` collects [event, itemId, dueDate].
+function scheduler({ due, leadTimes, findOpenItemsDueBy }) {
+  const sent = [];
+  const reminders = createReminderScheduler({
+    listDatabases: async () => [{ id: 'db-1', key: 'tasks' }],
+    findOpenItemsDueBy: findOpenItemsDueBy || (async (database, day) => Object.entries(due)
+      .filter(([, dueDate]) => dueDate <= day)
+      .map(([id, dueDate]) => ({ item: { id }, dueDate }))),
+    emit: async (event, data) => { sent.push([event, data.item.id, data.dueDate]); },
+    store: memoryStore({ sent: {} }),
+    leadTimes,
+    today: () => '2025-03-10'
+  });
+  return { reminders, sent };
+}
+
+describe('Reminder lead times', () => {
+  it('reads a list of lead times', () => {
+    assert.deepEqual(parseLeadTimes(''), ['overdue', 'today', 1]);
+    assert.deepEqual(parseLeadTimes(' Overdue, 3,7 '), ['overdue', 3, 7]);
+    assert.throws(() => parseLeadTimes('today,0'), /Invalid reminder lead time "0"/);
+    assert.throws(() => parseLeadTimes('tomorrow'), /Invalid reminder lead time "tomorrow"/);
+  });
+});
+
+describe('Reminder scheduler', () => {
+  it('sends the reminder for each lead time once', async () => {
+    const due = { late: '2025-03-01', today: '2025-03-10', soon: '2025-03-13', later: '2025-03-14' };
+    const { reminders, sent } = scheduler({ due, leadTimes: ['overdue', 'today', 3] });
+    assert.equal(await reminders.run(), 3);
+    assert.deepEqual(sent, [
+      ['reminder.overdue', 'late', '2025-03-01'],
+      ['reminder.due_today', 'today', '2025-03-10'],
+      ['reminder.due_soon', 'soon', '2025-03-13']
+    ]);
+    assert.equal(await reminders.run(), 0);
+  });
+
+  it('sends a reminder again when the due date moves', async () => {
+    const due = { task: '2025-03-10' };
+    const { reminders, sent } = scheduler({ due, leadTimes: ['today', 1] });
+    await reminders.run();
+    due.task = '2025-03-11';
+    await reminders.run();
+    due.task = '2025-03-10';
+    await reminders.run();
+    assert.deepEqual(sent.map(([event, , dueDate]) => `${event} ${dueDate}`), [
+      'reminder.due_today 2025-03-10',
+      'reminder.due_soon 2025-03-11',
+      'reminder.due_today 2025-03-10'
+    ]);
+  });
+
+  it('remembers what was sent when a scan fails', async () => {
+    let fail = false;
+    const { reminders, sent } = scheduler({
+      leadTimes: ['overdue'],
+      findOpenItemsDueBy: async () => {
+        if (fail) throw new Error('Notion is down');
+        return [{ item: { id: 'late' }, dueDate: '2025-03-01' }];
+      }
+    });
+    await reminders.run();
+    fail = true;
+    const { error } = console;
+    console.error = () => {};
+    try {
+      assert.equal(await reminders.run(), 0);
+    } finally {
+      console.error = error;
+    }
+    fail = false;
+    assert.equal(await reminders.run(), 0);
+    assert.equal(sent.length, 1);
+  });
+});
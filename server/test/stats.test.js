@@ -0,0 +1,84 @@
+// HTTP tests for the dashboard stats route
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+
+const request = useServer({
+  databases: [
+    tasksDatabase({
+      properties: {
+        Tags: { type: 'multi_select', options: ['web', 'api'] },
+        Estimate: 'number'
+      },
+      items: [
+        { properties: { Name: 'Ship', Done: true, Due: '2020-01-01', Priority: 'High', Tags: ['web', 'api'], Estimate: 3 } },
+        { properties: { Name: 'Plan', Due: '2020-01-01', Priority: 'High', Tags: ['web'], Estimate: 2 } },
+        { properties: { Name: 'Write', Due: '2999-01-01', Priority: 'Low', Estimate: 6 } },
+        { properties: { Name: 'Review' } }
+      ]
+    }),
+    { key: 'notes', title: 'Notes', properties: { Title: 'title' }, items: [{ properties: { Title: 'Idea' } }] }
+  ]
+});
+
+describe('GET /api/stats', () => {
+  it('counts items, options, due dates and number totals', async () => {
+    const { status, body } = await request('GET', '/api/stats', undefined, { as: 'viewer' });
+    assert.equal(status, 200);
+    assert.equal(body.total, 4);
+    assert.equal(body.completed, 1);
+    assert.equal(body.open, 3);
+
+    const priority = body.options.find(entry => entry.property === 'Priority');
+    assert.deepEqual(priority.options, [{ value: 'High', count: 2 }, { value: 'Medium', count: 0 }, { value: 'Low', count: 1 }]);
+    assert.equal(priority.empty, 1);
+    const tags = body.options.find(entry => entry.property === 'Tags');
+    assert.deepEqual(tags.options, [{ value: 'web', count: 2 }, { value: 'api', count: 1 }]);
+
+    // The completed item is past due too, but only open items count as overdue
+    assert.deepEqual(body.due, [{ property: 'Due', overdue: 1, dueToday: 0, undated: 1 }]);
+    assert.deepEqual(body.numbers, [{ property: 'Estimate', count: 3, sum: 11, average: 3.67, min: 2, max: 6 }]);
+  });
+
+  it('counts completed items in the week they were last edited', async () => {
+    const { body } = await request('GET', '/api/stats?weeks=4');
+    assert.equal(body.completedPerWeek.length, 4);
+    assert.deepEqual(body.completedPerWeek.map(week => week.count), [0, 0, 0, 1]);
+    const monday = new Date(`${body.completedPerWeek[3].weekStart}T00:00:00Z`);
+    assert.equal(monday.getUTCDay(), 1);
+  });
+
+  it('reports the age of open items', async () => {
+    const { body } = await request('GET', '/api/stats');
+    assert.equal(body.openAge.count, 3);
+    assert.equal(body.openAge.medianDays, 0);
+    assert.equal(body.openAge.buckets[0].count, 3);
+    assert.equal(body.openAge.oldest.length, 3);
+  });
+
+  it('only counts items that match the filter', async () => {
+    const filter = JSON.stringify({ property: 'Priority', op: 'equals', value: 'High' });
+    const { body } = await request('GET', `/api/stats?filter=${encodeURIComponent(filter)}`);
+    assert.equal(body.total, 2);
+    assert.equal(body.numbers[0].sum, 5);
+  });
+
+  it('leaves completion out for databases without a checkbox', async () => {
+    const { body } = await request('GET', '/api/databases/notes/stats');
+    assert.equal(body.total, 1);
+    assert.equal(body.completed, null);
+    assert.deepEqual(body.completedPerWeek, []);
+    assert.deepEqual(body.options, []);
+  });
+
+  it('rejects bad filters and week counts', async () => {
+    const filter = JSON.stringify({ property: 'Nope', op: 'equals', value: 1 });
+    const badFilter = await request('GET', `/api/stats?filter=${encodeURIComponent(filter)}`);
+    assert.equal(badFilter.status, 400);
+    assert.match(badFilter.body.details[0].message, /Unknown property "Nope"/);
+
+    const badWeeks = await request('GET', '/api/stats?weeks=0');
+    assert.equal(badWeeks.status, 400);
+    assert.equal(badWeeks.body.details[0].path, 'weeks');
+  });
+});
@@ -0,0 +1,463 @@
+// HTTP tests for the /api/tasks routes, run against the mock Notion workspace
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+
+const ADA = '6f1c5e9a-2b7d-4c1e-9a3f-0d8b7e6c5a41';
+
+const seed = {
+  users: [{ id: ADA, name: 'Ada Lovelace', email: 'ada@example.com' }],
+  databases: [
+    tasksDatabase({
+      properties: {
+        Tags: { type: 'multi_select', options: ['home', 'work'] },
+        Assignee: 'people',
+        Estimate: 'number',
+        Recurrence: 'rich_text',
+        Created: 'created_time'
+      },
+      items: [
+        { properties: { Name: 'Write report', Due: '2025-01-31', Priority: 'High', Tags: ['work'], Estimate: 5 } },
+        { properties: { Name: 'Water plants', Due: '2025-01-20', Priority: 'Low', Tags: ['home'], Recurrence: 'FREQ=WEEKLY;BYDAY=MO' } },
+        { properties: { Name: 'Book dentist', Priority: 'Medium', Tags: ['home'] } },
+        { properties: { Name: 'Review pull requests', Done: true, Due: '2025-01-15', Tags: ['work'], Estimate: 2 } }
+      ]
+    }),
+    {
+      key: 'bugs',
+      title: 'Bugs',
+      properties: { Title: 'title', Status: { type: 'status', options: ['Not started', 'Done'] } },
+      items: [{ properties: { Title: 'Crash on start', Status: 'Not started' } }]
+    },
+    {
+      key: 'chores',
+      title: 'Chores',
+      properties: { Name: 'title', Done: 'checkbox', Due: 'date', Recurrence: { type: 'select', options: ['FREQ=DAILY'] } },
+      items: [{ properties: { Name: 'Take out bins', Due: '2025-03-03' } }]
+    }
+  ]
+};
+
+const request = useServer(seed);
+
+const filterQuery = (filter) => `filter=${encodeURIComponent(JSON.stringify(filter))}`;
+
+// The item with this title, read through the API
+async function findItem(title, database = 'tasks') {
+  const { body } = await request('GET', `/api/databases/${database}/tasks`);
+  return body.find(item => item.title === title);
+}
+
+// A new item for tests that change or remove what they work on
+async function createTask(properties) {
+  const { status, body } = await request('POST', '/api/tasks', { properties });
+  assert.equal(status, 201);
+  return body.item;
+}
+
+describe('GET /api/tasks', () => {
+  it('needs a session', async () => {
+    const { status } = await request('GET', '/api/tasks', undefined, { as: null });
+    assert.equal(status, 401);
+  });
+
+  it('lists every item of the default database, sorted by the first date property', async () => {
+    const { status, body } = await request('GET', '/api/tasks');
+    assert.equal(status, 200);
+    const seeded = body.filter(item => seed.databases[0].items.some(i => i.properties.Name === item.title));
+    assert.deepEqual(seeded.map(item => item.title), ['Review pull requests', 'Water plants', 'Write report', 'Book dentist']);
+    const report = seeded.find(item => item.title === 'Write report');
+    assert.equal(report.completed, false);
+    assert.deepEqual(report.properties.Due, { start: '2025-01-31', end: null, timeZone: null });
+    assert.deepEqual(report.properties.Tags, ['work']);
+  });
+
+  it('filters and sorts', async () => {
+    const filter = { and: [{ property: 'Tags', op: 'contains', value: 'work' }, { property: 'Estimate', op: 'greater_than', value: 1 }] };
+    const { status, body } = await request('GET', `/api/tasks?${filterQuery(filter)}&sort=Estimate:desc`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(item => item.title), ['Write report', 'Review pull requests']);
+  });
+
+  it('filters dates, checkboxes and empty values', async () => {
+    const due = await request('GET', `/api/tasks?${filterQuery({ property: 'Due', op: 'between', value: ['2025-01-16', '2025-01-31'] })}`);
+    assert.deepEqual(due.body.map(item => item.title), ['Water plants', 'Write report']);
+    const done = await request('GET', `/api/tasks?${filterQuery({ property: 'Done', op: 'equals', value: true })}`);
+    assert.deepEqual(done.body.map(item => item.title), ['Review pull requests']);
+    const undated = await request('GET', `/api/tasks?${filterQuery({
+      or: [{ property: 'Due', op: 'is_empty' }, { property: 'Name', op: 'starts_with', value: 'water' }]
+    })}&sort=Name:asc`);
+    assert.deepEqual(undated.body.map(item => item.title), ['Book dentist', 'Water plants']);
+  });
+
+  it('pages with limit and cursor', async () => {
+    const query = `${filterQuery({ property: 'Tags', op: 'is_not_empty' })}&sort=Name:asc&limit=2`;
+    const first = await request('GET', `/api/tasks?${query}`);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.items.map(item => item.title), ['Book dentist', 'Review pull requests']);
+    assert.equal(first.body.hasMore, true);
+    const second = await request('GET', `/api/tasks?${query}&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.items.map(item => item.title), ['Water plants', 'Write report']);
+    assert.equal(second.body.hasMore, false);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it('rejects filters that do not fit the schema', async () => {
+    const { status, body } = await request('GET', `/api/tasks?${filterQuery({ property: 'Nope', op: 'equals', value: 1 })}`);
+    assert.equal(status, 400);
+    assert.match(body.details[0].message, /Unknown property "Nope"/);
+    assert.equal((await request('GET', '/api/tasks?limit=500')).status, 400);
+    assert.equal((await request('GET', '/api/tasks?cursor=abc')).status, 400);
+  });
+
+  it('serves other databases by key and rejects unknown ones', async () => {
+    const { status, body } = await request('GET', '/api/databases/bugs/tasks');
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(item => item.title), ['Crash on start']);
+    assert.equal(body[0].completed, false);
+    assert.equal((await request('GET', '/api/databases/nope/tasks')).status, 404);
+  });
+});
+
+describe('POST /api/tasks/search', () => {
+  it('takes the filter and sorts in the body, also for viewers', async () => {
+    const { status, body } = await request('POST', '/api/tasks/search', {
+      filter: { property: 'Priority', op: 'equals', value: 'high' },
+      sorts: [{ property: 'Name', direction: 'ascending' }],
+      limit: 10
+    }, { as: 'viewer' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(item => item.title), ['Write report']);
+    assert.equal(body.hasMore, false);
+  });
+
+  it('rejects invalid sorts', async () => {
+    const { status, body } = await request('POST', '/api/tasks/search', { sorts: [{ property: 'Nope' }] });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'sorts[0].property');
+    const empty = await request('POST', '/api/tasks/search', { sorts: [null] });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.details[0].path, 'sorts[0]');
+  });
+
+  it('rejects between conditions that would nest groups too deep', async () => {
+    const between = { property: 'Estimate', op: 'between', value: [1, 5] };
+    const nested = await request('POST', '/api/tasks/search', { filter: { or: [{ and: [between] }] } });
+    assert.equal(nested.status, 400);
+    assert.equal(nested.body.details[0].path, 'filter.or[0].and[0]');
+    const { status, body } = await request('POST', '/api/tasks/search', { filter: { or: [between] }, limit: 10 });
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(item => item.title).sort(), ['Review pull requests', 'Write report']);
+  });
+});
+
+describe('POST /api/tasks', () => {
+  it('creates an item', async () => {
+    const { status, body } = await request('POST', '/api/tasks', {
+      properties: { Name: 'Buy milk', Due: '2025-02-01', Tags: ['home'], Assignee: [ADA], Estimate: '1' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.title, 'Buy milk');
+    assert.equal(body.item.id, body.id);
+    assert.equal(body.item.properties.Estimate, 1);
+    assert.deepEqual(body.item.properties.Assignee.map(person => person.name), ['Ada Lovelace']);
+    assert.equal((await findItem('Buy milk')).id, body.id);
+  });
+
+  it('answers 422 with every invalid property', async () => {
+    const { status, body } = await request('POST', '/api/tasks', {
+      properties: { Due: 'someday', Priority: 'Urgent', Colour: 'red', Created: '2025-01-01' }
+    });
+    assert.equal(status, 422);
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.errors.map(error => [error.property, error.code]), [
+      ['Name', 'required'],
+      ['Due', 'invalid_date'],
+      ['Priority', 'invalid_option'],
+      ['Colour', 'unknown_property'],
+      ['Created', 'read_only']
+    ]);
+  });
+
+  it('adds select options only when allowNewOptions is set', async () => {
+    const { status, body } = await request('POST', '/api/tasks', { properties: { Name: 'Plan trip', Tags: ['travel'] }, allowNewOptions: true });
+    assert.equal(status, 201);
+    assert.deepEqual(body.item.properties.Tags, ['travel']);
+    const schema = await request('GET', '/api/schema');
+    assert.ok(schema.body.properties.find(prop => prop.name === 'Tags').options.includes('travel'));
+  });
+
+  it('is not allowed for viewers', async () => {
+    const { status } = await request('POST', '/api/tasks', { properties: { Name: 'Nope' } }, { as: 'viewer' });
+    assert.equal(status, 403);
+  });
+});
+
+describe('POST /api/tasks/parse', () => {
+  it('reads dates, tags, people and priority from quick-add text', async () => {
+    const { status, body } = await request('POST', '/api/tasks/parse', { text: 'Call the bank on 2025-03-04 #work @Ada !high', timeZone: 'UTC' });
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Call the bank');
+    assert.equal(body.properties.Name, 'Call the bank');
+    assert.equal(body.properties.Due, '2025-03-04');
+    assert.deepEqual(body.properties.Tags, ['work']);
+    assert.deepEqual(body.properties.Assignee, [ADA]);
+    assert.equal(body.properties.Priority, 'High');
+  });
+
+  it('needs text and a valid time zone', async () => {
+    assert.equal((await request('POST', '/api/tasks/parse', {})).status, 400);
+    assert.equal((await request('POST', '/api/tasks/parse', { text: 'x tomorrow', timeZone: 'Mars/Olympus' })).status, 400);
+  });
+});
+
+describe('PATCH /api/tasks/:id', () => {
+  it('updates properties', async () => {
+    const task = await createTask({ Name: 'Draft agenda' });
+    const { status, body } = await request('PATCH', `/api/tasks/${task.id}`, {
+      properties: { Priority: 'Medium', Due: { start: '2025-02-03T09:00', end: '2025-02-03T10:00' } }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.item.properties.Priority, 'Medium');
+    assert.deepEqual(body.item.properties.Due, { start: '2025-02-03T09:00', end: '2025-02-03T10:00', timeZone: null });
+    assert.equal(body.nextItem, null);
+  });
+
+  it('refuses changes based on an old copy', async () => {
+    const task = await createTask({ Name: 'Stale edit' });
+    const { status, body } = await request('PATCH', `/api/tasks/${task.id}`, {
+      properties: { Priority: 'Low' },
+      expectedLastEditedTime: '2020-01-01T00:00:00.000Z'
+    });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'edit_conflict');
+    assert.equal(body.item.id, task.id);
+    const current = await request('PATCH', `/api/tasks/${task.id}`, { properties: { Priority: 'Low' }, expectedLastEditedTime: task.lastEditedTime });
+    assert.equal(current.status, 200);
+  });
+
+  it('answers 422 for invalid values and 404 for unknown items', async () => {
+    const task = await createTask({ Name: 'Bad values' });
+    const invalid = await request('PATCH', `/api/tasks/${task.id}`, { properties: { Estimate: 'many', Done: 'yes' } });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.errors.map(error => error.code), ['invalid_number', 'invalid_type']);
+    const missing = await request('PATCH', '/api/tasks/00000000-0000-0000-0000-000000000000', { properties: { Priority: 'Low' } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'object_not_found');
+  });
+
+  it('creates the next instance when a recurring item is completed', async () => {
+    const plants = await findItem('Water plants');
+    const { status, body } = await request('PATCH', `/api/tasks/${plants.id}`, { properties: { completed: true } });
+    assert.equal(status, 200);
+    assert.equal(body.item.completed, true);
+    assert.equal(body.nextItem.title, 'Water plants');
+    assert.equal(body.nextItem.completed, false);
+    assert.equal(body.nextItem.properties.Due.start, '2025-01-27');
+    assert.equal(body.nextItem.properties.Recurrence, 'FREQ=WEEKLY;BYDAY=MO');
+  });
+
+  it('keeps monthly instances on the month end the series started on', async () => {
+    let task = await createTask({ Name: 'Close the books', Due: '2025-01-31', Recurrence: 'FREQ=MONTHLY' });
+    const { body: preview } = await request('GET', `/api/tasks/${task.id}/recurrence`);
+    const created = [];
+    for (let i = 0; i < 4; i++) {
+      const { body } = await request('PATCH', `/api/tasks/${task.id}`, { properties: { completed: true } });
+      task = body.nextItem;
+      created.push(task.properties.Due.start);
+    }
+    assert.deepEqual(created, ['2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+    assert.deepEqual(preview.occurrences.slice(0, 4), created);
+    assert.equal(task.properties.Recurrence, 'FREQ=MONTHLY;BYMONTHDAY=-1');
+  });
+});
+
+describe('POST /api/tasks/bulk', () => {
+  it('runs every operation and reports each result', async () => {
+    const task = await createTask({ Name: 'Bulk target' });
+    const { status, body } = await request('POST', '/api/tasks/bulk', {
+      operations: [
+        { op: 'create', properties: { Name: 'Bulk created' } },
+        { op: 'update', id: task.id, properties: { Priority: 'High' } },
+        { op: 'update', id: task.id, properties: { Priority: 'Someday' } },
+        { op: 'archive' },
+        { op: 'explode', id: task.id }
+      ]
+    });
+    assert.equal(status, 207);
+    assert.equal(body.succeeded, 2);
+    assert.equal(body.failed, 3);
+    assert.equal(body.results[0].item.title, 'Bulk created');
+    assert.equal(body.results[1].item.properties.Priority, 'High');
+    assert.equal(body.results[2].code, 'validation_failed');
+    assert.equal(body.results[3].code, 'invalid_request');
+    assert.equal(body.results[4].code, 'invalid_request');
+  });
+
+  it('archives and restores', async () => {
+    const task = await createTask({ Name: 'Bulk archive' });
+    const archived = await request('POST', '/api/tasks/bulk', { operations: [{ op: 'archive', id: task.id }] });
+    assert.equal(archived.status, 200);
+    assert.equal(await findItem('Bulk archive'), undefined);
+    const restored = await request('POST', '/api/tasks/bulk', { operations: [{ op: 'restore', id: task.id }] });
+    assert.equal(restored.body.results[0].item.id, task.id);
+    assert.ok(await findItem('Bulk archive'));
+  });
+
+  it('needs a list of operations', async () => {
+    assert.equal((await request('POST', '/api/tasks/bulk', { operations: [] })).status, 400);
+    const tooMany = Array.from({ length: 101 }, () => ({ op: 'create', properties: { Name: 'x' } }));
+    assert.equal((await request('POST', '/api/tasks/bulk', { operations: tooMany })).status, 400);
+  });
+});
+
+describe('DELETE /api/tasks/:id and POST /api/tasks/:id/restore', () => {
+  it('archives an item into the trash and restores it', async () => {
+    const task = await createTask({ Name: 'Throw away' });
+    const deleted = await request('DELETE', `/api/tasks/${task.id}`);
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.body, { id: task.id, deleted: true });
+    assert.equal(await findItem('Throw away'), undefined);
+    const trash = await request('GET', '/api/trash');
+    assert.ok(trash.body.some(entry => entry.id === task.id));
+
+    const restored = await request('POST', `/api/tasks/${task.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.item.title, 'Throw away');
+    assert.ok(await findItem('Throw away'));
+  });
+
+  it('refuses to delete an item changed since it was loaded', async () => {
+    const task = await createTask({ Name: 'Keep me' });
+    const { status } = await request('DELETE', `/api/tasks/${task.id}?expectedLastEditedTime=2020-01-01T00:00:00.000Z`);
+    assert.equal(status, 409);
+    assert.ok(await findItem('Keep me'));
+  });
+
+  it('answers 404 for unknown items', async () => {
+    assert.equal((await request('DELETE', '/api/tasks/00000000-0000-0000-0000-000000000000')).status, 404);
+    assert.equal((await request('POST', '/api/tasks/00000000-0000-0000-0000-000000000000/restore')).status, 404);
+  });
+});
+
+describe('GET /api/tasks/:id/history', () => {
+  it('lists changes to the item, newest first', async () => {
+    const task = await createTask({ Name: 'Tracked', Priority: 'Low' });
+    await request('PATCH', `/api/tasks/${task.id}`, { properties: { Priority: 'High' } });
+    const { status, body } = await request('GET', `/api/tasks/${task.id}/history`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.entries.map(entry => entry.action), ['update', 'create']);
+    assert.deepEqual(body.entries[0].changes, [{ property: 'Priority', before: 'Low', after: 'High' }]);
+    assert.equal(body.entries[0].actor.username, 'admin');
+    assert.equal((await request('GET', `/api/tasks/${task.id}/history?action=explode`)).status, 400);
+  });
+});
+
+describe('GET and PUT /api/tasks/:id/recurrence', () => {
+  it('stores a rule in the Recurrence property and previews it from the due date', async () => {
+    const task = await createTask({ Name: 'Pay rent', Due: '2025-03-01' });
+    const empty = await request('GET', `/api/tasks/${task.id}/recurrence`);
+    assert.equal(empty.status, 200);
+    assert.equal(empty.body.rule, null);
+    assert.equal(empty.body.storage, 'property');
+
+    const { status, body } = await request('PUT', `/api/tasks/${task.id}/recurrence`, { rule: 'freq=monthly;count=3' });
+    assert.equal(status, 200);
+    assert.equal(body.rule, 'FREQ=MONTHLY;COUNT=3');
+    assert.deepEqual(body.occurrences, ['2025-04-01', '2025-05-01']);
+    assert.equal((await findItem('Pay rent')).properties.Recurrence, 'FREQ=MONTHLY;COUNT=3');
+
+    const cleared = await request('PUT', `/api/tasks/${task.id}/recurrence`, { rule: null });
+    assert.equal(cleared.body.rule, null);
+  });
+
+  it('keeps rules with commas out of a select Recurrence property', async () => {
+    const bins = await findItem('Take out bins', 'chores');
+    const url = `/api/databases/chores/tasks/${bins.id}`;
+    const weekly = await request('PUT', `${url}/recurrence`, { rule: 'FREQ=WEEKLY;BYDAY=MO,TH' });
+    assert.equal(weekly.status, 200);
+    assert.equal(weekly.body.rule, 'FREQ=WEEKLY;BYDAY=MO,TH');
+    assert.equal(weekly.body.storage, 'local');
+
+    const daily = await request('PUT', `${url}/recurrence`, { rule: 'FREQ=DAILY' });
+    assert.equal(daily.body.storage, 'property');
+    assert.equal((await findItem('Take out bins', 'chores')).properties.Recurrence, 'FREQ=DAILY');
+
+    await request('PUT', `${url}/recurrence`, { rule: 'FREQ=WEEKLY;BYDAY=MO,TH' });
+    assert.equal((await findItem('Take out bins', 'chores')).properties.Recurrence, null);
+    const { body } = await request('PATCH', url, { properties: { completed: true } });
+    assert.equal(body.nextItem.properties.Due.start, '2025-03-06');
+    const next = await request('GET', `/api/databases/chores/tasks/${body.nextItem.id}/recurrence`);
+    assert.equal(next.body.rule, 'FREQ=WEEKLY;BYDAY=MO,TH');
+  });
+
+  it('rejects invalid rules', async () => {
+    const task = await createTask({ Name: 'Bad rule' });
+    assert.equal((await request('PUT', `/api/tasks/${task.id}/recurrence`, { rule: 'FREQ=SOMETIMES' })).status, 400);
+    assert.equal((await request('PUT', `/api/tasks/${task.id}/recurrence`, { rule: 5 })).status, 400);
+  });
+});
+
+describe('GET and POST /api/tasks/:id/blocks', () => {
+  it('appends to and lists the page body', async () => {
+    const task = await createTask({ Name: 'With notes' });
+    const added = await request('POST', `/api/tasks/${task.id}/blocks`, {
+      blocks: [{ type: 'heading_2', text: 'Steps' }, { type: 'to_do', text: 'First', checked: true }, { type: 'divider' }]
+    });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.blocks.length, 3);
+
+    const { status, body } = await request('GET', `/api/tasks/${task.id}/blocks?limit=2`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.blocks.map(block => block.type), ['heading_2', 'to_do']);
+    assert.deepEqual(body.blocks[1].richText, [{ text: 'First', annotations: {}, href: null }]);
+    assert.equal(body.blocks[1].checked, true);
+    assert.equal(body.hasMore, true);
+    const rest = await request('GET', `/api/tasks/${task.id}/blocks?limit=2&cursor=${body.nextCursor}`);
+    assert.deepEqual(rest.body.blocks.map(block => block.type), ['divider']);
+  });
+
+  it('rejects blocks it cannot append', async () => {
+    const task = await createTask({ Name: 'No tables' });
+    assert.equal((await request('POST', `/api/tasks/${task.id}/blocks`, { blocks: [{ type: 'table' }] })).status, 400);
+  });
+});
+
+describe('GET and POST /api/tasks/:id/comments', () => {
+  it('posts comments credited to the app user', async () => {
+    const task = await createTask({ Name: 'Discuss' });
+    const posted = await request('POST', `/api/tasks/${task.id}/comments`, { text: 'Looks good' });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.author, 'admin');
+
+    const { status, body } = await request('GET', `/api/tasks/${task.id}/comments`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.comments.map(comment => [comment.author, comment.richText[0].text]), [['admin', 'Looks good']]);
+    assert.equal((await request('POST', `/api/tasks/${task.id}/comments`, { text: ' ' })).status, 400);
+  });
+});
+
+describe('Items of another database', () => {
+  it('cannot be read or changed through this one', async () => {
+    const bug = await findItem('Crash on start', 'bugs');
+    const url = `/api/tasks/${bug.id}`;
+    const attempts = await Promise.all([
+      request('PATCH', url, { properties: { Name: 'Renamed' } }),
+      request('DELETE', url),
+      request('POST', `${url}/restore`),
+      request('GET', `${url}/recurrence`),
+      request('PUT', `${url}/recurrence`, { rule: 'FREQ=DAILY' }),
+      request('GET', `${url}/blocks`),
+      request('POST', `${url}/blocks`, { blocks: [{ type: 'paragraph', text: 'Hi' }] }),
+      request('GET', `${url}/comments`),
+      request('POST', `${url}/comments`, { text: 'Hi' })
+    ]);
+    assert.deepEqual(attempts.map(attempt => attempt.status), Array(attempts.length).fill(404));
+    assert.equal(attempts[0].body.code, 'object_not_found');
+
+    const { body } = await request('POST', '/api/tasks/bulk', { operations: [{ op: 'archive', id: bug.id }] });
+    assert.equal(body.results[0].code, 'object_not_found');
+    const after = await findItem('Crash on start', 'bugs');
+    assert.equal(after.title, 'Crash on start');
+  });
+});
@@ -0,0 +1,99 @@
+// HTTP tests for the saved view routes
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, tasksDatabase } = require('./helpers');
+
+const request = useServer({
+  databases: [
+    tasksDatabase({ properties: { Notes: 'rich_text' } }),
+    { key: 'bugs', title: 'Bugs', properties: { Title: 'title' } }
+  ]
+});
+
+describe('saved views', () => {
+  it('creates a view with defaults for what is left out', async () => {
+    const { status, body } = await request('POST', '/api/views', { name: '  Everything  ' });
+    assert.equal(status, 201);
+    assert.equal(body.name, 'Everything');
+    assert.equal(body.layout, 'table');
+    assert.equal(body.filter, null);
+    assert.deepEqual(body.sorts, []);
+    assert.equal(body.columns, null);
+    assert.equal(body.createdBy, 'admin');
+  });
+
+  it('stores filters, sorts, columns, widths, grouping and layout', async () => {
+    const view = {
+      name: 'High priority board',
+      layout: 'board',
+      filter: { and: [{ property: 'Priority', op: 'equals', value: 'High' }, { property: 'Done', op: 'equals', value: false }] },
+      sorts: [{ property: 'Due', direction: 'descending' }],
+      columns: ['Name', 'Notes', 'Due'],
+      columnWidths: { Name: 320, Notes: 200 },
+      groupBy: 'Priority',
+      dateProperty: 'Due'
+    };
+    const created = await request('POST', '/api/views', view);
+    assert.equal(created.status, 201);
+
+    const { status, body } = await request('GET', `/api/views/${created.body.id}`, undefined, { as: 'viewer' });
+    assert.equal(status, 200);
+    Object.entries(view).forEach(([key, value]) => assert.deepEqual(body[key], value));
+  });
+
+  it('lists views per database in the order they were made', async () => {
+    await request('POST', '/api/databases/bugs/views', { name: 'Open bugs' });
+    const tasks = await request('GET', '/api/views');
+    assert.deepEqual(tasks.body.map(view => view.name), ['Everything', 'High priority board']);
+    const bugs = await request('GET', '/api/databases/bugs/views', undefined, { as: 'viewer' });
+    assert.deepEqual(bugs.body.map(view => view.name), ['Open bugs']);
+  });
+
+  it('updates some fields and keeps the rest', async () => {
+    const { body: view } = await request('POST', '/api/views', { name: 'Calendar', layout: 'calendar', dateProperty: 'Due' });
+    const { status, body } = await request('PATCH', `/api/views/${view.id}`, { name: 'Due dates', id: 'changed', createdBy: 'someone' });
+    assert.equal(status, 200);
+    assert.equal(body.id, view.id);
+    assert.equal(body.name, 'Due dates');
+    assert.equal(body.layout, 'calendar');
+    assert.equal(body.createdBy, 'admin');
+    assert.ok(body.updatedAt >= view.updatedAt);
+  });
+
+  it('rejects settings that do not fit the schema', async () => {
+    const cases = [
+      [{}, /name is required/],
+      [{ name: 'x', layout: 'gallery' }, /layout must be one of/],
+      [{ name: 'x', columns: ['Name', 'Nope'] }, /columns must be null/],
+      [{ name: 'x', columns: ['Name', 'Name'] }, /twice/],
+      [{ name: 'x', columnWidths: { Name: 5 } }, /widths are whole pixels/],
+      [{ name: 'x', groupBy: 'Notes' }, /groupBy must be a select or status property/],
+      [{ name: 'x', dateProperty: 'Name' }, /dateProperty must be a date property/]
+    ];
+    for (const [view, message] of cases) {
+      const { status, body } = await request('POST', '/api/views', view);
+      assert.equal(status, 400, JSON.stringify(view));
+      assert.match(body.error, message);
+    }
+    const badFilter = await request('POST', '/api/views', { name: 'x', filter: { property: 'Nope', op: 'equals', value: 1 } });
+    assert.equal(badFilter.status, 400);
+    assert.match(badFilter.body.details[0].message, /Unknown property "Nope"/);
+    const badSort = await request('POST', '/api/views', { name: 'x', sorts: [{ property: 'Due', direction: 'sideways' }] });
+    assert.equal(badSort.body.details[0].path, 'sorts[0].direction');
+  });
+
+  it('deletes views', async () => {
+    const { body: view } = await request('POST', '/api/views', { name: 'Temporary' });
+    assert.equal((await request('DELETE', `/api/views/${view.id}`)).status, 204);
+    assert.equal((await request('GET', `/api/views/${view.id}`)).status, 404);
+    assert.equal((await request('DELETE', `/api/views/${view.id}`)).status, 404);
+    assert.equal((await request('PATCH', `/api/views/${view.id}`, { name: 'Back' })).status, 404);
+  });
+
+  it('can only be changed by editors', async () => {
+    const { body: [view] } = await request('GET', '/api/views');
+    assert.equal((await request('POST', '/api/views', { name: 'Mine' }, { as: 'viewer' })).status, 403);
+    assert.equal((await request('PATCH', `/api/views/${view.id}`, { name: 'Mine' }, { as: 'viewer' })).status, 403);
+    assert.equal((await request('DELETE', `/api/views/${view.id}`, undefined, { as: 'viewer' })).status, 403);
+  });
+});
@@ -0,0 +1,135 @@
+// HTTP tests for webhook deliveries and the reminders they carry, against a local receiver
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useServer, tasksDatabase } = require('./helpers');
+const { verifySignature } = require('../webhooks');
+
+const request = useServer({
+  databases: [
+    tasksDatabase({
+      items: [
+        { properties: { Name: 'Pay rent', Due: '2020-01-01' } },
+        { properties: { Name: 'Old and done', Done: true, Due: '2020-01-01' } },
+        { properties: { Name: 'Someday', Due: '2999-01-01' } }
+      ]
+    })
+  ]
+});
+
+const SECRET = 'receiver-secret-0123456789';
+
+// Records every POST it receives as { path, headers, body }. Paths under /down answer 500.
+const received = [];
+const waiting = [];
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const delivery = { path: req.url, headers: req.headers, body };
+      received.push(delivery);
+      waiting.filter(wait => wait.path === req.url).forEach(wait => {
+        waiting.splice(waiting.indexOf(wait), 1);
+        wait.resolve(delivery);
+      });
+      res.writeHead(req.url.startsWith('/down') ? 500 : 200).end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+after(() => receiver.close());
+
+// Resolves with the next delivery the receiver gets on `path`
+const nextDelivery = (path) => new Promise(resolve => waiting.push({ path, resolve }));
+
+const createWebhook = async (path, body = {}) => {
+  const { status, body: webhook } = await request('POST', '/api/webhooks', { url: `${receiverUrl}${path}`, secret: SECRET, ...body });
+  assert.equal(status, 201);
+  return webhook;
+};
+
+const isSigned = ({ headers, body }) => verifySignature(SECRET, {
+  signature: headers['x-webhook-signature'],
+  timestamp: headers['x-webhook-timestamp'],
+  body
+});
+
+describe('Webhook deliveries', () => {
+  it('signs test pings with the webhook secret', async () => {
+    const webhook = await createWebhook('/ping');
+    const { status, body: delivery } = await request('POST', `/api/webhooks/${webhook.id}/test`);
+    assert.equal(status, 200);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+
+    const ping = received.find(entry => entry.path === '/ping');
+    assert.ok(isSigned(ping));
+    assert.ok(!verifySignature('another-secret-0123456789', { signature: ping.headers['x-webhook-signature'], timestamp: ping.headers['x-webhook-timestamp'], body: ping.body }));
+    assert.equal(ping.headers['x-webhook-event'], 'ping');
+    assert.equal(ping.headers['x-webhook-delivery'], delivery.id);
+    const payload = JSON.parse(ping.body);
+    assert.equal(payload.event, 'ping');
+    assert.equal(payload.data.webhook.id, webhook.id);
+    assert.equal(payload.data.webhook.secret, undefined);
+  });
+
+  it('announces created items to webhooks subscribed to them', async () => {
+    await createWebhook('/created', { events: ['item.created'], databaseId: 'tasks' });
+    await createWebhook('/completed', { events: ['item.completed'] });
+    const delivered = nextDelivery('/created');
+    const { body: item } = await request('POST', '/api/tasks', { properties: { Name: 'Call the bank' } });
+
+    const delivery = await delivered;
+    assert.ok(isSigned(delivery));
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, 'item.created');
+    assert.equal(payload.data.database.key, 'tasks');
+    assert.equal(payload.data.item.id, item.id);
+    assert.equal(payload.data.item.properties.Name, 'Call the bank');
+    assert.equal(payload.data.actor.username, 'admin');
+    assert.ok(!received.some(entry => entry.path === '/completed'));
+  });
+
+  it('schedules a retry when the receiver fails and stops when the webhook is removed', async () => {
+    const webhook = await createWebhook('/down');
+    const { body: delivery } = await request('POST', `/api/webhooks/${webhook.id}/test`);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].error, 'Receiver answered 500');
+    assert.ok(Date.parse(delivery.nextAttemptAt) > Date.now());
+
+    assert.equal((await request('DELETE', `/api/webhooks/${webhook.id}`)).status, 204);
+    const { body } = await request('GET', `/api/webhooks/deliveries?webhookId=${webhook.id}`);
+    assert.deepEqual(body.deliveries.map(entry => [entry.status, entry.nextAttemptAt]), [['failed', null]]);
+  });
+
+  it('is only open to admins', async () => {
+    const { status } = await request('GET', '/api/webhooks', undefined, { as: 'viewer' });
+    assert.equal(status, 403);
+  });
+});
+
+describe('Reminders', () => {
+  it('sends one reminder per overdue open item', async () => {
+    await createWebhook('/reminders', { events: ['reminder.overdue', 'reminder.due_today', 'reminder.due_soon'] });
+    const delivered = nextDelivery('/reminders');
+    const { status, body } = await request('POST', '/api/webhooks/reminders/run');
+    assert.equal(status, 200);
+    assert.equal(body.sent, 1);
+
+    const delivery = await delivered;
+    assert.ok(isSigned(delivery));
+    assert.equal(delivery.headers['x-webhook-event'], 'reminder.overdue');
+    const { data } = JSON.parse(delivery.body);
+    assert.equal(data.item.properties.Name, 'Pay rent');
+    assert.equal(data.dueDate, '2020-01-01');
+    assert.ok(data.daysUntilDue < 0);
+
+    assert.equal((await request('POST', '/api/webhooks/reminders/run')).body.sent, 0);
+  });
+});
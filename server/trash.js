@@ -0,0 +1,31 @@
+// trash.js - Log of pages archived through this server, since Notion's API cannot list archived pages
+
+// Entries older than this, or beyond the newest MAX_ENTRIES per database, are forgotten
+const RETENTION_DAYS = 30;
+const MAX_ENTRIES = 500;
+
+// Entries look like { id, title, item, archivedAt }, grouped by database ID
+function createTrash(store) {
+  const prune = (entries) => {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    return entries.filter(entry => entry.archivedAt >= cutoff).slice(0, MAX_ENTRIES);
+  };
+
+  // Remember an archived item; `item` is its last known API shape
+  const record = (databaseId, item) => store.update(data => {
+    const entries = (data[databaseId] || []).filter(entry => entry.id !== item.id);
+    entries.unshift({ id: item.id, title: item.title ?? null, item, archivedAt: new Date().toISOString() });
+    data[databaseId] = prune(entries);
+  });
+
+  // Archived items of a database, newest first
+  const list = async (databaseId) => prune((await store.read())[databaseId] || []);
+
+  const remove = (databaseId, id) => store.update(data => {
+    if (data[databaseId]) data[databaseId] = data[databaseId].filter(entry => entry.id !== id);
+  });
+
+  return { record, list, remove };
+}
+
+module.exports = { createTrash };
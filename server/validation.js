@@ -0,0 +1,153 @@
+// validation.js - Check create and update payloads against the database schema before they reach
+// Notion, so typos are reported instead of being dropped or written as something else
+const { READ_ONLY_TYPES } = require('./properties');
+
+// Keys that are not properties but are understood by the item routes
+const SPECIAL_KEYS = ['completed'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Raised when properties do not fit the schema; answered with a 422 listing `errors`,
+// each { property, code, message }
+class PropertyValidationError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0].message : `${errors.length} properties are invalid`);
+    this.name = 'PropertyValidationError';
+    this.errors = errors;
+  }
+}
+
+const isText = (value) => typeof value === 'string'
+  || (Array.isArray(value) && value.every(segment => segment && typeof segment === 'object' && typeof segment.text === 'string'));
+
+const isDate = (text) => typeof text === 'string' && DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text));
+
+const isTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Absolute URLs; `protocols` limits the schemes allowed
+const isUrl = (text, protocols = null) => {
+  try {
+    const { protocol } = new URL(text);
+    return protocols ? protocols.includes(protocol) : true;
+  } catch {
+    return false;
+  }
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const optionNames = (prop) => (prop[prop.type]?.options || []).map(option => option.name);
+
+// Why `value` cannot be written to a property of this schema type: { code, message }, or null
+// when it is fine. null and '' clear a property and are always accepted except for status.
+function checkValue(prop, value, { allowNewOptions }) {
+  if (value === null || value === '') {
+    return prop.type === 'status' ? { code: 'invalid_option', message: 'Status cannot be cleared' } : null;
+  }
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text':
+    case 'phone_number':
+      if (prop.type === 'phone_number' ? typeof value !== 'string' : !isText(value)) {
+        return { code: 'invalid_type', message: 'must be text' };
+      }
+      return null;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { code: 'invalid_number', message: `"${value}" is not a number` };
+      return null;
+    }
+    case 'checkbox':
+      if (typeof value !== 'boolean') return { code: 'invalid_type', message: 'must be true or false' };
+      return null;
+    case 'date': {
+      const { start, end = null, timeZone = null } = typeof value === 'object' ? value : { start: value };
+      // An object without a start clears the date, as null does
+      if (typeof value === 'object' && !start) return null;
+      if (!isDate(start)) return { code: 'invalid_date', message: `"${start}" is not a date like 2025-01-31 or 2025-01-31T09:00` };
+      if (end && !isDate(end)) return { code: 'invalid_date', message: `End "${end}" is not a date` };
+      if (end && Date.parse(end) < Date.parse(start)) return { code: 'invalid_date', message: 'End is before start' };
+      if (timeZone && !isTimeZone(timeZone)) return { code: 'invalid_date', message: `Unknown time zone "${timeZone}"` };
+      return null;
+    }
+    case 'select':
+    case 'multi_select':
+    case 'status': {
+      const values = prop.type === 'multi_select' ? toList(value) : [value];
+      if (values.some(v => typeof v !== 'string' || !v.trim())) return { code: 'invalid_type', message: 'options must be non-empty text' };
+      const options = optionNames(prop);
+      // Status names are matched without regard to case, as when they are written
+      const known = (v) => (prop.type === 'status'
+        ? options.some(name => name.toLowerCase() === v.toLowerCase())
+        : options.includes(v));
+      const unknown = values.filter(v => !known(v));
+      if (!unknown.length) return null;
+      if (prop.type !== 'status' && allowNewOptions) {
+        // Notion cannot store option names containing commas
+        const withComma = unknown.find(v => v.includes(','));
+        return withComma ? { code: 'invalid_option', message: `Option "${withComma}" cannot contain a comma` } : null;
+      }
+      const list = options.length ? `Choose from: ${options.join(', ')}` : 'The property has no options yet';
+      return {
+        code: 'invalid_option',
+        message: `${unknown.map(v => `"${v}"`).join(', ')} ${unknown.length === 1 ? 'is not an option' : 'are not options'}. ${list}`
+      };
+    }
+    case 'url':
+      if (typeof value !== 'string' || !isUrl(value)) return { code: 'invalid_url', message: `"${value}" is not a URL like https://example.com` };
+      return null;
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value)) return { code: 'invalid_email', message: `"${value}" is not an email address` };
+      return null;
+    case 'people':
+    case 'relation':
+      if (toList(value).some(v => !(typeof v === 'string' && v) && !(v && typeof v === 'object' && v.id))) {
+        return { code: 'invalid_type', message: 'must be IDs or objects with an id' };
+      }
+      return null;
+    case 'files': {
+      // Only externally hosted files can be attached through the API
+      const bad = toList(value).find(file => !isUrl(typeof file === 'object' && file ? file.url : file, ['http:', 'https:']));
+      if (bad !== undefined) return { code: 'invalid_url', message: 'Files must be http(s) URLs' };
+      return null;
+    }
+    default:
+      return { code: 'unsupported_type', message: `${prop.type} properties cannot be written through the API` };
+  }
+}
+
+// Every problem with `properties` for the schema, as [{ property, code, message }]. Unless
+// `allowNewOptions` is set, select and multi_select values must already be options. With
+// `skipEmpty`, empty strings are left out as they are when creating items.
+function validateProperties(schema, properties, { allowNewOptions = false, skipEmpty = false } = {}) {
+  const errors = [];
+  Object.entries(properties).forEach(([name, value]) => {
+    if (value === undefined || (skipEmpty && value === '' && name !== schema.titleProperty)) return;
+    const prop = schema.properties[name];
+    if (!prop) {
+      if (SPECIAL_KEYS.includes(name)) {
+        if (typeof value !== 'boolean') errors.push({ property: name, code: 'invalid_type', message: 'completed must be true or false' });
+        return;
+      }
+      errors.push({ property: name, code: 'unknown_property', message: `The database has no property "${name}"` });
+      return;
+    }
+    if (READ_ONLY_TYPES.includes(prop.type)) {
+      errors.push({ property: name, code: 'read_only', message: `${prop.type.replace(/_/g, ' ')} properties are read-only` });
+      return;
+    }
+    const problem = checkValue(prop, value, { allowNewOptions });
+    if (problem) errors.push({ property: name, code: problem.code, message: problem.message });
+  });
+  return errors;
+}
+
+module.exports = { PropertyValidationError, validateProperties };
@@ -0,0 +1,124 @@
+// views.js - Named views of a database (filters, sorts, columns, grouping and layout) shared by everyone
+const crypto = require('crypto');
+const { buildNotionFilter, buildNotionSorts } = require('./filters');
+
+const LAYOUTS = ['table', 'board', 'calendar', 'timeline'];
+const MAX_NAME_LENGTH = 100;
+const MIN_COLUMN_WIDTH = 40;
+const MAX_COLUMN_WIDTH = 1000;
+// Views per database, so the tab bar stays usable
+const MAX_VIEWS = 50;
+
+// Fields a view stores besides its name, and their values when not given
+const VIEW_DEFAULTS = {
+  layout: 'table',
+  filter: null,
+  sorts: [],
+  columns: null,
+  columnWidths: {},
+  groupBy: null,
+  dateProperty: null
+};
+
+// Raised for view settings that do not fit the database; answered with a 400. `details` lists
+// filter and sort problems as { path, message }, as for task queries.
+class ViewValidationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ViewValidationError';
+    if (details) this.details = details;
+  }
+}
+
+// Check a complete view against the schema and return it with only known fields. `columns` is
+// the ordered list of visible properties, or null for the app's default columns.
+function validateView(view, schema) {
+  const name = typeof view.name === 'string' ? view.name.trim() : '';
+  if (!name) throw new ViewValidationError('name is required');
+  if (name.length > MAX_NAME_LENGTH) throw new ViewValidationError(`name can be at most ${MAX_NAME_LENGTH} characters`);
+  if (!LAYOUTS.includes(view.layout)) throw new ViewValidationError(`layout must be one of ${LAYOUTS.join(', ')}`);
+
+  // The same checks as task queries, so a saved view can always be loaded
+  try {
+    buildNotionFilter(view.filter, schema);
+    if (!Array.isArray(view.sorts)) throw new ViewValidationError('sorts must be an array');
+    buildNotionSorts(view.sorts, schema);
+  } catch (error) {
+    if (error.details) throw new ViewValidationError(error.message, error.details);
+    throw error;
+  }
+
+  const isProperty = (value) => typeof value === 'string' && Boolean(schema.properties[value]);
+  if (view.columns !== null) {
+    if (!Array.isArray(view.columns) || !view.columns.every(isProperty)) {
+      throw new ViewValidationError('columns must be null or a list of property names');
+    }
+    if (new Set(view.columns).size !== view.columns.length) throw new ViewValidationError('columns lists a property twice');
+  }
+  if (!view.columnWidths || typeof view.columnWidths !== 'object' || Array.isArray(view.columnWidths)) {
+    throw new ViewValidationError('columnWidths must be an object of property name to width in pixels');
+  }
+  Object.entries(view.columnWidths).forEach(([property, width]) => {
+    if (!isProperty(property)) throw new ViewValidationError(`columnWidths: unknown property "${property}"`);
+    if (!Number.isInteger(width) || width < MIN_COLUMN_WIDTH || width > MAX_COLUMN_WIDTH) {
+      throw new ViewValidationError(`columnWidths: widths are whole pixels from ${MIN_COLUMN_WIDTH} to ${MAX_COLUMN_WIDTH}`);
+    }
+  });
+  if (view.groupBy !== null && !(isProperty(view.groupBy) && ['select', 'status'].includes(schema.properties[view.groupBy].type))) {
+    throw new ViewValidationError('groupBy must be a select or status property');
+  }
+  if (view.dateProperty !== null && !schema.dateProperties.includes(view.dateProperty)) {
+    throw new ViewValidationError('dateProperty must be a date property');
+  }
+
+  const result = { name };
+  Object.keys(VIEW_DEFAULTS).forEach(key => { result[key] = view[key]; });
+  return result;
+}
+
+// Views look like { id, name, layout, filter, sorts, columns, columnWidths, groupBy, dateProperty,
+// createdBy, createdAt, updatedAt }, grouped by database ID in tab order
+function createViews(store) {
+  const list = async (databaseId) => (await store.read())[databaseId] || [];
+
+  const get = async (databaseId, id) => (await list(databaseId)).find(view => view.id === id) || null;
+
+  // `input` is checked against `schema`; fields left out take their defaults
+  const create = (databaseId, input, schema, { actor } = {}) => {
+    const view = validateView({ ...VIEW_DEFAULTS, ...input }, schema);
+    return store.update(data => {
+      const views = data[databaseId] || (data[databaseId] = []);
+      if (views.length >= MAX_VIEWS) throw new ViewValidationError(`A database can have at most ${MAX_VIEWS} views`);
+      const now = new Date().toISOString();
+      const created = { id: crypto.randomUUID(), ...view, createdBy: actor?.username || null, createdAt: now, updatedAt: now };
+      views.push(created);
+      return created;
+    });
+  };
+
+  // Change some fields of a view; resolves with the view, or null when there is none with that ID
+  const update = async (databaseId, id, changes, schema) => {
+    const current = await get(databaseId, id);
+    if (!current) return null;
+    const view = validateView({ ...current, ...changes }, schema);
+    return store.update(data => {
+      const index = (data[databaseId] || []).findIndex(entry => entry.id === id);
+      if (index === -1) return null;
+      data[databaseId][index] = { ...data[databaseId][index], ...view, updatedAt: new Date().toISOString() };
+      return data[databaseId][index];
+    });
+  };
+
+  // Resolves with whether there was a view to remove
+  const remove = (databaseId, id) => store.update(data => {
+    const views = data[databaseId] || [];
+    const index = views.findIndex(view => view.id === id);
+    if (index === -1) return false;
+    views.splice(index, 1);
+    return true;
+  });
+
+  return { list, get, create, update, remove };
+}
+
+module.exports = { LAYOUTS, ViewValidationError, validateView, createViews };
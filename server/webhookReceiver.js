@@ -0,0 +1,43 @@
+// webhookReceiver.js - A local endpoint for trying out webhooks: it prints every delivery and
+// whether its signature checks out.
+//
+//   WEBHOOK_SECRET=<secret from registration> npm run webhook-receiver
+//
+// Register http://localhost:4000/ (or WEBHOOK_RECEIVER_PORT) as the webhook URL. Setting
+// WEBHOOK_RECEIVER_FAIL=true answers 500 to every delivery, to watch retries in the delivery log.
+const http = require('http');
+const { verifySignature } = require('./webhooks');
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const verified = SECRET
+      ? verifySignature(SECRET, {
+          signature: req.headers['x-webhook-signature'],
+          timestamp: req.headers['x-webhook-timestamp'],
+          body
+        })
+      : null;
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = body;
+    }
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${req.headers['x-webhook-event'] || '(no event)'}`
+      + ` signature ${verified === null ? 'not checked (no WEBHOOK_SECRET)' : verified ? 'valid' : 'INVALID'}`);
+    console.log(JSON.stringify(payload, null, 2));
+
+    const status = FAIL ? 500 : verified === false ? 401 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
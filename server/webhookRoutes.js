@@ -0,0 +1,117 @@
+// webhookRoutes.js - Admin routes for registering webhooks and inspecting deliveries, under /api/webhooks
+const express = require('express');
+const { EVENTS, WebhookValidationError } = require('./webhooks');
+
+const MAX_DELIVERY_LIMIT = 200;
+
+const sendError = (res, error) => {
+  if (error instanceof WebhookValidationError) return res.status(400).json({ error: error.message });
+  console.error('Error handling webhook request:', error);
+  res.status(500).json({ error: 'Webhook request failed' });
+};
+
+// `resolveDatabase(keyOrId)` turns a database key into its registry entry, or null;
+// `reminders` is the reminder scheduler, which admins can run on demand
+function createWebhookRouter({ webhooks, reminders, resolveDatabase }) {
+  const router = express.Router();
+
+  // A databaseId in a request body may also be a registry key; null means every database
+  const toDatabaseId = (value) => {
+    if (value === undefined || value === null || value === '') return value;
+    const database = resolveDatabase(String(value));
+    if (!database) throw new WebhookValidationError(`Unknown database "${value}"`);
+    return database.id;
+  };
+
+  // GET /api/webhooks - registered webhooks (without secrets) and the events they can subscribe to
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ webhooks: await webhooks.list(), events: EVENTS });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/webhooks - body { url, events?, databaseId?, secret? }. events defaults to ['*'] and a
+  // secret is generated unless given. The response is the only time the secret is shown.
+  router.post('/', async (req, res) => {
+    try {
+      const { url, events, databaseId, secret } = req.body || {};
+      const actor = req.user && { id: req.user.id, username: req.user.username };
+      res.status(201).json(await webhooks.create({ url, events, databaseId: toDatabaseId(databaseId), secret }, { actor }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /api/webhooks/:id - body with any of { url, events, databaseId, active }
+  router.patch('/:id', async (req, res) => {
+    try {
+      const { url, events, databaseId, active } = req.body || {};
+      const webhook = await webhooks.update(req.params.id, { url, events, databaseId: toDatabaseId(databaseId), active });
+      if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+      res.json(webhook);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/webhooks/:id - also stops retries of its pending deliveries
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!(await webhooks.remove(req.params.id))) return res.status(404).json({ error: 'Webhook not found' });
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/webhooks/:id/test - send a ping and answer with the delivery after the first attempt
+  router.post('/:id/test', async (req, res) => {
+    try {
+      const delivery = await webhooks.test(req.params.id);
+      if (!delivery) return res.status(404).json({ error: 'Webhook not found' });
+      res.json(delivery);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/webhooks/deliveries?webhookId=&status=&event=&limit= - the delivery log, newest first
+  router.get('/deliveries', async (req, res) => {
+    try {
+      const limit = Number(req.query.limit ?? 50);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_DELIVERY_LIMIT}` });
+      }
+      const { webhookId, status, event } = req.query;
+      res.json({ deliveries: await webhooks.deliveries({ webhookId, status, event, limit }) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/webhooks/deliveries/:id/redeliver - send a logged payload again as a new delivery
+  router.post('/deliveries/:id/redeliver', async (req, res) => {
+    try {
+      const delivery = await webhooks.redeliver(req.params.id);
+      if (!delivery) return res.status(404).json({ error: 'Delivery or its webhook not found' });
+      res.json(delivery);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/webhooks/reminders/run - scan for due and overdue items now instead of waiting
+  router.post('/reminders/run', async (req, res) => {
+    try {
+      res.json({ sent: await reminders.run() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
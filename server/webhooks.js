@@ -0,0 +1,268 @@
+// webhooks.js - Deliver item and reminder events to registered URLs, signed and retried
+const crypto = require('crypto');
+
+const EVENTS = [
+  'item.created',
+  'item.updated',
+  'item.completed',
+  'item.archived',
+  'reminder.overdue',
+  'reminder.due_today',
+  'reminder.due_soon'
+];
+// Sent by the test endpoint; every webhook receives it whatever events it subscribes to
+const PING_EVENT = 'ping';
+
+// Delays before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// The newest MAX_DELIVERIES deliveries are kept in the log
+const MAX_DELIVERIES = 1000;
+// Response bodies are only logged this far, for debugging receivers
+const MAX_LOGGED_RESPONSE = 500;
+
+// Raised for invalid webhook settings; answered with a 400
+class WebhookValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookValidationError';
+  }
+}
+
+// The X-Webhook-Signature header value for a body sent at `timestamp` (seconds since the epoch).
+// Receivers recompute it over `${timestamp}.${rawBody}` with the webhook's secret.
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Check a received signature; `toleranceSeconds` rejects replays of old deliveries
+function verifySignature(secret, { signature, timestamp, body }, { toleranceSeconds = 5 * 60 } = {}) {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const checkUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookValidationError('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new WebhookValidationError('url must use http or https');
+  return parsed.toString();
+};
+
+const checkEvents = (events) => {
+  if (events === undefined) return ['*'];
+  if (!Array.isArray(events) || events.length === 0) throw new WebhookValidationError('events must be a non-empty array');
+  const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (unknown.length) throw new WebhookValidationError(`Unknown events: ${unknown.join(', ')}. Use ${EVENTS.join(', ')} or *`);
+  return [...new Set(events)];
+};
+
+// Webhooks as listed to admins: the secret is only shown when it is created
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+// Webhooks look like { id, url, events: ['item.created', ...] or ['*'], databaseId, active, createdAt, createdBy }
+// with a `secret` for signing. Deliveries look like { id, webhookId, event, url, payload, status:
+// 'pending' | 'delivered' | 'failed', attempts: [{ at, statusCode, error, durationMs, response }],
+// nextAttemptAt }, newest first.
+function createWebhooks({ store, fetchImpl = fetch }) {
+  // Retry timers by delivery ID, so deleting a webhook can cancel them
+  const timers = new Map();
+
+  const findWebhook = async (id) => (await store.read()).webhooks.find(w => w.id === id) || null;
+
+  const list = async () => (await store.read()).webhooks.map(publicWebhook);
+
+  // Register a webhook. Resolves with it, including its secret.
+  const create = async ({ url, events, databaseId = null, secret }, { actor } = {}) => {
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new WebhookValidationError('secret must be at least 16 characters');
+    }
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: checkUrl(url),
+      events: checkEvents(events),
+      databaseId: databaseId || null,
+      active: true,
+      createdAt: new Date().toISOString(),
+      createdBy: actor?.username || null,
+      secret: secret || crypto.randomBytes(32).toString('hex')
+    };
+    await store.update(data => { data.webhooks.push(webhook); });
+    return webhook;
+  };
+
+  // Change url, events, databaseId or active. Resolves with the webhook, or null if there is none.
+  const update = async (id, changes) => {
+    const fields = {};
+    if (changes.url !== undefined) fields.url = checkUrl(changes.url);
+    if (changes.events !== undefined) fields.events = checkEvents(changes.events);
+    if (changes.databaseId !== undefined) fields.databaseId = changes.databaseId || null;
+    if (changes.active !== undefined) fields.active = Boolean(changes.active);
+    const webhook = await store.update(data => {
+      const found = data.webhooks.find(w => w.id === id);
+      if (found) Object.assign(found, fields);
+      return found ? { ...found } : null;
+    });
+    return webhook && publicWebhook(webhook);
+  };
+
+  // Remove a webhook and stop retrying its deliveries. Resolves with whether it existed.
+  const remove = async (id) => {
+    const pending = [];
+    const existed = await store.update(data => {
+      const before = data.webhooks.length;
+      data.webhooks = data.webhooks.filter(w => w.id !== id);
+      data.deliveries.forEach(delivery => {
+        if (delivery.webhookId === id && delivery.status === 'pending') {
+          delivery.status = 'failed';
+          delivery.nextAttemptAt = null;
+          pending.push(delivery.id);
+        }
+      });
+      return data.webhooks.length < before;
+    });
+    pending.forEach(deliveryId => {
+      clearTimeout(timers.get(deliveryId));
+      timers.delete(deliveryId);
+    });
+    return existed;
+  };
+
+  const scheduleRetry = (deliveryId, delayMs) => {
+    clearTimeout(timers.get(deliveryId));
+    const timer = setTimeout(() => {
+      timers.delete(deliveryId);
+      attempt(deliveryId).catch(error => console.error('Error delivering webhook:', error));
+    }, delayMs);
+    // Pending retries should not keep the process alive on shutdown
+    timer.unref?.();
+    timers.set(deliveryId, timer);
+  };
+
+  // POST a delivery once, record the outcome and schedule a retry if it failed.
+  // Resolves with the delivery as it is afterwards.
+  const attempt = async (deliveryId) => {
+    const delivery = (await store.read()).deliveries.find(d => d.id === deliveryId);
+    if (!delivery || delivery.status !== 'pending') return delivery || null;
+    const webhook = await findWebhook(delivery.webhookId);
+    if (!webhook) return delivery;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: null, response: null };
+    try {
+      const response = await fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'notion-manager-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      result.statusCode = response.status;
+      result.response = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_RESPONSE);
+      if (!response.ok) result.error = `Receiver answered ${response.status}`;
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    const updated = await store.update(data => {
+      const entry = data.deliveries.find(d => d.id === deliveryId);
+      if (!entry) return null;
+      entry.attempts.push(result);
+      const retryDelay = RETRY_DELAYS_MS[entry.attempts.length - 1];
+      if (!result.error) {
+        entry.status = 'delivered';
+        entry.nextAttemptAt = null;
+      } else if (retryDelay === undefined) {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+      } else {
+        entry.nextAttemptAt = new Date(Date.now() + retryDelay).toISOString();
+      }
+      return { ...entry };
+    });
+    if (updated?.nextAttemptAt) scheduleRetry(deliveryId, RETRY_DELAYS_MS[updated.attempts.length - 1]);
+    return updated;
+  };
+
+  // Log a delivery of `event` to one webhook and make the first attempt. Resolves with the delivery.
+  const deliver = async (webhook, event, data) => {
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event,
+      url: webhook.url,
+      payload: { id, event, createdAt: new Date().toISOString(), data },
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null
+    };
+    await store.update(stored => {
+      stored.deliveries.unshift(delivery);
+      if (stored.deliveries.length > MAX_DELIVERIES) stored.deliveries.length = MAX_DELIVERIES;
+    });
+    return attempt(id);
+  };
+
+  // Send `event` to every active webhook subscribed to it. Only webhooks without a databaseId or
+  // with the event's database receive item and reminder events. Never rejects: failures end up in
+  // the delivery log.
+  const emit = async (event, data, { databaseId } = {}) => {
+    try {
+      const webhooks = (await store.read()).webhooks.filter(w => w.active
+        && (w.events.includes('*') || w.events.includes(event))
+        && (!w.databaseId || !databaseId || w.databaseId === databaseId));
+      await Promise.all(webhooks.map(webhook => deliver(webhook, event, data)));
+    } catch (error) {
+      console.error(`Error sending ${event} webhooks:`, error);
+    }
+  };
+
+  // Send a ping to one webhook and resolve with the delivery after its first attempt,
+  // or null if there is no such webhook
+  const test = async (id) => {
+    const webhook = await findWebhook(id);
+    if (!webhook) return null;
+    return deliver(webhook, PING_EVENT, { message: 'Test delivery', webhook: publicWebhook(webhook) });
+  };
+
+  // Deliveries matching the filters, newest first
+  const deliveries = async ({ webhookId, status, event, limit = 50 } = {}) => (await store.read()).deliveries
+    .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status) && (!event || d.event === event))
+    .slice(0, limit);
+
+  // Send a logged delivery's payload again as a new delivery. Resolves with it, or null.
+  const redeliver = async (deliveryId) => {
+    const original = (await store.read()).deliveries.find(d => d.id === deliveryId);
+    const webhook = original && await findWebhook(original.webhookId);
+    if (!webhook) return null;
+    return deliver(webhook, original.event, original.payload.data);
+  };
+
+  // Pick up retries that were waiting when the server last stopped
+  const resumePending = async () => {
+    const now = Date.now();
+    (await store.read()).deliveries
+      .filter(d => d.status === 'pending')
+      .forEach(d => scheduleRetry(d.id, Math.max(0, Date.parse(d.nextAttemptAt || 0) - now)));
+  };
+
+  return { list, create, update, remove, emit, test, deliveries, redeliver, resumePending };
+}
+
+module.exports = { EVENTS, PING_EVENT, WebhookValidationError, verifySignature, createWebhooks };